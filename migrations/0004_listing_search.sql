@@ -0,0 +1,38 @@
+-- Full-text listing search for WightCars
+-- Adds an FTS5 index over car listings, kept in sync with the cars table by triggers
+
+-- External-content FTS5 table: the text lives in cars, the index lives here
+CREATE VIRTUAL TABLE IF NOT EXISTS cars_fts USING fts5(
+  title,
+  description,
+  make,
+  model,
+  features, -- JSON string of features array, tokenised as plain text
+  condition_notes,
+  content='cars',
+  content_rowid='id',
+  tokenize='porter unicode61'
+);
+
+-- Keep the index in sync with listing changes
+CREATE TRIGGER IF NOT EXISTS cars_fts_after_insert AFTER INSERT ON cars BEGIN
+  INSERT INTO cars_fts (rowid, title, description, make, model, features, condition_notes)
+  VALUES (new.id, new.title, new.description, new.make, new.model, new.features, new.condition_notes);
+END;
+
+CREATE TRIGGER IF NOT EXISTS cars_fts_after_delete AFTER DELETE ON cars BEGIN
+  INSERT INTO cars_fts (cars_fts, rowid, title, description, make, model, features, condition_notes)
+  VALUES ('delete', old.id, old.title, old.description, old.make, old.model, old.features, old.condition_notes);
+END;
+
+-- Only re-index when searchable text changes (view counts update cars constantly)
+CREATE TRIGGER IF NOT EXISTS cars_fts_after_update
+AFTER UPDATE OF title, description, make, model, features, condition_notes ON cars BEGIN
+  INSERT INTO cars_fts (cars_fts, rowid, title, description, make, model, features, condition_notes)
+  VALUES ('delete', old.id, old.title, old.description, old.make, old.model, old.features, old.condition_notes);
+  INSERT INTO cars_fts (rowid, title, description, make, model, features, condition_notes)
+  VALUES (new.id, new.title, new.description, new.make, new.model, new.features, new.condition_notes);
+END;
+
+-- Index listings that existed before this migration
+INSERT INTO cars_fts (cars_fts) VALUES ('rebuild');
@@ -0,0 +1,18 @@
+-- Search alert matches for WightCars
+-- Records which published listings matched each saved search
+
+CREATE TABLE IF NOT EXISTS search_alert_matches (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  alert_id INTEGER NOT NULL,
+  car_id INTEGER NOT NULL,
+  is_read INTEGER DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  
+  FOREIGN KEY (alert_id) REFERENCES search_alerts(id) ON DELETE CASCADE,
+  FOREIGN KEY (car_id) REFERENCES cars(id) ON DELETE CASCADE,
+  UNIQUE(alert_id, car_id) -- A listing is only reported once per alert
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_alert_matches_alert_id ON search_alert_matches(alert_id, is_read);
+CREATE INDEX IF NOT EXISTS idx_search_alert_matches_car_id ON search_alert_matches(car_id);
+CREATE INDEX IF NOT EXISTS idx_search_alerts_active ON search_alerts(is_active);
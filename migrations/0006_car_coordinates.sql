@@ -0,0 +1,71 @@
+-- Distance search for WightCars
+-- Stores a centroid for every listing so GET /api/cars can filter and sort by distance
+-- Coordinates come from the bundled dataset in src/utils/locations.ts
+
+ALTER TABLE cars ADD COLUMN latitude REAL;
+ALTER TABLE cars ADD COLUMN longitude REAL;
+
+CREATE INDEX IF NOT EXISTS idx_cars_coordinates ON cars(latitude, longitude);
+
+-- Backfill existing listings, most specific first: postcode sector, district, then town.
+-- District matches need the full seven-character postcode, so mainland PO3 5AB isn't read as PO35
+
+UPDATE cars SET latitude = 50.7060, longitude = -1.2950 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO301%';
+UPDATE cars SET latitude = 50.6900, longitude = -1.2850 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO302%';
+UPDATE cars SET latitude = 50.6500, longitude = -1.3000 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO303%';
+UPDATE cars SET latitude = 50.6420, longitude = -1.3900 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO304%';
+UPDATE cars SET latitude = 50.6930, longitude = -1.3150 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO305%';
+UPDATE cars SET latitude = 50.7620, longitude = -1.2990 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO317%';
+UPDATE cars SET latitude = 50.7480, longitude = -1.3200 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO318%';
+UPDATE cars SET latitude = 50.7530, longitude = -1.2800 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO326%';
+UPDATE cars SET latitude = 50.7300, longitude = -1.1620 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO331%';
+UPDATE cars SET latitude = 50.7220, longitude = -1.1450 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO332%';
+UPDATE cars SET latitude = 50.7250, longitude = -1.1850 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO333%';
+UPDATE cars SET latitude = 50.7220, longitude = -1.2400 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO334%';
+UPDATE cars SET latitude = 50.7150, longitude = -1.1100 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO345%';
+UPDATE cars SET latitude = 50.6860, longitude = -1.0850 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO355%';
+UPDATE cars SET latitude = 50.6780, longitude = -1.1450 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO360%';
+UPDATE cars SET latitude = 50.6550, longitude = -1.1550 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO368%';
+UPDATE cars SET latitude = 50.6470, longitude = -1.1650 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO369%';
+UPDATE cars SET latitude = 50.6320, longitude = -1.1760 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO376%';
+UPDATE cars SET latitude = 50.6250, longitude = -1.1900 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO377%';
+UPDATE cars SET latitude = 50.5950, longitude = -1.2050 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO381%';
+UPDATE cars SET latitude = 50.5850, longitude = -1.2850 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO382%';
+UPDATE cars SET latitude = 50.6330, longitude = -1.2540 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO383%';
+UPDATE cars SET latitude = 50.6790, longitude = -1.5400 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO390%';
+UPDATE cars SET latitude = 50.6830, longitude = -1.5200 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO409%';
+UPDATE cars SET latitude = 50.7050, longitude = -1.5000 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO410%';
+
+UPDATE cars SET latitude = 50.6950, longitude = -1.3000 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO30___';
+UPDATE cars SET latitude = 50.7560, longitude = -1.3050 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO31___';
+UPDATE cars SET latitude = 50.7500, longitude = -1.2780 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO32___';
+UPDATE cars SET latitude = 50.7260, longitude = -1.1800 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO33___';
+UPDATE cars SET latitude = 50.7140, longitude = -1.1100 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO34___';
+UPDATE cars SET latitude = 50.6880, longitude = -1.0900 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO35___';
+UPDATE cars SET latitude = 50.6570, longitude = -1.1550 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO36___';
+UPDATE cars SET latitude = 50.6290, longitude = -1.1810 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO37___';
+UPDATE cars SET latitude = 50.6000, longitude = -1.2400 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO38___';
+UPDATE cars SET latitude = 50.6790, longitude = -1.5400 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO39___';
+UPDATE cars SET latitude = 50.6830, longitude = -1.5150 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO40___';
+UPDATE cars SET latitude = 50.7000, longitude = -1.4700 WHERE latitude IS NULL AND UPPER(REPLACE(postcode, ' ', '')) LIKE 'PO41___';
+
+UPDATE cars SET latitude = 50.7011, longitude = -1.2916 WHERE latitude IS NULL AND LOWER(TRIM(location)) = 'newport';
+UPDATE cars SET latitude = 50.7595, longitude = -1.3002 WHERE latitude IS NULL AND LOWER(TRIM(location)) = 'cowes';
+UPDATE cars SET latitude = 50.7562, longitude = -1.2876 WHERE latitude IS NULL AND LOWER(TRIM(location)) = 'east cowes';
+UPDATE cars SET latitude = 50.7300, longitude = -1.1600 WHERE latitude IS NULL AND LOWER(TRIM(location)) = 'ryde';
+UPDATE cars SET latitude = 50.6530, longitude = -1.1580 WHERE latitude IS NULL AND LOWER(TRIM(location)) = 'sandown';
+UPDATE cars SET latitude = 50.6300, longitude = -1.1750 WHERE latitude IS NULL AND LOWER(TRIM(location)) = 'shanklin';
+UPDATE cars SET latitude = 50.5940, longitude = -1.2060 WHERE latitude IS NULL AND LOWER(TRIM(location)) = 'ventnor';
+UPDATE cars SET latitude = 50.6830, longitude = -1.5210 WHERE latitude IS NULL AND LOWER(TRIM(location)) = 'freshwater';
+UPDATE cars SET latitude = 50.7050, longitude = -1.5000 WHERE latitude IS NULL AND LOWER(TRIM(location)) = 'yarmouth';
+UPDATE cars SET latitude = 50.6870, longitude = -1.0830 WHERE latitude IS NULL AND LOWER(TRIM(location)) = 'bembridge';
+UPDATE cars SET latitude = 50.6810, longitude = -1.1450 WHERE latitude IS NULL AND LOWER(TRIM(location)) = 'brading';
+UPDATE cars SET latitude = 50.6330, longitude = -1.2540 WHERE latitude IS NULL AND LOWER(TRIM(location)) = 'godshill';
+UPDATE cars SET latitude = 50.6420, longitude = -1.3930 WHERE latitude IS NULL AND LOWER(TRIM(location)) = 'brighstone';
+UPDATE cars SET latitude = 50.6760, longitude = -1.2410 WHERE latitude IS NULL AND LOWER(TRIM(location)) = 'arreton';
+UPDATE cars SET latitude = 50.7230, longitude = -1.2360 WHERE latitude IS NULL AND LOWER(TRIM(location)) = 'wootton bridge';
+UPDATE cars SET latitude = 50.6450, longitude = -1.1680 WHERE latitude IS NULL AND LOWER(TRIM(location)) = 'lake';
+UPDATE cars SET latitude = 50.5850, longitude = -1.2850 WHERE latitude IS NULL AND LOWER(TRIM(location)) = 'niton';
+UPDATE cars SET latitude = 50.7170, longitude = -1.1100 WHERE latitude IS NULL AND LOWER(TRIM(location)) = 'seaview';
+UPDATE cars SET latitude = 50.7000, longitude = -1.1150 WHERE latitude IS NULL AND LOWER(TRIM(location)) = 'st helens';
+UPDATE cars SET latitude = 50.6790, longitude = -1.5400 WHERE latitude IS NULL AND LOWER(TRIM(location)) = 'totland';
@@ -0,0 +1,5 @@
+-- Listing deletion for WightCars
+-- Soft-deleted listings keep their row (and so their messages and reports) but leave the site
+
+ALTER TABLE cars ADD COLUMN deleted_at DATETIME;
+ALTER TABLE cars ADD COLUMN deleted_by INTEGER; -- Owner or admin who deleted the listing
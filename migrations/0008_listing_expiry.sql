@@ -0,0 +1,30 @@
+-- Listing expiry for WightCars
+-- Listings expire after listing_duration_days; a daily cron withdraws them and warns owners first
+
+ALTER TABLE cars ADD COLUMN expires_at DATETIME;
+ALTER TABLE cars ADD COLUMN expiry_warned_at DATETIME; -- When the owner was told expiry is near
+
+CREATE INDEX IF NOT EXISTS idx_cars_status_expires_at ON cars(status, expires_at);
+
+-- In-app notifications shown on the user dashboard
+CREATE TABLE IF NOT EXISTS notifications (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  type TEXT NOT NULL, -- 'listing_expiring', 'listing_expired', ...
+  title TEXT NOT NULL,
+  message TEXT,
+  link TEXT, -- Relative URL the notification points at
+  is_read INTEGER DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_id ON notifications(user_id, is_read);
+
+INSERT OR IGNORE INTO site_settings (setting_key, setting_value, setting_type, description) VALUES
+('listing_duration_days', '60', 'number', 'Days a listing stays live before it expires'),
+('listing_expiry_warning_days', '3', 'number', 'Days before expiry that owners are warned');
+
+-- Give listings that are already live a full period from today
+UPDATE cars SET expires_at = datetime('now', '+60 days') WHERE expires_at IS NULL AND status = 'active';
@@ -0,0 +1,19 @@
+-- Price history for WightCars
+-- Every price a listing has had, so buyers can see reductions and savers can be alerted
+
+CREATE TABLE IF NOT EXISTS car_price_history (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  car_id INTEGER NOT NULL,
+  old_price INTEGER, -- NULL for the price the car was first listed at
+  new_price INTEGER NOT NULL, -- Price in pence
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  
+  FOREIGN KEY (car_id) REFERENCES cars(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_car_price_history_car_id ON car_price_history(car_id, created_at);
+
+-- Start the timeline for existing listings at their current price
+INSERT INTO car_price_history (car_id, old_price, new_price, created_at)
+SELECT id, NULL, price, created_at FROM cars
+WHERE id NOT IN (SELECT car_id FROM car_price_history);
@@ -0,0 +1,318 @@
+-- Make and model catalogue for WightCars
+-- Replaces the hardcoded POPULAR_CAR_MAKES list so admins can add makes and models without a deploy
+
+CREATE TABLE IF NOT EXISTS car_makes (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  sort_order INTEGER DEFAULT 0, -- Dropdown order; popular makes first
+  is_active BOOLEAN DEFAULT TRUE, -- Inactive makes are hidden from dropdowns but kept for old listings
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS car_models (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  make_id INTEGER NOT NULL,
+  name TEXT NOT NULL COLLATE NOCASE,
+  year_from INTEGER, -- First model year; NULL when unknown
+  year_to INTEGER, -- Last model year; NULL while still in production or unknown
+  sort_order INTEGER DEFAULT 0,
+  is_active BOOLEAN DEFAULT TRUE,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  
+  UNIQUE (make_id, name),
+  FOREIGN KEY (make_id) REFERENCES car_makes(id) ON DELETE CASCADE
+);
+
+-- Other names buyers and sellers use for a make, e.g. VW for Volkswagen
+CREATE TABLE IF NOT EXISTS car_make_aliases (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  make_id INTEGER NOT NULL,
+  alias TEXT NOT NULL UNIQUE COLLATE NOCASE,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  
+  FOREIGN KEY (make_id) REFERENCES car_makes(id) ON DELETE CASCADE
+);
+
+-- Models sellers listed that the catalogue didn't know, waiting for an admin
+CREATE TABLE IF NOT EXISTS car_model_proposals (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  make_id INTEGER, -- NULL when the make is new too
+  make_name TEXT NOT NULL COLLATE NOCASE,
+  model_name TEXT NOT NULL COLLATE NOCASE,
+  year INTEGER, -- Year of the listing that prompted it, as a hint for the model's range
+  proposed_by INTEGER NOT NULL,
+  car_id INTEGER,
+  status TEXT DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  reviewed_by INTEGER,
+  reviewed_at DATETIME,
+  review_notes TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  
+  FOREIGN KEY (make_id) REFERENCES car_makes(id) ON DELETE SET NULL,
+  FOREIGN KEY (proposed_by) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (car_id) REFERENCES cars(id) ON DELETE SET NULL,
+  FOREIGN KEY (reviewed_by) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_car_models_make_id ON car_models(make_id, sort_order);
+CREATE INDEX IF NOT EXISTS idx_car_make_aliases_make_id ON car_make_aliases(make_id);
+CREATE INDEX IF NOT EXISTS idx_car_model_proposals_status ON car_model_proposals(status, created_at);
+-- One open proposal per seller for each make/model
+CREATE UNIQUE INDEX IF NOT EXISTS idx_car_model_proposals_pending
+  ON car_model_proposals(make_name, model_name, proposed_by) WHERE status = 'pending';
+
+-- Seed from the list the app shipped with
+INSERT OR IGNORE INTO car_makes (name, sort_order) VALUES
+  ('Audi', 1),
+  ('BMW', 2),
+  ('Mercedes-Benz', 3),
+  ('Ford', 4),
+  ('Volkswagen', 5),
+  ('Toyota', 6),
+  ('Nissan', 7),
+  ('Honda', 8),
+  ('Hyundai', 9),
+  ('Kia', 10),
+  ('Peugeot', 11),
+  ('Renault', 12),
+  ('Vauxhall', 13),
+  ('Citroen', 14),
+  ('Skoda', 15),
+  ('SEAT', 16),
+  ('Mazda', 17),
+  ('Mitsubishi', 18),
+  ('Subaru', 19),
+  ('Suzuki', 20),
+  ('Mini', 21),
+  ('Jaguar', 22),
+  ('Land Rover', 23),
+  ('Volvo', 24),
+  ('Tesla', 25),
+  ('Lexus', 26),
+  ('Infiniti', 27),
+  ('Alfa Romeo', 28),
+  ('Fiat', 29),
+  ('Jeep', 30),
+  ('Dacia', 31),
+  ('MG', 32),
+  ('Genesis', 33),
+  ('Cupra', 34),
+  ('DS', 35),
+  ('Smart', 36),
+  ('Porsche', 37),
+  ('Maserati', 38),
+  ('Ferrari', 39),
+  ('Lamborghini', 40),
+  ('Bentley', 41),
+  ('Rolls-Royce', 42),
+  ('Aston Martin', 43),
+  ('McLaren', 44),
+  ('Lotus', 45),
+  ('Morgan', 46),
+  ('Caterham', 47);
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('A1', 1), ('A3', 2), ('A4', 3), ('A4 Allroad', 4), ('A5', 5), ('A6', 6), ('A6 Allroad', 7), ('A7', 8), ('A8', 9), ('Q2', 10), ('Q3', 11), ('Q4 e-tron', 12), ('Q5', 13), ('Q7', 14), ('Q8', 15), ('TT', 16), ('TTS', 17), ('TT RS', 18), ('RS3', 19), ('RS4', 20), ('RS5', 21), ('RS6', 22), ('RS7', 23), ('e-tron GT', 24), ('R8', 25)) AS models
+WHERE car_makes.name = 'Audi';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('1 Series', 1), ('2 Series Gran Coupe', 2), ('2 Series Active Tourer', 3), ('3 Series', 4), ('3 Series Touring', 5), ('4 Series', 6), ('4 Series Gran Coupe', 7), ('5 Series', 8), ('5 Series Touring', 9), ('6 Series GT', 10), ('7 Series', 11), ('8 Series', 12), ('X1', 13), ('X2', 14), ('X3', 15), ('X4', 16), ('X5', 17), ('X6', 18), ('X7', 19), ('iX1', 20), ('iX3', 21), ('iX', 22), ('i4', 23), ('i5', 24), ('i7', 25), ('M2', 26), ('M3', 27), ('M4', 28), ('M5', 29), ('X3 M', 30), ('X4 M', 31), ('X5 M', 32), ('X6 M', 33), ('Z4', 34)) AS models
+WHERE car_makes.name = 'BMW';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('A-Class', 1), ('B-Class', 2), ('C-Class', 3), ('C-Class Estate', 4), ('CLA', 5), ('CLA Shooting Brake', 6), ('E-Class', 7), ('E-Class Estate', 8), ('S-Class', 9), ('GLA', 10), ('GLB', 11), ('GLC', 12), ('GLC Coupe', 13), ('GLE', 14), ('GLE Coupe', 15), ('GLS', 16), ('G-Class', 17), ('EQA', 18), ('EQB', 19), ('EQC', 20), ('EQE', 21), ('EQS', 22), ('AMG GT', 23), ('SL', 24), ('CLE', 25)) AS models
+WHERE car_makes.name = 'Mercedes-Benz';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Ka+', 1), ('Fiesta', 2), ('Focus', 3), ('Focus Estate', 4), ('Mondeo', 5), ('Mondeo Estate', 6), ('S-MAX', 7), ('Galaxy', 8), ('Puma', 9), ('Kuga', 10), ('Explorer', 11), ('Mustang', 12), ('Mustang Mach-E', 13), ('Tourneo Connect', 14), ('Tourneo Courier', 15), ('Transit Connect', 16), ('Transit Custom', 17), ('Transit', 18)) AS models
+WHERE car_makes.name = 'Ford';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('up!', 1), ('Polo', 2), ('Golf', 3), ('Golf Estate', 4), ('Golf GTI', 5), ('Golf R', 6), ('Jetta', 7), ('Passat', 8), ('Passat Estate', 9), ('Arteon', 10), ('T-Cross', 11), ('T-Roc', 12), ('Tiguan', 13), ('Tiguan Allspace', 14), ('Touareg', 15), ('ID.3', 16), ('ID.4', 17), ('ID.5', 18), ('ID.7', 19), ('ID. Buzz', 20), ('Touran', 21), ('Sharan', 22), ('Caddy', 23), ('Transporter', 24)) AS models
+WHERE car_makes.name = 'Volkswagen';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Aygo X', 1), ('Yaris', 2), ('Yaris Cross', 3), ('Corolla', 4), ('Corolla Touring Sports', 5), ('Camry', 6), ('Prius', 7), ('C-HR', 8), ('RAV4', 9), ('Highlander', 10), ('Land Cruiser', 11), ('Hilux', 12), ('Proace City', 13), ('Proace', 14), ('Proace Max', 15), ('GR Yaris', 16), ('GR Supra', 17), ('GR86', 18), ('bZ4X', 19), ('Mirai', 20)) AS models
+WHERE car_makes.name = 'Toyota';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Micra', 1), ('Juke', 2), ('Qashqai', 3), ('X-Trail', 4), ('Pathfinder', 5), ('Leaf', 6), ('Ariya', 7), ('GT-R', 8), ('Z', 9), ('370Z', 10), ('Navara', 11), ('NV200', 12), ('NV300', 13), ('NV400', 14), ('e-NV200', 15), ('Townstar', 16)) AS models
+WHERE car_makes.name = 'Nissan';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Jazz', 1), ('Civic', 2), ('Civic Type R', 3), ('Accord', 4), ('HR-V', 5), ('CR-V', 6), ('Pilot', 7), ('e', 8), ('NSX', 9)) AS models
+WHERE car_makes.name = 'Honda';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('i10', 1), ('i20', 2), ('i20 N', 3), ('i30', 4), ('i30 N', 5), ('i30 Fastback N', 6), ('i40', 7), ('Bayon', 8), ('Kona', 9), ('Kona N', 10), ('Tucson', 11), ('Santa Fe', 12), ('Nexo', 13), ('IONIQ 5', 14), ('IONIQ 6', 15), ('Genesis GV70', 16), ('Genesis G90', 17)) AS models
+WHERE car_makes.name = 'Hyundai';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Picanto', 1), ('Rio', 2), ('Stonic', 3), ('Xceed', 4), ('Ceed', 5), ('Ceed SW', 6), ('ProCeed', 7), ('Sportage', 8), ('Sorento', 9), ('Niro', 10), ('EV6', 11), ('EV9', 12), ('Stinger', 13)) AS models
+WHERE car_makes.name = 'Kia';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('108', 1), ('208', 2), ('208 GTI', 3), ('308', 4), ('308 SW', 5), ('308 GTI', 6), ('408', 7), ('508', 8), ('508 SW', 9), ('2008', 10), ('3008', 11), ('5008', 12), ('Rifter', 13), ('Partner', 14), ('Expert', 15), ('Boxer', 16), ('e-208', 17), ('e-2008', 18), ('e-308', 19), ('e-Rifter', 20), ('e-Partner', 21), ('e-Expert', 22)) AS models
+WHERE car_makes.name = 'Peugeot';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Twingo', 1), ('Clio', 2), ('Captur', 3), ('Arkana', 4), ('Megane', 5), ('Megane E-TECH', 6), ('Scenic E-TECH', 7), ('Austral', 8), ('Koleos', 9), ('Espace', 10), ('Kangoo', 11), ('Trafic', 12), ('Master', 13), ('ZOE', 14), ('Twizy', 15)) AS models
+WHERE car_makes.name = 'Renault';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Corsa', 1), ('Corsa-e', 2), ('Astra', 3), ('Astra Sports Tourer', 4), ('Insignia', 5), ('Insignia Sports Tourer', 6), ('Crossland', 7), ('Mokka', 8), ('Mokka-e', 9), ('Grandland', 10), ('Combo Life', 11), ('Combo Cargo', 12), ('Vivaro', 13), ('Movano', 14)) AS models
+WHERE car_makes.name = 'Vauxhall';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('C1', 1), ('C3', 2), ('C3 Aircross', 3), ('C4', 4), ('C4 X', 5), ('C5 Aircross', 6), ('C5 X', 7), ('Berlingo', 8), ('SpaceTourer', 9), ('Dispatch', 10), ('Relay', 11), ('e-C4', 12), ('e-SpaceTourer', 13), ('e-Berlingo', 14), ('e-Dispatch', 15)) AS models
+WHERE car_makes.name = 'Citroen';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Citigo', 1), ('Fabia', 2), ('Scala', 3), ('Octavia', 4), ('Octavia Estate', 5), ('Superb', 6), ('Superb Estate', 7), ('Kamiq', 8), ('Karoq', 9), ('Kodiaq', 10), ('Enyaq', 11), ('Enyaq Coupe', 12), ('Roomster', 13), ('Yeti', 14)) AS models
+WHERE car_makes.name = 'Skoda';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Mii', 1), ('Ibiza', 2), ('Arona', 3), ('Leon', 4), ('Leon Estate', 5), ('Ateca', 6), ('Tarraco', 7), ('Formentor', 8), ('Leon Cupra', 9), ('Ateca Cupra', 10), ('Formentor Cupra', 11)) AS models
+WHERE car_makes.name = 'SEAT';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('MX-30', 1), ('Mazda2', 2), ('Mazda3', 3), ('Mazda6', 4), ('CX-3', 5), ('CX-30', 6), ('CX-5', 7), ('CX-60', 8), ('MX-5', 9)) AS models
+WHERE car_makes.name = 'Mazda';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Mirage', 1), ('ASX', 2), ('Eclipse Cross', 3), ('Outlander', 4), ('Outlander PHEV', 5), ('L200', 6)) AS models
+WHERE car_makes.name = 'Mitsubishi';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Impreza', 1), ('XV', 2), ('Forester', 3), ('Outback', 4), ('Levorg', 5), ('WRX', 6), ('BRZ', 7)) AS models
+WHERE car_makes.name = 'Subaru';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Celerio', 1), ('Swift', 2), ('Swift Sport', 3), ('Baleno', 4), ('Ignis', 5), ('S-Cross', 6), ('Vitara', 7), ('SX4 S-Cross', 8), ('Jimny', 9)) AS models
+WHERE car_makes.name = 'Suzuki';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Cooper 3-Door', 1), ('Cooper 5-Door', 2), ('Cooper Convertible', 3), ('Clubman', 4), ('Countryman', 5), ('Electric Cooper', 6), ('John Cooper Works', 7)) AS models
+WHERE car_makes.name = 'Mini';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('XE', 1), ('XF', 2), ('XJ', 3), ('F-Type', 4), ('E-Pace', 5), ('F-Pace', 6), ('I-Pace', 7)) AS models
+WHERE car_makes.name = 'Jaguar';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Defender', 1), ('Discovery Sport', 2), ('Discovery', 3), ('Range Rover Evoque', 4), ('Range Rover Velar', 5), ('Range Rover Sport', 6), ('Range Rover', 7)) AS models
+WHERE car_makes.name = 'Land Rover';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('V40', 1), ('V60', 2), ('V90', 3), ('S60', 4), ('S90', 5), ('XC40', 6), ('XC60', 7), ('XC90', 8), ('C40 Recharge', 9), ('EX30', 10), ('EX90', 11)) AS models
+WHERE car_makes.name = 'Volvo';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Model 3', 1), ('Model Y', 2), ('Model S', 3), ('Model X', 4)) AS models
+WHERE car_makes.name = 'Tesla';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('CT', 1), ('IS', 2), ('ES', 3), ('GS', 4), ('LS', 5), ('LC', 6), ('UX', 7), ('NX', 8), ('RX', 9), ('GX', 10), ('LX', 11), ('RC', 12), ('LFA', 13)) AS models
+WHERE car_makes.name = 'Lexus';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Q30', 1), ('Q50', 2), ('Q60', 3), ('Q70', 4), ('QX30', 5), ('QX50', 6), ('QX60', 7), ('QX70', 8), ('QX80', 9)) AS models
+WHERE car_makes.name = 'Infiniti';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('MiTo', 1), ('Giulietta', 2), ('Giulia', 3), ('Stelvio', 4), ('4C', 5), ('Tonale', 6)) AS models
+WHERE car_makes.name = 'Alfa Romeo';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('500', 1), ('500C', 2), ('500X', 3), ('500L', 4), ('Panda', 5), ('Tipo', 6), ('600', 7), ('Doblo', 8), ('Ducato', 9), ('500e', 10)) AS models
+WHERE car_makes.name = 'Fiat';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Renegade', 1), ('Compass', 2), ('Cherokee', 3), ('Grand Cherokee', 4), ('Wrangler', 5), ('Gladiator', 6), ('Avenger', 7)) AS models
+WHERE car_makes.name = 'Jeep';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Sandero', 1), ('Sandero Stepway', 2), ('Duster', 3), ('Jogger', 4), ('Spring', 5)) AS models
+WHERE car_makes.name = 'Dacia';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('MG3', 1), ('MG4', 2), ('HS', 3), ('ZS', 4), ('ZS EV', 5), ('Marvel R', 6), ('EHS', 7)) AS models
+WHERE car_makes.name = 'MG';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('G70', 1), ('G80', 2), ('G90', 3), ('GV60', 4), ('GV70', 5), ('GV80', 6)) AS models
+WHERE car_makes.name = 'Genesis';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Ateca', 1), ('Formentor', 2), ('Leon', 3), ('Born', 4), ('Tavascan', 5)) AS models
+WHERE car_makes.name = 'Cupra';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('DS 3', 1), ('DS 4', 2), ('DS 7', 3), ('DS 9', 4)) AS models
+WHERE car_makes.name = 'DS';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('ForTwo', 1), ('ForFour', 2), ('#1', 3), ('#3', 4)) AS models
+WHERE car_makes.name = 'Smart';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('911', 1), ('Boxster', 2), ('Cayman', 3), ('Panamera', 4), ('Cayenne', 5), ('Macan', 6), ('Taycan', 7)) AS models
+WHERE car_makes.name = 'Porsche';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Ghibli', 1), ('Quattroporte', 2), ('Levante', 3), ('MC20', 4), ('Grecale', 5)) AS models
+WHERE car_makes.name = 'Maserati';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('F8', 1), ('Roma', 2), ('Portofino', 3), ('SF90', 4), ('812', 5), ('Purosangue', 6)) AS models
+WHERE car_makes.name = 'Ferrari';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Huracan', 1), ('Aventador', 2), ('Urus', 3), ('Revuelto', 4)) AS models
+WHERE car_makes.name = 'Lamborghini';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Continental GT', 1), ('Continental GTC', 2), ('Flying Spur', 3), ('Bentayga', 4)) AS models
+WHERE car_makes.name = 'Bentley';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Ghost', 1), ('Phantom', 2), ('Wraith', 3), ('Dawn', 4), ('Cullinan', 5), ('Spectre', 6)) AS models
+WHERE car_makes.name = 'Rolls-Royce';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Vantage', 1), ('DB11', 2), ('DBS', 3), ('DBX', 4), ('Valkyrie', 5)) AS models
+WHERE car_makes.name = 'Aston Martin';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('GT', 1), ('720S', 2), ('750S', 3), ('Artura', 4), ('765LT', 5)) AS models
+WHERE car_makes.name = 'McLaren';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Elise', 1), ('Exige', 2), ('Evora', 3), ('Emira', 4), ('Evija', 5)) AS models
+WHERE car_makes.name = 'Lotus';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('3 Wheeler', 1), ('Plus Four', 2), ('Plus Six', 3), ('Aero 8', 4)) AS models
+WHERE car_makes.name = 'Morgan';
+
+INSERT OR IGNORE INTO car_models (make_id, name, sort_order)
+SELECT car_makes.id, models.column1, models.column2 FROM car_makes, (VALUES ('Seven 160', 1), ('Seven 270', 2), ('Seven 360', 3), ('Seven 420', 4), ('Seven 620', 5)) AS models
+WHERE car_makes.name = 'Caterham';
+
+INSERT OR IGNORE INTO car_make_aliases (make_id, alias)
+SELECT car_makes.id, aliases.column1 FROM car_makes, (VALUES
+  ('VW', 'Volkswagen'),
+  ('Merc', 'Mercedes-Benz'),
+  ('Mercedes', 'Mercedes-Benz'),
+  ('Mercedes Benz', 'Mercedes-Benz'),
+  ('Alfa', 'Alfa Romeo'),
+  ('Aston', 'Aston Martin'),
+  ('Rolls', 'Rolls-Royce'),
+  ('Rolls Royce', 'Rolls-Royce'),
+  ('Landrover', 'Land Rover'),
+  ('Citroën', 'Citroen'),
+  ('Škoda', 'Skoda')
+) AS aliases
+WHERE car_makes.name = aliases.column2;
@@ -0,0 +1,7 @@
+-- Listing resubmission for WightCars
+-- Sellers can edit a rejected listing and send it back to the moderation queue
+
+ALTER TABLE cars ADD COLUMN resubmitted_at DATETIME; -- Last time a rejected listing was sent back for review
+
+-- Public listing queries filter on moderation status alongside status
+CREATE INDEX IF NOT EXISTS idx_cars_status_moderation ON cars(status, moderation_status);
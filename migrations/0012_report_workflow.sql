@@ -0,0 +1,22 @@
+-- Report workflow for WightCars
+-- Every status change on a user report, so admins can see who handled it and what was done
+
+CREATE TABLE IF NOT EXISTS report_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  report_id INTEGER NOT NULL,
+  admin_id INTEGER NOT NULL,
+  action TEXT NOT NULL, -- 'assign', 'resolve', 'dismiss', 'reopen'
+  from_status TEXT NOT NULL,
+  to_status TEXT NOT NULL,
+  assigned_to INTEGER, -- Who the report was assigned to by this event
+  linked_action TEXT, -- 'suspend_user' or 'reject_car' when resolving also acted on the target
+  notes TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+
+  FOREIGN KEY (report_id) REFERENCES user_reports(id) ON DELETE CASCADE,
+  FOREIGN KEY (admin_id) REFERENCES users(id),
+  FOREIGN KEY (assigned_to) REFERENCES users(id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_events_report_id ON report_events(report_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_user_reports_assigned_to ON user_reports(assigned_to);
@@ -0,0 +1,10 @@
+-- Report submission for WightCars
+-- Signed-in users can report a listing or another user; enough reporters hide a listing for review
+
+INSERT OR IGNORE INTO site_settings (setting_key, setting_value, setting_type, description) VALUES
+('report_flag_threshold', '3', 'number', 'Distinct reporters needed to flag a listing for review automatically');
+
+-- Rate limiting looks up a reporter's recent reports; de-duplication and flagging look up a target's
+CREATE INDEX IF NOT EXISTS idx_user_reports_reporter ON user_reports(reporter_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_user_reports_car ON user_reports(reported_car_id, status);
+CREATE INDEX IF NOT EXISTS idx_user_reports_user ON user_reports(reported_user_id, status);
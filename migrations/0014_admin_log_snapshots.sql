@@ -0,0 +1,8 @@
+-- Admin log snapshots for WightCars
+-- Settings and moderation changes record what the target looked like before and after
+
+ALTER TABLE admin_logs ADD COLUMN before_state TEXT; -- JSON
+ALTER TABLE admin_logs ADD COLUMN after_state TEXT; -- JSON
+
+-- The activity log can be filtered down to one user, listing or report
+CREATE INDEX IF NOT EXISTS idx_admin_logs_target ON admin_logs(target_type, target_id);
@@ -0,0 +1,18 @@
+-- Sessions for WightCars
+-- Every issued token belongs to a session, so logging out, changing password or being
+-- suspended can invalidate tokens before they expire
+
+CREATE TABLE IF NOT EXISTS sessions (
+  id TEXT PRIMARY KEY, -- Random id carried in the token's sid claim
+  user_id INTEGER NOT NULL,
+  user_agent TEXT,
+  ip_address TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL, -- Same as the token's exp
+  revoked_at DATETIME,
+  revoked_reason TEXT, -- 'logout', 'password_change', 'suspended'
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id, revoked_at);
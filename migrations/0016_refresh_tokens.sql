@@ -0,0 +1,11 @@
+-- Refresh tokens for WightCars
+-- Access tokens now last minutes; sessions hold a rotating refresh token (stored hashed)
+-- that the browser keeps in an HttpOnly cookie and trades for new access tokens
+
+ALTER TABLE sessions ADD COLUMN refresh_token_hash TEXT; -- SHA-256 of the current refresh token
+ALTER TABLE sessions ADD COLUMN previous_refresh_token_hash TEXT; -- The token it replaced, to spot reuse
+ALTER TABLE sessions ADD COLUMN refreshed_at DATETIME;
+ALTER TABLE sessions ADD COLUMN last_seen_at DATETIME; -- Updated on sign-in and each refresh
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_refresh_token_hash ON sessions(refresh_token_hash);
+CREATE INDEX IF NOT EXISTS idx_sessions_previous_refresh_token_hash ON sessions(previous_refresh_token_hash);
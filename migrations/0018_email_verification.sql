@@ -0,0 +1,24 @@
+-- Email verification for WightCars
+-- Confirming an email address is separate from is_verified, which admins set for trusted sellers
+
+ALTER TABLE users ADD COLUMN email_verified_at DATETIME; -- When the user followed a verification link
+
+-- Accounts created before verification existed count as confirmed, so turning on
+-- require_email_verification only affects new sign-ups
+UPDATE users SET email_verified_at = COALESCE(created_at, CURRENT_TIMESTAMP);
+
+CREATE TABLE IF NOT EXISTS email_verification_tokens (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  user_id INTEGER NOT NULL,
+  token_hash TEXT NOT NULL UNIQUE, -- SHA-256 of the token in the emailed link
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  expires_at DATETIME NOT NULL,
+  used_at DATETIME,
+
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_verification_tokens_user_id ON email_verification_tokens(user_id, created_at);
+
+INSERT OR IGNORE INTO site_settings (setting_key, setting_value, setting_type, description) VALUES
+('require_email_verification', 'false', 'boolean', 'Require a confirmed email address before posting cars or sending messages');
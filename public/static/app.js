@@ -4,23 +4,61 @@
 // Global state management
 const AppState = {
   user: null,
-  token: localStorage.getItem('wightcars_token'),
+  token: null, // Short-lived access token, kept in memory only
   cars: [],
   featuredCars: [],
-  loading: false
+  facets: null,
+  loading: false,
+  // Browse results: the filters behind them and the cursor for the next page
+  filters: {},
+  nextCursor: null,
+  infiniteScroll: localStorage.getItem('wightcars_infinite_scroll') === 'true'
 };
 
 // API Configuration
 const API_BASE = '/api';
 
+// Query string keys the browse page reads and writes, matching the server-rendered form
+const BROWSE_FILTER_KEYS = [
+  'search', 'make', 'model', 'min_price', 'max_price', 'min_year', 'max_year',
+  'min_mileage', 'max_mileage', 'fuel_type', 'transmission', 'body_type', 'location',
+  'near', 'radius_miles', 'is_dealer', 'sort_by', 'page', 'limit'
+];
+
 // Axios defaults
 axios.defaults.baseURL = API_BASE;
 axios.defaults.headers.common['Content-Type'] = 'application/json';
 
-// Add token to requests if available
-if (AppState.token) {
-  axios.defaults.headers.common['Authorization'] = `Bearer ${AppState.token}`;
-}
+// Access tokens last minutes and never touch storage. The refresh token is an HttpOnly
+// cookie sent only to /api/auth, and localStorage just remembers that we're signed in
+const SIGNED_IN_KEY = 'wightcars_signed_in';
+localStorage.removeItem('wightcars_token'); // Left behind by older versions
+
+// Send the current access token with every request
+axios.interceptors.request.use((config) => {
+  if (AppState.token) {
+    config.headers['Authorization'] = `Bearer ${AppState.token}`;
+  }
+  return config;
+});
+
+// When the access token has expired, refresh it once and replay the request
+const NO_REFRESH_URLS = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+axios.interceptors.response.use(null, async (error) => {
+  const config = error.config;
+  if (error.response?.status !== 401 || !config || config._retried || !AppState.token || NO_REFRESH_URLS.includes(config.url)) {
+    return Promise.reject(error);
+  }
+
+  config._retried = true;
+  if (await Auth.refresh()) {
+    return axios(config);
+  }
+
+  Auth.updateNavigation();
+  return Promise.reject(error);
+});
 
 // Utility Functions
 const Utils = {
@@ -70,6 +108,16 @@ const Utils = {
     return new Intl.NumberFormat('en-GB').format(num);
   },
 
+  // Escape user-entered text before putting it into HTML
+  escapeHtml(text) {
+    return String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  },
+
   // Truncate text
   truncate(text, length = 100) {
     if (!text || text.length <= length) return text;
@@ -135,11 +183,7 @@ const Auth = {
       const response = await axios.post('/auth/login', { email, password });
       
       if (response.data.success) {
-        AppState.user = response.data.data.user;
-        AppState.token = response.data.data.token;
-        
-        localStorage.setItem('wightcars_token', AppState.token);
-        axios.defaults.headers.common['Authorization'] = `Bearer ${AppState.token}`;
+        this.setSession(response.data.data);
         
         Utils.showToast('Welcome back!', 'success');
         this.updateNavigation();
@@ -165,13 +209,9 @@ const Auth = {
       const response = await axios.post('/auth/register', userData);
       
       if (response.data.success) {
-        AppState.user = response.data.data.user;
-        AppState.token = response.data.data.token;
-        
-        localStorage.setItem('wightcars_token', AppState.token);
-        axios.defaults.headers.common['Authorization'] = `Bearer ${AppState.token}`;
+        this.setSession(response.data.data);
         
-        Utils.showToast('Account created successfully!', 'success');
+        Utils.showToast('Account created! Check your email to confirm your address', 'success');
         this.updateNavigation();
         
         // Redirect to homepage after registration
@@ -191,12 +231,16 @@ const Auth = {
   },
 
   async logout() {
-    AppState.user = null;
-    AppState.token = null;
-    
-    localStorage.removeItem('wightcars_token');
-    delete axios.defaults.headers.common['Authorization'];
-    
+    // Revoke the session on the server too; signing out locally goes ahead either way
+    if (AppState.token || localStorage.getItem(SIGNED_IN_KEY)) {
+      try {
+        await axios.post('/auth/logout');
+      } catch (error) {
+        // Session was already revoked or expired
+      }
+    }
+
+    this.clearSession();
     this.updateNavigation();
     Utils.showToast('Logged out successfully', 'info');
     
@@ -206,26 +250,45 @@ const Auth = {
     }, 1000);
   },
 
+  // The access token doesn't survive a page load, so get a new one from the refresh cookie
   async checkAuth() {
-    if (!AppState.token) return false;
-    
-    try {
-      const response = await axios.get('/auth/me');
-      
-      if (response.data.success) {
-        AppState.user = response.data.data.user;
-        this.updateNavigation();
-        return true;
-      }
-      
-      // Token is invalid, clear it
-      this.logout();
-      return false;
-    } catch (error) {
-      // Token is invalid, clear it
-      this.logout();
-      return false;
+    const signedIn = !!AppState.token || await this.refresh();
+    this.updateNavigation();
+    return signedIn;
+  },
+
+  setSession({ user, token }) {
+    AppState.user = user;
+    AppState.token = token;
+    localStorage.setItem(SIGNED_IN_KEY, '1');
+  },
+
+  clearSession() {
+    AppState.user = null;
+    AppState.token = null;
+    localStorage.removeItem(SIGNED_IN_KEY);
+  },
+
+  // Concurrent callers (page start-up, several 401s at once) share one refresh request,
+  // since each refresh rotates the cookie
+  refresh() {
+    if (!localStorage.getItem(SIGNED_IN_KEY)) return Promise.resolve(false);
+
+    if (!this.refreshing) {
+      this.refreshing = axios.post('/auth/refresh')
+        .then((response) => {
+          this.setSession(response.data.data);
+          return true;
+        })
+        .catch(() => {
+          this.clearSession();
+          return false;
+        })
+        .finally(() => {
+          this.refreshing = null;
+        });
     }
+    return this.refreshing;
   },
 
   updateNavigation() {
@@ -275,6 +338,8 @@ const Auth = {
 
 // Car Functions
 const Cars = {
+  infiniteScrollObserver: null,
+
   async loadCarMakes() {
     try {
       const response = await axios.get('/cars/data/makes');
@@ -292,7 +357,8 @@ const Cars = {
     const makeSelects = document.querySelectorAll('select[name="make"], .car-make-select');
     
     makeSelects.forEach(select => {
-      // Keep existing default option
+      // Keep the default option and any make pre-selected from the URL
+      const selectedMake = select.value;
       const defaultOption = select.querySelector('option[value=""]');
       select.innerHTML = '';
       
@@ -309,6 +375,8 @@ const Cars = {
         option.textContent = make.name;
         select.appendChild(option);
       });
+
+      if (selectedMake) select.value = selectedMake;
     });
   },
 
@@ -336,6 +404,73 @@ const Cars = {
     return this.loadFeaturedCars();
   },
 
+  // Append the next page of results in infinite-scroll mode
+  async loadMoreCars() {
+    if (AppState.loading || !AppState.nextCursor) return;
+
+    const container = document.getElementById('cars-grid');
+    if (!container) return;
+
+    AppState.loading = true;
+    document.getElementById('infinite-scroll-status')?.classList.remove('hidden');
+
+    try {
+      const params = new URLSearchParams();
+      Object.keys(AppState.filters).forEach(key => {
+        if (AppState.filters[key] && key !== 'page') params.append(key, AppState.filters[key]);
+      });
+      params.set('cursor', AppState.nextCursor);
+
+      const response = await axios.get(`/cars?${params.toString()}`);
+
+      if (response.data.success) {
+        const cars = response.data.data || [];
+        AppState.cars = AppState.cars.concat(cars);
+        AppState.nextCursor = response.data.cursor?.next || null;
+        container.insertAdjacentHTML('beforeend', cars.map(car => this.renderCarCard(car)).join(''));
+      } else {
+        AppState.nextCursor = null;
+        Utils.showToast(response.data.error || 'Failed to load more cars', 'error');
+      }
+    } catch (error) {
+      console.error('Error loading more cars:', error);
+      // A stale cursor (400) means the sort changed underneath us; stop rather than guess
+      AppState.nextCursor = null;
+      Utils.showToast(error.response?.data?.error || 'Failed to load more cars', 'error');
+    } finally {
+      AppState.loading = false;
+      this.updateInfiniteScrollStatus();
+
+      // Observing again re-checks visibility, in case the page was too short to fill the screen
+      const status = document.getElementById('infinite-scroll-status');
+      if (this.infiniteScrollObserver && status) {
+        this.infiniteScrollObserver.unobserve(status);
+        this.infiniteScrollObserver.observe(status);
+      }
+    }
+  },
+
+  setInfiniteScroll(enabled) {
+    AppState.infiniteScroll = enabled;
+    localStorage.setItem('wightcars_infinite_scroll', enabled ? 'true' : 'false');
+
+    // Both modes start again from the first page
+    const filters = { ...AppState.filters };
+    delete filters.page;
+    Forms.pushBrowseUrl(filters, { replace: true });
+    this.searchCars(filters);
+  },
+
+  updateInfiniteScrollStatus() {
+    const status = document.getElementById('infinite-scroll-status');
+    if (!status) return;
+
+    status.classList.remove('hidden');
+    status.innerHTML = AppState.nextCursor
+      ? '<i class="fas fa-spinner fa-spin text-gray-400"></i>'
+      : `<span class="text-sm text-gray-500">You've seen all ${AppState.cars.length} cars</span>`;
+  },
+
   async searchCars(filters = {}) {
     try {
       Utils.showLoading('cars-grid');
@@ -344,17 +479,22 @@ const Cars = {
       Object.keys(filters).forEach(key => {
         if (filters[key]) params.append(key, filters[key]);
       });
+      params.set('facets', 'true');
       
       const response = await axios.get(`/cars?${params.toString()}`);
       
       if (response.data.success) {
         AppState.cars = response.data.data || [];
+        AppState.facets = response.data.facets || null;
+        AppState.filters = filters;
+        Forms.updateFeedLinks(filters);
+        AppState.nextCursor = response.data.cursor?.next || null;
         this.renderCarsGrid();
         this.renderPagination(response.data.pagination);
       }
     } catch (error) {
       console.error('Error searching cars:', error);
-      Utils.showError('cars-grid', 'Failed to load cars');
+      Utils.showError('cars-grid', error.response?.data?.error || 'Failed to load cars');
     }
   },
 
@@ -364,6 +504,8 @@ const Cars = {
     const container = document.getElementById('cars-grid');
     if (!container) return;
 
+    Forms.renderFacetCounts(AppState.facets);
+
     if (AppState.cars.length === 0) {
       container.innerHTML = `
         <div class="text-center py-12">
@@ -375,7 +517,13 @@ const Cars = {
       return;
     }
 
-    container.innerHTML = AppState.cars.map(car => `
+    container.innerHTML = AppState.cars.map(car => this.renderCarCard(car)).join('');
+
+    Compare.renderBar();
+  },
+
+  renderCarCard(car) {
+    return `
       <div class="car-card bg-white rounded-lg shadow-md overflow-hidden">
         <div class="md:flex">
           <div class="md:w-1/3 relative">
@@ -390,11 +538,11 @@ const Cars = {
           
           <div class="md:w-2/3 p-6">
             <div class="flex justify-between items-start mb-4">
-              <h3 class="font-semibold text-xl">${car.title}</h3>
+              <h3 class="font-semibold text-xl">${car.search_match ? car.search_match.title : Utils.escapeHtml(car.title)}</h3>
               <span class="price-large">${Utils.formatPrice(car.price)}</span>
             </div>
             
-            <p class="text-gray-600 mb-4">${Utils.truncate(car.description || '', 150)}</p>
+            <p class="text-gray-600 mb-4">${car.search_match?.snippet || Utils.escapeHtml(Utils.truncate(car.description || '', 150))}</p>
             
             <div class="grid grid-cols-2 md:grid-cols-4 gap-4 mb-4 text-sm">
               <div>
@@ -419,36 +567,70 @@ const Cars = {
               <div class="flex items-center space-x-2 text-sm text-gray-600">
                 <i class="fas fa-map-marker-alt"></i>
                 <span>${car.location}</span>
+                ${car.distance_miles !== undefined ? `<span class="text-gray-500">(${car.distance_miles} mi)</span>` : ''}
                 ${car.seller?.is_dealer ? '<span class="badge-dealer ml-2">Dealer</span>' : ''}
                 ${car.seller?.is_verified ? '<i class="fas fa-check-circle text-green-500 ml-1" title="Verified seller"></i>' : ''}
               </div>
               
-              <a href="/car/${car.id}" class="bg-blue-600 text-white px-6 py-2 rounded-md hover:bg-blue-700 transition duration-200">
-                View Details
-              </a>
+              <div class="flex items-center space-x-2">
+                ${Compare.renderToggle(car.id)}
+                <a href="/car/${car.id}" class="bg-blue-600 text-white px-6 py-2 rounded-md hover:bg-blue-700 transition duration-200">
+                  View Details
+                </a>
+              </div>
             </div>
           </div>
         </div>
       </div>
-    `).join('');
+    `;
   },
 
   renderPagination(pagination) {
     const container = document.getElementById('pagination');
     if (!container || !pagination) return;
 
-    const { page, pages, total } = pagination;
+    const { page, pages, total, limit } = pagination;
+
+    if (this.infiniteScrollObserver) {
+      this.infiniteScrollObserver.disconnect();
+      this.infiniteScrollObserver = null;
+    }
     
     if (pages <= 1) {
       container.innerHTML = '';
       return;
     }
 
+    const modeToggle = `
+      <label class="flex items-center text-sm text-gray-600 mb-4">
+        <input type="checkbox" class="mr-2" ${AppState.infiniteScroll ? 'checked' : ''}
+               onchange="Cars.setInfiniteScroll(this.checked)">
+        Load more cars as I scroll
+      </label>
+    `;
+
+    if (AppState.infiniteScroll) {
+      container.innerHTML = `
+        ${modeToggle}
+        <div id="infinite-scroll-status" class="text-center py-6"></div>
+      `;
+      this.updateInfiniteScrollStatus();
+
+      // Fetch the next page shortly before the end of the list comes into view
+      const status = document.getElementById('infinite-scroll-status');
+      this.infiniteScrollObserver = new IntersectionObserver(entries => {
+        if (entries.some(entry => entry.isIntersecting)) this.loadMoreCars();
+      }, { rootMargin: '400px' });
+      this.infiniteScrollObserver.observe(status);
+      return;
+    }
+
     let paginationHTML = `
+      ${modeToggle}
       <div class="flex items-center justify-between">
         <p class="text-sm text-gray-700">
-          Showing <span class="font-medium">${((page - 1) * 20) + 1}</span> to 
-          <span class="font-medium">${Math.min(page * 20, total)}</span> of 
+          Showing <span class="font-medium">${((page - 1) * limit) + 1}</span> to 
+          <span class="font-medium">${Math.min(page * limit, total)}</span> of 
           <span class="font-medium">${total}</span> results
         </p>
         
@@ -495,9 +677,12 @@ const Cars = {
   },
 
   goToPage(page) {
-    const currentUrl = new URL(window.location);
-    currentUrl.searchParams.set('page', page);
-    window.location.href = currentUrl.toString();
+    const filters = { ...AppState.filters, page };
+    if (page <= 1) delete filters.page;
+
+    Forms.pushBrowseUrl(filters);
+    this.searchCars(filters);
+    document.getElementById('cars-grid')?.scrollIntoView({ behavior: 'smooth' });
   },
 
   async loadFeaturedCars() {
@@ -613,6 +798,99 @@ const Forms = {
     });
   },
 
+  setupForgotPasswordForm() {
+    const form = document.getElementById('forgot-password-form');
+    if (!form) return;
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const submitBtn = form.querySelector('button[type="submit"]');
+      const originalText = submitBtn.innerHTML;
+      submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Sending...';
+      submitBtn.disabled = true;
+
+      try {
+        const response = await axios.post('/auth/forgot-password', { email: new FormData(form).get('email') });
+
+        form.classList.add('hidden');
+        document.getElementById('forgot-password-message').textContent = response.data.message;
+        document.getElementById('forgot-password-sent').classList.remove('hidden');
+      } catch (error) {
+        Utils.showToast(error.response?.data?.error || 'Failed to send reset link', 'error');
+        submitBtn.innerHTML = originalText;
+        submitBtn.disabled = false;
+      }
+    });
+  },
+
+  setupResetPasswordForm() {
+    const form = document.getElementById('reset-password-form');
+    if (!form) return;
+
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const formData = new FormData(form);
+      if (formData.get('password') !== formData.get('confirm_password')) {
+        Utils.showToast('Passwords do not match', 'error');
+        return;
+      }
+
+      const submitBtn = form.querySelector('button[type="submit"]');
+      const originalText = submitBtn.innerHTML;
+      submitBtn.innerHTML = '<i class="fas fa-spinner fa-spin mr-2"></i>Saving...';
+      submitBtn.disabled = true;
+
+      try {
+        const response = await axios.post('/auth/reset-password', {
+          token: formData.get('token'),
+          password: formData.get('password')
+        });
+
+        Auth.clearSession();
+        Utils.showToast(response.data.message, 'success');
+        setTimeout(() => {
+          window.location.href = '/login';
+        }, 1500);
+      } catch (error) {
+        Utils.showToast(error.response?.data?.error || 'Failed to reset password', 'error');
+        submitBtn.innerHTML = originalText;
+        submitBtn.disabled = false;
+      }
+    });
+  },
+
+  // Redeems the token from a confirmation link and shows how it went
+  async verifyEmail() {
+    const status = document.getElementById('verify-email-status');
+    if (!status) return;
+
+    const token = new URLSearchParams(window.location.search).get('token');
+    let succeeded = false;
+    let message;
+
+    try {
+      const response = await axios.get('/auth/verify-email', { params: { token } });
+      succeeded = true;
+      message = response.data.message;
+      if (AppState.user) {
+        AppState.user.email_verified_at = AppState.user.email_verified_at || new Date().toISOString();
+      }
+    } catch (error) {
+      message = error.response?.data?.error || 'Failed to confirm your email address';
+    }
+
+    status.innerHTML = `
+      <i class="fas fa-${succeeded ? 'check-circle text-green-500' : 'exclamation-circle text-red-500'} text-4xl mb-4"></i>
+      <h2 class="text-2xl font-bold text-gray-900 mb-2">${succeeded ? 'Email confirmed' : 'Link not valid'}</h2>
+      <p class="text-gray-600 mb-6">${Utils.escapeHtml(message)}</p>
+      <a href="${AppState.user ? '/dashboard' : '/login'}" class="font-medium text-blue-600 hover:text-blue-500">
+        ${AppState.user ? 'Go to your dashboard' : 'Sign in'}
+      </a>
+    `;
+  },
+
   setupRegisterForm() {
     const form = document.getElementById('register-form');
     if (!form) return;
@@ -674,10 +952,133 @@ const Forms = {
       });
     }
 
+    // Counts from the last search stay visible until the next one returns
+    this.renderFacetCounts(AppState.facets);
+
     // Auto-apply filters when changed
     filtersForm.addEventListener('change', () => {
       setTimeout(() => applyFilters(), 300); // Small delay for UX
     });
+
+    // Pressing enter in the keyword box searches without a page reload
+    filtersForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      applyFilters();
+    });
+
+    // Back/forward restores the filters, page and sort recorded in the URL
+    window.addEventListener('popstate', () => {
+      const filters = this.getBrowseFiltersFromUrl();
+      this.fillBrowseForm(filters);
+      Cars.searchCars(filters);
+    });
+  },
+
+  getBrowseFiltersFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const filters = {};
+
+    BROWSE_FILTER_KEYS.forEach(key => {
+      const value = params.get(key);
+      if (value) filters[key] = value;
+    });
+
+    return filters;
+  },
+
+  // Record browse filters in the address bar so results can be bookmarked and shared
+  pushBrowseUrl(filters, { replace = false } = {}) {
+    const params = new URLSearchParams();
+    BROWSE_FILTER_KEYS.forEach(key => {
+      if (filters[key]) params.set(key, filters[key]);
+    });
+
+    const query = params.toString();
+    const url = query ? `/browse?${query}` : '/browse';
+    if (url === window.location.pathname + window.location.search) return;
+
+    if (replace) {
+      window.history.replaceState(null, '', url);
+    } else {
+      window.history.pushState(null, '', url);
+    }
+  },
+
+  // Keep feed links in step with the search; feeds always list the newest cars first
+  updateFeedLinks(filters) {
+    const params = new URLSearchParams();
+    BROWSE_FILTER_KEYS.forEach(key => {
+      if (filters[key] && !['sort_by', 'page', 'limit'].includes(key)) params.set(key, filters[key]);
+    });
+    const query = params.toString() ? `?${params.toString()}` : '';
+
+    const feedLink = document.getElementById('browse-feed-link');
+    if (feedLink) feedLink.href = `/feeds/cars.atom${query}`;
+
+    document.querySelectorAll('link[rel="alternate"][href^="/feeds/"]').forEach(link => {
+      link.href = link.getAttribute('href').split('?')[0] + query;
+    });
+  },
+
+  fillBrowseForm(filters) {
+    const filtersForm = document.getElementById('filters-form');
+    if (!filtersForm) return;
+
+    // Set every field explicitly: reset() would restore the server's pre-selection
+    BROWSE_FILTER_KEYS.forEach(key => {
+      const field = filtersForm.elements[key];
+      if (!field) return;
+
+      // Models depend on the make, so rebuild them before selecting one
+      if (key === 'model') {
+        Cars.populateModelDropdown(filtersForm.elements.make, field);
+      }
+
+      const value = filters[key] || '';
+      if (field.tagName === 'SELECT' && value && !Array.from(field.options).some(option => option.value === value)) {
+        field.add(new Option(value, value));
+      }
+      field.value = value;
+    });
+  },
+
+  // Show result counts next to browse filter options and hide options that would return no cars
+  renderFacetCounts(facets) {
+    const filtersForm = document.getElementById('filters-form');
+    if (!filtersForm || !facets) return;
+
+    const countOf = (list, value) => (list.find(facet => facet.value === value) || {}).count || 0;
+    const sumBuckets = (buckets, test) => buckets.filter(test).reduce((total, bucket) => total + bucket.count, 0);
+
+    const counters = {
+      make: value => countOf(facets.make, value),
+      model: value => countOf(facets.model, value),
+      fuel_type: value => countOf(facets.fuel_type, value),
+      transmission: value => countOf(facets.transmission, value),
+      body_type: value => countOf(facets.body_type, value),
+      // Location filters on a partial match, so "cowes" also counts East Cowes
+      location: value => facets.location.filter(facet => facet.value.includes(value)).reduce((total, facet) => total + facet.count, 0),
+      min_price: value => sumBuckets(facets.price, bucket => bucket.min >= parseInt(value)),
+      max_price: value => sumBuckets(facets.price, bucket => bucket.max !== undefined && bucket.max <= parseInt(value)),
+      min_year: value => sumBuckets(facets.year, bucket => bucket.min >= parseInt(value)),
+      max_year: value => sumBuckets(facets.year, bucket => bucket.min <= parseInt(value))
+    };
+
+    Object.keys(counters).forEach(name => {
+      const select = filtersForm.querySelector(`select[name="${name}"]`);
+      if (!select) return;
+
+      Array.from(select.options).forEach(option => {
+        if (!option.value) return;
+        if (!option.dataset.label) option.dataset.label = option.textContent;
+
+        const count = counters[name](option.value);
+        const isEmpty = count === 0 && !option.selected;
+        option.textContent = `${option.dataset.label} (${count})`;
+        option.hidden = isEmpty;
+        option.disabled = isEmpty;
+      });
+    });
   }
 };
 
@@ -734,10 +1135,8 @@ function applyFilters() {
     if (value) filters[key] = value;
   }
   
-  // Update URL with filters
-  const params = new URLSearchParams(filters);
-  const newUrl = `/browse?${params.toString()}`;
-  window.history.pushState(null, '', newUrl);
+  // New filters start again from the first page
+  Forms.pushBrowseUrl(filters);
   
   // Reload cars with new filters
   Cars.searchCars(filters);
@@ -747,7 +1146,7 @@ function clearFilters() {
   const form = document.getElementById('filters-form');
   if (!form) return;
   
-  form.reset();
+  Forms.fillBrowseForm({});
   
   // Update URL without filters
   window.history.pushState(null, '', '/browse');
@@ -756,6 +1155,40 @@ function clearFilters() {
   Cars.searchCars({});
 }
 
+// Save the current browse filters as a search alert
+async function saveCurrentSearch() {
+  if (!AppState.user) {
+    Utils.showToast('Please log in to save searches', 'error');
+    return;
+  }
+
+  const form = document.getElementById('filters-form');
+  if (!form) return;
+
+  const filters = {};
+  for (const [key, value] of new FormData(form).entries()) {
+    if (value && key !== 'sort_by') filters[key] = value;
+  }
+
+  if (Object.keys(filters).length === 0) {
+    Utils.showToast('Choose at least one filter before saving a search', 'warning');
+    return;
+  }
+
+  const name = prompt('Name this search alert', Dashboard.describeAlertFilters(filters));
+  if (!name) return;
+
+  try {
+    const response = await axios.post('/users/alerts', { name, filters });
+    
+    if (response.data.success) {
+      Utils.showToast('Search saved. We\'ll let you know when matching cars are listed.', 'success');
+    }
+  } catch (error) {
+    Utils.showToast(error.response?.data?.error || 'Failed to save search', 'error');
+  }
+}
+
 // Search Functions
 function searchCars() {
   const make = document.querySelector('select[name="make"]')?.value || '';
@@ -771,7 +1204,7 @@ function searchCars() {
   
   if (priceRange) {
     const [min, max] = priceRange.split('-');
-    if (min !== undefined) filters.min_price = parseInt(min) * 100; // Convert to pence
+    if (parseInt(min) > 0) filters.min_price = parseInt(min) * 100; // Convert to pence
     if (max !== undefined && max !== '+') filters.max_price = parseInt(max) * 100;
   }
   
@@ -794,6 +1227,8 @@ document.addEventListener('DOMContentLoaded', async () => {
   
   // Setup forms
   Forms.setupLoginForm();
+  Forms.setupForgotPasswordForm();
+  Forms.setupResetPasswordForm();
   Forms.setupRegisterForm();
   
   // Setup make-model dependencies
@@ -805,17 +1240,8 @@ document.addEventListener('DOMContentLoaded', async () => {
   if (pathname === '/') {
     // Homepage: Load featured cars
     Cars.getFeaturedCars();
-  } else if (pathname === '/browse') {
-    // Browse page: Load cars with filters
-    const urlParams = new URLSearchParams(window.location.search);
-    const filters = {};
-    
-    for (const [key, value] of urlParams) {
-      filters[key] = value;
-    }
-    
-    Cars.searchCars(filters);
   }
+  // The browse page is initialised from the URL in the page initialization below
 });
 
 // Setup make-model dropdown dependency
@@ -856,7 +1282,10 @@ const CarDetails = {
     const container = document.getElementById('car-details-container');
     if (!container) return;
 
-    Utils.showLoading('car-details-container');
+    // Keep the server-rendered listing on screen until the interactive version is ready
+    if (!container.dataset.serverRendered) {
+      Utils.showLoading('car-details-container');
+    }
 
     try {
       const response = await axios.get(`/cars/${carId}`);
@@ -865,19 +1294,65 @@ const CarDetails = {
         this.renderCarDetails(response.data.data, container);
         // Load car images after rendering details
         await this.loadCarImages(carId);
+        this.loadSimilarCars(carId);
       } else {
         Utils.showError('car-details-container', response.data.error);
       }
     } catch (error) {
+      // The server already rendered its not-found page, and the API agrees
+      if (container.dataset.serverRendered && error.response?.status === 404) return;
+
       console.error('Error loading car details:', error);
       Utils.showError('car-details-container', 'Failed to load car details');
     }
   },
 
+  // Tells the owner their listing isn't on sale yet
+  renderReviewNotice(car) {
+    if (car.moderation_status !== 'pending') return '';
+
+    return `
+      <div class="mb-4 p-3 bg-yellow-50 border border-yellow-200 rounded text-sm text-yellow-800">
+        <i class="fas fa-hourglass-half mr-2"></i>This listing is waiting for a moderator to review it.
+      </div>
+    `;
+  },
+
+  // Timeline of price changes, newest first; hidden until the price has changed
+  renderPriceHistory(history) {
+    if (!history || history.length < 2) return '';
+
+    return `
+      <div class="mt-4 pt-4 border-t border-gray-200">
+        <h4 class="text-sm font-semibold text-gray-700 mb-2">Price History</h4>
+        <ul class="space-y-2 text-sm">
+          ${history.slice().reverse().map(change => {
+            const diff = change.old_price === null ? 0 : change.new_price - change.old_price;
+            return `
+              <li class="flex justify-between items-center">
+                <span class="text-gray-500">${Utils.formatDate(change.created_at)}</span>
+                <span class="font-medium">
+                  ${Utils.formatPrice(change.new_price)}
+                  ${change.old_price === null ? '<span class="text-gray-500 font-normal">listed</span>' : `
+                    <span class="${diff < 0 ? 'text-green-600' : 'text-red-600'}">
+                      <i class="fas fa-arrow-${diff < 0 ? 'down' : 'up'}"></i>
+                      ${Utils.formatPrice(Math.abs(diff))}
+                    </span>
+                  `}
+                </span>
+              </li>
+            `;
+          }).join('')}
+        </ul>
+      </div>
+    `;
+  },
+
   renderCarDetails(car, container) {
     const isOwner = AppState.user && AppState.user.id === car.user_id;
     
     container.innerHTML = `
+      ${isOwner ? Dashboard.renderModerationNotes(car) + this.renderReviewNotice(car) : ''}
       <div class="bg-white rounded-lg shadow-lg overflow-hidden">
         <!-- Car Images Gallery -->
         <div class="relative">
@@ -972,6 +1447,7 @@ const CarDetails = {
                   ${Utils.formatPrice(car.price)}
                 </div>
                 ${car.is_negotiable ? '<p class="text-sm text-gray-600">Price negotiable</p>' : ''}
+                ${this.renderPriceHistory(car.price_history)}
               </div>
 
               <!-- Seller Info -->
@@ -1011,6 +1487,9 @@ const CarDetails = {
                     <button onclick="window.open('/profile/${car.user_id}', '_blank')" class="w-full bg-gray-200 text-gray-700 py-2 px-4 rounded-lg hover:bg-gray-300">
                       <i class="fas fa-user mr-2"></i>View Seller
                     </button>
+                    <button onclick="Reports.open({ car_id: ${car.id} }, 'listing')" class="w-full text-sm text-gray-500 hover:text-red-600 py-1">
+                      <i class="fas fa-flag mr-1"></i>Report this listing
+                    </button>
                   </div>
                 `}
               </div>
@@ -1036,10 +1515,67 @@ const CarDetails = {
             </div>
           </div>
         </div>
+
+        <!-- Similar Cars -->
+        <div id="similar-cars-section" class="hidden border-t border-gray-200 p-6">
+          <div class="flex items-center justify-between mb-4">
+            <h3 class="text-lg font-semibold">Similar Cars <span id="similar-cars-count" class="text-sm font-normal text-gray-500"></span></h3>
+            <div class="flex gap-2">
+              <button onclick="CarDetails.scrollSimilarCars(-1)" class="w-8 h-8 rounded-full bg-gray-200 text-gray-700 hover:bg-gray-300" aria-label="Previous">
+                <i class="fas fa-chevron-left"></i>
+              </button>
+              <button onclick="CarDetails.scrollSimilarCars(1)" class="w-8 h-8 rounded-full bg-gray-200 text-gray-700 hover:bg-gray-300" aria-label="Next">
+                <i class="fas fa-chevron-right"></i>
+              </button>
+            </div>
+          </div>
+          <div id="similar-cars-track" class="flex gap-4 overflow-x-auto scroll-smooth snap-x pb-2"></div>
+        </div>
       </div>
     `;
   },
 
+  async loadSimilarCars(carId) {
+    const section = document.getElementById('similar-cars-section');
+    const track = document.getElementById('similar-cars-track');
+    if (!section || !track) return;
+
+    try {
+      const response = await axios.get(`/cars/${carId}/similar`);
+      const cars = response.data.data || [];
+      if (!response.data.success || cars.length === 0) return;
+
+      document.getElementById('similar-cars-count').textContent = `(${response.data.similar_cars_count})`;
+      track.innerHTML = cars.map(car => `
+        <a href="/car/${car.id}" class="flex-none w-64 snap-start bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow">
+          <div class="aspect-video bg-gray-200">
+            <img src="${car.featured_image || '/static/images/cars/placeholder-car.svg'}"
+                 alt="${car.title}"
+                 class="w-full h-full object-cover">
+          </div>
+          <div class="p-3">
+            <h4 class="font-semibold text-sm mb-1 line-clamp-1">${car.title}</h4>
+            <p class="text-lg font-bold text-green-600 mb-1">${Utils.formatPrice(car.price)}</p>
+            <div class="flex justify-between text-xs text-gray-600">
+              <span>${car.year}</span>
+              <span>${car.mileage ? Utils.formatNumber(car.mileage) + ' miles' : 'N/A'}</span>
+              <span>${car.location}</span>
+            </div>
+          </div>
+        </a>
+      `).join('');
+      section.classList.remove('hidden');
+    } catch (error) {
+      // Recommendations are optional; leave the section hidden
+      console.error('Error loading similar cars:', error);
+    }
+  },
+
+  scrollSimilarCars(direction) {
+    const track = document.getElementById('similar-cars-track');
+    if (track) track.scrollBy({ left: direction * track.clientWidth * 0.8, behavior: 'smooth' });
+  },
+
   async contactSeller(carId, sellerId) {
     if (!AppState.user) {
       Utils.showToast('Please log in to contact the seller', 'error');
@@ -1253,8 +1789,14 @@ const Dashboard = {
     }
 
     await this.loadUserInfo();
+    this.renderEmailVerificationBanner();
     this.setupNavigation();
-    this.loadTab('overview');
+    this.loadTab(window.location.hash.substring(1) || 'overview');
+
+    // Notification links point at tabs, e.g. /dashboard#listings
+    window.addEventListener('hashchange', () => {
+      this.loadTab(window.location.hash.substring(1) || 'overview');
+    });
   },
 
   async loadUserInfo() {
@@ -1274,8 +1816,37 @@ const Dashboard = {
     }
   },
 
-  setupNavigation() {
-    const navItems = document.querySelectorAll('.dashboard-nav-item');
+  // Reminds users who haven't confirmed their email, with a way to get a new link
+  renderEmailVerificationBanner() {
+    const content = document.getElementById('dashboard-content');
+    if (!content || !AppState.user || AppState.user.email_verified_at || document.getElementById('email-verification-banner')) return;
+
+    const banner = document.createElement('div');
+    banner.id = 'email-verification-banner';
+    banner.className = 'bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6 flex flex-col md:flex-row md:items-center md:justify-between';
+    banner.innerHTML = `
+      <p class="text-yellow-800 mb-3 md:mb-0">
+        <i class="fas fa-envelope mr-2"></i>
+        Please confirm your email address, ${Utils.escapeHtml(AppState.user.email)}. Some features may need it.
+      </p>
+      <button onclick="Dashboard.resendVerificationEmail()" class="bg-yellow-600 text-white px-4 py-2 rounded-lg hover:bg-yellow-700 text-sm">
+        Resend email
+      </button>
+    `;
+    content.parentElement.insertBefore(banner, content);
+  },
+
+  async resendVerificationEmail() {
+    try {
+      const response = await axios.post('/auth/resend-verification');
+      Utils.showToast(response.data.message, 'success');
+    } catch (error) {
+      Utils.showToast(error.response?.data?.error || 'Failed to send confirmation email', 'error');
+    }
+  },
+
+  setupNavigation() {
+    const navItems = document.querySelectorAll('.dashboard-nav-item');
     navItems.forEach(item => {
       item.addEventListener('click', (e) => {
         e.preventDefault();
@@ -1308,6 +1879,12 @@ const Dashboard = {
       case 'saved':
         await this.loadSavedCars(container);
         break;
+      case 'alerts':
+        await this.loadAlerts(container);
+        break;
+      case 'sessions':
+        await this.loadSessions(container);
+        break;
       case 'profile':
         await this.loadProfile(container);
         break;
@@ -1316,20 +1893,23 @@ const Dashboard = {
 
   async loadOverview(container) {
     try {
-      const [statsResponse, activityResponse] = await Promise.all([
+      const [statsResponse, activityResponse, notificationsResponse] = await Promise.all([
         axios.get('/users/dashboard/stats'),
-        axios.get('/users/dashboard/activity')
+        axios.get('/users/dashboard/activity'),
+        axios.get('/users/notifications')
       ]);
 
       const stats = statsResponse.data.data;
       const activity = activityResponse.data.data;
+      const { notifications, unread } = notificationsResponse.data.data;
+      this.updateAlertsBadge(stats.alert_matches || 0);
 
       container.innerHTML = `
         <div class="space-y-6">
           <h2 class="text-2xl font-bold text-gray-800">Dashboard Overview</h2>
           
           <!-- Stats Cards -->
-          <div class="grid grid-cols-1 md:grid-cols-3 gap-6">
+          <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-6">
             <div class="bg-white p-6 rounded-lg shadow-md">
               <div class="flex items-center">
                 <div class="p-3 rounded-full bg-blue-100 text-blue-600">
@@ -1365,8 +1945,51 @@ const Dashboard = {
                 </div>
               </div>
             </div>
+            
+            <div class="bg-white p-6 rounded-lg shadow-md cursor-pointer" onclick="Dashboard.loadTab('alerts')">
+              <div class="flex items-center">
+                <div class="p-3 rounded-full bg-yellow-100 text-yellow-600">
+                  <i class="fas fa-bell text-xl"></i>
+                </div>
+                <div class="ml-4">
+                  <h3 class="text-lg font-semibold">${stats.alert_matches || 0}</h3>
+                  <p class="text-gray-600">New Alert Matches</p>
+                </div>
+              </div>
+            </div>
           </div>
 
+          ${notifications.length > 0 ? `
+            <!-- Notifications -->
+            <div class="bg-white rounded-lg shadow-md">
+              <div class="p-6 border-b flex justify-between items-center">
+                <h3 class="text-lg font-semibold">
+                  Notifications
+                  ${unread > 0 ? `<span class="ml-2 bg-red-500 text-white text-xs px-2 py-1 rounded-full">${unread} new</span>` : ''}
+                </h3>
+                ${unread > 0 ? `
+                  <button onclick="Dashboard.markNotificationsRead()" class="text-sm text-blue-600 hover:text-blue-800">Mark all as read</button>
+                ` : ''}
+              </div>
+              <div class="p-6 space-y-4">
+                ${notifications.map(notification => `
+                  <div class="flex items-start ${notification.is_read ? 'opacity-60' : ''}">
+                    <div class="p-2 rounded-full bg-yellow-100 text-yellow-600">
+                      <i class="fas fa-bell text-sm"></i>
+                    </div>
+                    <div class="ml-3">
+                      <p class="text-sm font-medium">
+                        ${notification.link ? `<a href="${notification.link}" class="hover:text-blue-600">${notification.title}</a>` : notification.title}
+                      </p>
+                      ${notification.message ? `<p class="text-sm text-gray-600">${notification.message}</p>` : ''}
+                      <p class="text-xs text-gray-500">${Utils.formatRelativeTime(notification.created_at)}</p>
+                    </div>
+                  </div>
+                `).join('')}
+              </div>
+            </div>
+          ` : ''}
+
           <!-- Recent Activity -->
           <div class="bg-white rounded-lg shadow-md">
             <div class="p-6 border-b">
@@ -1445,7 +2068,8 @@ const Dashboard = {
                     <img src="${car.featured_image || '/static/images/car-placeholder.jpg'}" 
                          alt="${car.title}" 
                          class="w-full h-full object-cover">
-                    <div class="absolute top-2 right-2">
+                    <div class="absolute top-2 right-2 flex space-x-1">
+                      ${this.renderModerationBadge(car)}
                       <span class="px-2 py-1 rounded-full text-xs font-semibold ${car.status === 'active' ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}">
                         ${car.status}
                       </span>
@@ -1453,18 +2077,20 @@ const Dashboard = {
                   </div>
                   <div class="p-4">
                     <h3 class="font-semibold text-lg mb-2">${car.title}</h3>
+                    ${this.renderModerationNotes(car)}
                     <p class="text-2xl font-bold text-green-600 mb-2">${Utils.formatPrice(car.price)}</p>
                     <div class="flex justify-between text-sm text-gray-600 mb-4">
                       <span>${car.year}</span>
                       <span>${Utils.formatNumber(car.mileage)} miles</span>
                       <span>${car.views || 0} views</span>
                     </div>
+                    ${this.renderExpiry(car)}
                     <div class="flex space-x-2">
                       <a href="/car/${car.id}" class="flex-1 bg-blue-100 text-blue-800 py-2 px-3 rounded text-center text-sm font-medium hover:bg-blue-200">
                         View
                       </a>
                       <a href="/sell?edit=${car.id}" class="flex-1 bg-gray-100 text-gray-800 py-2 px-3 rounded text-center text-sm font-medium hover:bg-gray-200">
-                        Edit
+                        ${car.moderation_status === 'rejected' ? 'Edit & resubmit' : 'Edit'}
                       </a>
                       <button onclick="Dashboard.deleteCar(${car.id})" class="flex-1 bg-red-100 text-red-800 py-2 px-3 rounded text-sm font-medium hover:bg-red-200">
                         Delete
@@ -1509,6 +2135,340 @@ const Dashboard = {
     } catch (error) {
       Utils.showToast('Failed to delete car listing', 'error');
     }
+  },
+
+  // Approved listings need no badge; anything else is hidden from buyers
+  renderModerationBadge(car) {
+    const badges = {
+      pending: ['bg-yellow-100 text-yellow-800', car.resubmitted_at ? 'resubmitted' : 'in review'],
+      rejected: ['bg-red-100 text-red-800', 'rejected'],
+      flagged: ['bg-orange-100 text-orange-800', 'flagged']
+    };
+    const badge = badges[car.moderation_status];
+    if (!badge) return '';
+
+    return `<span class="px-2 py-1 rounded-full text-xs font-semibold ${badge[0]}">${badge[1]}</span>`;
+  },
+
+  renderModerationNotes(car) {
+    if (!['rejected', 'flagged'].includes(car.moderation_status)) return '';
+
+    return `
+      <div class="mb-3 p-3 bg-red-50 border border-red-200 rounded text-sm text-red-800">
+        <p class="font-medium">${car.moderation_status === 'rejected' ? 'Not approved' : 'Flagged for review'}</p>
+        ${car.moderation_notes ? `<p class="mt-1">${Utils.escapeHtml(car.moderation_notes)}</p>` : ''}
+        ${car.moderation_status === 'rejected' ? '<p class="mt-1 text-red-700">Edit the listing to fix it and send it back for review.</p>' : ''}
+      </div>
+    `;
+  },
+
+  // Days until a listing expires; negative once it has expired
+  daysUntilExpiry(car) {
+    if (!car.expires_at) return null;
+    return dayjs(car.expires_at.replace(' ', 'T') + 'Z').diff(dayjs(), 'day');
+  },
+
+  renderExpiry(car) {
+    const daysLeft = this.daysUntilExpiry(car);
+    if (daysLeft === null) return '';
+
+    const expired = daysLeft < 0 || (car.status === 'withdrawn' && daysLeft <= 0);
+    const canRenew = (car.status === 'active' && daysLeft <= 7) || (car.status === 'withdrawn' && expired);
+    if (car.status !== 'active' && !canRenew) return '';
+
+    return `
+      <div class="flex items-center justify-between text-sm mb-4 ${expired ? 'text-red-600' : daysLeft <= 7 ? 'text-yellow-700' : 'text-gray-500'}">
+        <span>
+          <i class="fas fa-clock mr-1"></i>
+          ${expired ? 'Expired' : daysLeft === 0 ? 'Expires today' : `Expires in ${daysLeft} day${daysLeft === 1 ? '' : 's'}`}
+        </span>
+        ${canRenew ? `
+          <button onclick="Dashboard.renewCar(${car.id})" class="bg-green-100 text-green-800 py-1 px-3 rounded text-sm font-medium hover:bg-green-200">
+            <i class="fas fa-redo mr-1"></i>Renew
+          </button>
+        ` : ''}
+      </div>
+    `;
+  },
+
+  async renewCar(carId) {
+    try {
+      const response = await axios.post(`/cars/${carId}/renew`);
+      
+      if (response.data.success) {
+        Utils.showToast('Listing renewed', 'success');
+        this.loadTab('listings');
+      }
+    } catch (error) {
+      Utils.showToast(error.response?.data?.error || 'Failed to renew listing', 'error');
+    }
+  },
+
+  async markNotificationsRead() {
+    try {
+      await axios.post('/users/notifications/read');
+      this.loadTab('overview');
+    } catch (error) {
+      Utils.showToast('Failed to update notifications', 'error');
+    }
+  },
+
+  updateAlertsBadge(count) {
+    const badge = document.getElementById('alerts-unread-count');
+    if (!badge) return;
+
+    badge.textContent = count;
+    badge.classList.toggle('hidden', count === 0);
+  },
+
+  // Human readable summary of a saved search's filters
+  describeAlertFilters(filters) {
+    const parts = [];
+    if (filters.search) parts.push(`"${filters.search}"`);
+    if (filters.make) parts.push(filters.make + (filters.model ? ` ${filters.model}` : ''));
+    if (filters.min_price || filters.max_price) {
+      parts.push(`${filters.min_price ? Utils.formatPrice(filters.min_price) : 'Any'} - ${filters.max_price ? Utils.formatPrice(filters.max_price) : 'Any'}`);
+    }
+    if (filters.min_year || filters.max_year) {
+      parts.push(`${filters.min_year || 'Any'} - ${filters.max_year || 'Any'}`);
+    }
+    if (filters.fuel_type) parts.push(filters.fuel_type);
+    if (filters.transmission) parts.push(filters.transmission);
+    if (filters.body_type) parts.push(filters.body_type);
+    if (filters.location) parts.push(filters.location);
+    if (filters.near) parts.push(filters.radius_miles ? `within ${filters.radius_miles} mi of ${filters.near}` : `near ${filters.near}`);
+    return parts.join(' · ') || 'All cars';
+  },
+
+  async loadAlerts(container) {
+    try {
+      const response = await axios.get('/users/alerts');
+      const alerts = response.data.data || [];
+
+      this.updateAlertsBadge(alerts.filter(alert => alert.is_active).reduce((total, alert) => total + (alert.unread_count || 0), 0));
+
+      container.innerHTML = `
+        <div class="space-y-6">
+          <div class="flex justify-between items-center">
+            <h2 class="text-2xl font-bold text-gray-800">Search Alerts</h2>
+            <a href="/browse" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700">
+              <i class="fas fa-search mr-2"></i>New Search
+            </a>
+          </div>
+          
+          ${alerts.length > 0 ? `
+            <div class="space-y-4">
+              ${alerts.map(alert => `
+                <div class="bg-white rounded-lg shadow-md p-4 flex flex-col md:flex-row md:items-center md:justify-between">
+                  <div class="mb-3 md:mb-0">
+                    <h3 class="font-semibold text-lg">
+                      ${alert.name}
+                      ${alert.unread_count > 0 ? `<span class="ml-2 bg-red-500 text-white text-xs px-2 py-1 rounded-full">${alert.unread_count} new</span>` : ''}
+                      ${!alert.is_active ? '<span class="ml-2 bg-gray-200 text-gray-700 text-xs px-2 py-1 rounded-full">Paused</span>' : ''}
+                    </h3>
+                    <p class="text-sm text-gray-600 capitalize">${this.describeAlertFilters(alert.filters)}</p>
+                    <p class="text-xs text-gray-500">${alert.match_count || 0} matches · created ${Utils.formatRelativeTime(alert.created_at)}</p>
+                  </div>
+                  <div class="flex space-x-2">
+                    <button onclick="Dashboard.viewAlertMatches(${alert.id})" class="bg-blue-100 text-blue-800 py-2 px-3 rounded text-sm font-medium hover:bg-blue-200">
+                      View Matches
+                    </button>
+                    <button onclick="Dashboard.toggleAlert(${alert.id}, ${!alert.is_active})" class="bg-gray-100 text-gray-800 py-2 px-3 rounded text-sm font-medium hover:bg-gray-200">
+                      ${alert.is_active ? 'Pause' : 'Resume'}
+                    </button>
+                    <button onclick="Dashboard.deleteAlert(${alert.id})" class="bg-red-100 text-red-800 py-2 px-3 rounded text-sm font-medium hover:bg-red-200">
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              `).join('')}
+            </div>
+          ` : `
+            <div class="text-center py-12">
+              <i class="fas fa-bell text-4xl text-gray-400 mb-4"></i>
+              <h3 class="text-lg font-semibold text-gray-600 mb-2">No search alerts yet</h3>
+              <p class="text-gray-500 mb-6">Use "Save this search" on the browse page to hear about new listings</p>
+            </div>
+          `}
+        </div>
+      `;
+    } catch (error) {
+      console.error('Error loading search alerts:', error);
+      Utils.showError('dashboard-content', 'Failed to load search alerts');
+    }
+  },
+
+  async viewAlertMatches(alertId) {
+    const container = document.getElementById('dashboard-content');
+    Utils.showLoading('dashboard-content');
+
+    try {
+      const response = await axios.get(`/users/alerts/${alertId}/matches`);
+      const { alert, matches } = response.data.data;
+
+      container.innerHTML = `
+        <div class="space-y-6">
+          <div class="flex justify-between items-center">
+            <h2 class="text-2xl font-bold text-gray-800">${alert.name}</h2>
+            <button onclick="Dashboard.loadTab('alerts')" class="text-blue-600 hover:text-blue-800">
+              <i class="fas fa-arrow-left mr-2"></i>Back to alerts
+            </button>
+          </div>
+          
+          ${matches.length > 0 ? `
+            <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
+              ${matches.map(match => `
+                <a href="/car/${match.car.id}" class="bg-white rounded-lg shadow-md overflow-hidden hover:shadow-lg transition-shadow">
+                  <div class="aspect-video bg-gray-200 relative">
+                    <img src="${match.car.featured_image || '/static/images/car-placeholder.jpg'}" 
+                         alt="${match.car.title}" 
+                         class="w-full h-full object-cover">
+                    ${!match.is_read ? '<span class="absolute top-2 left-2 bg-red-500 text-white text-xs px-2 py-1 rounded-full">New</span>' : ''}
+                  </div>
+                  <div class="p-4">
+                    <h3 class="font-semibold text-lg mb-2">${match.car.title}</h3>
+                    <p class="text-2xl font-bold text-green-600 mb-2">${Utils.formatPrice(match.car.price)}</p>
+                    <div class="flex justify-between text-sm text-gray-600">
+                      <span>${match.car.year}</span>
+                      <span>${match.car.location}</span>
+                      <span>${Utils.formatRelativeTime(match.created_at)}</span>
+                    </div>
+                  </div>
+                </a>
+              `).join('')}
+            </div>
+          ` : `
+            <p class="text-gray-500 text-center py-12">No listings have matched this search yet</p>
+          `}
+        </div>
+      `;
+
+      if (matches.some(match => !match.is_read)) {
+        const readResponse = await axios.post(`/users/alerts/${alertId}/read`);
+        this.updateAlertsBadge(readResponse.data.data.unread);
+      }
+    } catch (error) {
+      console.error('Error loading alert matches:', error);
+      Utils.showError('dashboard-content', 'Failed to load alert matches');
+    }
+  },
+
+  async toggleAlert(alertId, isActive) {
+    try {
+      const response = await axios.put(`/users/alerts/${alertId}`, { is_active: isActive });
+      
+      if (response.data.success) {
+        Utils.showToast(isActive ? 'Search alert resumed' : 'Search alert paused', 'success');
+        this.loadTab('alerts');
+      }
+    } catch (error) {
+      Utils.showToast('Failed to update search alert', 'error');
+    }
+  },
+
+  async deleteAlert(alertId) {
+    if (!confirm('Delete this search alert?')) {
+      return;
+    }
+
+    try {
+      const response = await axios.delete(`/users/alerts/${alertId}`);
+      
+      if (response.data.success) {
+        Utils.showToast('Search alert deleted', 'success');
+        this.loadTab('alerts');
+      }
+    } catch (error) {
+      Utils.showToast('Failed to delete search alert', 'error');
+    }
+  },
+
+  async loadSessions(container) {
+    try {
+      const response = await axios.get('/auth/sessions');
+      const sessions = response.data.data || [];
+
+      container.innerHTML = `
+        <div class="space-y-6">
+          <div class="flex justify-between items-center">
+            <h2 class="text-2xl font-bold text-gray-800">Devices</h2>
+            <button onclick="Dashboard.logoutEverywhere()" class="bg-red-600 text-white px-4 py-2 rounded-lg hover:bg-red-700">
+              <i class="fas fa-sign-out-alt mr-2"></i>Log out everywhere
+            </button>
+          </div>
+          <p class="text-gray-600">Where your account is signed in. Log out any device you don't recognise and change your password.</p>
+
+          <div class="space-y-4">
+            ${sessions.map(session => `
+              <div class="bg-white rounded-lg shadow-md p-4 flex flex-col md:flex-row md:items-center md:justify-between">
+                <div class="mb-3 md:mb-0">
+                  <h3 class="font-semibold text-lg">
+                    ${Utils.escapeHtml(this.describeDevice(session.user_agent))}
+                    ${session.current ? '<span class="ml-2 bg-green-100 text-green-800 text-xs px-2 py-1 rounded-full">This device</span>' : ''}
+                  </h3>
+                  <p class="text-sm text-gray-600">${Utils.escapeHtml(session.ip_address || 'Unknown IP address')}</p>
+                  <p class="text-xs text-gray-500">
+                    Last seen ${Utils.formatRelativeTime(session.last_seen_at || session.created_at)} · signed in ${Utils.formatDate(session.created_at)}
+                  </p>
+                </div>
+                ${session.current ? '' : `
+                  <button onclick="Dashboard.logoutSession('${session.id}')" class="bg-red-100 text-red-800 py-2 px-3 rounded text-sm font-medium hover:bg-red-200">
+                    Log out
+                  </button>
+                `}
+              </div>
+            `).join('')}
+          </div>
+        </div>
+      `;
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+      Utils.showError('dashboard-content', 'Failed to load devices');
+    }
+  },
+
+  // "Chrome on Windows" from a user agent string
+  describeDevice(userAgent) {
+    if (!userAgent) return 'Unknown device';
+
+    const browser = [['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']]
+      .find(([token]) => userAgent.includes(token));
+    const os = [['Windows', 'Windows'], ['Android', 'Android'], ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Mac OS', 'macOS'], ['Linux', 'Linux']]
+      .find(([token]) => userAgent.includes(token));
+
+    if (!browser && !os) return Utils.truncate(userAgent, 60);
+    return [browser?.[1] || 'Browser', os?.[1]].filter(Boolean).join(' on ');
+  },
+
+  async logoutSession(sessionId) {
+    try {
+      const response = await axios.delete(`/auth/sessions/${sessionId}`);
+
+      if (response.data.success) {
+        Utils.showToast('Device logged out', 'success');
+        this.loadTab('sessions');
+      }
+    } catch (error) {
+      Utils.showToast(error.response?.data?.error || 'Failed to log out device', 'error');
+    }
+  },
+
+  async logoutEverywhere() {
+    if (!confirm('Log out on every device, including this one?')) {
+      return;
+    }
+
+    try {
+      await axios.delete('/auth/sessions');
+      Auth.clearSession();
+      Utils.showToast('Logged out on all devices', 'success');
+
+      setTimeout(() => {
+        window.location.href = '/login';
+      }, 1000);
+    } catch (error) {
+      Utils.showToast('Failed to log out on all devices', 'error');
+    }
   }
 };
 
@@ -1522,6 +2482,10 @@ const SellCar = {
       return;
     }
 
+    // The form and its make list have to exist before an existing listing can fill them in
+    await ImageUpload.loadLimits();
+    await this.setupForm();
+
     // Check if editing
     const urlParams = new URLSearchParams(window.location.search);
     const editId = urlParams.get('edit');
@@ -1530,20 +2494,20 @@ const SellCar = {
       this.editingCarId = parseInt(editId);
       await this.loadCarForEditing(this.editingCarId);
     }
-
-    this.setupForm();
   },
 
+  // Resolves once the make dropdown has been filled in
   setupForm() {
     const container = document.getElementById('sell-car-form-container');
-    if (!container) return;
+    if (!container) return Promise.resolve();
 
     container.innerHTML = this.renderForm();
     
     // Setup form handlers
-    this.setupMakeModelDependency();
+    const makesLoaded = this.setupMakeModelDependency();
     this.setupFormSubmission();
     this.setupImageUpload();
+    return makesLoaded;
   },
 
   renderForm() {
@@ -1568,6 +2532,8 @@ const SellCar = {
                         class="w-full p-3 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500">
                   <option value="">Select Make</option>
                 </select>
+                <input type="text" name="make_other" id="sell-make-other" placeholder="Enter the make"
+                       class="hidden w-full mt-2 p-3 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500">
               </div>
               <div>
                 <label class="block text-sm font-medium text-gray-700 mb-2">Model *</label>
@@ -1575,6 +2541,11 @@ const SellCar = {
                         class="w-full p-3 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500">
                   <option value="">Select Model</option>
                 </select>
+                <input type="text" name="model_other" id="sell-model-other" placeholder="Enter the model"
+                       class="hidden w-full mt-2 p-3 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-blue-500">
+                <p id="sell-model-other-hint" class="hidden mt-1 text-xs text-gray-500">
+                  We'll list your car straight away and add the model to our list once it's checked.
+                </p>
               </div>
             </div>
 
@@ -1772,7 +2743,7 @@ const SellCar = {
                 <div class="text-lg font-medium text-gray-700">Upload Car Images</div>
                 <div class="text-sm text-gray-500">
                   Drag and drop images here, or click to select files<br>
-                  <span class="font-medium">Maximum 8 images, 5MB per image</span><br>
+                  <span class="font-medium">Maximum ${ImageUpload.maxFiles} images, ${ImageUpload.maxFileSize / (1024 * 1024)}MB per image</span><br>
                   Supported formats: JPEG, PNG, WebP
                 </div>
               </div>
@@ -1781,7 +2752,7 @@ const SellCar = {
 
             <!-- Image Counter -->
             <div class="flex justify-between items-center text-sm text-gray-600">
-              <span id="image-counter">0/8 images</span>
+              <span id="image-counter">0/${ImageUpload.maxFiles} images</span>
               <span class="text-xs">First image will be set as featured image</span>
             </div>
 
@@ -1811,17 +2782,54 @@ const SellCar = {
   setupMakeModelDependency() {
     const makeSelect = document.getElementById('sell-make-select');
     const modelSelect = document.getElementById('sell-model-select');
+    let makesLoaded = Promise.resolve();
     
     if (makeSelect && modelSelect) {
       // Load car makes
-      Cars.loadCarMakes().then(() => {
+      makesLoaded = Cars.loadCarMakes().then(() => {
         Cars.populateCarMakeDropdowns();
+        this.addOtherOption(makeSelect, 'Other make (not listed)');
       });
       
       makeSelect.addEventListener('change', () => {
         Cars.populateModelDropdown(makeSelect, modelSelect);
+        modelSelect.querySelector('option[value=""]').textContent = 'Select Model';
+        this.addOtherOption(modelSelect, 'Other model (not listed)');
+
+        // A make we don't list can only have a model we don't list
+        if (makeSelect.value === '__other__') modelSelect.value = '__other__';
+        this.toggleOtherInputs();
       });
+
+      modelSelect.addEventListener('change', () => this.toggleOtherInputs());
     }
+
+    return makesLoaded;
+  },
+
+  // Unlisted makes and models are typed in and sent to the admins to add to the catalogue
+  addOtherOption(select, label) {
+    if (select.querySelector('option[value="__other__"]')) return;
+
+    const option = document.createElement('option');
+    option.value = '__other__';
+    option.textContent = label;
+    select.appendChild(option);
+  },
+
+  toggleOtherInputs() {
+    const makeOther = document.getElementById('sell-make-select')?.value === '__other__';
+    const modelOther = document.getElementById('sell-model-select')?.value === '__other__';
+
+    document.getElementById('sell-make-other')?.classList.toggle('hidden', !makeOther);
+    document.getElementById('sell-model-other')?.classList.toggle('hidden', !modelOther);
+    document.getElementById('sell-model-other-hint')?.classList.toggle('hidden', !modelOther);
+  },
+
+  getMakeAndModel(formData) {
+    const make = formData.get('make') === '__other__' ? (formData.get('make_other') || '').trim() : formData.get('make');
+    const model = formData.get('model') === '__other__' ? (formData.get('model_other') || '').trim() : formData.get('model');
+    return { make, model };
   },
 
   setupFormSubmission() {
@@ -1839,12 +2847,17 @@ const SellCar = {
       submitBtn.disabled = true;
 
       try {
+        const { make, model } = this.getMakeAndModel(formData);
+        if (!make || !model) {
+          throw new Error('Please enter the make and model');
+        }
+
         // Collect form data
         const carData = {
           title: formData.get('title'),
           description: formData.get('description'),
-          make: formData.get('make'),
-          model: formData.get('model'),
+          make,
+          model,
           year: parseInt(formData.get('year')),
           mileage: formData.get('mileage') ? parseInt(formData.get('mileage')) : null,
           fuel_type: formData.get('fuel_type'),
@@ -1865,7 +2878,7 @@ const SellCar = {
 
         let response;
         if (this.editingCarId) {
-          response = await axios.put(`/api/cars/${this.editingCarId}`, carData, {
+          response = await axios.put(`/cars/${this.editingCarId}`, carData, {
             headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
           });
         } else {
@@ -1879,13 +2892,13 @@ const SellCar = {
           
           if (this.editingCarId) {
             // Editing existing car
-            Utils.showToast('Car listing updated successfully!', 'success');
+            Utils.showToast(response.data.message || 'Car listing updated successfully!', 'success');
             setTimeout(() => {
               window.location.href = `/car/${carId}`;
             }, 1000);
           } else {
             // New car created - upload any temporary images
-            Utils.showToast('Car listing created successfully!', 'success');
+            Utils.showToast(response.data.message || 'Car listing created successfully!', 'success');
             
             // Upload temporary images if any exist
             if (ImageUpload.tempImages.length > 0) {
@@ -1904,7 +2917,7 @@ const SellCar = {
         }
       } catch (error) {
         console.error('Error saving car:', error);
-        Utils.showToast(error.response?.data?.error || 'Failed to save car listing', 'error');
+        Utils.showToast(error.response?.data?.error || error.message || 'Failed to save car listing', 'error');
         submitBtn.innerHTML = originalText;
         submitBtn.disabled = false;
       }
@@ -1928,7 +2941,7 @@ const SellCar = {
 
   async loadCarForEditing(carId) {
     try {
-      const response = await axios.get(`/api/cars/${carId}`, {
+      const response = await axios.get(`/cars/${carId}`, {
         headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
       });
 
@@ -1937,6 +2950,7 @@ const SellCar = {
         
         // Populate form fields with car data
         this.populateFormWithCarData(car);
+        this.showModerationNotice(car);
         
         // Update form title
         const formTitle = document.querySelector('h1, h2');
@@ -1956,6 +2970,20 @@ const SellCar = {
     }
   },
 
+  // Rejected listings go back to the moderators when the seller saves their changes
+  showModerationNotice(car) {
+    const container = document.getElementById('sell-car-form-container');
+    if (!container || car.moderation_status !== 'rejected') return;
+
+    container.insertAdjacentHTML('afterbegin', `
+      <div class="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg text-red-800">
+        <p class="font-semibold"><i class="fas fa-exclamation-circle mr-2"></i>This listing was not approved</p>
+        ${car.moderation_notes ? `<p class="mt-1 text-sm">${Utils.escapeHtml(car.moderation_notes)}</p>` : ''}
+        <p class="mt-2 text-sm">Make the changes needed and save to send it back for review.</p>
+      </div>
+    `);
+  },
+
   populateFormWithCarData(car) {
     const form = document.getElementById('sell-car-form');
     if (!form) return;
@@ -2028,11 +3056,23 @@ const SellCar = {
 
 // Image Upload Functions
 const ImageUpload = {
+  // Defaults until loadLimits() fetches the site settings
   maxFiles: 8,
   maxFileSize: 5 * 1024 * 1024, // 5MB
   allowedTypes: ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'],
   tempImages: [], // Store images temporarily during creation
 
+  async loadLimits() {
+    try {
+      const response = await axios.get('/settings');
+      const settings = response.data.data;
+      this.maxFiles = settings.max_images_per_car;
+      this.maxFileSize = settings.max_image_size_mb * 1024 * 1024;
+    } catch (error) {
+      console.error('Error loading upload limits:', error);
+    }
+  },
+
   init(carId = null) {
     this.carId = carId;
     this.tempImages = []; // Reset temp images
@@ -2095,19 +3135,19 @@ const ImageUpload = {
     for (const file of files) {
       // Check file count limit
       if (currentImages + validFiles.length >= this.maxFiles) {
-        showToast('Maximum 8 images allowed per listing', 'error');
+        Utils.showToast(`Maximum ${this.maxFiles} images allowed per listing`, 'error');
         break;
       }
 
       // Check file type
       if (!this.allowedTypes.includes(file.type)) {
-        showToast(`Invalid file type: ${file.name}. Only JPEG, PNG, and WebP images are allowed.`, 'error');
+        Utils.showToast(`Invalid file type: ${file.name}. Only JPEG, PNG, and WebP images are allowed.`, 'error');
         continue;
       }
 
       // Check file size
       if (file.size > this.maxFileSize) {
-        showToast(`File too large: ${file.name}. Maximum size is 5MB.`, 'error');
+        Utils.showToast(`File too large: ${file.name}. Maximum size is ${this.maxFileSize / (1024 * 1024)}MB.`, 'error');
         continue;
       }
 
@@ -2644,9 +3684,14 @@ const SavedCars = {
               <i class="fas fa-heart-broken mr-1"></i>Unsave
             </button>
           </div>
+          <div class="mt-2">
+            ${Compare.renderToggle(car.id, 'w-full')}
+          </div>
         </div>
       </div>
     `).join('');
+
+    Compare.renderBar();
   },
 
   async unsaveCar(carId) {
@@ -2664,49 +3709,356 @@ const SavedCars = {
   }
 };
 
-// User Profile Functions
-const UserProfile = {
-  async loadProfile(userId) {
-    const container = document.getElementById('user-profile-container');
-    if (!container) return;
-
-    Utils.showLoading('user-profile-container');
+// Car Comparison Functions
+// The shortlist lives in localStorage so it follows the buyer between /browse and /saved
+const Compare = {
+  STORAGE_KEY: 'wightcars_compare',
+  MAX_CARS: 4,
 
+  getSelection() {
     try {
-      const response = await axios.get(`/users/profile/${userId}`);
-      
-      if (response.data.success) {
-        this.renderProfile(response.data.data, container);
-      } else {
-        Utils.showError('user-profile-container', response.data.error);
-      }
+      return JSON.parse(localStorage.getItem(this.STORAGE_KEY)) || [];
     } catch (error) {
-      console.error('Error loading profile:', error);
-      Utils.showError('user-profile-container', 'Failed to load user profile');
+      return [];
     }
   },
 
-  renderProfile(data, container) {
-    const { user, cars } = data;
-    
-    container.innerHTML = `
-      <div class="bg-white rounded-lg shadow-md overflow-hidden">
-        <!-- Profile Header -->
-        <div class="bg-gradient-to-r from-blue-600 to-blue-800 text-white p-6">
-          <div class="flex items-center">
-            <div class="w-20 h-20 bg-white bg-opacity-20 rounded-full flex items-center justify-center text-2xl font-bold mr-6">
-              ${user.full_name.charAt(0)}
-            </div>
-            <div>
-              <h1 class="text-2xl font-bold">${user.full_name}</h1>
-              <p class="opacity-90">${user.location}</p>
-              <div class="flex space-x-2 mt-2">
-                ${user.is_verified ? '<span class="bg-green-500 bg-opacity-80 px-3 py-1 rounded-full text-xs font-semibold">Verified</span>' : ''}
-                ${user.is_dealer ? '<span class="bg-yellow-500 bg-opacity-80 px-3 py-1 rounded-full text-xs font-semibold">Dealer</span>' : ''}
-              </div>
-            </div>
-          </div>
-        </div>
+  setSelection(ids) {
+    localStorage.setItem(this.STORAGE_KEY, JSON.stringify(ids));
+  },
+
+  toggle(carId) {
+    const ids = this.getSelection();
+    const index = ids.indexOf(carId);
+
+    if (index >= 0) {
+      ids.splice(index, 1);
+    } else if (ids.length >= this.MAX_CARS) {
+      Utils.showToast(`You can compare up to ${this.MAX_CARS} cars at a time`, 'error');
+      return;
+    } else {
+      ids.push(carId);
+    }
+
+    this.setSelection(ids);
+
+    const button = document.getElementById(`compare-btn-${carId}`);
+    if (button) button.outerHTML = this.renderToggle(carId, button.dataset.extraClass);
+    this.renderBar();
+  },
+
+  clear() {
+    this.setSelection([]);
+    document.querySelectorAll('[id^="compare-btn-"]').forEach(button => {
+      button.outerHTML = this.renderToggle(parseInt(button.id.replace('compare-btn-', '')), button.dataset.extraClass);
+    });
+    this.renderBar();
+  },
+
+  renderToggle(carId, extraClass = '') {
+    const selected = this.getSelection().includes(carId);
+    return `
+      <button id="compare-btn-${carId}" data-extra-class="${extraClass}" onclick="Compare.toggle(${carId})"
+              class="${extraClass} px-4 py-2 rounded-md text-sm font-medium ${selected ? 'bg-blue-100 text-blue-800 hover:bg-blue-200' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}">
+        <i class="fas ${selected ? 'fa-check-square' : 'fa-columns'} mr-1"></i>${selected ? 'Comparing' : 'Compare'}
+      </button>
+    `;
+  },
+
+  // Floating bar linking to /compare once cars are shortlisted
+  renderBar() {
+    let bar = document.getElementById('compare-bar');
+    const ids = this.getSelection();
+
+    if (ids.length === 0) {
+      if (bar) bar.remove();
+      return;
+    }
+
+    if (!bar) {
+      bar = document.createElement('div');
+      bar.id = 'compare-bar';
+      bar.className = 'fixed bottom-4 left-1/2 transform -translate-x-1/2 bg-white shadow-lg rounded-full px-6 py-3 flex items-center space-x-4 z-40 border border-gray-200';
+      document.body.appendChild(bar);
+    }
+
+    bar.innerHTML = `
+      <span class="text-sm text-gray-700">${ids.length} of ${this.MAX_CARS} cars selected</span>
+      ${ids.length >= 2 ? `
+        <a href="/compare?ids=${ids.join(',')}" class="bg-blue-600 text-white px-4 py-2 rounded-full text-sm hover:bg-blue-700">
+          <i class="fas fa-columns mr-1"></i>Compare
+        </a>
+      ` : '<span class="text-sm text-gray-500">Select another car to compare</span>'}
+      <button onclick="Compare.clear()" class="text-sm text-gray-500 hover:text-gray-700">Clear</button>
+    `;
+  },
+
+  async loadComparison() {
+    const container = document.getElementById('compare-container');
+    if (!container) return;
+
+    // A shared link takes precedence over the local shortlist
+    const param = new URLSearchParams(window.location.search).get('ids');
+    const ids = param ? param.split(',').map(id => parseInt(id)).filter(id => id > 0) : this.getSelection();
+
+    if (ids.length < 2) {
+      container.innerHTML = `
+        <div class="text-center py-12">
+          <i class="fas fa-columns text-4xl text-gray-400 mb-4"></i>
+          <h3 class="text-lg font-semibold text-gray-600 mb-2">Pick at least two cars to compare</h3>
+          <p class="text-gray-500 mb-6">Use the Compare button on cars you're browsing or have saved</p>
+          <a href="/saved" class="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700">
+            <i class="fas fa-heart mr-2"></i>Saved Cars
+          </a>
+        </div>
+      `;
+      return;
+    }
+
+    Utils.showLoading('compare-container');
+
+    try {
+      const response = await axios.get('/cars/compare', { params: { ids: ids.join(',') } });
+
+      if (response.data.success) {
+        this.renderComparison(response.data.data, container);
+      } else {
+        Utils.showError('compare-container', response.data.error);
+      }
+    } catch (error) {
+      console.error('Error loading comparison:', error);
+      Utils.showError('compare-container', error.response?.data?.error || 'Failed to load comparison');
+    }
+  },
+
+  remove(carId) {
+    const ids = new URLSearchParams(window.location.search).get('ids')?.split(',').map(id => parseInt(id)) || this.getSelection();
+    const remaining = ids.filter(id => id !== carId);
+
+    this.setSelection(remaining);
+    window.history.replaceState(null, '', remaining.length ? `/compare?ids=${remaining.join(',')}` : '/compare');
+    this.loadComparison();
+  },
+
+  renderComparison(comparison, container) {
+    const { cars, differences, best } = comparison;
+    const serviceLabels = { full: 'Full', partial: 'Partial', unknown: 'Unknown' };
+
+    const rows = [
+      { key: 'price', label: 'Price', format: value => Utils.formatPrice(value) },
+      { key: 'year', label: 'Year', format: value => value },
+      { key: 'mileage', label: 'Mileage', format: value => value !== null ? `${Utils.formatNumber(value)} miles` : 'Not specified' },
+      { key: 'engine_size_litres', label: 'Engine Size', format: value => value !== null ? `${value.toFixed(1)}L` : 'N/A' },
+      { key: 'fuel_type', label: 'Fuel', format: value => `<span class="capitalize">${value}</span>` },
+      { key: 'transmission', label: 'Transmission', format: value => `<span class="capitalize">${value}</span>` },
+      { key: 'mot_expiry', label: 'MOT Expires', format: value => value ? Utils.formatDate(value) : 'Not specified' },
+      { key: 'service_history', label: 'Service History', format: value => serviceLabels[value] || 'Unknown' }
+    ];
+
+    container.innerHTML = `
+      ${comparison.missing_ids.length > 0 ? `
+        <div class="bg-yellow-50 text-yellow-800 text-sm px-6 py-3 border-b border-yellow-200">
+          <i class="fas fa-info-circle mr-1"></i>${comparison.missing_ids.length} of the selected cars ${comparison.missing_ids.length === 1 ? 'is' : 'are'} no longer listed.
+        </div>
+      ` : ''}
+      <table class="w-full text-sm">
+        <thead>
+          <tr>
+            <th class="w-40 p-4"></th>
+            ${cars.map(car => `
+              <th class="p-4 align-top text-left">
+                <div class="aspect-video bg-gray-200 rounded mb-2 overflow-hidden">
+                  <img src="${car.featured_image || '/static/images/cars/placeholder-car.svg'}" alt="${car.title}" class="w-full h-full object-cover">
+                </div>
+                <a href="/car/${car.id}" class="font-semibold text-blue-600 hover:underline">${car.title}</a>
+                <p class="text-xs text-gray-500 font-normal">${car.location}</p>
+                <button onclick="Compare.remove(${car.id})" class="text-xs text-red-600 hover:underline font-normal mt-1">
+                  <i class="fas fa-times mr-1"></i>Remove
+                </button>
+              </th>
+            `).join('')}
+          </tr>
+        </thead>
+        <tbody>
+          ${rows.map(row => `
+            <tr class="border-t border-gray-200 ${differences.includes(row.key) ? 'bg-yellow-50' : ''}">
+              <th class="p-4 text-left font-medium text-gray-700">${row.label}</th>
+              ${cars.map(car => {
+                const isBest = cars.length > 1 && (best[row.key] || []).includes(car.id);
+                return `
+                  <td class="p-4 ${isBest ? 'text-green-700 font-semibold' : ''}">
+                    ${row.format(car.specs[row.key])}
+                    ${isBest ? '<i class="fas fa-check-circle ml-1"></i>' : ''}
+                  </td>
+                `;
+              }).join('')}
+            </tr>
+          `).join('')}
+          <tr class="border-t border-gray-200">
+            <th class="p-4 text-left font-medium text-gray-700 align-top">Features</th>
+            ${cars.map(car => `
+              <td class="p-4 align-top">
+                ${car.unique_features.length > 0 ? `
+                  <div class="flex flex-wrap gap-1">
+                    ${car.unique_features.map(feature => `
+                      <span class="bg-blue-100 text-blue-800 px-2 py-1 rounded-full text-xs">${feature}</span>
+                    `).join('')}
+                  </div>
+                ` : '<span class="text-gray-400">No extra features</span>'}
+              </td>
+            `).join('')}
+          </tr>
+          ${comparison.common_features.length > 0 ? `
+            <tr class="border-t border-gray-200">
+              <th class="p-4 text-left font-medium text-gray-700 align-top">All Have</th>
+              <td class="p-4" colspan="${cars.length}">
+                <div class="flex flex-wrap gap-1">
+                  ${comparison.common_features.map(feature => `
+                    <span class="bg-gray-100 text-gray-700 px-2 py-1 rounded-full text-xs">${feature}</span>
+                  `).join('')}
+                </div>
+              </td>
+            </tr>
+          ` : ''}
+        </tbody>
+      </table>
+      <p class="text-xs text-gray-500 px-6 py-3 border-t border-gray-200">
+        Highlighted rows differ between cars; <i class="fas fa-check-circle text-green-700"></i> marks the best value.
+      </p>
+    `;
+  }
+};
+
+// Reporting listings and users to the moderators
+const Reports = {
+  types: [
+    { value: 'spam', label: 'Spam or duplicate' },
+    { value: 'inappropriate', label: 'Inappropriate content' },
+    { value: 'fraud', label: 'Scam or fraud' },
+    { value: 'other', label: 'Something else' }
+  ],
+
+  // target is { car_id } or { user_id }; noun is 'listing' or 'user' for the wording
+  open(target, noun) {
+    if (!AppState.user) {
+      Utils.showToast(`Please log in to report this ${noun}`, 'error');
+      setTimeout(() => window.location.href = '/login', 1000);
+      return;
+    }
+
+    const modal = document.createElement('div');
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 w-full max-w-md">
+        <h3 class="text-lg font-semibold mb-1">Report this ${noun}</h3>
+        <p class="text-sm text-gray-600 mb-4">Reports are private. Our team reviews every one.</p>
+        <form id="report-form">
+          <div class="mb-4">
+            <label class="block text-sm font-medium text-gray-700 mb-2">What's wrong?</label>
+            <select name="report_type" class="w-full p-2 border border-gray-300 rounded-md" required>
+              ${this.types.map(type => `<option value="${type.value}">${type.label}</option>`).join('')}
+            </select>
+          </div>
+          <div class="mb-4">
+            <label class="block text-sm font-medium text-gray-700 mb-2">Details (optional)</label>
+            <textarea name="description" rows="4" maxlength="1000" class="w-full p-2 border border-gray-300 rounded-md" placeholder="Tell us what you noticed"></textarea>
+          </div>
+          <div class="flex justify-end space-x-3">
+            <button type="button" onclick="this.closest('.fixed').remove()" class="px-4 py-2 text-gray-600 border border-gray-300 rounded-md hover:bg-gray-100">
+              Cancel
+            </button>
+            <button type="submit" class="px-4 py-2 bg-red-600 text-white rounded-md hover:bg-red-700">
+              Send Report
+            </button>
+          </div>
+        </form>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+
+    const form = modal.querySelector('#report-form');
+    form.addEventListener('submit', async (e) => {
+      e.preventDefault();
+
+      const formData = new FormData(form);
+      const submitBtn = form.querySelector('button[type="submit"]');
+      submitBtn.textContent = 'Sending...';
+      submitBtn.disabled = true;
+
+      try {
+        const response = await axios.post('/reports', {
+          ...target,
+          report_type: formData.get('report_type'),
+          description: formData.get('description')
+        });
+
+        if (response.data.success) {
+          Utils.showToast(response.data.message, 'success');
+          modal.remove();
+        }
+      } catch (error) {
+        Utils.showToast(error.response?.data?.error || 'Failed to send report', 'error');
+        // Already reported or rate limited: nothing more to do from this form
+        if ([409, 429].includes(error.response?.status)) {
+          modal.remove();
+        } else {
+          submitBtn.textContent = 'Send Report';
+          submitBtn.disabled = false;
+        }
+      }
+    });
+  }
+};
+
+// User Profile Functions
+const UserProfile = {
+  async loadProfile(userId) {
+    const container = document.getElementById('user-profile-container');
+    if (!container) return;
+
+    Utils.showLoading('user-profile-container');
+
+    try {
+      const response = await axios.get(`/users/profile/${userId}`);
+      
+      if (response.data.success) {
+        this.renderProfile(response.data.data, container);
+      } else {
+        Utils.showError('user-profile-container', response.data.error);
+      }
+    } catch (error) {
+      console.error('Error loading profile:', error);
+      Utils.showError('user-profile-container', 'Failed to load user profile');
+    }
+  },
+
+  renderProfile(data, container) {
+    const { user, cars } = data;
+    
+    container.innerHTML = `
+      <div class="bg-white rounded-lg shadow-md overflow-hidden">
+        <!-- Profile Header -->
+        <div class="bg-gradient-to-r from-blue-600 to-blue-800 text-white p-6">
+          <div class="flex items-center">
+            <div class="w-20 h-20 bg-white bg-opacity-20 rounded-full flex items-center justify-center text-2xl font-bold mr-6">
+              ${user.full_name.charAt(0)}
+            </div>
+            <div>
+              <h1 class="text-2xl font-bold">${user.full_name}</h1>
+              <p class="opacity-90">${user.location}</p>
+              <div class="flex space-x-2 mt-2">
+                ${user.is_verified ? '<span class="bg-green-500 bg-opacity-80 px-3 py-1 rounded-full text-xs font-semibold">Verified</span>' : ''}
+                ${user.is_dealer ? '<span class="bg-yellow-500 bg-opacity-80 px-3 py-1 rounded-full text-xs font-semibold">Dealer</span>' : ''}
+              </div>
+            </div>
+            ${AppState.user && AppState.user.id === user.id ? '' : `
+              <button onclick="Reports.open({ user_id: ${user.id} }, 'user')" class="ml-auto self-start text-sm opacity-80 hover:opacity-100">
+                <i class="fas fa-flag mr-1"></i>Report user
+              </button>
+            `}
+          </div>
+        </div>
 
         <!-- Profile Stats -->
         <div class="p-6 border-b">
@@ -2769,6 +4121,10 @@ const UserProfile = {
 const AdminPanel = {
   currentSection: 'dashboard',
   refreshInterval: null,
+  catalogueMakes: [],
+  catalogueProposals: [],
+  reports: [],
+  outboxEmails: [],
 
   async init() {
     if (!AppState.user || !AppState.user.is_admin) {
@@ -2822,6 +4178,9 @@ const AdminPanel = {
       case 'reports':
         await this.loadReports();
         break;
+      case 'catalogue':
+        await this.loadCatalogue();
+        break;
       case 'analytics':
         await this.loadAnalytics();
         break;
@@ -2831,6 +4190,9 @@ const AdminPanel = {
       case 'logs':
         await this.loadActivityLogs();
         break;
+      case 'outbox':
+        await this.loadOutbox(1);
+        break;
       default:
         container.innerHTML = '<div class="text-center py-12"><h2 class="text-2xl font-semibold text-gray-600">Section not found</h2></div>';
     }
@@ -3494,6 +4856,10 @@ const AdminPanel = {
                                   class="text-purple-600 hover:text-purple-800 text-sm font-medium">
                             <i class="fas fa-images mr-1"></i>View Images
                           </button>
+                          <button onclick="AdminPanel.purgeCarListing(${car.id})" 
+                                  class="text-red-600 hover:text-red-800 text-sm font-medium">
+                            <i class="fas fa-trash mr-1"></i>Delete Permanently
+                          </button>
                         </div>
                         
                         <div class="flex space-x-2">
@@ -3700,10 +5066,28 @@ const AdminPanel = {
     }
   },
 
+  async purgeCarListing(carId) {
+    if (!confirm('Permanently delete this listing, its messages and its images? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      const response = await axios.delete(`/cars/${carId}?permanent=true`);
+
+      if (response.data.success) {
+        Utils.showToast('Car listing permanently deleted', 'success');
+        this.refreshModeration();
+      }
+    } catch (error) {
+      console.error('Error purging car listing:', error);
+      Utils.showToast(error.response?.data?.error || 'Failed to delete car listing', 'error');
+    }
+  },
+
   async loadReports() {
     try {
       const status = 'open'; // Can be 'open', 'investigating', 'resolved', 'dismissed'
-      const response = await axios.get(`/api/admin/reports?status=${status}&page=1&limit=20`, {
+      const response = await axios.get(`/admin/reports?status=${status}&page=1&limit=20`, {
         headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
       });
 
@@ -3718,6 +5102,7 @@ const AdminPanel = {
 
   renderReportsManagement(data, currentStatus = 'open') {
     const container = document.getElementById('admin-content');
+    this.reports = data.reports || [];
     
     container.innerHTML = `
       <div class="space-y-6">
@@ -3835,6 +5220,13 @@ const AdminPanel = {
                           <span class="text-sm font-medium text-gray-600">Description:</span>
                           <p class="text-gray-800 mt-1">${report.description || 'No additional details provided.'}</p>
                         </div>
+
+                        ${report.resolution_notes ? `
+                          <div class="mt-2">
+                            <span class="text-sm font-medium text-gray-600">${report.status === 'dismissed' ? 'Dismissal' : 'Resolution'} notes:</span>
+                            <p class="text-gray-800 mt-1">${Utils.escapeHtml(report.resolution_notes)}</p>
+                          </div>
+                        ` : ''}
                       </div>
                       
                       <!-- Reporter Info -->
@@ -3887,6 +5279,11 @@ const AdminPanel = {
                           <i class="fas fa-car mr-1"></i>View Listing
                         </button>
                       ` : ''}
+
+                      <button onclick="AdminPanel.viewReportHistory(${report.id})" 
+                              class="text-gray-600 hover:text-gray-800 text-sm font-medium">
+                        <i class="fas fa-history mr-1"></i>History
+                      </button>
                     </div>
                     
                     <div class="flex space-x-2">
@@ -3907,6 +5304,13 @@ const AdminPanel = {
                           <i class="fas fa-times mr-1"></i>Dismiss
                         </button>
                       ` : ''}
+
+                      ${report.status === 'resolved' || report.status === 'dismissed' ? `
+                        <button onclick="AdminPanel.reopenReport(${report.id})" 
+                                class="bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded text-sm font-medium">
+                          <i class="fas fa-undo mr-1"></i>Reopen
+                        </button>
+                      ` : ''}
                     </div>
                   </div>
                 </div>
@@ -3951,7 +5355,7 @@ const AdminPanel = {
 
   async filterReports(status) {
     try {
-      const response = await axios.get(`/api/admin/reports?status=${status}&page=1&limit=20`, {
+      const response = await axios.get(`/admin/reports?status=${status}&page=1&limit=20`, {
         headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
       });
 
@@ -3964,59 +5368,397 @@ const AdminPanel = {
   },
 
   async loadReportsStats() {
-    // For now, use mock stats since we don't have reports data
-    // In production, these would be real API calls
-    const mockStats = {
-      'open-reports-count': 3,
-      'investigating-reports-count': 1,
-      'resolved-reports-count': 12,
-      'dismissed-reports-count': 5
-    };
+    try {
+      const response = await axios.get('/admin/reports/stats');
 
-    Object.entries(mockStats).forEach(([id, count]) => {
-      const element = document.getElementById(id);
-      if (element) {
-        element.textContent = formatNumber(count);
+      if (response.data.success) {
+        Object.entries(response.data.data).forEach(([status, count]) => {
+          const element = document.getElementById(`${status}-reports-count`);
+          if (element) {
+            element.textContent = Utils.formatNumber(count);
+          }
+        });
       }
-    });
+    } catch (error) {
+      console.error('Error loading report stats:', error);
+    }
   },
 
   async refreshReports() {
     const statusFilter = document.getElementById('reports-status-filter');
     const currentStatus = statusFilter ? statusFilter.value : 'open';
     await this.filterReports(currentStatus);
-    showToast('Reports refreshed', 'success');
+    Utils.showToast('Reports refreshed', 'success');
+  },
+
+  // Sends an assign/resolve/dismiss/reopen and reloads the current tab
+  async updateReport(reportId, action, body = {}) {
+    try {
+      const response = await axios.post(`/admin/reports/${reportId}/${action}`, body);
+
+      if (response.data.success) {
+        Utils.showToast(response.data.message, 'success');
+        const statusFilter = document.getElementById('reports-status-filter');
+        await this.filterReports(statusFilter ? statusFilter.value : 'open');
+      }
+    } catch (error) {
+      console.error(`Error updating report (${action}):`, error);
+      Utils.showToast(error.response?.data?.error || 'Failed to update report', 'error');
+      // Another admin may have moved it on
+      if (error.response?.status === 409) {
+        const statusFilter = document.getElementById('reports-status-filter');
+        await this.filterReports(statusFilter ? statusFilter.value : 'open');
+      }
+    }
   },
 
   async assignReport(reportId) {
-    // Implementation would assign report to current admin
-    showToast('Report assigned to you', 'success');
-    this.refreshReports();
+    await this.updateReport(reportId, 'assign');
   },
 
   async resolveReport(reportId) {
     const resolution = prompt('Resolution notes:');
     if (!resolution) return;
 
-    // Implementation would mark report as resolved
-    showToast('Report resolved successfully', 'success');
-    this.refreshReports();
+    // Offer to act on the target in the same step, so the report isn't closed without it
+    const report = (this.reports || []).find(r => r.id === reportId) || {};
+    let linkedAction = null;
+    if (report.reported_car_id && report.reported_car_title &&
+        confirm(`Also reject the listing "${report.reported_car_title}"?`)) {
+      linkedAction = 'reject_car';
+    } else if ((report.reported_user_id || report.reported_car_id) &&
+        confirm(report.reported_user_name ? `Also suspend ${report.reported_user_name}?` : 'Also suspend the seller of this listing?')) {
+      linkedAction = 'suspend_user';
+    }
+
+    await this.updateReport(reportId, 'resolve', { notes: resolution, linked_action: linkedAction });
   },
 
   async dismissReport(reportId) {
     if (!confirm('Are you sure you want to dismiss this report?')) return;
+    const notes = prompt('Reason for dismissing (optional):');
+
+    await this.updateReport(reportId, 'dismiss', { notes });
+  },
+
+  async reopenReport(reportId) {
+    const notes = prompt('Why is this report being reopened? (optional)');
+    if (notes === null) return;
 
-    // Implementation would mark report as dismissed
-    showToast('Report dismissed', 'success');
-    this.refreshReports();
+    await this.updateReport(reportId, 'reopen', { notes });
+  },
+
+  async viewReportHistory(reportId) {
+    try {
+      const response = await axios.get(`/admin/reports/${reportId}/history`);
+      if (!response.data.success) return;
+
+      const { report, events } = response.data.data;
+      const labels = {
+        assign: 'Assigned',
+        resolve: 'Resolved',
+        dismiss: 'Dismissed',
+        reopen: 'Reopened'
+      };
+      const linkedLabels = {
+        suspend_user: 'Suspended the user',
+        reject_car: 'Rejected the listing'
+      };
+
+      const modal = document.createElement('div');
+      modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+      modal.innerHTML = `
+        <div class="bg-white rounded-lg p-6 w-full max-w-lg max-h-[80vh] overflow-y-auto">
+          <div class="flex items-center justify-between mb-4">
+            <h3 class="text-lg font-semibold">Report #${report.id} history</h3>
+            <button type="button" onclick="this.closest('.fixed').remove()" class="text-gray-400 hover:text-gray-600">
+              <i class="fas fa-times"></i>
+            </button>
+          </div>
+          <ol class="border-l-2 border-gray-200 ml-2 space-y-4">
+            <li class="ml-4">
+              <p class="font-medium text-gray-900">Reported</p>
+              <p class="text-sm text-gray-500">${dayjs(report.created_at).format('D MMM YYYY HH:mm')}</p>
+            </li>
+            ${events.map(event => `
+              <li class="ml-4">
+                <p class="font-medium text-gray-900">
+                  ${labels[event.action] || event.action} by ${Utils.escapeHtml(event.admin_name || 'an admin')}
+                  ${event.action === 'assign' && event.assigned_name && event.assigned_to !== event.admin_id ? ` to ${Utils.escapeHtml(event.assigned_name)}` : ''}
+                </p>
+                <p class="text-sm text-gray-500">${dayjs(event.created_at).format('D MMM YYYY HH:mm')} · ${event.from_status} → ${event.to_status}</p>
+                ${event.linked_action ? `<p class="text-sm text-red-700 mt-1"><i class="fas fa-gavel mr-1"></i>${linkedLabels[event.linked_action] || event.linked_action}</p>` : ''}
+                ${event.notes ? `<p class="text-sm text-gray-800 mt-1">${Utils.escapeHtml(event.notes)}</p>` : ''}
+              </li>
+            `).join('')}
+          </ol>
+        </div>
+      `;
+
+      document.body.appendChild(modal);
+    } catch (error) {
+      console.error('Error loading report history:', error);
+      Utils.showToast('Failed to load report history', 'error');
+    }
+  },
+
+  // Make/model catalogue
+  async loadCatalogue() {
+    try {
+      const [catalogue, proposals] = await Promise.all([
+        axios.get('/admin/catalogue'),
+        axios.get('/admin/catalogue/proposals?status=pending&limit=50')
+      ]);
+
+      if (catalogue.data.success && proposals.data.success) {
+        this.renderCatalogue(catalogue.data.data, proposals.data.data);
+      }
+    } catch (error) {
+      console.error('Error loading catalogue:', error);
+      this.renderError('Failed to load the make and model catalogue');
+    }
+  },
+
+  renderCatalogue(makes, proposalData) {
+    const container = document.getElementById('admin-content');
+    const esc = Utils.escapeHtml;
+    const proposals = proposalData.proposals || [];
+
+    // Kept so the edit prompts can start from the current values
+    this.catalogueMakes = makes;
+    this.catalogueProposals = proposals;
+
+    const countBadge = document.getElementById('catalogue-count');
+    if (countBadge) countBadge.textContent = proposalData.pagination?.total || 0;
+
+    const yearRange = (model) => {
+      if (!model.year_from && !model.year_to) return '';
+      return ` <span class="text-gray-400">(${model.year_from || '?'}–${model.year_to || 'now'})</span>`;
+    };
+
+    container.innerHTML = `
+      <div class="space-y-6">
+        <div class="flex items-center justify-between">
+          <div>
+            <h2 class="text-2xl font-bold text-gray-900">Makes & Models</h2>
+            <p class="text-gray-600">The dropdowns sellers and buyers pick from, the aliases search understands, and models sellers have asked for</p>
+          </div>
+          <div class="flex space-x-3">
+            <button onclick="AdminPanel.addCatalogueMake()" class="bg-red-600 hover:bg-red-700 text-white px-4 py-2 rounded-lg">
+              <i class="fas fa-plus mr-2"></i>Add Make
+            </button>
+            <button onclick="AdminPanel.loadCatalogue()" class="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg">
+              <i class="fas fa-sync-alt mr-2"></i>Refresh
+            </button>
+          </div>
+        </div>
+
+        <div class="bg-white rounded-lg shadow">
+          <div class="px-6 py-4 border-b border-gray-200">
+            <h3 class="text-lg font-semibold text-gray-900">Proposed Models (${proposalData.pagination?.total || 0})</h3>
+          </div>
+          ${proposals.length === 0 ? `
+            <p class="px-6 py-8 text-center text-gray-500">No models waiting for review</p>
+          ` : `
+            <table class="w-full">
+              <thead class="bg-gray-50">
+                <tr>
+                  <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Make & Model</th>
+                  <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Proposed By</th>
+                  <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase">Listing</th>
+                  <th class="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase">Actions</th>
+                </tr>
+              </thead>
+              <tbody class="divide-y divide-gray-200">
+                ${proposals.map(proposal => `
+                  <tr>
+                    <td class="px-6 py-4">
+                      <div class="font-medium text-gray-900">${esc(proposal.make_name)} ${esc(proposal.model_name)}</div>
+                      <div class="text-xs text-gray-500">${proposal.make_id ? 'Known make' : 'New make'}${proposal.year ? ` · ${proposal.year} listing` : ''}</div>
+                    </td>
+                    <td class="px-6 py-4 text-sm text-gray-700">
+                      ${esc(proposal.proposer_name)}
+                      <div class="text-xs text-gray-500">${Utils.formatRelativeTime(proposal.created_at)}</div>
+                    </td>
+                    <td class="px-6 py-4 text-sm">
+                      ${proposal.car_id ? `<a href="/car/${proposal.car_id}" target="_blank" class="text-blue-600 hover:underline">${esc(proposal.car_title || `Car #${proposal.car_id}`)}</a>` : '<span class="text-gray-400">—</span>'}
+                    </td>
+                    <td class="px-6 py-4 text-right space-x-2 whitespace-nowrap">
+                      <button onclick="AdminPanel.approveModelProposal(${proposal.id})" class="bg-green-600 hover:bg-green-700 text-white text-sm px-3 py-1 rounded">
+                        <i class="fas fa-check mr-1"></i>Approve
+                      </button>
+                      <button onclick="AdminPanel.rejectModelProposal(${proposal.id})" class="bg-gray-500 hover:bg-gray-600 text-white text-sm px-3 py-1 rounded">
+                        <i class="fas fa-times mr-1"></i>Reject
+                      </button>
+                    </td>
+                  </tr>
+                `).join('')}
+              </tbody>
+            </table>
+          `}
+        </div>
+
+        <div class="bg-white rounded-lg shadow divide-y divide-gray-200">
+          ${makes.map(make => `
+            <details class="px-6 py-4">
+              <summary class="flex items-center justify-between cursor-pointer">
+                <span class="font-medium ${make.is_active ? 'text-gray-900' : 'text-gray-400 line-through'}">
+                  ${esc(make.name)}
+                  <span class="ml-2 text-sm font-normal text-gray-500">${make.models.length} models</span>
+                  ${make.aliases.length > 0 ? `<span class="ml-2 text-sm font-normal text-gray-500">also ${make.aliases.map(alias => esc(alias.alias)).join(', ')}</span>` : ''}
+                </span>
+                <span class="space-x-3 text-sm">
+                  <button onclick="event.preventDefault(); AdminPanel.renameCatalogueMake(${make.id})" class="text-blue-600 hover:text-blue-800">Rename</button>
+                  <button onclick="event.preventDefault(); AdminPanel.toggleCatalogueMake(${make.id}, ${!make.is_active})" class="text-yellow-600 hover:text-yellow-800">${make.is_active ? 'Hide' : 'Show'}</button>
+                  <button onclick="event.preventDefault(); AdminPanel.deleteCatalogueMake(${make.id})" class="text-red-600 hover:text-red-800">Delete</button>
+                </span>
+              </summary>
+              <div class="mt-4 space-y-3">
+                <div class="flex flex-wrap gap-2">
+                  ${make.models.map(model => `
+                    <span class="inline-flex items-center text-sm px-2 py-1 rounded ${model.is_active ? 'bg-gray-100 text-gray-800' : 'bg-gray-50 text-gray-400 line-through'}">
+                      <button onclick="AdminPanel.editCatalogueModel(${model.id})" class="hover:text-blue-600" title="Edit name and years">${esc(model.name)}${yearRange(model)}</button>
+                      <button onclick="AdminPanel.deleteCatalogueModel(${model.id})" class="ml-2 text-gray-400 hover:text-red-600" title="Remove">
+                        <i class="fas fa-times text-xs"></i>
+                      </button>
+                    </span>
+                  `).join('')}
+                </div>
+                <div class="flex flex-wrap gap-2 text-sm">
+                  ${make.aliases.map(alias => `
+                    <span class="inline-flex items-center px-2 py-1 rounded bg-blue-50 text-blue-800">
+                      ${esc(alias.alias)} → ${esc(make.name)}
+                      <button onclick="AdminPanel.deleteCatalogueAlias(${alias.id})" class="ml-2 text-blue-300 hover:text-red-600" title="Remove alias">
+                        <i class="fas fa-times text-xs"></i>
+                      </button>
+                    </span>
+                  `).join('')}
+                </div>
+                <div class="space-x-3 text-sm">
+                  <button onclick="AdminPanel.addCatalogueModel(${make.id})" class="text-green-600 hover:text-green-800"><i class="fas fa-plus mr-1"></i>Add model</button>
+                  <button onclick="AdminPanel.addCatalogueAlias(${make.id})" class="text-blue-600 hover:text-blue-800"><i class="fas fa-plus mr-1"></i>Add alias</button>
+                </div>
+              </div>
+            </details>
+          `).join('')}
+        </div>
+      </div>
+    `;
+  },
+
+  // Sends a catalogue change and reloads the section; the API's message explains any refusal
+  async saveCatalogueChange(method, url, data, successMessage) {
+    try {
+      const response = await axios({ method, url, data });
+
+      if (response.data.success) {
+        Utils.showToast(response.data.message || successMessage, 'success');
+        await this.loadCatalogue();
+      }
+    } catch (error) {
+      console.error('Error updating catalogue:', error);
+      Utils.showToast(error.response?.data?.error || 'Failed to update the catalogue', 'error');
+    }
+  },
+
+  // Prompts for a year; blank clears it. Returns undefined when cancelled.
+  promptYear(message, current) {
+    const value = prompt(message, current || '');
+    if (value === null) return undefined;
+    return value.trim() ? parseInt(value.trim()) : null;
+  },
+
+  async addCatalogueMake() {
+    const name = prompt('Make name:');
+    if (!name || !name.trim()) return;
+    await this.saveCatalogueChange('post', '/admin/catalogue/makes', { name }, 'Make added');
+  },
+
+  async renameCatalogueMake(makeId) {
+    const currentName = this.catalogueMakes.find(make => make.id === makeId)?.name || '';
+    const name = prompt('New name for this make:', currentName);
+    if (!name || !name.trim() || name === currentName) return;
+    await this.saveCatalogueChange('put', `/admin/catalogue/makes/${makeId}`, { name }, 'Make renamed');
+  },
+
+  async toggleCatalogueMake(makeId, isActive) {
+    await this.saveCatalogueChange('put', `/admin/catalogue/makes/${makeId}`, { is_active: isActive },
+      isActive ? 'Make shown in dropdowns' : 'Make hidden from dropdowns');
+  },
+
+  async deleteCatalogueMake(makeId) {
+    if (!confirm('Remove this make and all its models from the catalogue? Existing listings are not changed.')) return;
+    await this.saveCatalogueChange('delete', `/admin/catalogue/makes/${makeId}`, undefined, 'Make removed');
+  },
+
+  async addCatalogueModel(makeId) {
+    const name = prompt('Model name:');
+    if (!name || !name.trim()) return;
+    const yearFrom = this.promptYear('First model year (leave blank if unknown):');
+    if (yearFrom === undefined) return;
+    const yearTo = this.promptYear('Last model year (leave blank if still made or unknown):');
+    if (yearTo === undefined) return;
+
+    await this.saveCatalogueChange('post', `/admin/catalogue/makes/${makeId}/models`,
+      { name, year_from: yearFrom, year_to: yearTo }, 'Model added');
+  },
+
+  async editCatalogueModel(modelId) {
+    const model = this.catalogueMakes.flatMap(make => make.models).find(entry => entry.id === modelId);
+    if (!model) return;
+
+    const name = prompt('Model name:', model.name);
+    if (name === null) return;
+    const yearFrom = this.promptYear('First model year (leave blank if unknown):', model.year_from);
+    if (yearFrom === undefined) return;
+    const yearTo = this.promptYear('Last model year (leave blank if still made or unknown):', model.year_to);
+    if (yearTo === undefined) return;
+
+    await this.saveCatalogueChange('put', `/admin/catalogue/models/${modelId}`,
+      { name: name.trim() || undefined, year_from: yearFrom, year_to: yearTo }, 'Model updated');
+  },
+
+  async deleteCatalogueModel(modelId) {
+    if (!confirm('Remove this model from the catalogue? Existing listings are not changed.')) return;
+    await this.saveCatalogueChange('delete', `/admin/catalogue/models/${modelId}`, undefined, 'Model removed');
+  },
+
+  async addCatalogueAlias(makeId) {
+    const alias = prompt('Another name for this make, e.g. VW for Volkswagen:');
+    if (!alias || !alias.trim()) return;
+    await this.saveCatalogueChange('post', `/admin/catalogue/makes/${makeId}/aliases`, { alias }, 'Alias added');
+  },
+
+  async deleteCatalogueAlias(aliasId) {
+    if (!confirm('Remove this alias?')) return;
+    await this.saveCatalogueChange('delete', `/admin/catalogue/aliases/${aliasId}`, undefined, 'Alias removed');
+  },
+
+  async approveModelProposal(proposalId) {
+    const proposal = this.catalogueProposals.find(entry => entry.id === proposalId);
+    if (!proposal) return;
+
+    const model = prompt(`Model name as it should appear under ${proposal.make_name} (correct the spelling if needed):`, proposal.model_name);
+    if (model === null) return;
+    const yearFrom = this.promptYear('First model year (leave blank if unknown):');
+    if (yearFrom === undefined) return;
+    const yearTo = this.promptYear('Last model year (leave blank if still made or unknown):');
+    if (yearTo === undefined) return;
+
+    await this.saveCatalogueChange('post', `/admin/catalogue/proposals/${proposalId}/approve`,
+      { model: model.trim() || undefined, year_from: yearFrom, year_to: yearTo }, 'Model added to the catalogue');
+  },
+
+  async rejectModelProposal(proposalId) {
+    const notes = prompt('Reason for rejecting (optional):');
+    if (notes === null) return;
+    await this.saveCatalogueChange('post', `/admin/catalogue/proposals/${proposalId}/reject`, { notes }, 'Proposal rejected');
   },
 
   async loadAnalytics() {
     try {
       const period = 30; // Default to 30 days
-      const response = await axios.get(`/api/admin/analytics?period=${period}`, {
-        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
-      });
+      const response = await axios.get(`/admin/analytics?period=${period}`);
 
       if (response.data.success) {
         this.renderAnalytics(response.data.data, period);
@@ -4259,9 +6001,7 @@ const AdminPanel = {
 
   async filterAnalytics(period) {
     try {
-      const response = await axios.get(`/api/admin/analytics?period=${period}`, {
-        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
-      });
+      const response = await axios.get(`/admin/analytics?period=${period}`);
 
       if (response.data.success) {
         this.renderAnalytics(response.data.data, period);
@@ -4303,6 +6043,129 @@ const AdminPanel = {
     `;
   },
 
+  // Emails the outbox transport has stored instead of sending
+  async loadOutbox(page) {
+    try {
+      const params = new URLSearchParams({ page, limit: '25' });
+      if (this.outboxRecipient) params.append('recipient', this.outboxRecipient);
+
+      const response = await axios.get(`/admin/outbox?${params}`);
+      if (response.data.success) {
+        this.renderOutbox(response.data.data);
+      }
+    } catch (error) {
+      console.error('Error loading email outbox:', error);
+      this.renderError(error.response?.data?.error || 'Failed to load email outbox');
+    }
+  },
+
+  renderOutbox(data) {
+    const container = document.getElementById('admin-content');
+    const emails = data.emails || [];
+    const { pagination } = data;
+    this.outboxEmails = emails;
+
+    container.innerHTML = `
+      <div class="space-y-6">
+        <div class="flex items-center justify-between">
+          <div>
+            <h2 class="text-2xl font-bold text-gray-900">Email Outbox</h2>
+            <p class="text-gray-600">Emails the site has generated. With the development transport they are stored here instead of being sent</p>
+          </div>
+          <div class="flex space-x-3">
+            <input type="text" id="outbox-recipient-filter" value="${Utils.escapeHtml(this.outboxRecipient || '')}" placeholder="Filter by recipient"
+                   class="border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500">
+            <button onclick="AdminPanel.filterOutbox()" class="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg">
+              <i class="fas fa-search mr-2"></i>Filter
+            </button>
+          </div>
+        </div>
+
+        <div class="bg-white rounded-lg border border-gray-200 overflow-hidden">
+          <table class="min-w-full divide-y divide-gray-200">
+            <thead class="bg-gray-50">
+              <tr>
+                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Sent</th>
+                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">To</th>
+                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Subject</th>
+                <th class="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Type</th>
+                <th class="px-6 py-3"></th>
+              </tr>
+            </thead>
+            <tbody class="bg-white divide-y divide-gray-200">
+              ${emails.length > 0 ? emails.map(email => `
+                <tr class="hover:bg-gray-50">
+                  <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500">${dayjs(email.created_at).format('D MMM YYYY HH:mm')}</td>
+                  <td class="px-6 py-4 text-sm text-gray-900">${Utils.escapeHtml(email.recipient)}</td>
+                  <td class="px-6 py-4 text-sm text-gray-900">${Utils.escapeHtml(email.subject)}</td>
+                  <td class="px-6 py-4 text-sm text-gray-500">${Utils.escapeHtml((email.template || '').replace(/_/g, ' '))}</td>
+                  <td class="px-6 py-4 text-right">
+                    <button onclick="AdminPanel.viewOutboxEmail(${email.id})" class="text-blue-600 hover:text-blue-800 text-sm font-medium">View</button>
+                  </td>
+                </tr>
+              `).join('') : `
+                <tr>
+                  <td colspan="5" class="px-6 py-12 text-center text-gray-500">
+                    <i class="fas fa-inbox text-3xl mb-3 block"></i>
+                    No emails yet
+                  </td>
+                </tr>
+              `}
+            </tbody>
+          </table>
+
+          ${pagination && pagination.pages > 1 ? `
+            <div class="bg-gray-50 px-6 py-3 border-t border-gray-200">
+              <div class="flex items-center justify-between">
+                <div class="text-sm text-gray-700">
+                  Showing ${((pagination.page - 1) * pagination.limit) + 1} to ${Math.min(pagination.page * pagination.limit, pagination.total)} of ${pagination.total} emails
+                </div>
+                <div class="flex space-x-2">
+                  <button onclick="AdminPanel.loadOutbox(${pagination.page - 1})" ${pagination.page <= 1 ? 'disabled' : ''}
+                          class="px-3 py-1 border border-gray-300 rounded text-sm disabled:opacity-50">
+                    Previous
+                  </button>
+                  <button onclick="AdminPanel.loadOutbox(${pagination.page + 1})" ${pagination.page >= pagination.pages ? 'disabled' : ''}
+                          class="px-3 py-1 border border-gray-300 rounded text-sm disabled:opacity-50">
+                    Next
+                  </button>
+                </div>
+              </div>
+            </div>
+          ` : ''}
+        </div>
+      </div>
+    `;
+  },
+
+  filterOutbox() {
+    this.outboxRecipient = document.getElementById('outbox-recipient-filter').value.trim();
+    this.loadOutbox(1);
+  },
+
+  // Plain-text body only; links in it are shown, not followed
+  viewOutboxEmail(emailId) {
+    const email = this.outboxEmails.find(item => item.id === emailId);
+    if (!email) return;
+
+    const modal = document.createElement('div');
+    modal.className = 'fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4';
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 w-full max-w-2xl max-h-[80vh] overflow-y-auto">
+        <div class="flex items-center justify-between mb-4">
+          <h3 class="text-lg font-semibold">${Utils.escapeHtml(email.subject)}</h3>
+          <button type="button" onclick="this.closest('.fixed').remove()" class="text-gray-400 hover:text-gray-600">
+            <i class="fas fa-times"></i>
+          </button>
+        </div>
+        <p class="text-sm text-gray-500 mb-4">To ${Utils.escapeHtml(email.recipient)} · ${dayjs(email.created_at).format('D MMM YYYY HH:mm')}</p>
+        <pre class="whitespace-pre-wrap break-words text-sm text-gray-800 bg-gray-50 border border-gray-200 rounded p-4">${Utils.escapeHtml(email.text_body)}</pre>
+      </div>
+    `;
+
+    document.body.appendChild(modal);
+  },
+
   startAutoRefresh() {
     // Refresh dashboard data every 5 minutes
     this.refreshInterval = setInterval(() => {
@@ -4314,9 +6177,7 @@ const AdminPanel = {
 
   async loadSettings() {
     try {
-      const response = await axios.get('/admin/settings', {
-        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
-      });
+      const response = await axios.get('/admin/settings');
 
       if (response.data.success) {
         this.renderSettings(response.data.data);
@@ -4643,9 +6504,7 @@ const AdminPanel = {
     };
 
     try {
-      const response = await axios.post('/admin/settings', { settings }, {
-        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
-      });
+      const response = await axios.post('/admin/settings', { settings });
 
       if (response.data.success) {
         showToast('Settings saved successfully', 'success');
@@ -4662,9 +6521,7 @@ const AdminPanel = {
     }
 
     try {
-      const response = await axios.post('/admin/settings/reset', {}, {
-        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
-      });
+      const response = await axios.post('/admin/settings/reset', {});
 
       if (response.data.success) {
         showToast('Settings reset to defaults', 'success');
@@ -4677,25 +6534,59 @@ const AdminPanel = {
   },
 
   async loadActivityLogs() {
-    try {
-      const page = 1;
-      const limit = 50;
-      const response = await axios.get(`/api/admin/logs?page=${page}&limit=${limit}`, {
-        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
-      });
+    // Start on the last 30 days, matching the date inputs
+    this.logFilters = {
+      date_from: dayjs().subtract(30, 'days').format('YYYY-MM-DD'),
+      date_to: dayjs().format('YYYY-MM-DD')
+    };
 
-      if (response.data.success) {
-        this.renderActivityLogs(response.data.data);
-      }
+    try {
+      await this.fetchActivityLogs(1);
     } catch (error) {
       console.error('Error loading activity logs:', error);
       this.renderError('Failed to load activity logs');
     }
   },
 
+  async fetchActivityLogs(page) {
+    const params = new URLSearchParams();
+    Object.entries(this.logFilters || {}).forEach(([key, value]) => {
+      if (value) params.append(key, value);
+    });
+    params.append('page', page);
+    params.append('limit', '50');
+
+    const response = await axios.get(`/admin/logs?${params}`);
+
+    if (response.data.success) {
+      this.renderActivityLogs(response.data.data);
+    }
+  },
+
+  async goToLogsPage(page) {
+    try {
+      await this.fetchActivityLogs(page);
+    } catch (error) {
+      console.error('Error loading activity logs:', error);
+      Utils.showToast('Failed to load activity logs', 'error');
+    }
+  },
+
+  // "featured_cars_count: 6 → 8" for each field a snapshot pair shows changing
+  describeLogChanges(log) {
+    const before = log.before_state && typeof log.before_state === 'object' ? log.before_state : {};
+    const after = log.after_state && typeof log.after_state === 'object' ? log.after_state : {};
+    const format = value => value === null || value === undefined ? '—' : String(value);
+
+    return [...new Set([...Object.keys(before), ...Object.keys(after)])]
+      .filter(key => JSON.stringify(before[key]) !== JSON.stringify(after[key]))
+      .map(key => `${key}: ${format(before[key])} → ${format(after[key])}`);
+  },
+
   renderActivityLogs(data) {
     const container = document.getElementById('admin-content');
     const logs = data.logs || [];
+    const filters = this.logFilters || {};
     
     container.innerHTML = `
       <div class="space-y-6">
@@ -4717,21 +6608,14 @@ const AdminPanel = {
 
         <!-- Log Filters -->
         <div class="bg-white rounded-lg border border-gray-200 p-4">
-          <div class="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div class="grid grid-cols-1 md:grid-cols-3 gap-4">
             <div>
               <label class="block text-sm font-medium text-gray-700 mb-2">Action Type</label>
               <select id="log-action-filter" class="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500">
                 <option value="">All Actions</option>
-                <option value="user_login">User Login</option>
-                <option value="user_register">User Register</option>
-                <option value="car_create">Car Created</option>
-                <option value="car_update">Car Updated</option>
-                <option value="car_approve">Car Approved</option>
-                <option value="car_reject">Car Rejected</option>
-                <option value="user_verify">User Verified</option>
-                <option value="user_suspend">User Suspended</option>
-                <option value="admin_login">Admin Login</option>
-                <option value="settings_update">Settings Updated</option>
+                ${(data.actions || []).map(action => `
+                  <option value="${Utils.escapeHtml(action)}" ${filters.action === action ? 'selected' : ''}>${Utils.escapeHtml(action.replace(/_/g, ' '))}</option>
+                `).join('')}
               </select>
             </div>
             
@@ -4740,19 +6624,32 @@ const AdminPanel = {
               <select id="log-admin-filter" class="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500">
                 <option value="">All Admins</option>
                 ${(data.admins || []).map(admin => `
-                  <option value="${admin.id}">${admin.full_name}</option>
+                  <option value="${admin.id}" ${String(filters.admin_id) === String(admin.id) ? 'selected' : ''}>${Utils.escapeHtml(admin.full_name)}</option>
                 `).join('')}
               </select>
             </div>
+
+            <div>
+              <label class="block text-sm font-medium text-gray-700 mb-2">Target</label>
+              <div class="flex space-x-2">
+                <select id="log-target-type-filter" class="flex-1 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500">
+                  <option value="">Anything</option>
+                  ${['user', 'car', 'report', 'catalogue', 'system'].map(type => `
+                    <option value="${type}" ${filters.target_type === type ? 'selected' : ''}>${type.charAt(0).toUpperCase() + type.slice(1)}</option>
+                  `).join('')}
+                </select>
+                <input type="number" min="1" id="log-target-id-filter" value="${filters.target_id || ''}" placeholder="ID" class="w-24 border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500">
+              </div>
+            </div>
             
             <div>
               <label class="block text-sm font-medium text-gray-700 mb-2">Date From</label>
-              <input type="date" id="log-date-from" class="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500">
+              <input type="date" id="log-date-from" value="${filters.date_from || ''}" class="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500">
             </div>
             
             <div>
               <label class="block text-sm font-medium text-gray-700 mb-2">Date To</label>
-              <input type="date" id="log-date-to" class="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500">
+              <input type="date" id="log-date-to" value="${filters.date_to || ''}" class="w-full border border-gray-300 rounded-lg px-3 py-2 focus:ring-2 focus:ring-blue-500">
             </div>
           </div>
           
@@ -4820,7 +6717,7 @@ const AdminPanel = {
         <!-- Logs Table -->
         <div class="bg-white rounded-lg shadow border border-gray-200">
           <div class="px-6 py-4 border-b border-gray-200">
-            <h3 class="text-lg font-semibold text-gray-900">Recent Activity (${logs.length} entries)</h3>
+            <h3 class="text-lg font-semibold text-gray-900">Recent Activity (${Utils.formatNumber(data.pagination?.total || logs.length)} entries)</h3>
           </div>
           
           <div class="overflow-x-auto">
@@ -4851,13 +6748,13 @@ const AdminPanel = {
                       <td class="px-6 py-4 whitespace-nowrap">
                         <div class="flex items-center">
                           <i class="fas ${actionIcon} ${actionColor} mr-2"></i>
-                          <span class="text-sm font-medium text-gray-900">${log.action.replace('_', ' ').toUpperCase()}</span>
+                          <span class="text-sm font-medium text-gray-900">${Utils.escapeHtml(log.action.replace(/_/g, ' ').toUpperCase())}</span>
                         </div>
                       </td>
                       <td class="px-6 py-4 whitespace-nowrap">
                         <div class="flex flex-col">
-                          <span class="text-sm font-medium text-gray-900">${log.admin_name || log.user_name || 'System'}</span>
-                          ${log.user_email ? `<span class="text-xs text-gray-500">${log.user_email}</span>` : ''}
+                          <span class="text-sm font-medium text-gray-900">${Utils.escapeHtml(log.admin_name || 'System')}</span>
+                          ${log.admin_email ? `<span class="text-xs text-gray-500">${Utils.escapeHtml(log.admin_email)}</span>` : ''}
                         </div>
                       </td>
                       <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
@@ -4868,12 +6765,15 @@ const AdminPanel = {
                         ` : '-'}
                       </td>
                       <td class="px-6 py-4 whitespace-nowrap text-sm text-gray-500 font-mono">
-                        ${log.ip_address || 'N/A'}
+                        <span title="${Utils.escapeHtml(log.user_agent || '')}">${Utils.escapeHtml(log.ip_address || 'N/A')}</span>
                       </td>
                       <td class="px-6 py-4 text-sm text-gray-900">
-                        <div class="max-w-xs truncate" title="${log.details || 'No details'}">
-                          ${log.details || 'No details available'}
+                        <div class="max-w-xs truncate" title="${Utils.escapeHtml(log.details || 'No details')}">
+                          ${Utils.escapeHtml(log.details || 'No details available')}
                         </div>
+                        ${this.describeLogChanges(log).map(change => `
+                          <div class="max-w-xs truncate text-xs text-gray-500 font-mono" title="${Utils.escapeHtml(change)}">${Utils.escapeHtml(change)}</div>
+                        `).join('')}
                       </td>
                     </tr>
                   `;
@@ -4898,7 +6798,14 @@ const AdminPanel = {
                   Showing ${((data.pagination.page - 1) * data.pagination.limit) + 1} to ${Math.min(data.pagination.page * data.pagination.limit, data.pagination.total)} of ${data.pagination.total} logs
                 </div>
                 <div class="flex space-x-2">
-                  <!-- Pagination buttons would go here -->
+                  <button onclick="AdminPanel.goToLogsPage(${data.pagination.page - 1})" ${data.pagination.page <= 1 ? 'disabled' : ''}
+                          class="px-3 py-1 border border-gray-300 rounded text-sm disabled:opacity-50">
+                    Previous
+                  </button>
+                  <button onclick="AdminPanel.goToLogsPage(${data.pagination.page + 1})" ${data.pagination.page >= data.pagination.pages ? 'disabled' : ''}
+                          class="px-3 py-1 border border-gray-300 rounded text-sm disabled:opacity-50">
+                    Next
+                  </button>
                 </div>
               </div>
             </div>
@@ -4906,119 +6813,93 @@ const AdminPanel = {
         </div>
       </div>
     `;
-
-    // Setup filter event handlers
-    this.setupLogFilters();
   },
 
   getActionIcon(action) {
     const iconMap = {
-      'user_login': 'fa-sign-in-alt',
-      'user_register': 'fa-user-plus', 
-      'user_verify': 'fa-user-check',
-      'user_suspend': 'fa-user-times',
-      'car_create': 'fa-car',
-      'car_update': 'fa-edit',
-      'car_approve': 'fa-check-circle',
-      'car_reject': 'fa-times-circle',
-      'admin_login': 'fa-shield-alt',
-      'settings_update': 'fa-cogs'
+      'verify_user': 'fa-user-check',
+      'suspend_user': 'fa-user-times',
+      'unsuspend_user': 'fa-user-plus',
+      'view_users': 'fa-users',
+      'moderate_car_approve': 'fa-check-circle',
+      'moderate_car_reject': 'fa-times-circle',
+      'moderate_car_flag': 'fa-flag',
+      'report_assign': 'fa-user-tag',
+      'report_resolve': 'fa-check',
+      'report_dismiss': 'fa-times',
+      'report_reopen': 'fa-undo',
+      'update_setting': 'fa-cogs',
+      'export_logs': 'fa-download'
     };
     return iconMap[action] || 'fa-info-circle';
   },
 
   getActionColor(action) {
     const colorMap = {
-      'user_login': 'text-blue-500',
-      'user_register': 'text-green-500',
-      'user_verify': 'text-green-500', 
-      'user_suspend': 'text-red-500',
-      'car_create': 'text-blue-500',
-      'car_update': 'text-yellow-500',
-      'car_approve': 'text-green-500',
-      'car_reject': 'text-red-500',
-      'admin_login': 'text-purple-500',
-      'settings_update': 'text-orange-500'
+      'verify_user': 'text-green-500',
+      'suspend_user': 'text-red-500',
+      'unsuspend_user': 'text-green-500',
+      'view_users': 'text-blue-500',
+      'moderate_car_approve': 'text-green-500',
+      'moderate_car_reject': 'text-red-500',
+      'moderate_car_flag': 'text-yellow-500',
+      'report_assign': 'text-yellow-500',
+      'report_resolve': 'text-green-500',
+      'report_dismiss': 'text-gray-500',
+      'report_reopen': 'text-red-500',
+      'update_setting': 'text-orange-500',
+      'export_logs': 'text-purple-500'
     };
     return colorMap[action] || 'text-gray-500';
   },
 
-  setupLogFilters() {
-    const actionFilter = document.getElementById('log-action-filter');
-    const adminFilter = document.getElementById('log-admin-filter');
-    const dateFromFilter = document.getElementById('log-date-from');
-    const dateToFilter = document.getElementById('log-date-to');
-
-    // Set default date range (last 30 days)
-    if (dateToFilter) {
-      dateToFilter.value = dayjs().format('YYYY-MM-DD');
-    }
-    if (dateFromFilter) {
-      dateFromFilter.value = dayjs().subtract(30, 'days').format('YYYY-MM-DD');
-    }
+  // Reads the filter inputs into this.logFilters, which the list and export both use
+  readLogFilters() {
+    this.logFilters = {
+      action: document.getElementById('log-action-filter')?.value || '',
+      admin_id: document.getElementById('log-admin-filter')?.value || '',
+      target_type: document.getElementById('log-target-type-filter')?.value || '',
+      target_id: document.getElementById('log-target-id-filter')?.value || '',
+      date_from: document.getElementById('log-date-from')?.value || '',
+      date_to: document.getElementById('log-date-to')?.value || ''
+    };
+    return this.logFilters;
   },
 
   async applyLogFilters() {
-    const action = document.getElementById('log-action-filter')?.value || '';
-    const adminId = document.getElementById('log-admin-filter')?.value || '';
-    const dateFrom = document.getElementById('log-date-from')?.value || '';
-    const dateTo = document.getElementById('log-date-to')?.value || '';
+    this.readLogFilters();
 
     try {
-      const params = new URLSearchParams();
-      if (action) params.append('action', action);
-      if (adminId) params.append('admin_id', adminId);
-      if (dateFrom) params.append('date_from', dateFrom);
-      if (dateTo) params.append('date_to', dateTo);
-      params.append('page', '1');
-      params.append('limit', '50');
-
-      const response = await axios.get(`/api/admin/logs?${params}`, {
-        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` }
-      });
-
-      if (response.data.success) {
-        this.renderActivityLogs(response.data.data);
-      }
+      await this.fetchActivityLogs(1);
     } catch (error) {
       console.error('Error applying log filters:', error);
-      showToast('Failed to apply filters', 'error');
+      Utils.showToast(error.response?.data?.error || 'Failed to apply filters', 'error');
     }
   },
 
   clearLogFilters() {
-    document.getElementById('log-action-filter').value = '';
-    document.getElementById('log-admin-filter').value = '';
-    document.getElementById('log-date-from').value = dayjs().subtract(30, 'days').format('YYYY-MM-DD');
-    document.getElementById('log-date-to').value = dayjs().format('YYYY-MM-DD');
-    this.applyLogFilters();
+    this.loadActivityLogs();
   },
 
   refreshLogs() {
-    this.loadActivityLogs();
+    this.readLogFilters();
+    this.goToLogsPage(1);
   },
 
   async exportLogs() {
-    const action = document.getElementById('log-action-filter')?.value || '';
-    const adminId = document.getElementById('log-admin-filter')?.value || '';
-    const dateFrom = document.getElementById('log-date-from')?.value || '';
-    const dateTo = document.getElementById('log-date-to')?.value || '';
-
     try {
       const params = new URLSearchParams();
-      if (action) params.append('action', action);
-      if (adminId) params.append('admin_id', adminId);
-      if (dateFrom) params.append('date_from', dateFrom);
-      if (dateTo) params.append('date_to', dateTo);
+      Object.entries(this.readLogFilters()).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+      });
       params.append('export', 'csv');
 
-      const response = await axios.get(`/api/admin/logs/export?${params}`, {
-        headers: { 'Authorization': `Bearer ${localStorage.getItem('token')}` },
+      const response = await axios.get(`/admin/logs/export?${params}`, {
         responseType: 'blob'
       });
 
       // Create download link
-      const url = window.URL.createObjectURL(new Blob([response.data]));
+      const url = window.URL.createObjectURL(new Blob([response.data], { type: 'text/csv' }));
       const link = document.createElement('a');
       link.href = url;
       link.setAttribute('download', `activity-logs-${dayjs().format('YYYY-MM-DD')}.csv`);
@@ -5027,10 +6908,10 @@ const AdminPanel = {
       link.remove();
       window.URL.revokeObjectURL(url);
 
-      showToast('Activity logs exported successfully', 'success');
+      Utils.showToast('Activity logs exported successfully', 'success');
     } catch (error) {
       console.error('Error exporting logs:', error);
-      showToast('Failed to export logs', 'error');
+      Utils.showToast('Failed to export logs', 'error');
     }
   },
 
@@ -5071,8 +6952,8 @@ document.addEventListener('DOMContentLoaded', async () => {
       Cars.loadFeaturedCars();
       Forms.setupHomepageSearch();
     } else if (path === '/browse') {
-      // Browse page initialization  
-      Cars.searchCars();
+      // Browse page initialization; the server has already pre-selected the form from the URL
+      Cars.searchCars(Forms.getBrowseFiltersFromUrl());
       Forms.setupBrowseFilters();
     } else if (path.startsWith('/car/')) {
       // Car details page
@@ -5100,6 +6981,9 @@ document.addEventListener('DOMContentLoaded', async () => {
       } else {
         window.location.href = '/login';
       }
+    } else if (path === '/compare') {
+      // Car comparison page
+      await Compare.loadComparison();
     } else if (path.startsWith('/profile/')) {
       // User profile page
       const userId = path.split('/')[2];
@@ -5115,6 +6999,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     } else if (path === '/register') {
       // Register page
       Forms.setupRegister();
+    } else if (path === '/verify-email') {
+      // Email confirmation link
+      await Forms.verifyEmail();
     }
   } catch (error) {
     console.error('Error during page initialization:', error);
@@ -5127,6 +7014,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 // Make functions available globally  
 window.searchCars = searchCars;
 window.applyFilters = applyFilters;
+window.saveCurrentSearch = saveCurrentSearch;
 window.clearFilters = clearFilters;
 window.Utils = Utils;
 window.Auth = Auth;
@@ -5136,4 +7024,6 @@ window.Dashboard = Dashboard;
 window.SellCar = SellCar;
 window.Messages = Messages;
 window.SavedCars = SavedCars;
-window.UserProfile = UserProfile;
\ No newline at end of file
+window.Compare = Compare;
+window.UserProfile = UserProfile;
+window.Reports = Reports;
\ No newline at end of file
@@ -123,6 +123,9 @@ INSERT OR IGNORE INTO cars (
     '/static/images/cars/mercedes-a-class-1.jpg', 'active'
   );
 
+-- Test listings have already been through moderation
+UPDATE cars SET moderation_status = 'approved', moderated_at = CURRENT_TIMESTAMP WHERE moderation_status = 'pending';
+
 -- Insert sample messages
 INSERT OR IGNORE INTO messages (car_id, sender_id, recipient_id, subject, message, is_read) VALUES 
   (1, 3, 1, 'Interest in Ford Fiesta', 'Hi, I\'m very interested in your Ford Fiesta. Is it still available? Could we arrange a viewing this weekend?', 1),
@@ -59,4 +59,7 @@ INSERT OR IGNORE INTO cars (
    28995000, 'Sandown, Isle of Wight', '2026-03-15', 1,
    '["Hybrid Technology", "Panoramic Sunroof", "Wireless Charging", "Lane Keep Assist"]',
    'As new condition. Manufacturer warranty until 2029.',
-   '/static/images/cars/kia-sportage-1.jpg', 'active');
\ No newline at end of file
+   '/static/images/cars/kia-sportage-1.jpg', 'active');
+
+-- Test listings have already been through moderation
+UPDATE cars SET moderation_status = 'approved', moderated_at = CURRENT_TIMESTAMP WHERE moderation_status = 'pending';
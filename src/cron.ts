@@ -0,0 +1,18 @@
+// WightCars scheduled jobs
+// Pages projects can't run cron triggers, so this entry point is deployed as its own
+// Worker (wrangler.cron.jsonc) with the same D1 database bound as DB
+import type { CloudflareBindings } from './types'
+import { DatabaseService } from './utils/database'
+
+type CronBindings = Pick<CloudflareBindings, 'DB'>
+
+export default {
+  // Daily: warn owners about listings that are about to expire, then withdraw expired ones
+  async scheduled(_event, env, ctx) {
+    const db = new DatabaseService(env.DB)
+    ctx.waitUntil((async () => {
+      await db.warnExpiringListings()
+      await db.withdrawExpiredListings()
+    })())
+  }
+} satisfies ExportedHandler<CronBindings>
@@ -2,7 +2,12 @@ import { Hono } from 'hono'
 import { cors } from 'hono/cors'
 import { serveStatic } from 'hono/cloudflare-workers'
 import type { CloudflareBindings } from './types'
+import { POPULAR_CAR_MAKES } from './types'
 import { renderer } from './renderer'
+import { DatabaseService } from './utils/database'
+import { buildCarPageMeta } from './utils/seo'
+import { getSiteSettings } from './utils/settings'
+import { verifyJWT, extractToken } from './utils/auth'
 
 // Import API routes
 import auth from './routes/auth'
@@ -11,6 +16,9 @@ import messages from './routes/messages'
 import users from './routes/users'
 import images from './routes/images'
 import admin from './routes/admin'
+import reports from './routes/reports'
+import sitemap from './routes/sitemap'
+import feeds from './routes/feeds'
 
 const app = new Hono<{ Bindings: CloudflareBindings }>()
 
@@ -27,6 +35,46 @@ app.use('/static/*', serveStatic({ root: './public' }))
 // Use renderer for HTML responses
 app.use(renderer)
 
+// Maintenance mode: the API returns 503 to everyone but admins, recognised by their bearer
+// token. Page navigations carry no token, so apart from the sign-in page and the admin panel,
+// admins see the maintenance page like everyone else
+const MAINTENANCE_OPEN_PATHS = ['/login', '/admin', '/api/auth/login', '/api/auth/refresh', '/api/health']
+const MAINTENANCE_RETRY_AFTER_SECONDS = '600'
+
+app.use('*', async (c, next) => {
+  const { maintenance_mode, site_name } = await getSiteSettings(c.env.DB)
+  if (!maintenance_mode || c.req.path.startsWith('/static/') || MAINTENANCE_OPEN_PATHS.includes(c.req.path)) {
+    return next()
+  }
+
+  const token = extractToken(c.req.header('Authorization'))
+  const payload = token ? await verifyJWT(token, c.env) : null
+  if (payload && c.env.DB) {
+    const user = await new DatabaseService(c.env.DB).getUserById(payload.userId)
+    if (user?.is_admin) return next()
+  }
+
+  c.header('Retry-After', MAINTENANCE_RETRY_AFTER_SECONDS)
+  if (c.req.path.startsWith('/api/')) {
+    return c.json({
+      success: false,
+      error: `${site_name} is down for maintenance. Please try again shortly.`
+    }, 503)
+  }
+
+  c.status(503)
+  return c.render(
+    <div class="min-h-screen bg-gray-50 flex flex-col justify-center py-12 px-4">
+      <div class="max-w-md mx-auto text-center">
+        <i class="fas fa-tools text-5xl text-blue-600 mb-4"></i>
+        <h1 class="text-3xl font-bold text-gray-900 mb-2">We'll be right back</h1>
+        <p class="text-gray-600">{site_name} is down for maintenance. Please try again shortly.</p>
+      </div>
+    </div>,
+    { title: `Down for maintenance | ${site_name}`, noindex: true }
+  )
+})
+
 // Mount API routes
 app.route('/api/auth', auth)
 app.route('/api/cars', cars)
@@ -34,6 +82,30 @@ app.route('/api/messages', messages)
 app.route('/api/users', users)
 app.route('/api/images', images)
 app.route('/api/admin', admin)
+app.route('/api/reports', reports)
+
+// Sitemap and robots.txt for search engines
+app.route('/', sitemap)
+
+// Atom and RSS feeds of new listings
+app.route('/feeds', feeds)
+
+// Settings the browser needs, such as the image upload limits
+app.get('/api/settings', async (c) => {
+  const settings = await getSiteSettings(c.env.DB)
+
+  return c.json({
+    success: true,
+    data: {
+      site_name: settings.site_name,
+      enable_user_registration: settings.enable_user_registration,
+      require_verification_to_sell: settings.require_verification_to_sell,
+      require_email_verification: settings.require_email_verification,
+      max_images_per_car: settings.max_images_per_car,
+      max_image_size_mb: settings.max_image_size_mb
+    }
+  })
+})
 
 // API health check
 app.get('/api/health', async (c) => {
@@ -305,7 +377,65 @@ app.get('/', (c) => {
 })
 
 // Browse cars page
-app.get('/browse', (c) => {
+// Query string keys the browse page reads and writes; one per user-facing CarFilters field
+const BROWSE_FILTER_KEYS = [
+  'search', 'make', 'model', 'min_price', 'max_price', 'min_year', 'max_year',
+  'min_mileage', 'max_mileage', 'fuel_type', 'transmission', 'body_type', 'location',
+  'near', 'radius_miles', 'is_dealer', 'sort_by', 'page', 'limit'
+] as const
+
+type BrowseFilters = Partial<Record<typeof BROWSE_FILTER_KEYS[number], string>>
+type FilterOption = [value: string, label: string]
+
+const formatPence = (pence: string) => `£${Math.round(parseInt(pence) / 100).toLocaleString('en-GB')}`
+const formatMiles = (miles: string) => `${parseInt(miles).toLocaleString('en-GB')} miles`
+
+// Browse filter select, pre-selected from the URL. A value the list doesn't offer
+// (e.g. a price band from the homepage search) is added so the form matches the results.
+const FilterSelect = ({ name, value, options, extraClass, customLabel }: {
+  name: string
+  value?: string
+  options: FilterOption[]
+  extraClass?: string
+  customLabel?: (value: string) => string
+}) => {
+  const isCustom = !!value && !options.some(([optionValue]) => optionValue === value)
+
+  return (
+    <select name={name} class={`${extraClass ? extraClass + ' ' : ''}w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500`}>
+      {options.map(([optionValue, label]) => (
+        <option value={optionValue} selected={optionValue === (value || '')}>{label}</option>
+      ))}
+      {isCustom && <option value={value} selected>{customLabel ? customLabel(value!) : value}</option>}
+    </select>
+  )
+}
+
+app.get('/browse', async (c) => {
+  const query = c.req.query()
+  const filters: BrowseFilters = {}
+  for (const key of BROWSE_FILTER_KEYS) {
+    // Option values are lower case; the API matches these case-insensitively anyway
+    if (query[key]) filters[key] = ['make', 'model', 'location'].includes(key) ? query[key].toLowerCase() : query[key]
+  }
+
+  // Makes come from the catalogue once it's been migrated
+  const catalogue = c.env.DB ? await new DatabaseService(c.env.DB).getCarMakes() : []
+  const makes = catalogue.length > 0 ? catalogue : POPULAR_CAR_MAKES
+
+  // An alias such as "vw" selects the make it stands for
+  const selectedMake = makes.find(make =>
+    make.name.toLowerCase() === filters.make ||
+    make.aliases?.some(alias => alias.toLowerCase() === filters.make))
+  if (selectedMake) filters.make = selectedMake.name.toLowerCase()
+
+  // Feeds follow the search but always list the newest cars first
+  const feedParams = new URLSearchParams()
+  for (const key of BROWSE_FILTER_KEYS) {
+    if (filters[key] && !['sort_by', 'page', 'limit'].includes(key)) feedParams.set(key, filters[key]!)
+  }
+  const feedQuery = feedParams.toString() ? `?${feedParams}` : ''
+
   return c.render(
     <div class="min-h-screen bg-gray-50">
       {/* Header with navigation will be added */}
@@ -319,112 +449,183 @@ app.get('/browse', (c) => {
               <h2 class="text-xl font-semibold mb-4">Filters</h2>
               
               <form id="filters-form" class="space-y-4">
+                <div>
+                  <label class="block text-sm font-medium text-gray-700 mb-2">Keywords</label>
+                  <input type="search" name="search" value={filters.search || ''} placeholder='e.g. "full service history" or merc*' class="w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500" />
+                </div>
+                
                 <div>
                   <label class="block text-sm font-medium text-gray-700 mb-2">Make</label>
-                  <select name="make" class="car-make-select w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500">
-                    <option value="">Any Make</option>
-                  </select>
+                  <FilterSelect name="make" value={filters.make} extraClass="car-make-select" options={[
+                    ['', 'Any Make'],
+                    ...makes.map(make => [make.name.toLowerCase(), make.name] as FilterOption)
+                  ]} />
                 </div>
                 
                 <div>
                   <label class="block text-sm font-medium text-gray-700 mb-2">Model</label>
-                  <select name="model" class="w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500">
-                    <option value="">Any Model</option>
-                  </select>
+                  <FilterSelect name="model" value={filters.model} options={[
+                    ['', 'Any Model'],
+                    ...(selectedMake?.models || []).map(model => [model.toLowerCase(), model] as FilterOption)
+                  ]} />
                 </div>
                 
                 <div>
                   <label class="block text-sm font-medium text-gray-700 mb-2">Price Range</label>
                   <div class="grid grid-cols-2 gap-2">
-                    <select name="min_price" class="w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500">
-                      <option value="">Min Price</option>
-                      <option value="500000">£5,000</option>
-                      <option value="1000000">£10,000</option>
-                      <option value="1500000">£15,000</option>
-                      <option value="2000000">£20,000</option>
-                      <option value="3000000">£30,000</option>
-                    </select>
-                    <select name="max_price" class="w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500">
-                      <option value="">Max Price</option>
-                      <option value="1000000">£10,000</option>
-                      <option value="2000000">£20,000</option>
-                      <option value="3000000">£30,000</option>
-                      <option value="5000000">£50,000</option>
-                      <option value="10000000">£100,000</option>
-                    </select>
+                    <FilterSelect name="min_price" value={filters.min_price} customLabel={formatPence} options={[
+                      ['', 'Min Price'],
+                      ['500000', '£5,000'],
+                      ['1000000', '£10,000'],
+                      ['1500000', '£15,000'],
+                      ['2000000', '£20,000'],
+                      ['3000000', '£30,000']
+                    ]} />
+                    <FilterSelect name="max_price" value={filters.max_price} customLabel={formatPence} options={[
+                      ['', 'Max Price'],
+                      ['1000000', '£10,000'],
+                      ['2000000', '£20,000'],
+                      ['3000000', '£30,000'],
+                      ['5000000', '£50,000'],
+                      ['10000000', '£100,000']
+                    ]} />
                   </div>
                 </div>
                 
                 <div>
                   <label class="block text-sm font-medium text-gray-700 mb-2">Year Range</label>
                   <div class="grid grid-cols-2 gap-2">
-                    <select name="min_year" class="w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500">
-                      <option value="">Min Year</option>
-                      <option value="2020">2020+</option>
-                      <option value="2018">2018+</option>
-                      <option value="2016">2016+</option>
-                      <option value="2014">2014+</option>
-                      <option value="2010">2010+</option>
-                    </select>
-                    <select name="max_year" class="w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500">
-                      <option value="">Max Year</option>
-                      <option value="2024">2024</option>
-                      <option value="2022">2022</option>
-                      <option value="2020">2020</option>
-                      <option value="2018">2018</option>
-                    </select>
+                    <FilterSelect name="min_year" value={filters.min_year} customLabel={year => `${year}+`} options={[
+                      ['', 'Min Year'],
+                      ['2020', '2020+'],
+                      ['2018', '2018+'],
+                      ['2016', '2016+'],
+                      ['2014', '2014+'],
+                      ['2010', '2010+']
+                    ]} />
+                    <FilterSelect name="max_year" value={filters.max_year} options={[
+                      ['', 'Max Year'],
+                      ['2024', '2024'],
+                      ['2022', '2022'],
+                      ['2020', '2020'],
+                      ['2018', '2018']
+                    ]} />
+                  </div>
+                </div>
+                
+                <div>
+                  <label class="block text-sm font-medium text-gray-700 mb-2">Mileage</label>
+                  <div class="grid grid-cols-2 gap-2">
+                    <FilterSelect name="min_mileage" value={filters.min_mileage} customLabel={formatMiles} options={[
+                      ['', 'Min Mileage'],
+                      ['10000', '10,000 miles'],
+                      ['30000', '30,000 miles'],
+                      ['60000', '60,000 miles']
+                    ]} />
+                    <FilterSelect name="max_mileage" value={filters.max_mileage} customLabel={formatMiles} options={[
+                      ['', 'Max Mileage'],
+                      ['10000', '10,000 miles'],
+                      ['30000', '30,000 miles'],
+                      ['60000', '60,000 miles'],
+                      ['100000', '100,000 miles']
+                    ]} />
                   </div>
                 </div>
                 
                 <div>
                   <label class="block text-sm font-medium text-gray-700 mb-2">Fuel Type</label>
-                  <select name="fuel_type" class="w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500">
-                    <option value="">Any Fuel</option>
-                    <option value="petrol">Petrol</option>
-                    <option value="diesel">Diesel</option>
-                    <option value="electric">Electric</option>
-                    <option value="hybrid">Hybrid</option>
-                  </select>
+                  <FilterSelect name="fuel_type" value={filters.fuel_type} options={[
+                    ['', 'Any Fuel'],
+                    ['petrol', 'Petrol'],
+                    ['diesel', 'Diesel'],
+                    ['electric', 'Electric'],
+                    ['hybrid', 'Hybrid']
+                  ]} />
                 </div>
                 
                 <div>
                   <label class="block text-sm font-medium text-gray-700 mb-2">Transmission</label>
-                  <select name="transmission" class="w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500">
-                    <option value="">Any Transmission</option>
-                    <option value="manual">Manual</option>
-                    <option value="automatic">Automatic</option>
-                  </select>
+                  <FilterSelect name="transmission" value={filters.transmission} options={[
+                    ['', 'Any Transmission'],
+                    ['manual', 'Manual'],
+                    ['automatic', 'Automatic']
+                  ]} />
+                </div>
+                
+                <div>
+                  <label class="block text-sm font-medium text-gray-700 mb-2">Body Type</label>
+                  <FilterSelect name="body_type" value={filters.body_type} options={[
+                    ['', 'Any Body Type'],
+                    ['hatchback', 'Hatchback'],
+                    ['saloon', 'Saloon'],
+                    ['estate', 'Estate'],
+                    ['suv', 'SUV'],
+                    ['coupe', 'Coupe'],
+                    ['convertible', 'Convertible'],
+                    ['mpv', 'MPV'],
+                    ['van', 'Van']
+                  ]} />
                 </div>
                 
                 <div>
                   <label class="block text-sm font-medium text-gray-700 mb-2">Location</label>
-                  <select name="location" class="w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500">
-                    <option value="">Anywhere on Island</option>
-                    <option value="newport">Newport</option>
-                    <option value="cowes">Cowes</option>
-                    <option value="east cowes">East Cowes</option>
-                    <option value="ryde">Ryde</option>
-                    <option value="sandown">Sandown</option>
-                    <option value="shanklin">Shanklin</option>
-                    <option value="ventnor">Ventnor</option>
-                    <option value="freshwater">Freshwater</option>
-                    <option value="yarmouth">Yarmouth</option>
-                    <option value="bembridge">Bembridge</option>
-                  </select>
+                  <FilterSelect name="location" value={filters.location} options={[
+                    ['', 'Anywhere on Island'],
+                    ['newport', 'Newport'],
+                    ['cowes', 'Cowes'],
+                    ['east cowes', 'East Cowes'],
+                    ['ryde', 'Ryde'],
+                    ['sandown', 'Sandown'],
+                    ['shanklin', 'Shanklin'],
+                    ['ventnor', 'Ventnor'],
+                    ['freshwater', 'Freshwater'],
+                    ['yarmouth', 'Yarmouth'],
+                    ['bembridge', 'Bembridge']
+                  ]} />
+                </div>
+                
+                <div>
+                  <label class="block text-sm font-medium text-gray-700 mb-2">Distance</label>
+                  <div class="grid grid-cols-2 gap-2">
+                    <input type="text" name="near" value={filters.near || ''} placeholder="Postcode or town" class="w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500" />
+                    <FilterSelect name="radius_miles" value={filters.radius_miles} customLabel={miles => `Within ${miles} miles`} options={[
+                      ['', 'Any distance'],
+                      ['1', 'Within 1 mile'],
+                      ['3', 'Within 3 miles'],
+                      ['5', 'Within 5 miles'],
+                      ['10', 'Within 10 miles']
+                    ]} />
+                  </div>
+                </div>
+                
+                <div>
+                  <label class="block text-sm font-medium text-gray-700 mb-2">Seller</label>
+                  <FilterSelect name="is_dealer" value={filters.is_dealer} options={[
+                    ['', 'Any Seller'],
+                    ['true', 'Dealers only'],
+                    ['false', 'Private sellers only']
+                  ]} />
                 </div>
                 
                 <div>
                   <label class="block text-sm font-medium text-gray-700 mb-2">Sort By</label>
-                  <select name="sort_by" class="w-full p-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500">
-                    <option value="created_desc">Newest First</option>
-                    <option value="created_asc">Oldest First</option>
-                    <option value="price_asc">Price: Low to High</option>
-                    <option value="price_desc">Price: High to Low</option>
-                    <option value="year_desc">Year: Newest First</option>
-                    <option value="year_asc">Year: Oldest First</option>
-                  </select>
+                  <FilterSelect name="sort_by" value={filters.sort_by} options={[
+                    ['', 'Best Match'],
+                    ['created_desc', 'Newest First'],
+                    ['created_asc', 'Oldest First'],
+                    ['distance_asc', 'Distance: Nearest First'],
+                    ['price_asc', 'Price: Low to High'],
+                    ['price_desc', 'Price: High to Low'],
+                    ['year_desc', 'Year: Newest First'],
+                    ['year_asc', 'Year: Oldest First'],
+                    ['mileage_asc', 'Mileage: Lowest First'],
+                    ['mileage_desc', 'Mileage: Highest First']
+                  ]} />
                 </div>
                 
+                {/* Kept so paging and non-form filters survive a re-submit */}
+                {filters.limit && <input type="hidden" name="limit" value={filters.limit} />}
+                
                 <button type="button" onclick="applyFilters()" class="w-full bg-blue-600 text-white py-2 px-4 rounded-md hover:bg-blue-700 transition duration-200 font-medium">
                   <i class="fas fa-search mr-2"></i>
                   Apply Filters
@@ -434,6 +635,16 @@ app.get('/browse', (c) => {
                   <i class="fas fa-times mr-2"></i>
                   Clear Filters
                 </button>
+                
+                <button type="button" onclick="saveCurrentSearch()" class="w-full bg-white text-blue-600 border border-blue-600 py-2 px-4 rounded-md hover:bg-blue-50 transition duration-200 font-medium">
+                  <i class="fas fa-bell mr-2"></i>
+                  Save this search
+                </button>
+                
+                <a id="browse-feed-link" href={`/feeds/cars.atom${feedQuery}`} class="block text-center text-sm text-orange-600 hover:text-orange-700">
+                  <i class="fas fa-rss mr-1"></i>
+                  Follow new matches in a feed reader
+                </a>
               </form>
             </div>
           </div>
@@ -455,7 +666,13 @@ app.get('/browse', (c) => {
           </div>
         </div>
       </div>
-    </div>
+    </div>,
+    {
+      feeds: [
+        { title: 'New WightCars listings (Atom)', type: 'application/atom+xml', href: `/feeds/cars.atom${feedQuery}` },
+        { title: 'New WightCars listings (RSS)', type: 'application/rss+xml', href: `/feeds/cars.rss${feedQuery}` }
+      ]
+    }
   )
 })
 
@@ -504,6 +721,11 @@ app.get('/login', (c) => {
                   class="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
                 />
               </div>
+              <div class="mt-2 text-right text-sm">
+                <a href="/forgot-password" class="font-medium text-blue-600 hover:text-blue-500">
+                  Forgot your password?
+                </a>
+              </div>
             </div>
 
             <div>
@@ -543,8 +765,183 @@ app.get('/login', (c) => {
   )
 })
 
+// Forgot password page: asks for the email to send a reset link to
+app.get('/forgot-password', (c) => {
+  return c.render(
+    <div class="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div class="sm:mx-auto sm:w-full sm:max-w-md">
+        <div class="text-center">
+          <i class="fas fa-key text-4xl text-blue-600 mb-4"></i>
+          <h2 class="text-3xl font-bold text-gray-900">Forgot your password?</h2>
+          <p class="mt-2 text-gray-600">Enter your email and we'll send you a link to choose a new one</p>
+        </div>
+      </div>
+
+      <div class="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div class="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10">
+          <form id="forgot-password-form" class="space-y-6">
+            <div>
+              <label for="email" class="block text-sm font-medium text-gray-700">
+                Email address
+              </label>
+              <div class="mt-1">
+                <input 
+                  id="email" 
+                  name="email" 
+                  type="email" 
+                  autocomplete="email" 
+                  required 
+                  class="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                />
+              </div>
+            </div>
+
+            <div>
+              <button 
+                type="submit" 
+                class="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+              >
+                <i class="fas fa-paper-plane mr-2"></i>
+                Send reset link
+              </button>
+            </div>
+          </form>
+
+          <div id="forgot-password-sent" class="hidden text-center">
+            <i class="fas fa-envelope-open-text text-3xl text-green-500 mb-3"></i>
+            <p class="text-gray-700" id="forgot-password-message"></p>
+          </div>
+
+          <div class="mt-6 text-center text-sm">
+            <a href="/login" class="font-medium text-blue-600 hover:text-blue-500">
+              <i class="fas fa-arrow-left mr-1"></i>
+              Back to sign in
+            </a>
+          </div>
+        </div>
+      </div>
+    </div>,
+    { title: 'Forgot password | WightCars', noindex: true }
+  )
+})
+
+// Reset password page, reached from the emailed link
+app.get('/reset-password', (c) => {
+  const token = c.req.query('token') || ''
+
+  // The token is in the URL; don't pass it on to the CDNs this page loads from
+  c.header('Referrer-Policy', 'no-referrer')
+
+  return c.render(
+    <div class="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div class="sm:mx-auto sm:w-full sm:max-w-md">
+        <div class="text-center">
+          <i class="fas fa-lock text-4xl text-blue-600 mb-4"></i>
+          <h2 class="text-3xl font-bold text-gray-900">Choose a new password</h2>
+        </div>
+      </div>
+
+      <div class="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div class="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10">
+          {token ? (
+            <form id="reset-password-form" class="space-y-6">
+              <input type="hidden" name="token" value={token} />
+
+              <div>
+                <label for="password" class="block text-sm font-medium text-gray-700">
+                  New password
+                </label>
+                <div class="mt-1">
+                  <input 
+                    id="password" 
+                    name="password" 
+                    type="password" 
+                    autocomplete="new-password" 
+                    minlength={6}
+                    required 
+                    class="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label for="confirm_password" class="block text-sm font-medium text-gray-700">
+                  Confirm new password
+                </label>
+                <div class="mt-1">
+                  <input 
+                    id="confirm_password" 
+                    name="confirm_password" 
+                    type="password" 
+                    autocomplete="new-password" 
+                    minlength={6}
+                    required 
+                    class="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500"
+                  />
+                </div>
+              </div>
+
+              <div>
+                <button 
+                  type="submit" 
+                  class="w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500"
+                >
+                  <i class="fas fa-check mr-2"></i>
+                  Reset password
+                </button>
+              </div>
+            </form>
+          ) : (
+            <div class="text-center">
+              <p class="text-gray-700 mb-4">This reset link is incomplete. Please request a new one.</p>
+              <a href="/forgot-password" class="font-medium text-blue-600 hover:text-blue-500">
+                Request a new link
+              </a>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>,
+    { title: 'Reset password | WightCars', noindex: true }
+  )
+})
+
+// Email confirmation page, reached from the link sent at sign-up. app.js redeems the token
+app.get('/verify-email', (c) => {
+  // The token is in the URL; don't pass it on to the CDNs this page loads from
+  c.header('Referrer-Policy', 'no-referrer')
+
+  return c.render(
+    <div class="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div class="sm:mx-auto sm:w-full sm:max-w-md">
+        <div class="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10 text-center" id="verify-email-status">
+          <i class="fas fa-spinner fa-spin text-4xl text-blue-600 mb-4"></i>
+          <h2 class="text-2xl font-bold text-gray-900">Confirming your email...</h2>
+        </div>
+      </div>
+    </div>,
+    { title: 'Confirm your email | WightCars', noindex: true }
+  )
+})
+
 // Register page
-app.get('/register', (c) => {
+app.get('/register', async (c) => {
+  // Admins can close sign-ups from the site settings
+  const { enable_user_registration } = await getSiteSettings(c.env.DB)
+  if (!enable_user_registration) {
+    return c.render(
+      <div class="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+        <div class="sm:mx-auto sm:w-full sm:max-w-md text-center">
+          <i class="fas fa-user-lock text-4xl text-gray-400 mb-4"></i>
+          <h2 class="text-3xl font-bold text-gray-900">Registration is closed</h2>
+          <p class="mt-2 text-gray-600">We're not taking new accounts at the moment. Please check back soon.</p>
+          <a href="/login" class="inline-block mt-6 text-blue-600 hover:text-blue-800">Already have an account? Sign in</a>
+        </div>
+      </div>,
+      { title: 'Registration closed | WightCars', noindex: true }
+    )
+  }
+
   return c.render(
     <div class="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
       <div class="sm:mx-auto sm:w-full sm:max-w-md">
@@ -672,21 +1069,111 @@ app.get('/register', (c) => {
 })
 
 // Car Details Page
+// Rendered server-side so crawlers and link previews see the listing; app.js then
+// replaces it with the interactive version
 app.get('/car/:id', async (c) => {
-  const carId = c.req.param('id')
+  const carId = parseInt(c.req.param('id'))
+  const db = c.env.DB ? new DatabaseService(c.env.DB) : null
+  const car = carId && db ? await db.getCarById(carId, { countView: false }) : null
+
+  // Listings awaiting or failing moderation look missing to everyone here; app.js
+  // fetches them again with the visitor's token, so owners and admins still see them
+  if (!car || car.status === 'deleted' || !(db && await db.isListingPublic(car))) {
+    c.status(404)
+    return c.render(
+      <div class="min-h-screen bg-gray-50">
+        <div class="container mx-auto px-4 py-8">
+          <div id="car-details-container" data-server-rendered="true">
+            <div class="py-8 text-center">
+              <i class="fas fa-car text-5xl text-gray-400 mb-4"></i>
+              <h1 class="text-2xl font-bold text-gray-800 mb-2">Car not found</h1>
+              <p class="text-gray-500 mb-6">This listing may have been sold or removed.</p>
+              <a href="/browse" class="bg-blue-600 text-white px-6 py-3 rounded-lg hover:bg-blue-700">
+                <i class="fas fa-search mr-2"></i>Browse Cars
+              </a>
+            </div>
+          </div>
+        </div>
+      </div>,
+      { title: 'Car not found | WightCars', noindex: true }
+    )
+  }
+
+  const origin = new URL(c.req.url).origin
+  const price = car.price ? `£${Math.round(car.price / 100).toLocaleString('en-GB')}` : 'POA'
+  const specs: [string, string][] = [
+    ['fa-calendar', String(car.year)],
+    ['fa-road', car.mileage ? `${car.mileage.toLocaleString('en-GB')} miles` : 'Not specified'],
+    ['fa-gas-pump', car.fuel_type],
+    ['fa-cog', car.transmission],
+    ['fa-car', car.body_type],
+    ['fa-map-marker-alt', car.location]
+  ]
   
   return c.render(
     <div class="min-h-screen bg-gray-50">
       <div class="container mx-auto px-4 py-8">
-        {/* Car details will be loaded by JavaScript */}
-        <div id="car-details-container" data-car-id={carId}>
-          <div class="text-center py-12">
-            <i class="fas fa-spinner fa-spin text-3xl text-gray-400 mb-4"></i>
-            <p class="text-gray-500">Loading car details...</p>
-          </div>
+        <div id="car-details-container" data-car-id={car.id} data-server-rendered="true">
+          <article class="bg-white rounded-lg shadow-lg overflow-hidden">
+            <div class="relative h-96 bg-gray-200">
+              <img src={car.featured_image || '/static/images/cars/placeholder-car.svg'} alt={car.title} class="w-full h-full object-cover" />
+            </div>
+            <div class="p-6">
+              <div class="flex flex-col lg:flex-row gap-8">
+                <div class="lg:w-2/3">
+                  <h1 class="text-3xl font-bold text-gray-800 mb-4">{car.title}</h1>
+                  
+                  <div class="grid grid-cols-2 md:grid-cols-3 gap-4 mb-6 text-sm">
+                    {specs.map(([icon, value]) => (
+                      <div class="flex items-center">
+                        <i class={`fas ${icon} mr-2 text-gray-500`}></i>
+                        <span class="capitalize">{value}</span>
+                      </div>
+                    ))}
+                  </div>
+                  
+                  {car.description && (
+                    <div class="mb-6">
+                      <h2 class="text-lg font-semibold mb-2">Description</h2>
+                      <p class="text-gray-700 leading-relaxed">{car.description}</p>
+                    </div>
+                  )}
+                  
+                  {car.features && car.features.length > 0 && (
+                    <div class="mb-6">
+                      <h2 class="text-lg font-semibold mb-2">Features</h2>
+                      <div class="flex flex-wrap gap-2">
+                        {car.features.map(feature => (
+                          <span class="bg-blue-100 text-blue-800 px-3 py-1 rounded-full text-sm">{feature}</span>
+                        ))}
+                      </div>
+                    </div>
+                  )}
+                </div>
+                
+                <div class="lg:w-1/3">
+                  <div class="bg-gray-50 rounded-lg p-6 mb-6">
+                    <div class="text-3xl font-bold text-green-600 mb-2">{price}</div>
+                    {car.is_negotiable && <p class="text-sm text-gray-600">Price negotiable</p>}
+                  </div>
+                  
+                  {car.seller && (
+                    <div class="bg-gray-50 rounded-lg p-6">
+                      <h2 class="text-lg font-semibold mb-3">Seller Information</h2>
+                      <p class="font-semibold">
+                        <a href={`/profile/${car.user_id}`} class="hover:text-blue-600">{car.seller.full_name}</a>
+                      </p>
+                      <p class="text-sm text-gray-600">{car.seller.location}</p>
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+          </article>
         </div>
       </div>
-    </div>
+    </div>,
+    buildCarPageMeta(car, origin)
   )
 })
 
@@ -725,6 +1212,15 @@ app.get('/dashboard', (c) => {
                   <i class="fas fa-heart mr-3"></i>
                   Saved Cars
                 </a>
+                <a href="#alerts" class="dashboard-nav-item flex items-center px-4 py-2 text-gray-700 hover:bg-gray-100 rounded-lg">
+                  <i class="fas fa-bell mr-3"></i>
+                  Search Alerts
+                  <span id="alerts-unread-count" class="ml-auto bg-red-500 text-white text-xs px-2 py-1 rounded-full hidden">0</span>
+                </a>
+                <a href="#sessions" class="dashboard-nav-item flex items-center px-4 py-2 text-gray-700 hover:bg-gray-100 rounded-lg">
+                  <i class="fas fa-laptop mr-3"></i>
+                  Devices
+                </a>
                 <a href="#profile" class="dashboard-nav-item flex items-center px-4 py-2 text-gray-700 hover:bg-gray-100 rounded-lg">
                   <i class="fas fa-user-cog mr-3"></i>
                   Profile Settings
@@ -824,6 +1320,24 @@ app.get('/saved', (c) => {
   )
 })
 
+// Car Comparison Page
+app.get('/compare', (c) => {
+  return c.render(
+    <div class="min-h-screen bg-gray-50">
+      <div class="container mx-auto px-4 py-8">
+        <h1 class="text-3xl font-bold text-gray-800 mb-8">
+          <i class="fas fa-columns mr-3 text-blue-600"></i>
+          Compare Cars
+        </h1>
+        
+        <div id="compare-container" class="bg-white rounded-lg shadow-md overflow-x-auto">
+          {/* Comparison table will be loaded by JavaScript */}
+        </div>
+      </div>
+    </div>
+  )
+})
+
 // Advanced Search Page
 app.get('/search', (c) => {
   return c.render(
@@ -937,6 +1451,12 @@ app.get('/admin', (c) => {
                   <span class="ml-auto bg-red-100 text-red-600 text-xs px-2 py-1 rounded-full" id="reports-count">0</span>
                 </a>
                 
+                <a href="#catalogue" class="admin-nav-item flex items-center px-3 py-2.5 text-gray-700 hover:bg-gray-50 hover:text-red-600 rounded-lg transition-colors">
+                  <i class="fas fa-car-side mr-3 text-sm"></i>
+                  Makes & Models
+                  <span class="ml-auto bg-blue-100 text-blue-600 text-xs px-2 py-1 rounded-full" id="catalogue-count">0</span>
+                </a>
+                
                 <a href="#analytics" class="admin-nav-item flex items-center px-3 py-2.5 text-gray-700 hover:bg-gray-50 hover:text-red-600 rounded-lg transition-colors">
                   <i class="fas fa-chart-bar mr-3 text-sm"></i>
                   Analytics & Insights
@@ -952,6 +1472,11 @@ app.get('/admin', (c) => {
                     <i class="fas fa-clipboard-list mr-3 text-sm"></i>
                     Activity Logs
                   </a>
+
+                  <a href="#outbox" class="admin-nav-item flex items-center px-3 py-2.5 text-gray-700 hover:bg-gray-50 hover:text-red-600 rounded-lg transition-colors">
+                    <i class="fas fa-inbox mr-3 text-sm"></i>
+                    Email Outbox
+                  </a>
                   
                   <a href="/dashboard" class="flex items-center px-3 py-2.5 text-gray-700 hover:bg-gray-50 hover:text-blue-600 rounded-lg transition-colors">
                     <i class="fas fa-arrow-left mr-3 text-sm"></i>
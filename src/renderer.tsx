@@ -1,14 +1,31 @@
 import { jsxRenderer } from 'hono/jsx-renderer'
+import type { PageMeta } from './types'
+
+declare module 'hono' {
+  interface ContextRenderer {
+    (content: string | Promise<string>, meta?: PageMeta): Response | Promise<Response>
+  }
+}
+
+const DEFAULT_TITLE = 'WightCars - Isle of Wight Car Marketplace'
+const DEFAULT_DESCRIPTION = "Find and sell cars on the Isle of Wight. The Island's premier car marketplace with verified local sellers and buyers."
+
+export const renderer = jsxRenderer(({ children, title, description, canonical, image, type, noindex, jsonLd, feeds }, c) => {
+  const pageTitle = title || DEFAULT_TITLE
+  const pageDescription = description || DEFAULT_DESCRIPTION
+  const pageImage = image || new URL('/static/images/wightcars-og.jpg', c.req.url).href
 
-export const renderer = jsxRenderer(({ children }) => {
   return (
     <html lang="en">
       <head>
         <meta charset="UTF-8" />
         <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-        <title>WightCars - Isle of Wight Car Marketplace</title>
-        <meta name="description" content="Find and sell cars on the Isle of Wight. The Island's premier car marketplace with verified local sellers and buyers." />
+        <title>{pageTitle}</title>
+        <meta name="description" content={pageDescription} />
         <meta name="keywords" content="Isle of Wight cars, car sales, buy car, sell car, Island marketplace, IOW cars" />
+        {canonical && <link rel="canonical" href={canonical} />}
+        {noindex && <meta name="robots" content="noindex" />}
+        {feeds?.map(feed => <link rel="alternate" type={feed.type} title={feed.title} href={feed.href} />)}
         
         {/* Tailwind CSS */}
         <script src="https://cdn.tailwindcss.com"></script>
@@ -23,10 +40,25 @@ export const renderer = jsxRenderer(({ children }) => {
         <link rel="icon" type="image/x-icon" href="/static/favicon.ico" />
         
         {/* Open Graph tags for social media */}
-        <meta property="og:title" content="WightCars - Isle of Wight Car Marketplace" />
-        <meta property="og:description" content="Find and sell cars on the Isle of Wight. The Island's premier car marketplace." />
-        <meta property="og:type" content="website" />
-        <meta property="og:image" content="/static/images/wightcars-og.jpg" />
+        <meta property="og:site_name" content="WightCars" />
+        <meta property="og:title" content={pageTitle} />
+        <meta property="og:description" content={pageDescription} />
+        <meta property="og:type" content={type || 'website'} />
+        <meta property="og:image" content={pageImage} />
+        {canonical && <meta property="og:url" content={canonical} />}
+        
+        {/* Twitter card */}
+        <meta name="twitter:card" content={image ? 'summary_large_image' : 'summary'} />
+        <meta name="twitter:title" content={pageTitle} />
+        <meta name="twitter:description" content={pageDescription} />
+        <meta name="twitter:image" content={pageImage} />
+        
+        {/* Structured data; "<" is escaped so listing text can't close the script tag */}
+        {jsonLd && (
+          <script type="application/ld+json" dangerouslySetInnerHTML={{
+            __html: JSON.stringify(jsonLd).replace(/</g, '\\u003c')
+          }}></script>
+        )}
         
         {/* Tailwind Config - Custom classes defined in CSS instead */}
       </head>
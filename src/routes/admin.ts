@@ -2,9 +2,12 @@
 // Comprehensive admin panel with user management, moderation, and analytics
 import { Hono } from 'hono'
 import { cors } from 'hono/cors'
-import type { CloudflareBindings, ApiResponse } from '../types'
+import type { CloudflareBindings, ApiResponse, CatalogueMake, CatalogueModel, CatalogueAlias, ModelProposalStatus, SiteSetting, ReportAction, ReportStatus, ReportLinkedAction, UserReport, ReportEvent, AdminLog, OutboxEmail } from '../types'
 import { verifyJWT, extractToken } from '../utils/auth'
 import { DatabaseService } from '../utils/database'
+import { validateSettingValue, clearSiteSettingsCache } from '../utils/settings'
+import { csvRow } from '../utils/csv'
+import { getEmailTransport, isOutboxEnvironment } from '../utils/email'
 
 const admin = new Hono<{ Bindings: CloudflareBindings }>()
 
@@ -27,7 +30,7 @@ const requireAdmin = async (c: any, next: any) => {
     }, 401)
   }
 
-  const payload = await verifyJWT(token)
+  const payload = await verifyJWT(token, c.env)
   if (!payload) {
     return c.json<ApiResponse>({
       success: false,
@@ -55,27 +58,47 @@ const requireAdmin = async (c: any, next: any) => {
   await next()
 }
 
-// Log admin actions
-const logAdminAction = async (c: any, action: string, targetType: string, targetId?: number, details?: string) => {
+// Log admin actions. Settings and moderation changes pass what the target looked like
+// before and after, so the log shows exactly what changed
+const logAdminAction = async (
+  c: any,
+  action: string,
+  targetType: string,
+  targetId?: number | null,
+  details?: string | null,
+  snapshot?: { before?: unknown; after?: unknown }
+) => {
   if (!c.env.DB) return
 
   try {
     await c.env.DB.prepare(`
-      INSERT INTO admin_logs (admin_id, action, target_type, target_id, details, ip_address)
-      VALUES (?, ?, ?, ?, ?, ?)
+      INSERT INTO admin_logs (admin_id, action, target_type, target_id, details, ip_address, user_agent, before_state, after_state)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
     `).bind(
       c.get('userId'),
       action,
       targetType,
       targetId || null,
       details || null,
-      c.req.header('CF-Connecting-IP') || c.req.header('X-Forwarded-For') || 'unknown'
+      c.req.header('CF-Connecting-IP') || c.req.header('X-Forwarded-For') || 'unknown',
+      c.req.header('User-Agent') || null,
+      snapshot?.before === undefined ? null : JSON.stringify(snapshot.before),
+      snapshot?.after === undefined ? null : JSON.stringify(snapshot.after)
     ).run()
   } catch (error) {
     console.error('Error logging admin action:', error)
   }
 }
 
+// The fields moderation changes, for before/after log snapshots
+const carModerationSnapshot = (c: any, carId: number) => c.env.DB.prepare(`
+  SELECT status, moderation_status, moderation_notes, is_flagged FROM cars WHERE id = ?
+`).bind(carId).first()
+
+const userSuspensionSnapshot = (c: any, userId: number) => c.env.DB.prepare(`
+  SELECT is_suspended, suspension_reason, suspended_by FROM users WHERE id = ?
+`).bind(userId).first()
+
 // Dashboard overview
 admin.get('/dashboard', requireAdmin, async (c) => {
   try {
@@ -343,6 +366,8 @@ admin.post('/users/:userId/suspend', requireAdmin, async (c) => {
     const { reason, duration } = await c.req.json() // duration in days, null for permanent
 
     if (c.env.DB) {
+      const before = await userSuspensionSnapshot(c, userId)
+
       await c.env.DB.prepare(`
         UPDATE users 
         SET is_suspended = 1, suspension_reason = ?, suspended_at = CURRENT_TIMESTAMP, 
@@ -355,7 +380,11 @@ admin.post('/users/:userId/suspend', requireAdmin, async (c) => {
         UPDATE cars SET status = 'withdrawn' WHERE user_id = ? AND status = 'active'
       `).bind(userId).run()
 
-      await logAdminAction(c, 'suspend_user', 'user', userId, `Reason: ${reason}${duration ? `, Duration: ${duration} days` : ', Permanent'}`)
+      // Sign them out everywhere
+      await new DatabaseService(c.env.DB).revokeUserSessions(userId, 'suspended')
+
+      await logAdminAction(c, 'suspend_user', 'user', userId, `Reason: ${reason}${duration ? `, Duration: ${duration} days` : ', Permanent'}`,
+        { before, after: await userSuspensionSnapshot(c, userId) })
     }
 
     return c.json<ApiResponse>({
@@ -377,6 +406,8 @@ admin.post('/users/:userId/unsuspend', requireAdmin, async (c) => {
     const userId = parseInt(c.req.param('userId'))
 
     if (c.env.DB) {
+      const before = await userSuspensionSnapshot(c, userId)
+
       await c.env.DB.prepare(`
         UPDATE users 
         SET is_suspended = 0, suspension_reason = NULL, suspended_at = NULL, 
@@ -384,7 +415,7 @@ admin.post('/users/:userId/unsuspend', requireAdmin, async (c) => {
         WHERE id = ?
       `).bind(userId).run()
 
-      await logAdminAction(c, 'unsuspend_user', 'user', userId)
+      await logAdminAction(c, 'unsuspend_user', 'user', userId, null, { before, after: await userSuspensionSnapshot(c, userId) })
     }
 
     return c.json<ApiResponse>({
@@ -420,13 +451,13 @@ admin.get('/moderation/cars', requireAdmin, async (c) => {
             u.is_dealer as seller_is_dealer
           FROM cars c
           JOIN users u ON c.user_id = u.id
-          WHERE c.moderation_status = ?
-          ORDER BY c.created_at ASC
+          WHERE c.moderation_status = ? AND c.status != 'deleted'
+          ORDER BY COALESCE(c.resubmitted_at, c.created_at) ASC
           LIMIT ? OFFSET ?
         `).bind(status, limit, offset).all(),
 
         c.env.DB.prepare(`
-          SELECT COUNT(*) as total FROM cars WHERE moderation_status = ?
+          SELECT COUNT(*) as total FROM cars WHERE moderation_status = ? AND status != 'deleted'
         `).bind(status).first()
       ])
 
@@ -475,6 +506,8 @@ admin.post('/moderation/cars/:carId/:action', requireAdmin, async (c) => {
         newStatus = 'flagged'
       }
 
+      const before = await carModerationSnapshot(c, carId)
+
       await c.env.DB.prepare(`
         UPDATE cars 
         SET moderation_status = ?, moderated_by = ?, moderated_at = CURRENT_TIMESTAMP,
@@ -489,7 +522,31 @@ admin.post('/moderation/cars/:carId/:action', requireAdmin, async (c) => {
         `).bind(carId).run()
       }
 
-      await logAdminAction(c, `moderate_car_${action}`, 'car', carId, notes)
+      const db = new DatabaseService(c.env.DB)
+
+      // Approved listings are now public, so check them against saved searches
+      if (action === 'approve') {
+        await db.matchSearchAlerts(carId)
+      }
+
+      // Rejected sellers can fix the listing and resubmit it from their dashboard
+      if (action === 'reject') {
+        const car = await c.env.DB.prepare(`
+          SELECT user_id, title FROM cars WHERE id = ?
+        `).bind(carId).first() as { user_id: number; title: string } | null
+
+        if (car) {
+          await db.createNotification(
+            car.user_id,
+            'listing_rejected',
+            `Your listing "${car.title}" was not approved`,
+            notes ? `Moderator's notes: ${notes}` : 'Edit the listing from your dashboard to send it back for review.',
+            '/dashboard#listings'
+          )
+        }
+      }
+
+      await logAdminAction(c, `moderate_car_${action}`, 'car', carId, notes, { before, after: await carModerationSnapshot(c, carId) })
     }
 
     return c.json<ApiResponse>({
@@ -565,6 +622,261 @@ admin.get('/reports', requireAdmin, async (c) => {
   }
 })
 
+// Report counts by status for the reports tab
+admin.get('/reports/stats', requireAdmin, async (c) => {
+  try {
+    const db = new DatabaseService(c.env.DB)
+    const counts = await db.getReportCounts()
+
+    return c.json<ApiResponse<Record<ReportStatus, number>>>({
+      success: true,
+      data: counts
+    })
+
+  } catch (error) {
+    console.error('Error fetching report stats:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to load report stats'
+    }, 500)
+  }
+})
+
+// A report and everything admins have done with it
+admin.get('/reports/:reportId/history', requireAdmin, async (c) => {
+  try {
+    const reportId = parseInt(c.req.param('reportId'))
+    const db = new DatabaseService(c.env.DB)
+
+    const report = await db.getReport(reportId)
+    if (!report) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Report not found'
+      }, 404)
+    }
+
+    const events = await db.getReportHistory(reportId)
+
+    return c.json<ApiResponse<{ report: UserReport; events: ReportEvent[] }>>({
+      success: true,
+      data: { report, events }
+    })
+
+  } catch (error) {
+    console.error('Error fetching report history:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to load report history'
+    }, 500)
+  }
+})
+
+// Which statuses each action can move a report out of, and where it leaves it.
+// Assigning an investigating report hands it to another admin.
+const REPORT_TRANSITIONS: Record<ReportAction, { from: ReportStatus[]; to: ReportStatus }> = {
+  assign: { from: ['open', 'investigating'], to: 'investigating' },
+  resolve: { from: ['open', 'investigating'], to: 'resolved' },
+  dismiss: { from: ['open', 'investigating'], to: 'dismissed' },
+  reopen: { from: ['resolved', 'dismissed'], to: 'open' }
+}
+
+const REPORT_LINKED_ACTIONS: ReportLinkedAction[] = ['suspend_user', 'reject_car']
+
+const REPORT_ACTION_MESSAGES: Record<ReportAction, string> = {
+  assign: 'Report assigned',
+  resolve: 'Report resolved',
+  dismiss: 'Report dismissed',
+  reopen: 'Report reopened'
+}
+
+// Work a report. Resolving can also suspend the reported user or reject the reported
+// listing; that happens in the same batch as the status change, so neither goes in alone.
+admin.post('/reports/:reportId/:action', requireAdmin, async (c) => {
+  try {
+    const reportId = parseInt(c.req.param('reportId'))
+    const action = c.req.param('action') as ReportAction
+    const body = await c.req.json().catch(() => ({}))
+    const notes = typeof body.notes === 'string' && body.notes.trim() ? body.notes.trim() : null
+    const linkedAction = (body.linked_action || null) as ReportLinkedAction | null
+    const adminId = c.get('userId') as number
+
+    if (!Object.prototype.hasOwnProperty.call(REPORT_TRANSITIONS, action)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Invalid report action'
+      }, 400)
+    }
+    const transition = REPORT_TRANSITIONS[action]
+
+    if (linkedAction && !REPORT_LINKED_ACTIONS.includes(linkedAction)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Invalid linked action'
+      }, 400)
+    }
+
+    if (linkedAction && action !== 'resolve') {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Linked actions can only be taken when resolving a report'
+      }, 400)
+    }
+
+    if (action === 'resolve' && !notes) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Resolution notes are required'
+      }, 400)
+    }
+
+    const db = new DatabaseService(c.env.DB)
+    const report = await db.getReport(reportId)
+    if (!report) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Report not found'
+      }, 404)
+    }
+
+    if (!transition.from.includes(report.status)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: `Cannot ${action} a report that is ${report.status}`
+      }, 409)
+    }
+
+    // Whoever closes an unassigned report becomes its owner
+    let assignedTo = action === 'reopen' ? report.assigned_to : report.assigned_to ?? adminId
+    if (action === 'assign') {
+      assignedTo = body.assignee_id ? parseInt(body.assignee_id) : adminId
+
+      if (assignedTo !== adminId) {
+        const assignee = await db.getUserById(assignedTo)
+        if (!assignee || !assignee.is_admin || assignee.is_suspended) {
+          return c.json<ApiResponse>({
+            success: false,
+            error: 'Reports can only be assigned to an active admin'
+          }, 400)
+        }
+      }
+
+      if (report.status === 'investigating' && report.assigned_to === assignedTo) {
+        return c.json<ApiResponse>({
+          success: false,
+          error: 'Report is already assigned to that admin'
+        }, 409)
+      }
+    }
+
+    // A listing report can suspend the seller behind it
+    let linkedTargetId: number | null = null
+    if (linkedAction === 'suspend_user') {
+      linkedTargetId = report.reported_user_id
+      if (!linkedTargetId && report.reported_car_id) {
+        linkedTargetId = (await db.getCarOwnership(report.reported_car_id))?.user_id ?? null
+      }
+
+      const target = linkedTargetId ? await db.getUserById(linkedTargetId) : null
+      if (!target) {
+        return c.json<ApiResponse>({
+          success: false,
+          error: 'This report has no user to suspend'
+        }, 400)
+      }
+      if (target.is_admin) {
+        return c.json<ApiResponse>({
+          success: false,
+          error: 'Admins cannot be suspended from a report'
+        }, 400)
+      }
+    }
+
+    let rejectedCar: { id: number; user_id: number } | null = null
+    if (linkedAction === 'reject_car') {
+      const car = report.reported_car_id ? await db.getCarOwnership(report.reported_car_id) : null
+      if (!car || car.status === 'deleted') {
+        return c.json<ApiResponse>({
+          success: false,
+          error: 'This report has no listing to reject'
+        }, 400)
+      }
+      linkedTargetId = car.id
+      rejectedCar = car
+    }
+
+    const linkedBefore = linkedAction === 'suspend_user' ? await userSuspensionSnapshot(c, linkedTargetId!)
+      : linkedAction === 'reject_car' ? await carModerationSnapshot(c, linkedTargetId!)
+      : undefined
+
+    const updated = await db.updateReportStatus(report, adminId, {
+      action,
+      status: transition.to,
+      assigned_to: assignedTo,
+      notes,
+      linked_action: linkedAction,
+      linked_target_id: linkedTargetId
+    })
+
+    if (!updated) {
+      const current = await db.getReport(reportId)
+      if (current && current.status !== report.status) {
+        return c.json<ApiResponse>({
+          success: false,
+          error: `Report was ${current.status === 'investigating' ? 'assigned' : current.status} by another admin; reload and try again`
+        }, 409)
+      }
+
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Failed to update report'
+      }, 500)
+    }
+
+    const current = await db.getReport(reportId)
+    await logAdminAction(c, `report_${action}`, 'report', reportId,
+      `${report.status} -> ${transition.to}${linkedAction ? `, ${linkedAction}` : ''}${notes ? `: ${notes}` : ''}`,
+      {
+        before: { status: report.status, assigned_to: report.assigned_to, resolution_notes: report.resolution_notes },
+        after: current && { status: current.status, assigned_to: current.assigned_to, resolution_notes: current.resolution_notes }
+      })
+
+    if (linkedAction === 'suspend_user' && linkedTargetId) {
+      await logAdminAction(c, 'suspend_user', 'user', linkedTargetId, `Reason: ${notes}, Report #${reportId}`,
+        { before: linkedBefore, after: await userSuspensionSnapshot(c, linkedTargetId) })
+    }
+
+    if (rejectedCar) {
+      await logAdminAction(c, 'moderate_car_reject', 'car', rejectedCar.id, `${notes} (report #${reportId})`,
+        { before: linkedBefore, after: await carModerationSnapshot(c, rejectedCar.id) })
+
+      const car = await db.getCarById(rejectedCar.id, { countView: false })
+      if (car) {
+        await db.createNotification(
+          rejectedCar.user_id,
+          'listing_rejected',
+          `Your listing "${car.title}" was not approved`,
+          `Moderator's notes: ${notes}`,
+          '/dashboard#listings'
+        )
+      }
+    }
+
+    return c.json<ApiResponse<UserReport | null>>({
+      success: true,
+      data: current,
+      message: REPORT_ACTION_MESSAGES[action]
+    })
+
+  } catch (error) {
+    console.error('Error updating report:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to update report'
+    }, 500)
+  }
+})
+
 // Analytics - get detailed site analytics
 admin.get('/analytics', requireAdmin, async (c) => {
   try {
@@ -701,13 +1013,43 @@ admin.put('/settings/:key', requireAdmin, async (c) => {
     const { value } = await c.req.json()
 
     if (c.env.DB) {
+      const setting = await c.env.DB.prepare(`
+        SELECT setting_type, setting_value FROM site_settings WHERE setting_key = ?
+      `).bind(key).first() as Pick<SiteSetting, 'setting_type' | 'setting_value'> | null
+
+      if (!setting) {
+        return c.json<ApiResponse>({
+          success: false,
+          error: 'Unknown setting'
+        }, 404)
+      }
+
+      // Stored as text, so check it parses as the setting's type before saving
+      const validated = validateSettingValue(key, setting.setting_type || 'text', value)
+      if ('error' in validated) {
+        return c.json<ApiResponse>({
+          success: false,
+          error: validated.error
+        }, 400)
+      }
+
+      // New sellers could never confirm their address, so never post or message
+      if (key === 'require_email_verification' && validated.value === 'true' && !getEmailTransport(c.env)) {
+        return c.json<ApiResponse>({
+          success: false,
+          error: 'Configure an email provider before requiring confirmed email addresses'
+        }, 409)
+      }
+
       await c.env.DB.prepare(`
         UPDATE site_settings 
         SET setting_value = ?, updated_by = ?, updated_at = CURRENT_TIMESTAMP
         WHERE setting_key = ?
-      `).bind(value, c.get('userId'), key).run()
+      `).bind(validated.value, c.get('userId'), key).run()
+      clearSiteSettingsCache()
 
-      await logAdminAction(c, 'update_setting', 'system', null, `${key}: ${value}`)
+      await logAdminAction(c, 'update_setting', 'system', null, `${key}: ${validated.value}`,
+        { before: { [key]: setting.setting_value }, after: { [key]: validated.value } })
     }
 
     return c.json<ApiResponse>({
@@ -724,4 +1066,849 @@ admin.put('/settings/:key', requireAdmin, async (c) => {
   }
 })
 
+// Activity log
+const LOG_DATE = /^\d{4}-\d{2}-\d{2}$/
+const LOG_EXPORT_BATCH = 500
+const LOG_EXPORT_COLUMNS = [
+  'id', 'created_at', 'admin_id', 'admin_name', 'admin_email', 'action', 'target_type', 'target_id',
+  'details', 'ip_address', 'user_agent', 'before_state', 'after_state'
+]
+
+// Filters shared by the log list and its export. Dates are whole UTC days, both inclusive.
+const parseLogFilters = (query: Record<string, string>): { conditions: string[]; params: (string | number)[] } | { error: string } => {
+  const conditions: string[] = []
+  const params: (string | number)[] = []
+
+  if (query.action) {
+    conditions.push('l.action = ?')
+    params.push(query.action)
+  }
+
+  for (const key of ['admin_id', 'target_id'] as const) {
+    if (!query[key]) continue
+    const id = Number(query[key])
+    if (!Number.isInteger(id) || id < 1) {
+      return { error: `${key} must be a positive whole number` }
+    }
+    conditions.push(`l.${key} = ?`)
+    params.push(id)
+  }
+
+  if (query.target_type) {
+    conditions.push('l.target_type = ?')
+    params.push(query.target_type)
+  }
+
+  for (const key of ['date_from', 'date_to'] as const) {
+    if (query[key] && (!LOG_DATE.test(query[key]) || isNaN(Date.parse(query[key])))) {
+      return { error: `${key} must be a date in YYYY-MM-DD format` }
+    }
+  }
+  if (query.date_from && query.date_to && query.date_from > query.date_to) {
+    return { error: 'date_from must not be after date_to' }
+  }
+  if (query.date_from) {
+    conditions.push('l.created_at >= ?')
+    params.push(query.date_from)
+  }
+  if (query.date_to) {
+    conditions.push(`l.created_at < date(?, '+1 day')`)
+    params.push(query.date_to)
+  }
+
+  return { conditions, params }
+}
+
+const logWhereClause = (conditions: string[]) => conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''
+
+const parseLogSnapshot = (value: string | null): unknown => {
+  if (!value) return null
+  try {
+    return JSON.parse(value)
+  } catch {
+    return value
+  }
+}
+
+// Paginated activity log, newest first
+admin.get('/logs', requireAdmin, async (c) => {
+  try {
+    const page = Math.max(parseInt(c.req.query('page') || '1') || 1, 1)
+    const limit = Math.min(Math.max(parseInt(c.req.query('limit') || '50') || 50, 1), 100)
+    const offset = (page - 1) * limit
+
+    const filters = parseLogFilters(c.req.query())
+    if ('error' in filters) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: filters.error
+      }, 400)
+    }
+
+    if (c.env.DB) {
+      const [logs, totals, admins, actions] = await Promise.all([
+        c.env.DB.prepare(`
+          SELECT l.*, u.full_name as admin_name, u.email as admin_email
+          FROM admin_logs l
+          LEFT JOIN users u ON l.admin_id = u.id
+          ${logWhereClause(filters.conditions)}
+          ORDER BY l.created_at DESC, l.id DESC
+          LIMIT ? OFFSET ?
+        `).bind(...filters.params, limit, offset).all(),
+
+        c.env.DB.prepare(`
+          SELECT
+            COUNT(*) as total,
+            COUNT(CASE WHEN l.target_type = 'user' THEN 1 END) as user_actions,
+            COUNT(CASE WHEN l.target_type = 'car' THEN 1 END) as car_actions,
+            COUNT(CASE WHEN l.target_type = 'system' THEN 1 END) as system_actions
+          FROM admin_logs l
+          ${logWhereClause(filters.conditions)}
+        `).bind(...filters.params).first(),
+
+        // Everyone who can appear in the admin filter, including former admins
+        c.env.DB.prepare(`
+          SELECT id, full_name FROM users
+          WHERE is_admin = 1 OR id IN (SELECT DISTINCT admin_id FROM admin_logs)
+          ORDER BY full_name
+        `).all(),
+
+        c.env.DB.prepare(`
+          SELECT DISTINCT action FROM admin_logs ORDER BY action
+        `).all()
+      ])
+
+      const total = (totals?.total as number) || 0
+
+      return c.json<ApiResponse>({
+        success: true,
+        data: {
+          logs: logs.results.map((row: any) => ({
+            ...row,
+            before_state: parseLogSnapshot(row.before_state),
+            after_state: parseLogSnapshot(row.after_state)
+          }) as AdminLog),
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          },
+          stats: {
+            admin_actions: total,
+            user_actions: totals?.user_actions || 0,
+            car_actions: totals?.car_actions || 0,
+            system_actions: totals?.system_actions || 0
+          },
+          admins: admins.results || [],
+          actions: actions.results.map((row: any) => row.action as string)
+        }
+      })
+    }
+
+    return c.json<ApiResponse>({ success: true, data: { logs: [], pagination: { page: 1, limit, total: 0, pages: 0 } } })
+
+  } catch (error) {
+    console.error('Error fetching admin logs:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to load activity logs'
+    }, 500)
+  }
+})
+
+// The filtered log as CSV. Rows are read and sent in batches, so a long history
+// never has to fit in memory.
+admin.get('/logs/export', requireAdmin, async (c) => {
+  try {
+    const format = c.req.query('export') || 'csv'
+    if (format !== 'csv') {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Unsupported export format'
+      }, 400)
+    }
+
+    const filters = parseLogFilters(c.req.query())
+    if ('error' in filters) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: filters.error
+      }, 400)
+    }
+
+    // Log the export first, so it shows up in any export taken afterwards
+    await logAdminAction(c, 'export_logs', 'system', null, new URL(c.req.url).search || null)
+
+    const db = c.env.DB
+    const encoder = new TextEncoder()
+    // Paging by id rather than offset keeps each batch cheap however deep the export goes
+    let lastId: number | null = null
+    let headerSent = false
+
+    const body = new ReadableStream<Uint8Array>({
+      async pull(controller) {
+        try {
+          if (!headerSent) {
+            headerSent = true
+            controller.enqueue(encoder.encode(csvRow(LOG_EXPORT_COLUMNS)))
+            if (!db) {
+              controller.close()
+            }
+            return
+          }
+
+          const conditions = lastId !== null ? [...filters.conditions, 'l.id < ?'] : filters.conditions
+
+          const batch = await db.prepare(`
+            SELECT l.*, u.full_name as admin_name, u.email as admin_email
+            FROM admin_logs l
+            LEFT JOIN users u ON l.admin_id = u.id
+            ${logWhereClause(conditions)}
+            ORDER BY l.id DESC
+            LIMIT ?
+          `).bind(...filters.params, ...(lastId !== null ? [lastId] : []), LOG_EXPORT_BATCH).all()
+
+          const rows = batch.results as Record<string, unknown>[]
+          if (rows.length > 0) {
+            lastId = rows[rows.length - 1].id as number
+            controller.enqueue(encoder.encode(rows.map(row => csvRow(LOG_EXPORT_COLUMNS.map(column => row[column]))).join('')))
+          }
+          if (rows.length < LOG_EXPORT_BATCH) {
+            controller.close()
+          }
+        } catch (error) {
+          console.error('Error streaming admin logs:', error)
+          controller.error(error)
+        }
+      }
+    })
+
+    return c.body(body, 200, {
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="activity-logs-${new Date().toISOString().slice(0, 10)}.csv"`,
+      'Cache-Control': 'no-store'
+    })
+
+  } catch (error) {
+    console.error('Error exporting admin logs:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to export activity logs'
+    }, 500)
+  }
+})
+
+// Make/model catalogue
+const CATALOGUE_FIRST_YEAR = 1886
+
+// Checks the optional year range on a model; null clears a bound
+const parseModelYears = (body: any): { year_from?: number | null; year_to?: number | null; error?: string } => {
+  const maxYear = new Date().getFullYear() + 1
+  const years: { year_from?: number | null; year_to?: number | null } = {}
+
+  for (const key of ['year_from', 'year_to'] as const) {
+    if (body[key] === undefined) continue
+    if (body[key] === null || body[key] === '') {
+      years[key] = null
+      continue
+    }
+    const year = Number(body[key])
+    if (!Number.isInteger(year) || year < CATALOGUE_FIRST_YEAR || year > maxYear) {
+      return { error: `${key} must be a year between ${CATALOGUE_FIRST_YEAR} and ${maxYear}` }
+    }
+    years[key] = year
+  }
+
+  if (years.year_from && years.year_to && years.year_from > years.year_to) {
+    return { error: 'year_from must not be after year_to' }
+  }
+
+  return years
+}
+
+const parseSortOrder = (value: any): number | undefined => {
+  const sortOrder = parseInt(value)
+  return isNaN(sortOrder) ? undefined : sortOrder
+}
+
+admin.get('/catalogue', requireAdmin, async (c) => {
+  try {
+    const db = c.env.DB ? new DatabaseService(c.env.DB) : null
+    const catalogue = db ? await db.getCatalogue() : []
+
+    return c.json<ApiResponse<CatalogueMake[]>>({
+      success: true,
+      data: catalogue
+    })
+
+  } catch (error) {
+    console.error('Error fetching catalogue:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to load catalogue'
+    }, 500)
+  }
+})
+
+admin.post('/catalogue/makes', requireAdmin, async (c) => {
+  try {
+    const body = await c.req.json()
+    const name = typeof body.name === 'string' ? body.name.trim() : ''
+
+    if (!name) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Make name is required'
+      }, 400)
+    }
+
+    const db = new DatabaseService(c.env.DB)
+    const existing = await db.findCatalogueMake(name)
+    if (existing) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: `${name} is already in the catalogue as ${existing.name}`
+      }, 409)
+    }
+
+    const make = await db.createCatalogueMake({
+      name,
+      sort_order: parseSortOrder(body.sort_order),
+      is_active: body.is_active !== false
+    })
+    if (!make) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Failed to add make'
+      }, 500)
+    }
+
+    await logAdminAction(c, 'catalogue_create_make', 'catalogue', make.id, make.name)
+
+    return c.json<ApiResponse<CatalogueMake>>({
+      success: true,
+      data: make
+    })
+
+  } catch (error) {
+    console.error('Error creating catalogue make:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to add make'
+    }, 500)
+  }
+})
+
+admin.put('/catalogue/makes/:makeId', requireAdmin, async (c) => {
+  try {
+    const makeId = parseInt(c.req.param('makeId'))
+    const body = await c.req.json()
+    const name = typeof body.name === 'string' ? body.name.trim() : undefined
+
+    const db = new DatabaseService(c.env.DB)
+    const make = await db.getCatalogueMake(makeId)
+    if (!make) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Make not found'
+      }, 404)
+    }
+
+    if (name !== undefined) {
+      const existing = name ? await db.findCatalogueMake(name) : null
+      if (!name || (existing && existing.id !== makeId)) {
+        return c.json<ApiResponse>({
+          success: false,
+          error: name ? `${name} is already in the catalogue as ${existing!.name}` : 'Make name cannot be empty'
+        }, name ? 409 : 400)
+      }
+    }
+
+    const updated = await db.updateCatalogueMake(makeId, {
+      name,
+      sort_order: parseSortOrder(body.sort_order),
+      is_active: typeof body.is_active === 'boolean' ? body.is_active : undefined
+    })
+
+    await logAdminAction(c, 'catalogue_update_make', 'catalogue', makeId, JSON.stringify(body))
+
+    return c.json<ApiResponse<CatalogueMake | null>>({
+      success: true,
+      data: updated
+    })
+
+  } catch (error) {
+    console.error('Error updating catalogue make:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to update make'
+    }, 500)
+  }
+})
+
+admin.delete('/catalogue/makes/:makeId', requireAdmin, async (c) => {
+  try {
+    const makeId = parseInt(c.req.param('makeId'))
+    const db = new DatabaseService(c.env.DB)
+    const make = await db.getCatalogueMake(makeId)
+
+    if (!make || !(await db.deleteCatalogueMake(makeId))) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Make not found'
+      }, 404)
+    }
+
+    await logAdminAction(c, 'catalogue_delete_make', 'catalogue', makeId, make.name)
+
+    return c.json<ApiResponse>({
+      success: true,
+      data: { message: `${make.name} removed from the catalogue` }
+    })
+
+  } catch (error) {
+    console.error('Error deleting catalogue make:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to remove make'
+    }, 500)
+  }
+})
+
+admin.post('/catalogue/makes/:makeId/models', requireAdmin, async (c) => {
+  try {
+    const makeId = parseInt(c.req.param('makeId'))
+    const body = await c.req.json()
+    const name = typeof body.name === 'string' ? body.name.trim() : ''
+
+    if (!name) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Model name is required'
+      }, 400)
+    }
+
+    const years = parseModelYears(body)
+    if (years.error) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: years.error
+      }, 400)
+    }
+
+    const db = new DatabaseService(c.env.DB)
+    const make = await db.getCatalogueMake(makeId)
+    if (!make) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Make not found'
+      }, 404)
+    }
+
+    if (await db.findCatalogueModel(makeId, name)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: `${make.name} ${name} is already in the catalogue`
+      }, 409)
+    }
+
+    const model = await db.createCatalogueModel(makeId, {
+      name,
+      year_from: years.year_from,
+      year_to: years.year_to,
+      sort_order: parseSortOrder(body.sort_order),
+      is_active: body.is_active !== false
+    })
+    if (!model) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Failed to add model'
+      }, 500)
+    }
+
+    await logAdminAction(c, 'catalogue_create_model', 'catalogue', model.id, `${make.name} ${model.name}`)
+
+    return c.json<ApiResponse<CatalogueModel>>({
+      success: true,
+      data: model
+    })
+
+  } catch (error) {
+    console.error('Error creating catalogue model:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to add model'
+    }, 500)
+  }
+})
+
+admin.put('/catalogue/models/:modelId', requireAdmin, async (c) => {
+  try {
+    const modelId = parseInt(c.req.param('modelId'))
+    const body = await c.req.json()
+    const name = typeof body.name === 'string' ? body.name.trim() : undefined
+
+    const years = parseModelYears(body)
+    if (years.error) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: years.error
+      }, 400)
+    }
+
+    const db = new DatabaseService(c.env.DB)
+    const model = await db.getCatalogueModel(modelId)
+    if (!model) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Model not found'
+      }, 404)
+    }
+
+    // Check the range as it will be after the update, not just the fields sent
+    const yearFrom = years.year_from !== undefined ? years.year_from : model.year_from
+    const yearTo = years.year_to !== undefined ? years.year_to : model.year_to
+    if (yearFrom && yearTo && yearFrom > yearTo) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'year_from must not be after year_to'
+      }, 400)
+    }
+
+    if (name !== undefined) {
+      const existing = name ? await db.findCatalogueModel(model.make_id, name) : null
+      if (!name || (existing && existing.id !== modelId)) {
+        return c.json<ApiResponse>({
+          success: false,
+          error: name ? `${name} is already in the catalogue` : 'Model name cannot be empty'
+        }, name ? 409 : 400)
+      }
+    }
+
+    const updated = await db.updateCatalogueModel(modelId, {
+      name,
+      year_from: years.year_from,
+      year_to: years.year_to,
+      sort_order: parseSortOrder(body.sort_order),
+      is_active: typeof body.is_active === 'boolean' ? body.is_active : undefined
+    })
+
+    await logAdminAction(c, 'catalogue_update_model', 'catalogue', modelId, JSON.stringify(body))
+
+    return c.json<ApiResponse<CatalogueModel | null>>({
+      success: true,
+      data: updated
+    })
+
+  } catch (error) {
+    console.error('Error updating catalogue model:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to update model'
+    }, 500)
+  }
+})
+
+admin.delete('/catalogue/models/:modelId', requireAdmin, async (c) => {
+  try {
+    const modelId = parseInt(c.req.param('modelId'))
+    const db = new DatabaseService(c.env.DB)
+    const model = await db.getCatalogueModel(modelId)
+
+    if (!model || !(await db.deleteCatalogueModel(modelId))) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Model not found'
+      }, 404)
+    }
+
+    await logAdminAction(c, 'catalogue_delete_model', 'catalogue', modelId, model.name)
+
+    return c.json<ApiResponse>({
+      success: true,
+      data: { message: `${model.name} removed from the catalogue` }
+    })
+
+  } catch (error) {
+    console.error('Error deleting catalogue model:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to remove model'
+    }, 500)
+  }
+})
+
+admin.post('/catalogue/makes/:makeId/aliases', requireAdmin, async (c) => {
+  try {
+    const makeId = parseInt(c.req.param('makeId'))
+    const { alias } = await c.req.json()
+    const name = typeof alias === 'string' ? alias.trim() : ''
+
+    if (!name) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Alias is required'
+      }, 400)
+    }
+
+    const db = new DatabaseService(c.env.DB)
+    const make = await db.getCatalogueMake(makeId)
+    if (!make) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Make not found'
+      }, 404)
+    }
+
+    // An alias can't shadow a make or another make's alias
+    const existing = await db.findCatalogueMake(name)
+    if (existing) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: `${name} already refers to ${existing.name}`
+      }, 409)
+    }
+
+    const created = await db.createCatalogueAlias(makeId, name)
+    if (!created) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Failed to add alias'
+      }, 500)
+    }
+
+    await logAdminAction(c, 'catalogue_create_alias', 'catalogue', makeId, `${created.alias} → ${make.name}`)
+
+    return c.json<ApiResponse<CatalogueAlias>>({
+      success: true,
+      data: created
+    })
+
+  } catch (error) {
+    console.error('Error creating catalogue alias:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to add alias'
+    }, 500)
+  }
+})
+
+admin.delete('/catalogue/aliases/:aliasId', requireAdmin, async (c) => {
+  try {
+    const aliasId = parseInt(c.req.param('aliasId'))
+    const db = new DatabaseService(c.env.DB)
+
+    if (!(await db.deleteCatalogueAlias(aliasId))) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Alias not found'
+      }, 404)
+    }
+
+    await logAdminAction(c, 'catalogue_delete_alias', 'catalogue', aliasId)
+
+    return c.json<ApiResponse>({
+      success: true,
+      data: { message: 'Alias removed' }
+    })
+
+  } catch (error) {
+    console.error('Error deleting catalogue alias:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to remove alias'
+    }, 500)
+  }
+})
+
+// Models proposed by sellers, oldest first
+admin.get('/catalogue/proposals', requireAdmin, async (c) => {
+  try {
+    const status = (c.req.query('status') || 'pending') as ModelProposalStatus
+    const page = parseInt(c.req.query('page') || '1')
+    const limit = parseInt(c.req.query('limit') || '20')
+
+    if (!['pending', 'approved', 'rejected'].includes(status)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Invalid proposal status'
+      }, 400)
+    }
+
+    if (c.env.DB) {
+      const db = new DatabaseService(c.env.DB)
+      const { proposals, total } = await db.getModelProposals(status, page, limit)
+
+      return c.json<ApiResponse>({
+        success: true,
+        data: {
+          proposals,
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      })
+    }
+
+    return c.json<ApiResponse>({ success: true, data: { proposals: [], pagination: { page: 1, limit: 20, total: 0, pages: 0 } } })
+
+  } catch (error) {
+    console.error('Error fetching model proposals:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to load model proposals'
+    }, 500)
+  }
+})
+
+// Approve or reject a proposal. Approving can correct the spelling and set the year range;
+// it settles every pending proposal for the same make and model.
+admin.post('/catalogue/proposals/:proposalId/:action', requireAdmin, async (c) => {
+  try {
+    const proposalId = parseInt(c.req.param('proposalId'))
+    const action = c.req.param('action')
+    const body = await c.req.json().catch(() => ({}))
+    const notes = typeof body.notes === 'string' && body.notes.trim() ? body.notes.trim() : null
+
+    if (!['approve', 'reject'].includes(action)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Invalid proposal action'
+      }, 400)
+    }
+
+    const db = new DatabaseService(c.env.DB)
+    const proposal = await db.getModelProposal(proposalId)
+    if (!proposal) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Proposal not found'
+      }, 404)
+    }
+
+    if (proposal.status !== 'pending') {
+      return c.json<ApiResponse>({
+        success: false,
+        error: `Proposal has already been ${proposal.status}`
+      }, 409)
+    }
+
+    if (action === 'reject') {
+      const rejected = await db.rejectModelProposal(proposal, c.get('userId') as number, notes)
+      await logAdminAction(c, 'catalogue_reject_model', 'catalogue', proposalId, `${proposal.make_name} ${proposal.model_name}${notes ? `: ${notes}` : ''}`)
+
+      return c.json<ApiResponse>({
+        success: true,
+        data: { message: `${proposal.make_name} ${proposal.model_name} rejected`, proposals_settled: rejected }
+      })
+    }
+
+    const years = parseModelYears(body)
+    if (years.error) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: years.error
+      }, 400)
+    }
+
+    // A corrected make may be an alias, so resolve it to the catalogue's name
+    const makeName = typeof body.make === 'string' && body.make.trim() ? body.make.trim() : proposal.make_name
+    const modelName = typeof body.model === 'string' && body.model.trim() ? body.model.trim() : proposal.model_name
+    const knownMake = await db.findCatalogueMake(makeName)
+
+    const model = await db.approveModelProposal(proposal, c.get('userId') as number, {
+      make: knownMake?.name || makeName,
+      model: modelName,
+      year_from: years.year_from ?? null,
+      year_to: years.year_to ?? null,
+      notes
+    })
+    if (!model) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Failed to approve proposal'
+      }, 500)
+    }
+
+    await logAdminAction(c, 'catalogue_approve_model', 'catalogue', model.id, `${knownMake?.name || makeName} ${model.name} (proposal ${proposalId})`)
+
+    return c.json<ApiResponse<CatalogueModel>>({
+      success: true,
+      data: model,
+      message: `${knownMake?.name || makeName} ${model.name} added to the catalogue`
+    })
+
+  } catch (error) {
+    console.error('Error reviewing model proposal:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to review proposal'
+    }, 500)
+  }
+})
+
+// Emails written by the outbox transport, newest first. Never served in production, where
+// the messages would hand admins live password reset links
+admin.get('/outbox', requireAdmin, async (c) => {
+  try {
+    if (!isOutboxEnvironment(c.env)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'The email outbox is only available outside production'
+      }, 404)
+    }
+
+    const page = Math.max(parseInt(c.req.query('page') || '1') || 1, 1)
+    const limit = Math.min(Math.max(parseInt(c.req.query('limit') || '25') || 25, 1), 100)
+    const offset = (page - 1) * limit
+    const recipient = c.req.query('recipient')?.trim()
+
+    if (c.env.DB) {
+      const where = recipient ? 'WHERE recipient LIKE ?' : ''
+      const params = recipient ? [`%${recipient}%`] : []
+
+      const [emails, totals] = await Promise.all([
+        c.env.DB.prepare(`
+          SELECT * FROM email_outbox
+          ${where}
+          ORDER BY created_at DESC, id DESC
+          LIMIT ? OFFSET ?
+        `).bind(...params, limit, offset).all<OutboxEmail>(),
+
+        c.env.DB.prepare(`
+          SELECT COUNT(*) as total FROM email_outbox ${where}
+        `).bind(...params).first()
+      ])
+
+      const total = (totals?.total as number) || 0
+
+      return c.json<ApiResponse>({
+        success: true,
+        data: {
+          emails: emails.results || [],
+          pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+          }
+        }
+      })
+    }
+
+    return c.json<ApiResponse>({ success: true, data: { emails: [], pagination: { page: 1, limit, total: 0, pages: 0 } } })
+
+  } catch (error) {
+    console.error('Error fetching email outbox:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to load email outbox'
+    }, 500)
+  }
+})
+
 export default admin
\ No newline at end of file
@@ -1,9 +1,15 @@
 // Authentication routes for WightCars
 import { Hono } from 'hono'
 import { cors } from 'hono/cors'
-import type { CloudflareBindings, UserRegistration, UserLogin, AuthResponse, ApiResponse } from '../types'
+import { getCookie, setCookie, deleteCookie } from 'hono/cookie'
+import type { CloudflareBindings, User, UserRegistration, UserLogin, AuthResponse, ApiResponse, SessionMeta, ActiveSession } from '../types'
 import { DatabaseService } from '../utils/database'
-import { generateJWT, hashPassword, verifyPassword, verifyJWT, extractToken } from '../utils/auth'
+import {
+  startSession, refreshSession, hashPassword, verifyPassword, passwordNeedsRehash, verifyJWT, extractToken, hashToken,
+  generateOpaqueToken, REFRESH_TOKEN_TTL_SECONDS
+} from '../utils/auth'
+import { getSiteSettings } from '../utils/settings'
+import { getEmailTransport, buildPasswordResetEmail, buildEmailVerificationEmail } from '../utils/email'
 
 const auth = new Hono<{ Bindings: CloudflareBindings }>()
 
@@ -14,9 +20,103 @@ auth.use('*', cors({
   allowMethods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS']
 }))
 
+// Recorded on the session so a user can tell their sign-ins apart
+const sessionMeta = (c: any): SessionMeta => ({
+  user_agent: c.req.header('User-Agent') || undefined,
+  ip_address: c.req.header('CF-Connecting-IP') || c.req.header('X-Forwarded-For') || undefined
+})
+
+// The refresh token lives in an HttpOnly cookie scoped to these routes, out of reach of page scripts
+const REFRESH_COOKIE = 'wightcars_refresh'
+
+const refreshCookieOptions = (c: any) => ({
+  path: '/api/auth',
+  httpOnly: true,
+  secure: new URL(c.req.url).protocol === 'https:',
+  sameSite: 'Strict' as const
+})
+
+const setRefreshCookie = (c: any, refreshToken: string) => {
+  setCookie(c, REFRESH_COOKIE, refreshToken, { ...refreshCookieOptions(c), maxAge: REFRESH_TOKEN_TTL_SECONDS })
+}
+
+const clearRefreshCookie = (c: any) => {
+  deleteCookie(c, REFRESH_COOKIE, refreshCookieOptions(c))
+}
+
+// Reset links expire quickly, and each account gets only a few an hour so the
+// form can't be used to flood someone's inbox
+const PASSWORD_RESET_TTL_MINUTES = 60
+const PASSWORD_RESETS_PER_HOUR = 3
+
+const EMAIL_VERIFICATION_TTL_HOURS = 48
+const VERIFICATION_EMAILS_PER_HOUR = 3
+
+// Emails a link that confirms the user's address. Returns false if it couldn't be sent
+const sendVerificationEmail = async (c: any, user: Pick<User, 'id' | 'email'>): Promise<boolean> => {
+  try {
+    const transport = getEmailTransport(c.env)
+    if (!transport) {
+      console.error('Error sending verification email: no email transport is configured')
+      return false
+    }
+
+    const db = new DatabaseService(c.env.DB)
+    const token = generateOpaqueToken()
+    const expiresAt = Math.floor(Date.now() / 1000) + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60
+
+    if (!await db.createEmailVerificationToken(user.id, await hashToken(token), expiresAt)) {
+      return false
+    }
+
+    const { site_name } = await getSiteSettings(c.env.DB)
+    const verifyUrl = `${new URL(c.req.url).origin}/verify-email?token=${encodeURIComponent(token)}`
+    await transport.send(buildEmailVerificationEmail(user.email, site_name, verifyUrl, EMAIL_VERIFICATION_TTL_HOURS))
+    return true
+  } catch (error) {
+    console.error('Error sending verification email:', error)
+    return false
+  }
+}
+
+// Middleware to require authentication
+const requireAuth = async (c: any, next: any) => {
+  const authHeader = c.req.header('Authorization')
+  const token = extractToken(authHeader)
+
+  if (!token) {
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Authentication required'
+    }, 401)
+  }
+
+  const payload = await verifyJWT(token, c.env)
+  if (!payload) {
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Invalid or expired token'
+    }, 401)
+  }
+
+  c.set('userId', payload.userId)
+  c.set('userEmail', payload.email)
+  c.set('sessionId', payload.sid)
+
+  await next()
+}
+
 // Register new user
 auth.post('/register', async (c) => {
   try {
+    const { enable_user_registration } = await getSiteSettings(c.env.DB)
+    if (!enable_user_registration) {
+      return c.json<AuthResponse>({
+        success: false,
+        error: 'New registrations are currently closed'
+      }, 403)
+    }
+
     const userData: UserRegistration = await c.req.json()
     
     // Basic validation
@@ -59,8 +159,10 @@ auth.post('/register', async (c) => {
       }, 500)
     }
 
-    // Generate JWT token
-    const token = await generateJWT(user)
+    // Sign the new user in; they can resend the confirmation email if this one goes astray
+    const { token, refreshToken } = await startSession(user, c.env, sessionMeta(c))
+    setRefreshCookie(c, refreshToken)
+    await sendVerificationEmail(c, user)
 
     return c.json<AuthResponse>({
       success: true,
@@ -108,9 +210,22 @@ auth.post('/login', async (c) => {
       }, 401)
     }
 
+    if (user.is_suspended) {
+      return c.json<AuthResponse>({
+        success: false,
+        error: 'This account has been suspended'
+      }, 403)
+    }
+
+    // Move older hashes to the current scheme while we have the plain password
+    if (passwordNeedsRehash(user.password_hash)) {
+      await db.updatePasswordHash(user.id, await hashPassword(password))
+    }
+
     // Remove password hash from user object
     const { password_hash, ...userWithoutPassword } = user
-    const token = await generateJWT(userWithoutPassword)
+    const { token, refreshToken } = await startSession(userWithoutPassword, c.env, sessionMeta(c))
+    setRefreshCookie(c, refreshToken)
 
     return c.json<AuthResponse>({
       success: true,
@@ -128,6 +243,347 @@ auth.post('/login', async (c) => {
   }
 })
 
+// Start a password reset. The response is the same whether or not the email has an
+// account, so the form can't be used to find out who is registered
+auth.post('/forgot-password', async (c) => {
+  try {
+    const { email } = await c.req.json().catch(() => ({}))
+
+    if (!email || typeof email !== 'string') {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Email is required'
+      }, 400)
+    }
+
+    // Checked before looking the email up, so the answer still says nothing about accounts
+    const transport = getEmailTransport(c.env)
+    if (!transport) {
+      console.error('Forgot password error: no email transport is configured')
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Password reset emails are not available right now. Please contact support'
+      }, 503)
+    }
+
+    const db = new DatabaseService(c.env.DB)
+    const user = await db.getUserByEmail(email.trim())
+
+    if (user && !user.is_suspended && await db.countRecentPasswordResets(user.id, 60) < PASSWORD_RESETS_PER_HOUR) {
+      const token = generateOpaqueToken()
+      const expiresAt = Math.floor(Date.now() / 1000) + PASSWORD_RESET_TTL_MINUTES * 60
+      const ipAddress = c.req.header('CF-Connecting-IP') || c.req.header('X-Forwarded-For')
+
+      if (await db.createPasswordResetToken(user.id, await hashToken(token), expiresAt, ipAddress)) {
+        const { site_name } = await getSiteSettings(c.env.DB)
+        const resetUrl = `${new URL(c.req.url).origin}/reset-password?token=${encodeURIComponent(token)}`
+
+        try {
+          await transport.send(buildPasswordResetEmail(user.email, site_name, resetUrl, PASSWORD_RESET_TTL_MINUTES))
+        } catch (error) {
+          console.error('Error sending password reset email:', error)
+        }
+      }
+    }
+
+    return c.json<ApiResponse>({
+      success: true,
+      message: 'If an account exists for that email, we have sent a link to reset its password'
+    })
+  } catch (error) {
+    console.error('Forgot password error:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Internal server error'
+    }, 500)
+  }
+})
+
+// Finish a password reset with the token from the emailed link. Signs the account out everywhere
+auth.post('/reset-password', async (c) => {
+  try {
+    const { token, password } = await c.req.json().catch(() => ({}))
+
+    if (!token || !password) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Token and new password are required'
+      }, 400)
+    }
+
+    if (password.length < 6) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Password must be at least 6 characters long'
+      }, 400)
+    }
+
+    const db = new DatabaseService(c.env.DB)
+    const userId = await db.completePasswordReset(await hashToken(String(token)), await hashPassword(password))
+
+    if (!userId) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'This reset link is invalid or has expired. Please request a new one'
+      }, 400)
+    }
+
+    clearRefreshCookie(c)
+
+    return c.json<ApiResponse>({
+      success: true,
+      message: 'Your password has been reset. You can now sign in'
+    })
+  } catch (error) {
+    console.error('Reset password error:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Internal server error'
+    }, 500)
+  }
+})
+
+// Confirm an email address with the token from the link sent at sign-up
+auth.get('/verify-email', async (c) => {
+  try {
+    const token = c.req.query('token')
+
+    if (!token) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Token is required'
+      }, 400)
+    }
+
+    const db = new DatabaseService(c.env.DB)
+    const userId = await db.completeEmailVerification(await hashToken(token))
+
+    if (!userId) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'This confirmation link is invalid or has expired. Please request a new one'
+      }, 400)
+    }
+
+    return c.json<ApiResponse>({
+      success: true,
+      message: 'Thanks, your email address is confirmed'
+    })
+  } catch (error) {
+    console.error('Email verification error:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Internal server error'
+    }, 500)
+  }
+})
+
+// Send another confirmation link to the signed-in user
+auth.post('/resend-verification', requireAuth, async (c) => {
+  try {
+    const userId = c.get('userId') as number
+    const db = new DatabaseService(c.env.DB)
+    const user = await db.getUserById(userId)
+
+    if (!user) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'User not found'
+      }, 404)
+    }
+
+    if (user.email_verified_at) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Your email address is already confirmed'
+      }, 400)
+    }
+
+    if (await db.countRecentEmailVerifications(userId, 60) >= VERIFICATION_EMAILS_PER_HOUR) {
+      c.header('Retry-After', '3600')
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'We have sent several confirmation emails recently. Please check your inbox or try again later'
+      }, 429)
+    }
+
+    if (!await sendVerificationEmail(c, user)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Failed to send confirmation email'
+      }, 500)
+    }
+
+    return c.json<ApiResponse>({
+      success: true,
+      message: `We have sent a new confirmation link to ${user.email}`
+    })
+  } catch (error) {
+    console.error('Error resending verification email:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to send confirmation email'
+    }, 500)
+  }
+})
+
+// Trade the refresh cookie for a new access token, rotating the refresh token as we go
+auth.post('/refresh', async (c) => {
+  try {
+    const refreshToken = getCookie(c, REFRESH_COOKIE)
+    const result = refreshToken ? await refreshSession(refreshToken, c.env, sessionMeta(c)) : null
+
+    if (!result) {
+      clearRefreshCookie(c)
+      return c.json<AuthResponse>({
+        success: false,
+        error: 'Session expired. Please sign in again'
+      }, 401)
+    }
+
+    if (result.refreshToken) {
+      setRefreshCookie(c, result.refreshToken)
+    }
+
+    return c.json<AuthResponse>({
+      success: true,
+      data: {
+        user: result.user,
+        token: result.token
+      }
+    })
+  } catch (error) {
+    console.error('Token refresh error:', error)
+    return c.json<AuthResponse>({
+      success: false,
+      error: 'Internal server error'
+    }, 500)
+  }
+})
+
+// Log out: revokes the session behind the access token, or behind the refresh
+// cookie once the access token has expired
+auth.post('/logout', async (c) => {
+  try {
+    const db = new DatabaseService(c.env.DB)
+    const token = extractToken(c.req.header('Authorization'))
+    const payload = token ? await verifyJWT(token, c.env) : null
+    const refreshToken = getCookie(c, REFRESH_COOKIE)
+
+    let sessionId = payload?.sid
+    if (!sessionId && refreshToken) {
+      sessionId = (await db.getSessionByRefreshToken(await hashToken(refreshToken)))?.id
+    }
+
+    clearRefreshCookie(c)
+
+    if (!sessionId) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Invalid or expired token'
+      }, 401)
+    }
+
+    await db.revokeSession(sessionId, 'logout')
+
+    return c.json<ApiResponse>({
+      success: true,
+      message: 'Logged out successfully'
+    })
+  } catch (error) {
+    console.error('Logout error:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Internal server error'
+    }, 500)
+  }
+})
+
+// Devices the user is signed in on
+auth.get('/sessions', requireAuth, async (c) => {
+  try {
+    const userId = c.get('userId') as number
+    const currentSessionId = c.get('sessionId') as string
+    const db = new DatabaseService(c.env.DB)
+
+    const sessions: ActiveSession[] = (await db.getUserSessions(userId)).map(session => ({
+      id: session.id,
+      user_agent: session.user_agent,
+      ip_address: session.ip_address,
+      created_at: session.created_at,
+      last_seen_at: session.last_seen_at,
+      current: session.id === currentSessionId
+    }))
+
+    return c.json<ApiResponse<ActiveSession[]>>({
+      success: true,
+      data: sessions
+    })
+  } catch (error) {
+    console.error('Error fetching sessions:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to fetch sessions'
+    }, 500)
+  }
+})
+
+// Log out everywhere, this device included
+auth.delete('/sessions', requireAuth, async (c) => {
+  try {
+    const userId = c.get('userId') as number
+    const db = new DatabaseService(c.env.DB)
+
+    const revoked = await db.revokeUserSessions(userId, 'logout')
+    clearRefreshCookie(c)
+
+    return c.json<ApiResponse<{ revoked: number }>>({
+      success: true,
+      data: { revoked },
+      message: 'Logged out on all devices'
+    })
+  } catch (error) {
+    console.error('Error revoking sessions:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to log out on all devices'
+    }, 500)
+  }
+})
+
+// Log out a single device
+auth.delete('/sessions/:sessionId', requireAuth, async (c) => {
+  try {
+    const userId = c.get('userId') as number
+    const sessionId = c.req.param('sessionId')
+    const db = new DatabaseService(c.env.DB)
+
+    const session = await db.getActiveSession(sessionId)
+    if (!session || session.user_id !== userId) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Session not found'
+      }, 404)
+    }
+
+    await db.revokeSession(sessionId, 'logout')
+    if (sessionId === c.get('sessionId')) {
+      clearRefreshCookie(c)
+    }
+
+    return c.json<ApiResponse>({
+      success: true,
+      message: 'Device logged out'
+    })
+  } catch (error) {
+    console.error('Error revoking session:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to log out device'
+    }, 500)
+  }
+})
+
 // Get current user profile
 auth.get('/me', async (c) => {
   try {
@@ -141,7 +597,7 @@ auth.get('/me', async (c) => {
       }, 401)
     }
 
-    const payload = await verifyJWT(token)
+    const payload = await verifyJWT(token, c.env)
     if (!payload) {
       return c.json<AuthResponse>({
         success: false,
@@ -187,7 +643,7 @@ auth.post('/verify', async (c) => {
       }, 400)
     }
 
-    const payload = await verifyJWT(token)
+    const payload = await verifyJWT(token, c.env)
     if (!payload) {
       return c.json<ApiResponse>({
         success: false,
@@ -1,9 +1,14 @@
 // Car listings routes for WightCars
 import { Hono } from 'hono'
 import { cors } from 'hono/cors'
-import type { CloudflareBindings, Car, CarFilters, CarCreate, PaginatedResponse, ApiResponse } from '../types'
+import type { CloudflareBindings, Car, CarFilters, CarCreate, CarStatus, CarMake, PaginatedResponse, CarSearchResponse, SimilarCarsResponse, CarComparison, ApiResponse } from '../types'
+import { POPULAR_CAR_MAKES } from '../types'
 import { DatabaseService } from '../utils/database'
 import { verifyJWT, extractToken } from '../utils/auth'
+import { purgeCarImages } from '../utils/storage'
+import { buildComparison, MAX_COMPARE_CARS } from '../utils/compare'
+import { parseCarFilters, validateCarFilters } from '../utils/filters'
+import { getSiteSettings } from '../utils/settings'
 
 const cars = new Hono<{ Bindings: CloudflareBindings }>()
 
@@ -20,7 +25,7 @@ const optionalAuth = async (c: any, next: any) => {
   const token = extractToken(authHeader)
   
   if (token) {
-    const payload = await verifyJWT(token)
+    const payload = await verifyJWT(token, c.env)
     if (payload) {
       c.set('userId', payload.userId)
       c.set('userEmail', payload.email)
@@ -42,7 +47,7 @@ const requireAuth = async (c: any, next: any) => {
     }, 401)
   }
 
-  const payload = await verifyJWT(token)
+  const payload = await verifyJWT(token, c.env)
   if (!payload) {
     return c.json<ApiResponse>({
       success: false,
@@ -56,30 +61,26 @@ const requireAuth = async (c: any, next: any) => {
   await next()
 }
 
+// Listings awaiting or failing moderation are only shown to their owner and admins
+async function canViewListing(db: DatabaseService, car: Car, userId?: number): Promise<boolean> {
+  if (car.status === 'deleted') return false
+  if (await db.isListingPublic(car)) return true
+  return userId === car.user_id || (userId !== undefined && Boolean((await db.getUserById(userId))?.is_admin))
+}
+
 // Get all cars with filters and pagination
 cars.get('/', optionalAuth, async (c) => {
   try {
     const query = c.req.query()
     
-    const filters: CarFilters = {
-      make: query.make,
-      model: query.model,
-      min_year: query.min_year ? parseInt(query.min_year) : undefined,
-      max_year: query.max_year ? parseInt(query.max_year) : undefined,
-      min_price: query.min_price ? parseInt(query.min_price) : undefined,
-      max_price: query.max_price ? parseInt(query.max_price) : undefined,
-      fuel_type: query.fuel_type as any,
-      transmission: query.transmission as any,
-      body_type: query.body_type as any,
-      location: query.location,
-      min_mileage: query.min_mileage ? parseInt(query.min_mileage) : undefined,
-      max_mileage: query.max_mileage ? parseInt(query.max_mileage) : undefined,
-      search: query.search,
-      is_dealer: query.is_dealer === 'true' ? true : query.is_dealer === 'false' ? false : undefined,
-      status: query.status as any || 'active',
-      sort_by: query.sort_by as any,
-      page: query.page ? parseInt(query.page) : 1,
-      limit: query.limit ? parseInt(query.limit) : 20
+    const filters = parseCarFilters(query)
+
+    const filterError = validateCarFilters(filters)
+    if (filterError) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: filterError
+      }, 400)
     }
 
     // Try database first, fallback to mock data if unavailable
@@ -87,7 +88,7 @@ cars.get('/', optionalAuth, async (c) => {
       try {
         const db = new DatabaseService(c.env.DB)
         const result = await db.getCarsWithFilters(filters)
-        return c.json<PaginatedResponse<Car>>(result)
+        return c.json<CarSearchResponse>(result)
       } catch (dbError) {
         console.warn('Database unavailable, using mock data:', dbError)
       }
@@ -117,10 +118,11 @@ cars.get('/', optionalAuth, async (c) => {
 // Get featured cars for homepage
 cars.get('/featured', async (c) => {
   try {
+    const { featured_cars_count } = await getSiteSettings(c.env.DB)
     const filters: CarFilters = {
       status: 'active',
       sort_by: 'created_desc',
-      limit: 6
+      limit: featured_cars_count
     }
 
     // Try database first, fallback to mock data if unavailable
@@ -135,13 +137,13 @@ cars.get('/featured', async (c) => {
     }
 
     // Fallback to mock featured cars
-    const mockCars = getMockCars(filters).slice(0, 6)
+    const mockCars = getMockCars(filters).slice(0, featured_cars_count)
     return c.json<PaginatedResponse<Car>>({
       success: true,
       data: mockCars,
       pagination: {
         page: 1,
-        limit: 6,
+        limit: featured_cars_count,
         total: mockCars.length,
         pages: 1
       }
@@ -155,6 +157,43 @@ cars.get('/featured', async (c) => {
   }
 })
 
+// Compare up to four cars side by side (?ids=1,2,3)
+cars.get('/compare', async (c) => {
+  try {
+    const ids = [...new Set(
+      (c.req.query('ids') || '').split(',').map(id => parseInt(id.trim())).filter(id => id > 0)
+    )]
+
+    if (ids.length < 2 || ids.length > MAX_COMPARE_CARS) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: `Choose between 2 and ${MAX_COMPARE_CARS} cars to compare`
+      }, 400)
+    }
+
+    const db = new DatabaseService(c.env.DB)
+    const comparison = buildComparison(await db.getCarsByIds(ids), ids)
+
+    if (comparison.cars.length === 0) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'None of these cars are still listed'
+      }, 404)
+    }
+
+    return c.json<ApiResponse<CarComparison>>({
+      success: true,
+      data: comparison
+    })
+  } catch (error) {
+    console.error('Error comparing cars:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to compare cars'
+    }, 500)
+  }
+})
+
 // Get single car by ID
 cars.get('/:id', optionalAuth, async (c) => {
   try {
@@ -168,15 +207,31 @@ cars.get('/:id', optionalAuth, async (c) => {
     }
 
     const db = new DatabaseService(c.env.DB)
-    const car = await db.getCarById(id)
+    const car = await db.getCarById(id, { countView: false })
+    const userId = c.get('userId') as number | undefined
     
-    if (!car) {
+    if (!car || !(await canViewListing(db, car, userId))) {
       return c.json<ApiResponse>({
         success: false,
         error: 'Car not found'
       }, 404)
     }
 
+    // Owners and admins checking an unpublished listing don't count as views
+    if (await db.isListingPublic(car)) {
+      await db.incrementCarViews(id)
+    }
+
+    // The moderator's reasons are between the moderators and the seller
+    if (userId !== car.user_id) {
+      const isAdmin = userId !== undefined && Boolean((await db.getUserById(userId))?.is_admin)
+      if (!isAdmin) {
+        delete car.moderation_notes
+      }
+    }
+
+    car.price_history = await db.getCarPriceHistory(id)
+
     return c.json<ApiResponse<Car>>({
       success: true,
       data: car
@@ -190,6 +245,51 @@ cars.get('/:id', optionalAuth, async (c) => {
   }
 })
 
+// Get listings similar to a car
+cars.get('/:id/similar', optionalAuth, async (c) => {
+  try {
+    const id = parseInt(c.req.param('id'))
+    const limit = Math.min(parseInt(c.req.query('limit') || '8') || 8, 20)
+
+    if (!id || isNaN(id)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Invalid car ID'
+      }, 400)
+    }
+
+    const db = new DatabaseService(c.env.DB)
+    const car = await db.getCarById(id, { countView: false })
+    if (!car || !(await canViewListing(db, car, c.get('userId') as number | undefined))) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Car not found'
+      }, 404)
+    }
+
+    const result = await db.getSimilarCars(id, Math.max(limit, 1))
+
+    if (!result) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Car not found'
+      }, 404)
+    }
+
+    return c.json<SimilarCarsResponse>({
+      success: true,
+      data: result.cars,
+      similar_cars_count: result.total
+    })
+  } catch (error) {
+    console.error('Error fetching similar cars:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to fetch similar cars'
+    }, 500)
+  }
+})
+
 // Create new car listing (requires auth)
 cars.post('/', requireAuth, async (c) => {
   try {
@@ -219,7 +319,27 @@ cars.post('/', requireAuth, async (c) => {
     }
 
     const db = new DatabaseService(c.env.DB)
-    const car = await db.createCar(carData, userId)
+
+    const { require_verification_to_sell, require_email_verification } = await getSiteSettings(c.env.DB)
+    if (require_verification_to_sell || require_email_verification) {
+      const user = await db.getUserById(userId)
+      if (require_email_verification && !user?.email_verified_at) {
+        return c.json<ApiResponse>({
+          success: false,
+          error: 'Please confirm your email address before listing a car'
+        }, 403)
+      }
+      if (require_verification_to_sell && !user?.is_verified) {
+        return c.json<ApiResponse>({
+          success: false,
+          error: 'Your account needs to be verified before you can list a car'
+        }, 403)
+      }
+    }
+
+    // Store the catalogue's spelling, e.g. "vw golf" becomes Volkswagen Golf
+    const catalogue = await db.matchCatalogue(carData.make, carData.model)
+    const car = await db.createCar({ ...carData, make: catalogue.make, model: catalogue.model }, userId)
     
     if (!car) {
       return c.json<ApiResponse>({
@@ -228,9 +348,26 @@ cars.post('/', requireAuth, async (c) => {
       }, 500)
     }
 
+    // Models the catalogue doesn't know go to the admins to add
+    if (!catalogue.model_id) {
+      await db.createModelProposal(catalogue, carData.year, userId, car.id)
+    }
+
+    // Notify buyers whose saved searches match the new listing. Listings awaiting
+    // review are skipped here and matched when a moderator approves them
+    await db.matchSearchAlerts(car.id)
+
+    const messages = [
+      await db.isListingPublic(car) ? 'Listing created.' : `Listing created. It will appear once it's been reviewed.`
+    ]
+    if (!catalogue.model_id) {
+      messages.push(`We'll add the ${catalogue.make} ${catalogue.model} to our list of models once it's checked.`)
+    }
+
     return c.json<ApiResponse<Car>>({
       success: true,
-      data: car
+      data: car,
+      message: messages.join(' ')
     })
   } catch (error) {
     console.error('Error creating car:', error)
@@ -274,7 +411,7 @@ cars.put('/:id', requireAuth, async (c) => {
     
     // Check if car exists and user owns it
     const existingCar = await db.getCarById(carId)
-    if (!existingCar) {
+    if (!existingCar || existingCar.status === 'deleted') {
       return c.json<ApiResponse>({
         success: false,
         error: 'Car not found'
@@ -288,12 +425,27 @@ cars.put('/:id', requireAuth, async (c) => {
       }, 403)
     }
 
+    const catalogue = await db.matchCatalogue(carData.make, carData.model)
+    if (!catalogue.model_id) {
+      await db.createModelProposal(catalogue, carData.year, userId, carId)
+    }
+
     // Update the car
-    const car = await db.updateCar(carId, carData)
+    let car = await db.updateCar(carId, { ...carData, make: catalogue.make, model: catalogue.model })
+
+    // Editing a rejected listing is how sellers fix it and send it back for review
+    const resubmitted = existingCar.moderation_status === 'rejected' && car
+      ? await db.resubmitCar(carId)
+      : null
+    if (resubmitted) {
+      car = resubmitted
+      await db.matchSearchAlerts(carId)
+    }
     
     return c.json<ApiResponse<Car>>({
       success: true,
-      data: car
+      data: car,
+      message: resubmitted ? 'Listing updated and resubmitted for review' : undefined
     })
   } catch (error) {
     console.error('Error updating car:', error)
@@ -304,30 +456,164 @@ cars.put('/:id', requireAuth, async (c) => {
   }
 })
 
+// Delete a car listing (owner or admin). Soft-deletes by default;
+// admins can pass ?permanent=true to purge the row entirely
+cars.delete('/:id', requireAuth, async (c) => {
+  try {
+    const userId = c.get('userId') as number
+    const carId = parseInt(c.req.param('id'))
+    const permanent = c.req.query('permanent') === 'true'
+    
+    if (!carId || isNaN(carId)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Invalid car ID'
+      }, 400)
+    }
+
+    const db = new DatabaseService(c.env.DB)
+    const [car, user] = await Promise.all([
+      db.getCarOwnership(carId),
+      db.getUserById(userId)
+    ])
+    const isAdmin = Boolean(user?.is_admin)
+
+    // Already soft-deleted listings only remain visible to an admin purge
+    if (!car || (car.status === 'deleted' && !(permanent && isAdmin))) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Car not found'
+      }, 404)
+    }
+
+    if (car.user_id !== userId && !isAdmin) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'You can only delete your own car listings'
+      }, 403)
+    }
+
+    if (permanent && !isAdmin) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Only administrators can permanently delete listings'
+      }, 403)
+    }
+
+    const deleted = permanent
+      ? await db.deleteCar(carId)
+      : await db.softDeleteCar(carId, userId)
+
+    if (!deleted) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Failed to delete car listing'
+      }, 500)
+    }
+
+    // Images are removed either way; a soft-deleted listing never shows them again
+    let imagesDeleted = 0
+    if (c.env.IMAGES) {
+      try {
+        imagesDeleted = await purgeCarImages(c.env.IMAGES, carId)
+      } catch (storageError) {
+        console.error('Error purging car images:', storageError)
+      }
+    }
+
+    return c.json<ApiResponse>({
+      success: true,
+      data: { id: carId, permanent, images_deleted: imagesDeleted },
+      message: permanent ? 'Car listing permanently deleted' : 'Car listing deleted'
+    })
+  } catch (error) {
+    console.error('Error deleting car:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to delete car listing'
+    }, 500)
+  }
+})
+
+// Renew a listing for another listing period (owner only)
+cars.post('/:id/renew', requireAuth, async (c) => {
+  try {
+    const userId = c.get('userId') as number
+    const carId = parseInt(c.req.param('id'))
+    
+    if (!carId || isNaN(carId)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Invalid car ID'
+      }, 400)
+    }
+
+    const db = new DatabaseService(c.env.DB)
+    const existingCar = await db.getCarOwnership(carId)
+    
+    if (!existingCar || existingCar.status === 'deleted') {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Car not found'
+      }, 404)
+    }
+
+    if (existingCar.user_id !== userId) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'You can only renew your own car listings'
+      }, 403)
+    }
+
+    const car = await db.renewCar(carId)
+    if (!car) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Only live or expired listings can be renewed'
+      }, 400)
+    }
+
+    return c.json<ApiResponse<Car>>({
+      success: true,
+      data: car,
+      message: 'Listing renewed'
+    })
+  } catch (error) {
+    console.error('Error renewing car:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to renew car listing'
+    }, 500)
+  }
+})
+
 // Get user's own car listings (requires auth)
 cars.get('/my/listings', requireAuth, async (c) => {
   try {
     const userId = c.get('userId') as number
     const query = c.req.query()
-    
-    const filters: CarFilters = {
-      // Filter by current user's cars only (we'll modify the query in database)
-      status: query.status as any || undefined, // Show all statuses for own cars
-      sort_by: query.sort_by as any || 'created_desc',
-      page: query.page ? parseInt(query.page) : 1,
-      limit: query.limit ? parseInt(query.limit) : 20
-    }
+    const page = Math.max(parseInt(query.page || '1') || 1, 1)
+    const limit = Math.min(Math.max(parseInt(query.limit || '20') || 20, 1), 50)
 
     const db = new DatabaseService(c.env.DB)
     
-    // For user's own listings, we need a custom query
-    // This is a simplified version - in a real app you'd add this method to DatabaseService
-    const result = await db.getCarsWithFilters({
-      ...filters,
-      // We'll need to modify the database service to support filtering by user_id
+    // Every status and moderation state, with the moderator's notes, so sellers can fix rejections
+    const { cars: listings, total } = await db.getOwnerListings(userId, {
+      status: query.status as CarStatus || undefined,
+      page,
+      limit
     })
     
-    return c.json<PaginatedResponse<Car>>(result)
+    return c.json<PaginatedResponse<Car>>({
+      success: true,
+      data: listings,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    })
   } catch (error) {
     console.error('Error fetching user cars:', error)
     return c.json<ApiResponse>({
@@ -391,13 +677,12 @@ cars.get('/my/saved', requireAuth, async (c) => {
 // Get car makes and models for dropdowns
 cars.get('/data/makes', async (c) => {
   try {
-    // In a real app, this would come from the database
-    // For now, return the predefined data from types
-    const { POPULAR_CAR_MAKES } = await import('../types')
+    // Falls back to the list the app shipped with until the catalogue migration has run
+    const makes = c.env.DB ? await new DatabaseService(c.env.DB).getCarMakes() : []
     
-    return c.json<ApiResponse>({
+    return c.json<ApiResponse<CarMake[]>>({
       success: true,
-      data: POPULAR_CAR_MAKES
+      data: makes.length > 0 ? makes : POPULAR_CAR_MAKES
     })
   } catch (error) {
     console.error('Error fetching car makes:', error)
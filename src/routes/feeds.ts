@@ -0,0 +1,135 @@
+// Atom and RSS feeds of new car listings for WightCars
+// Accept the same filters as GET /api/cars so any search can be followed in a feed reader
+import { Hono } from 'hono'
+import type { Context } from 'hono'
+import type { CloudflareBindings, Car, CarFilters, CarMake } from '../types'
+import { DatabaseService } from '../utils/database'
+import { parseCarFilters, validateCarFilters } from '../utils/filters'
+import {
+  buildAtomFeed,
+  buildRssFeed,
+  buildCarFeedItem,
+  describeFeedFilters,
+  FEED_DEFAULT_LIMIT,
+  FEED_MAX_LIMIT,
+  type FeedChannel
+} from '../utils/feeds'
+
+const feeds = new Hono<{ Bindings: CloudflareBindings }>()
+
+// Readers poll often; let edge caches absorb most of it
+const FEED_CACHE_CONTROL = 'public, max-age=900, stale-while-revalidate=3600'
+
+// Paging and ordering are fixed by the feed, so they never go into its links
+const NON_FILTER_PARAMS = ['status', 'sort_by', 'page', 'limit', 'cursor', 'facets']
+
+type FeedFormat = 'atom' | 'rss'
+
+const CONTENT_TYPES: Record<FeedFormat, string> = {
+  atom: 'application/atom+xml; charset=utf-8',
+  rss: 'application/rss+xml; charset=utf-8'
+}
+
+function filterQueryString(query: Record<string, string>): string {
+  const params = new URLSearchParams()
+  for (const [key, value] of Object.entries(query)) {
+    if (value && !NON_FILTER_PARAMS.includes(key)) params.set(key, value)
+  }
+  const search = params.toString()
+  return search ? `?${search}` : ''
+}
+
+// Changes whenever a listing enters, leaves or is edited within the feed
+async function feedEtag(format: FeedFormat, self: string, cars: Car[]): Promise<string> {
+  const fingerprint = [format, self, ...cars.map(car => `${car.id}:${car.updated_at}`)].join('\n')
+  const digest = await crypto.subtle.digest('SHA-1', new TextEncoder().encode(fingerprint))
+  const hex = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('')
+  return `"${hex}"`
+}
+
+function isNotModified(c: Context, etag: string, lastModified: Date | null): boolean {
+  const ifNoneMatch = c.req.header('If-None-Match')
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').some(tag => tag.trim().replace(/^W\//, '') === etag || tag.trim() === '*')
+  }
+
+  const ifModifiedSince = c.req.header('If-Modified-Since')
+  if (ifModifiedSince && lastModified) {
+    const since = new Date(ifModifiedSince).getTime()
+    // HTTP dates have one-second precision
+    return !isNaN(since) && Math.floor(lastModified.getTime() / 1000) * 1000 <= since
+  }
+
+  return false
+}
+
+async function renderCarFeed(c: Context<{ Bindings: CloudflareBindings }>, format: FeedFormat) {
+  try {
+    const query = c.req.query()
+    const requestedLimit = parseInt(query.limit)
+
+    const filters: CarFilters = {
+      ...parseCarFilters(query),
+      status: 'active',
+      sort_by: 'created_desc',
+      page: 1,
+      limit: isNaN(requestedLimit) || requestedLimit < 1 ? FEED_DEFAULT_LIMIT : Math.min(requestedLimit, FEED_MAX_LIMIT),
+      cursor: undefined,
+      include_facets: false
+    }
+
+    const filterError = validateCarFilters(filters)
+    if (filterError) {
+      return c.text(filterError, 400)
+    }
+
+    let cars: Car[] = []
+    let makes: CarMake[] = []
+    if (c.env.DB) {
+      const db = new DatabaseService(c.env.DB)
+      const [result, catalogue] = await Promise.all([db.getCarsWithFilters(filters), db.getCarMakes()])
+      if (!result.success) {
+        return c.text('Failed to build feed', 500)
+      }
+      cars = result.data || []
+      makes = catalogue
+    }
+
+    const url = new URL(c.req.url)
+    const search = filterQueryString(query)
+    const items = cars.map(car => buildCarFeedItem(car, url.origin))
+    const lastModified = items.reduce<Date | null>((latest, item) =>
+      item.updated && (!latest || item.updated > latest) ? item.updated : latest, null)
+
+    const channel: FeedChannel = {
+      title: `${describeFeedFilters(filters, makes.length > 0 ? makes : undefined)} for sale | WightCars`,
+      description: `The newest matching car listings on the Isle of Wight`,
+      link: `${url.origin}/browse${search}`,
+      self: `${url.origin}${url.pathname}${search}`,
+      updated: lastModified || new Date()
+    }
+
+    const etag = await feedEtag(format, channel.self, cars)
+    const headers: Record<string, string> = {
+      'Cache-Control': FEED_CACHE_CONTROL,
+      'ETag': etag
+    }
+    if (lastModified) headers['Last-Modified'] = lastModified.toUTCString()
+
+    if (isNotModified(c, etag, lastModified)) {
+      return c.body(null, 304, headers)
+    }
+
+    const body = format === 'atom' ? buildAtomFeed(channel, items) : buildRssFeed(channel, items)
+    return c.body(body, 200, { ...headers, 'Content-Type': CONTENT_TYPES[format] })
+  } catch (error) {
+    console.error('Error building car feed:', error)
+    return c.text('Failed to build feed', 500)
+  }
+}
+
+feeds.get('/cars.atom', (c) => renderCarFeed(c, 'atom'))
+
+feeds.get('/cars.rss', (c) => renderCarFeed(c, 'rss'))
+
+export default feeds
@@ -3,6 +3,7 @@ import { Hono } from 'hono'
 import { cors } from 'hono/cors'
 import type { CloudflareBindings, ApiResponse } from '../types'
 import { verifyJWT, extractToken } from '../utils/auth'
+import { getSiteSettings } from '../utils/settings'
 
 const images = new Hono<{ Bindings: CloudflareBindings }>()
 
@@ -25,7 +26,7 @@ const requireAuth = async (c: any, next: any) => {
     }, 401)
   }
 
-  const payload = await verifyJWT(token)
+  const payload = await verifyJWT(token, c.env)
   if (!payload) {
     return c.json<ApiResponse>({
       success: false,
@@ -44,19 +45,35 @@ images.post('/upload/car/:carId', requireAuth, async (c) => {
   try {
     const carId = parseInt(c.req.param('carId'))
     const userId = c.get('userId') as number
+    const { max_images_per_car, max_image_size_mb } = await getSiteSettings(c.env.DB)
 
     // Verify user owns the car
     if (c.env.DB) {
       const car = await c.env.DB.prepare(`
-        SELECT id, user_id FROM cars WHERE id = ?
+        SELECT id, user_id, images FROM cars WHERE id = ? AND status != 'deleted'
       `).bind(carId).first()
 
-      if (!car || car.user_id !== userId) {
+      if (!car) {
+        return c.json<ApiResponse>({
+          success: false,
+          error: 'Car not found'
+        }, 404)
+      }
+
+      if (car.user_id !== userId) {
         return c.json<ApiResponse>({
           success: false,
           error: 'Car not found or access denied'
         }, 403)
       }
+
+      const currentImages = car.images ? JSON.parse(car.images as string) : []
+      if (currentImages.length >= max_images_per_car) {
+        return c.json<ApiResponse>({
+          success: false,
+          error: `A listing can have at most ${max_images_per_car} images`
+        }, 400)
+      }
     }
 
     const formData = await c.req.formData()
@@ -78,11 +95,11 @@ images.post('/upload/car/:carId', requireAuth, async (c) => {
       }, 400)
     }
 
-    // Validate file size (max 5MB)
-    if (file.size > 5 * 1024 * 1024) {
+    // Validate file size
+    if (file.size > max_image_size_mb * 1024 * 1024) {
       return c.json<ApiResponse>({
         success: false,
-        error: 'File too large. Maximum size is 5MB.'
+        error: `File too large. Maximum size is ${max_image_size_mb}MB.`
       }, 400)
     }
 
@@ -228,10 +245,17 @@ images.put('/car/:carId/featured', requireAuth, async (c) => {
     if (c.env.DB) {
       // Verify user owns the car
       const car = await c.env.DB.prepare(`
-        SELECT id, user_id, images FROM cars WHERE id = ?
+        SELECT id, user_id, images FROM cars WHERE id = ? AND status != 'deleted'
       `).bind(carId).first()
 
-      if (!car || car.user_id !== userId) {
+      if (!car) {
+        return c.json<ApiResponse>({
+          success: false,
+          error: 'Car not found'
+        }, 404)
+      }
+
+      if (car.user_id !== userId) {
         return c.json<ApiResponse>({
           success: false,
           error: 'Car not found or access denied'
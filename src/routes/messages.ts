@@ -4,6 +4,7 @@ import { cors } from 'hono/cors'
 import type { CloudflareBindings, Message, MessageCreate, ApiResponse } from '../types'
 import { DatabaseService } from '../utils/database'
 import { verifyJWT, extractToken } from '../utils/auth'
+import { getSiteSettings } from '../utils/settings'
 
 const messages = new Hono<{ Bindings: CloudflareBindings }>()
 
@@ -26,7 +27,7 @@ const requireAuth = async (c: any, next: any) => {
     }, 401)
   }
 
-  const payload = await verifyJWT(token)
+  const payload = await verifyJWT(token, c.env)
   if (!payload) {
     return c.json<ApiResponse>({
       success: false,
@@ -82,10 +83,18 @@ messages.post('/', requireAuth, async (c) => {
     }
 
     const db = new DatabaseService(c.env.DB)
+
+    const { require_email_verification } = await getSiteSettings(c.env.DB)
+    if (require_email_verification && !(await db.getUserById(senderId))?.email_verified_at) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Please confirm your email address before sending messages'
+      }, 403)
+    }
     
-    // Verify the car exists and get owner info
+    // Verify the car exists and get owner info; listings buyers can't see can't be enquired about
     const car = await db.getCarById(messageData.car_id)
-    if (!car) {
+    if (!car || !(await db.isListingPublic(car))) {
       return c.json<ApiResponse>({
         success: false,
         error: 'Car not found'
@@ -0,0 +1,161 @@
+// Report routes for WightCars
+// Signed-in users report listings and other users; admins work the reports from /api/admin/reports
+import { Hono } from 'hono'
+import { cors } from 'hono/cors'
+import type { CloudflareBindings, ApiResponse, ReportCreate, ReportType, UserReport } from '../types'
+import { REPORT_TYPES } from '../types'
+import { DatabaseService } from '../utils/database'
+import { verifyJWT, extractToken } from '../utils/auth'
+import { getSiteSettings } from '../utils/settings'
+
+const reports = new Hono<{ Bindings: CloudflareBindings }>()
+
+// Enough for a genuine user working through a few bad listings, not enough to flood the queue
+const REPORTS_PER_HOUR = 5
+const MAX_DESCRIPTION_LENGTH = 1000
+
+// Enable CORS
+reports.use('*', cors({
+  origin: '*',
+  allowHeaders: ['Content-Type', 'Authorization'],
+  allowMethods: ['GET', 'POST', 'OPTIONS']
+}))
+
+// Middleware to require authentication
+const requireAuth = async (c: any, next: any) => {
+  const authHeader = c.req.header('Authorization')
+  const token = extractToken(authHeader)
+
+  if (!token) {
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Authentication required'
+    }, 401)
+  }
+
+  const payload = await verifyJWT(token, c.env)
+  if (!payload) {
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Invalid or expired token'
+    }, 401)
+  }
+
+  c.set('userId', payload.userId)
+  c.set('userEmail', payload.email)
+
+  await next()
+}
+
+// Report a listing ({ car_id }) or a user ({ user_id })
+reports.post('/', requireAuth, async (c) => {
+  try {
+    const userId = c.get('userId') as number
+    const body = await c.req.json().catch(() => ({}))
+    const carId = body.car_id ? parseInt(body.car_id) : undefined
+    const reportedUserId = body.user_id ? parseInt(body.user_id) : undefined
+    const description = typeof body.description === 'string' ? body.description.trim() : ''
+
+    if (!carId === !reportedUserId) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Report either a listing or a user'
+      }, 400)
+    }
+
+    if (!REPORT_TYPES.includes(body.report_type)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: `Report type must be one of: ${REPORT_TYPES.join(', ')}`
+      }, 400)
+    }
+
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: `Description must be ${MAX_DESCRIPTION_LENGTH} characters or fewer`
+      }, 400)
+    }
+
+    const db = new DatabaseService(c.env.DB)
+
+    // Only listings the reporter can actually see, and never their own
+    if (carId) {
+      const car = await db.getCarById(carId, { countView: false })
+      if (!car || car.status === 'deleted' || !await db.isListingPublic(car)) {
+        return c.json<ApiResponse>({
+          success: false,
+          error: 'Car not found'
+        }, 404)
+      }
+      if (car.user_id === userId) {
+        return c.json<ApiResponse>({
+          success: false,
+          error: 'You cannot report your own listing'
+        }, 400)
+      }
+    } else {
+      if (reportedUserId === userId) {
+        return c.json<ApiResponse>({
+          success: false,
+          error: 'You cannot report yourself'
+        }, 400)
+      }
+      if (!await db.getUserById(reportedUserId!)) {
+        return c.json<ApiResponse>({
+          success: false,
+          error: 'User not found'
+        }, 404)
+      }
+    }
+
+    const target = { car_id: carId, user_id: reportedUserId }
+    if (await db.findActiveReport(userId, target)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: `You have already reported this ${carId ? 'listing' : 'user'}; our team will review it`
+      }, 409)
+    }
+
+    if (await db.countRecentReports(userId, 60) >= REPORTS_PER_HOUR) {
+      c.header('Retry-After', '3600')
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'You have sent a lot of reports recently. Please try again later'
+      }, 429)
+    }
+
+    const report = await db.createReport(userId, {
+      ...target,
+      report_type: body.report_type as ReportType,
+      description: description || undefined
+    } as ReportCreate)
+
+    if (!report) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Failed to submit report'
+      }, 500)
+    }
+
+    if (carId) {
+      const { report_flag_threshold } = await getSiteSettings(c.env.DB)
+      await db.flagReportedCar(carId, report_flag_threshold)
+    }
+
+    return c.json<ApiResponse<UserReport>>({
+      success: true,
+      data: report,
+      message: 'Thanks for your report. Our team will review it'
+    })
+
+  } catch (error) {
+    console.error('Error creating report:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to submit report'
+    }, 500)
+  }
+})
+
+export default reports
@@ -0,0 +1,124 @@
+// Sitemap and robots.txt routes for WightCars
+// Built from live listings so crawlers find cars without running the JS app
+import { Hono } from 'hono'
+import type { CloudflareBindings } from '../types'
+import { DatabaseService } from '../utils/database'
+import { buildUrlset, buildSitemapIndex, SITEMAP_CHUNK_SIZE, type SitemapEntry } from '../utils/sitemap'
+
+const sitemap = new Hono<{ Bindings: CloudflareBindings }>()
+
+const XML_HEADERS = {
+  'Content-Type': 'application/xml; charset=utf-8',
+  'Cache-Control': 'public, max-age=3600'
+}
+
+// Home, browse and a browse landing page for every make and make/model with listings
+async function getPageEntries(db: DatabaseService | null, origin: string): Promise<SitemapEntry[]> {
+  const entries: SitemapEntry[] = [{ loc: `${origin}/` }, { loc: `${origin}/browse` }]
+  if (!db) return entries
+
+  const makeModels = await db.getSitemapMakeModels()
+  const makes = new Map<string, string>()
+  for (const { make, updated_at } of makeModels) {
+    const latest = makes.get(make)
+    if (!latest || updated_at > latest) makes.set(make, updated_at)
+  }
+
+  for (const [make, lastmod] of makes) {
+    entries.push({ loc: `${origin}/browse?make=${encodeURIComponent(make)}`, lastmod })
+  }
+  for (const { make, model, updated_at } of makeModels) {
+    entries.push({
+      loc: `${origin}/browse?make=${encodeURIComponent(make)}&model=${encodeURIComponent(model)}`,
+      lastmod: updated_at
+    })
+  }
+
+  return entries
+}
+
+async function getCarEntries(db: DatabaseService, origin: string, chunk: number): Promise<SitemapEntry[]> {
+  const cars = await db.getSitemapCars((chunk - 1) * SITEMAP_CHUNK_SIZE, SITEMAP_CHUNK_SIZE)
+  return cars.map(car => ({ loc: `${origin}/car/${car.id}`, lastmod: car.updated_at }))
+}
+
+async function getSellerEntries(db: DatabaseService, origin: string, chunk: number): Promise<SitemapEntry[]> {
+  const sellers = await db.getSitemapSellers((chunk - 1) * SITEMAP_CHUNK_SIZE, SITEMAP_CHUNK_SIZE)
+  return sellers.map(seller => ({ loc: `${origin}/profile/${seller.id}`, lastmod: seller.updated_at }))
+}
+
+// A single sitemap while everything fits in one file, otherwise an index of chunks
+sitemap.get('/sitemap.xml', async (c) => {
+  try {
+    const origin = new URL(c.req.url).origin
+    const db = c.env.DB ? new DatabaseService(c.env.DB) : null
+    const pages = await getPageEntries(db, origin)
+
+    if (!db) {
+      return c.body(buildUrlset(pages), 200, XML_HEADERS)
+    }
+
+    const [carCount, sellerCount] = await Promise.all([db.countSitemapCars(), db.countSitemapSellers()])
+
+    if (pages.length + carCount + sellerCount <= SITEMAP_CHUNK_SIZE) {
+      const [cars, sellers] = await Promise.all([getCarEntries(db, origin, 1), getSellerEntries(db, origin, 1)])
+      return c.body(buildUrlset([...pages, ...cars, ...sellers]), 200, XML_HEADERS)
+    }
+
+    const chunks: SitemapEntry[] = [{ loc: `${origin}/sitemaps/pages.xml` }]
+    for (let chunk = 1; chunk <= Math.ceil(carCount / SITEMAP_CHUNK_SIZE); chunk++) {
+      chunks.push({ loc: `${origin}/sitemaps/cars-${chunk}.xml` })
+    }
+    for (let chunk = 1; chunk <= Math.ceil(sellerCount / SITEMAP_CHUNK_SIZE); chunk++) {
+      chunks.push({ loc: `${origin}/sitemaps/sellers-${chunk}.xml` })
+    }
+
+    return c.body(buildSitemapIndex(chunks), 200, XML_HEADERS)
+  } catch (error) {
+    console.error('Error building sitemap:', error)
+    return c.text('Failed to build sitemap', 500)
+  }
+})
+
+// Chunk files referenced by the sitemap index: pages.xml, cars-N.xml, sellers-N.xml
+sitemap.get('/sitemaps/:file', async (c) => {
+  try {
+    const match = c.req.param('file').match(/^(?:(pages)|(cars|sellers)-([1-9]\d*))\.xml$/)
+    if (!match || !c.env.DB) return c.notFound()
+
+    const origin = new URL(c.req.url).origin
+    const db = new DatabaseService(c.env.DB)
+    const [, pagesFile, section, chunkNumber] = match
+
+    let entries: SitemapEntry[]
+    if (pagesFile) {
+      entries = await getPageEntries(db, origin)
+    } else if (section === 'cars') {
+      entries = await getCarEntries(db, origin, parseInt(chunkNumber))
+    } else {
+      entries = await getSellerEntries(db, origin, parseInt(chunkNumber))
+    }
+
+    if (entries.length === 0) return c.notFound()
+
+    return c.body(buildUrlset(entries), 200, XML_HEADERS)
+  } catch (error) {
+    console.error('Error building sitemap chunk:', error)
+    return c.text('Failed to build sitemap', 500)
+  }
+})
+
+sitemap.get('/robots.txt', (c) => {
+  const origin = new URL(c.req.url).origin
+
+  return c.text(`User-agent: *
+Allow: /
+Disallow: /admin
+Disallow: /dashboard
+Disallow: /messages
+
+Sitemap: ${origin}/sitemap.xml
+`, 200, { 'Cache-Control': 'public, max-age=86400' })
+})
+
+export default sitemap
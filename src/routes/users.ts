@@ -1,9 +1,9 @@
 // User profile and dashboard routes for WightCars
 import { Hono } from 'hono'
 import { cors } from 'hono/cors'
-import type { CloudflareBindings, User, ApiResponse } from '../types'
+import type { CloudflareBindings, User, ApiResponse, CarFilters, SearchAlert, SearchAlertUpdate } from '../types'
 import { DatabaseService } from '../utils/database'
-import { verifyJWT, extractToken, hashPassword } from '../utils/auth'
+import { verifyJWT, extractToken, hashPassword, verifyPassword } from '../utils/auth'
 
 const users = new Hono<{ Bindings: CloudflareBindings }>()
 
@@ -26,7 +26,7 @@ const requireAuth = async (c: any, next: any) => {
     }, 401)
   }
 
-  const payload = await verifyJWT(token)
+  const payload = await verifyJWT(token, c.env)
   if (!payload) {
     return c.json<ApiResponse>({
       success: false,
@@ -36,6 +36,7 @@ const requireAuth = async (c: any, next: any) => {
 
   c.set('userId', payload.userId)
   c.set('userEmail', payload.email)
+  c.set('sessionId', payload.sid)
   
   await next()
 }
@@ -128,21 +129,14 @@ users.get('/profile/:id', async (c) => {
         }, 404)
       }
 
-      // Get user's cars for public profile
-      const userCars = await c.env.DB.prepare(`
-        SELECT 
-          id, title, make, model, year, price, featured_image, status, created_at, views
-        FROM cars 
-        WHERE user_id = ? AND status = 'active'
-        ORDER BY created_at DESC
-        LIMIT 20
-      `).bind(userId).all()
+      // Get user's cars for public profile, leaving out any still awaiting moderation
+      const userCars = await db.getUserCars(userId, 20)
 
       return c.json<ApiResponse>({
         success: true,
         data: {
           user,
-          cars: userCars.results || []
+          cars: userCars
         }
       })
     }
@@ -265,20 +259,16 @@ users.put('/password', requireAuth, async (c) => {
       }
 
       // Verify current password
-      const currentPasswordHash = await hashPassword(currentPassword)
-      if (currentPasswordHash !== (user as any).password_hash) {
+      if (!await verifyPassword(currentPassword, (user as any).password_hash)) {
         return c.json<ApiResponse>({
           success: false,
           error: 'Current password is incorrect'
         }, 400)
       }
 
-      // Update password
-      const newPasswordHash = await hashPassword(newPassword)
-      await c.env.DB.prepare(`
-        UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP
-        WHERE id = ?
-      `).bind(newPasswordHash, userId).run()
+      // Update password and sign out everywhere else, in case the old one leaked
+      await db.updatePasswordHash(userId, await hashPassword(newPassword))
+      await db.revokeUserSessions(userId, 'password_change', c.get('sessionId') as string)
 
       return c.json<ApiResponse>({
         success: true,
@@ -378,6 +368,306 @@ users.get('/admin/users', requireAuth, async (c) => {
   }
 })
 
+// Get user's notifications
+users.get('/notifications', requireAuth, async (c) => {
+  try {
+    const userId = c.get('userId') as number
+    
+    const db = new DatabaseService(c.env.DB)
+    const [notifications, unread] = await Promise.all([
+      db.getUserNotifications(userId),
+      db.getUnreadNotificationCount(userId)
+    ])
+    
+    return c.json<ApiResponse>({
+      success: true,
+      data: { notifications, unread }
+    })
+  } catch (error) {
+    console.error('Error fetching notifications:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to fetch notifications'
+    }, 500)
+  }
+})
+
+// Mark all notifications as read
+users.post('/notifications/read', requireAuth, async (c) => {
+  try {
+    const userId = c.get('userId') as number
+    
+    const db = new DatabaseService(c.env.DB)
+    await db.markNotificationsRead(userId)
+    
+    return c.json<ApiResponse>({
+      success: true,
+      data: { unread: 0 }
+    })
+  } catch (error) {
+    console.error('Error marking notifications read:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to update notifications'
+    }, 500)
+  }
+})
+
+// Only listing criteria are stored on an alert; paging, sorting and status are dropped
+const ALERT_TEXT_FILTERS = ['make', 'model', 'fuel_type', 'transmission', 'body_type', 'location', 'search', 'near'] as const
+const ALERT_NUMBER_FILTERS = ['min_price', 'max_price', 'min_year', 'max_year', 'min_mileage', 'max_mileage', 'radius_miles'] as const
+
+const parseAlertFilters = (input: any): CarFilters => {
+  const filters: any = {}
+  if (!input || typeof input !== 'object') return filters
+
+  for (const key of ALERT_TEXT_FILTERS) {
+    const value = typeof input[key] === 'string' ? input[key].trim() : ''
+    if (value) filters[key] = value
+  }
+  for (const key of ALERT_NUMBER_FILTERS) {
+    const value = parseInt(input[key])
+    if (!isNaN(value)) filters[key] = value
+  }
+  if (input.is_dealer === true || input.is_dealer === 'true') filters.is_dealer = true
+  if (input.is_dealer === false || input.is_dealer === 'false') filters.is_dealer = false
+
+  return filters
+}
+
+// Get user's search alerts with match counts
+users.get('/alerts', requireAuth, async (c) => {
+  try {
+    const userId = c.get('userId') as number
+    
+    const db = new DatabaseService(c.env.DB)
+    const alerts = await db.getUserSearchAlerts(userId)
+    
+    return c.json<ApiResponse<SearchAlert[]>>({
+      success: true,
+      data: alerts
+    })
+  } catch (error) {
+    console.error('Error fetching search alerts:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to fetch search alerts'
+    }, 500)
+  }
+})
+
+// Save a search as an alert
+users.post('/alerts', requireAuth, async (c) => {
+  try {
+    const userId = c.get('userId') as number
+    const { name, filters } = await c.req.json()
+    const alertFilters = parseAlertFilters(filters)
+    
+    if (!name || !String(name).trim()) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Alert name is required'
+      }, 400)
+    }
+
+    if (Object.keys(alertFilters).length === 0) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Choose at least one search filter to create an alert'
+      }, 400)
+    }
+
+    const db = new DatabaseService(c.env.DB)
+    const alert = await db.createSearchAlert(userId, {
+      name: String(name).trim(),
+      filters: alertFilters
+    })
+    
+    if (!alert) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Failed to create search alert'
+      }, 500)
+    }
+
+    return c.json<ApiResponse<SearchAlert>>({
+      success: true,
+      data: alert,
+      message: 'Search alert saved'
+    })
+  } catch (error) {
+    console.error('Error creating search alert:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to create search alert'
+    }, 500)
+  }
+})
+
+// Update a search alert (rename, change filters, pause/resume)
+users.put('/alerts/:id', requireAuth, async (c) => {
+  try {
+    const userId = c.get('userId') as number
+    const alertId = parseInt(c.req.param('id'))
+    const body = await c.req.json()
+    
+    if (!alertId || isNaN(alertId)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Invalid alert ID'
+      }, 400)
+    }
+
+    const updates: SearchAlertUpdate = {}
+    if (body.name !== undefined) {
+      if (!String(body.name).trim()) {
+        return c.json<ApiResponse>({
+          success: false,
+          error: 'Alert name cannot be empty'
+        }, 400)
+      }
+      updates.name = String(body.name).trim()
+    }
+    if (body.filters !== undefined) {
+      updates.filters = parseAlertFilters(body.filters)
+      if (Object.keys(updates.filters).length === 0) {
+        return c.json<ApiResponse>({
+          success: false,
+          error: 'Choose at least one search filter for this alert'
+        }, 400)
+      }
+    }
+    if (body.is_active !== undefined) {
+      updates.is_active = Boolean(body.is_active)
+    }
+
+    const db = new DatabaseService(c.env.DB)
+    const alert = await db.updateSearchAlert(alertId, userId, updates)
+    
+    if (!alert) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Search alert not found'
+      }, 404)
+    }
+
+    return c.json<ApiResponse<SearchAlert>>({
+      success: true,
+      data: alert,
+      message: 'Search alert updated'
+    })
+  } catch (error) {
+    console.error('Error updating search alert:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to update search alert'
+    }, 500)
+  }
+})
+
+// Delete a search alert
+users.delete('/alerts/:id', requireAuth, async (c) => {
+  try {
+    const userId = c.get('userId') as number
+    const alertId = parseInt(c.req.param('id'))
+    
+    if (!alertId || isNaN(alertId)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Invalid alert ID'
+      }, 400)
+    }
+
+    const db = new DatabaseService(c.env.DB)
+    const deleted = await db.deleteSearchAlert(alertId, userId)
+    
+    if (!deleted) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Search alert not found'
+      }, 404)
+    }
+
+    return c.json<ApiResponse>({
+      success: true,
+      message: 'Search alert deleted'
+    })
+  } catch (error) {
+    console.error('Error deleting search alert:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to delete search alert'
+    }, 500)
+  }
+})
+
+// Get listings that matched a search alert
+users.get('/alerts/:id/matches', requireAuth, async (c) => {
+  try {
+    const userId = c.get('userId') as number
+    const alertId = parseInt(c.req.param('id'))
+    
+    if (!alertId || isNaN(alertId)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Invalid alert ID'
+      }, 400)
+    }
+
+    const db = new DatabaseService(c.env.DB)
+    const alert = await db.getSearchAlertById(alertId, userId)
+    
+    if (!alert) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Search alert not found'
+      }, 404)
+    }
+
+    const matches = await db.getSearchAlertMatches(alertId, userId)
+    
+    return c.json<ApiResponse>({
+      success: true,
+      data: { alert, matches }
+    })
+  } catch (error) {
+    console.error('Error fetching search alert matches:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to fetch search alert matches'
+    }, 500)
+  }
+})
+
+// Mark all matches for an alert as read
+users.post('/alerts/:id/read', requireAuth, async (c) => {
+  try {
+    const userId = c.get('userId') as number
+    const alertId = parseInt(c.req.param('id'))
+    
+    if (!alertId || isNaN(alertId)) {
+      return c.json<ApiResponse>({
+        success: false,
+        error: 'Invalid alert ID'
+      }, 400)
+    }
+
+    const db = new DatabaseService(c.env.DB)
+    await db.markSearchAlertMatchesRead(alertId, userId)
+    
+    return c.json<ApiResponse>({
+      success: true,
+      data: { unread: await db.getUnreadAlertMatchCount(userId) }
+    })
+  } catch (error) {
+    console.error('Error marking search alert matches read:', error)
+    return c.json<ApiResponse>({
+      success: false,
+      error: 'Failed to update search alert'
+    }, 500)
+  }
+})
+
 // Get user's cars by ID
 users.get('/:id/cars', async (c) => {
   try {
@@ -6,7 +6,9 @@ export interface CloudflareBindings {
   DB: D1Database;
   IMAGES: R2Bucket;
   ENVIRONMENT: string;
-  JWT_SECRET?: string;
+  JWT_SECRET?: string; // One secret, or comma-separated "kid:secret" pairs with the signing key first
+  RESEND_API_KEY?: string; // Email delivery; without it, mail only reaches the outbox outside production
+  EMAIL_FROM?: string; // Sender address for delivered mail, e.g. "WightCars <no-reply@wightcars.co.uk>"
 }
 
 // Base interface for common fields
@@ -26,6 +28,7 @@ export interface User extends BaseEntity {
   is_verified: boolean;
   is_admin: boolean;
   is_suspended: boolean;
+  email_verified_at?: string; // Set once the user follows the link emailed at sign-up
   avatar_url?: string;
 }
 
@@ -51,8 +54,9 @@ export interface UserProfile extends Omit<User, 'id' | 'created_at'> {
 export type FuelType = 'petrol' | 'diesel' | 'electric' | 'hybrid' | 'other';
 export type TransmissionType = 'manual' | 'automatic' | 'cvt';
 export type BodyType = 'hatchback' | 'saloon' | 'estate' | 'suv' | 'coupe' | 'convertible' | 'mpv' | 'van' | 'other';
-export type CarStatus = 'active' | 'sold' | 'withdrawn' | 'pending';
+export type CarStatus = 'active' | 'sold' | 'withdrawn' | 'pending' | 'deleted';
 export type ServiceHistory = 'unknown' | 'full' | 'partial';
+export type ModerationStatus = 'pending' | 'approved' | 'rejected' | 'flagged';
 
 export interface Car extends BaseEntity {
   user_id: number;
@@ -98,6 +102,78 @@ export interface Car extends BaseEntity {
   
   // Joined fields (when fetched with user info)
   seller?: UserProfile;
+
+  // Present when the listing was matched by a full-text search
+  search_match?: CarSearchMatch;
+
+  // Price timeline, oldest first (only on the single car endpoint)
+  price_history?: CarPriceChange[];
+
+  // Listing lifecycle
+  expires_at?: string;
+  expiry_warned_at?: string;
+
+  // Set when the listing has been soft-deleted
+  deleted_at?: string;
+  deleted_by?: number;
+
+  // Moderation. Buyers only see approved listings (or pending ones when auto_approve_listings is on)
+  moderation_status?: ModerationStatus;
+  moderation_notes?: string; // The moderator's reason, shown to the owner
+  moderated_at?: string;
+  resubmitted_at?: string; // Last time the owner sent a rejected listing back for review
+
+  // Centroid of the listing's postcode or town, used for distance search
+  latitude?: number;
+  longitude?: number;
+  distance_miles?: number; // Present when searching near a postcode or town
+  similarity_score?: number; // Present in similar-car recommendations, out of 100
+}
+
+export interface CarPriceChange {
+  id: number;
+  car_id: number;
+  old_price: number | null; // null for the original listing price
+  new_price: number;
+  created_at: string;
+}
+
+// Specs normalised so listings from different sellers compare like for like
+export interface ComparedCarSpecs {
+  price: number;
+  year: number;
+  mileage: number | null;
+  engine_size_litres: number | null;
+  fuel_type: FuelType;
+  transmission: TransmissionType;
+  mot_expiry: string | null; // YYYY-MM-DD
+  service_history: ServiceHistory;
+}
+
+export interface ComparedCar {
+  id: number;
+  title: string;
+  make: string;
+  model: string;
+  location: string;
+  featured_image?: string;
+  specs: ComparedCarSpecs;
+  features: string[];
+  unique_features: string[]; // Features not shared by every car in the comparison
+}
+
+export interface CarComparison {
+  cars: ComparedCar[];
+  differences: (keyof ComparedCarSpecs)[];
+  best: Partial<Record<keyof ComparedCarSpecs, number[]>>; // Car IDs with the best value
+  common_features: string[];
+  missing_ids: number[]; // Requested cars that are no longer listed
+}
+
+export interface CarSearchMatch {
+  rank: number; // bm25 score, lower is more relevant
+  title: string; // HTML-escaped title with matched terms wrapped in <mark>
+  snippet: string; // HTML-escaped description excerpt around the matched terms
 }
 
 export interface CarCreate {
@@ -142,12 +218,41 @@ export interface CarFilters {
   location?: string;
   min_mileage?: number;
   max_mileage?: number;
-  search?: string; // General search term
+  search?: string; // Full-text search: words, "phrases" and prefix* terms
+  near?: string; // Island postcode district/sector or town, e.g. PO33 or Ryde
+  radius_miles?: number; // Only with near; no limit when missing
   is_dealer?: boolean;
   status?: CarStatus;
-  sort_by?: 'price_asc' | 'price_desc' | 'year_desc' | 'year_asc' | 'mileage_asc' | 'mileage_desc' | 'created_desc' | 'created_asc';
+  sort_by?: 'relevance' | 'distance_asc' | 'price_asc' | 'price_desc' | 'year_desc' | 'year_asc' | 'mileage_asc' | 'mileage_desc' | 'created_desc' | 'created_asc';
   page?: number;
   limit?: number;
+  cursor?: string; // Opaque cursor from a previous response; replaces page when set
+  include_facets?: boolean; // Also return facet counts for the browse sidebar
+}
+
+export interface FacetCount {
+  value: string;
+  count: number;
+}
+
+export interface FacetBucket {
+  label: string;
+  min: number; // Inclusive
+  max?: number; // Exclusive, open-ended when missing
+  count: number;
+}
+
+// Each facet is counted against the current filters minus its own,
+// so the sidebar shows what changing that one control would return
+export interface CarFacets {
+  make: FacetCount[];
+  model: FacetCount[];
+  fuel_type: FacetCount[];
+  transmission: FacetCount[];
+  body_type: FacetCount[];
+  location: FacetCount[];
+  price: FacetBucket[];
+  year: FacetBucket[];
 }
 
 // Message types
@@ -185,6 +290,8 @@ export interface SearchAlert extends BaseEntity {
   name: string;
   filters: CarFilters;
   is_active: boolean;
+  match_count?: number;
+  unread_count?: number;
 }
 
 export interface SearchAlertCreate {
@@ -192,6 +299,31 @@ export interface SearchAlertCreate {
   filters: CarFilters;
 }
 
+export interface SearchAlertUpdate {
+  name?: string;
+  filters?: CarFilters;
+  is_active?: boolean;
+}
+
+export interface SearchAlertMatch extends BaseEntity {
+  alert_id: number;
+  car_id: number;
+  is_read: boolean;
+  car?: Car;
+}
+
+// In-app notifications
+export type NotificationType = 'listing_expiring' | 'listing_expired' | 'listing_rejected' | 'price_drop';
+
+export interface Notification extends BaseEntity {
+  user_id: number;
+  type: NotificationType;
+  title: string;
+  message?: string;
+  link?: string;
+  is_read: boolean;
+}
+
 // API Response types
 export interface ApiResponse<T = any> {
   success: boolean;
@@ -204,11 +336,23 @@ export interface PaginatedResponse<T = any> extends ApiResponse<T[]> {
   pagination?: {
     page: number;
     limit: number;
-    total: number;
-    pages: number;
+    total?: number; // Left out on cursor pages, which skip the count
+    pages?: number;
   };
 }
 
+export interface CarSearchResponse extends PaginatedResponse<Car> {
+  cursor?: {
+    next: string | null; // Pass back as ?cursor= for the following page
+    has_more: boolean;
+  };
+  facets?: CarFacets;
+}
+
+export interface SimilarCarsResponse extends ApiResponse<Car[]> {
+  similar_cars_count?: number; // all listings above the similarity threshold, not just those returned
+}
+
 // Authentication types
 export interface AuthResponse extends ApiResponse {
   data?: {
@@ -220,10 +364,82 @@ export interface AuthResponse extends ApiResponse {
 export interface JWTPayload {
   userId: number;
   email: string;
+  sid: string; // Session the token belongs to
   iat?: number;
   exp?: number;
 }
 
+// Every issued token has a session row; revoking the row invalidates the token
+export type SessionRevokeReason = 'logout' | 'password_change' | 'password_reset' | 'suspended' | 'refresh_reuse';
+
+export interface Session {
+  id: string;
+  user_id: number;
+  user_agent?: string;
+  ip_address?: string;
+  created_at: string;
+  expires_at: string; // When the refresh token runs out; pushed back on each refresh
+  refresh_token_hash?: string;
+  previous_refresh_token_hash?: string; // The token the current one replaced, to spot reuse
+  refreshed_at?: string;
+  last_seen_at?: string;
+  revoked_at?: string;
+  revoked_reason?: SessionRevokeReason;
+}
+
+// A signed-in device as listed to its owner
+export interface ActiveSession {
+  id: string;
+  user_agent?: string;
+  ip_address?: string;
+  created_at: string;
+  last_seen_at?: string;
+  current: boolean;
+}
+
+export interface SessionMeta {
+  user_agent?: string;
+  ip_address?: string;
+}
+
+// Email handed to the configured transport
+export interface EmailMessage {
+  to: string;
+  subject: string;
+  text: string;
+  html?: string;
+  template?: string; // Which kind of email this is, e.g. 'password_reset'
+}
+
+// A message as stored in the email_outbox table
+export interface OutboxEmail {
+  id: number;
+  recipient: string;
+  subject: string;
+  text_body: string;
+  html_body?: string;
+  template?: string;
+  created_at: string;
+}
+
+// Per-page <head> metadata for server-rendered pages; the renderer falls back to site defaults
+export interface PageMeta {
+  title?: string;
+  description?: string;
+  canonical?: string; // Absolute URL
+  image?: string; // Absolute URL for Open Graph and Twitter cards
+  type?: 'website' | 'product';
+  noindex?: boolean;
+  jsonLd?: Record<string, unknown>;
+  feeds?: PageFeedLink[]; // Advertised to feed readers via <link rel="alternate">
+}
+
+export interface PageFeedLink {
+  title: string;
+  type: 'application/atom+xml' | 'application/rss+xml';
+  href: string;
+}
+
 // Form validation types
 export interface ValidationError {
   field: string;
@@ -240,6 +456,165 @@ export interface SelectOption {
 export interface CarMake {
   name: string;
   models: string[];
+  aliases?: string[]; // Other names the make is searched by, e.g. VW
+  model_years?: Record<string, { year_from: number | null; year_to: number | null }>; // Only models with a known range
+}
+
+// Make/model catalogue as managed by admins
+export interface CatalogueModel extends BaseEntity {
+  make_id: number;
+  name: string;
+  year_from: number | null;
+  year_to: number | null;
+  sort_order: number;
+  is_active: boolean;
+}
+
+export interface CatalogueAlias {
+  id: number;
+  make_id: number;
+  alias: string;
+  created_at: string;
+}
+
+export interface CatalogueMake extends BaseEntity {
+  name: string;
+  sort_order: number;
+  is_active: boolean;
+  models: CatalogueModel[];
+  aliases: CatalogueAlias[];
+}
+
+export interface CatalogueMakeInput {
+  name?: string;
+  sort_order?: number;
+  is_active?: boolean;
+}
+
+export interface CatalogueModelInput {
+  name?: string;
+  year_from?: number | null;
+  year_to?: number | null;
+  sort_order?: number;
+  is_active?: boolean;
+}
+
+// A listing's make and model matched against the catalogue
+export interface CatalogueMatch {
+  make: string; // Catalogue spelling when known, otherwise as the seller typed it
+  model: string;
+  make_id: number | null;
+  model_id: number | null;
+}
+
+export type ModelProposalStatus = 'pending' | 'approved' | 'rejected';
+
+export interface ModelProposal {
+  id: number;
+  make_id: number | null;
+  make_name: string;
+  model_name: string;
+  year: number | null;
+  proposed_by: number;
+  proposer_name?: string;
+  car_id: number | null;
+  car_title?: string | null;
+  status: ModelProposalStatus;
+  reviewed_by: number | null;
+  reviewed_at: string | null;
+  review_notes: string | null;
+  created_at: string;
+}
+
+// Reports of users and listings, worked through by admins
+export type ReportType = 'spam' | 'inappropriate' | 'fraud' | 'other';
+export const REPORT_TYPES: ReportType[] = ['spam', 'inappropriate', 'fraud', 'other'];
+export type ReportStatus = 'open' | 'investigating' | 'resolved' | 'dismissed';
+export type ReportAction = 'assign' | 'resolve' | 'dismiss' | 'reopen';
+export type ReportLinkedAction = 'suspend_user' | 'reject_car'; // Taken against the target when resolving
+
+export interface UserReport {
+  id: number;
+  reporter_id: number;
+  reported_user_id: number | null;
+  reported_car_id: number | null;
+  report_type: ReportType;
+  description: string | null;
+  status: ReportStatus;
+  assigned_to: number | null;
+  resolution_notes: string | null;
+  created_at: string;
+  updated_at: string;
+}
+
+export interface ReportCreate {
+  car_id?: number;
+  user_id?: number;
+  report_type: ReportType;
+  description?: string;
+}
+
+export interface ReportEvent {
+  id: number;
+  report_id: number;
+  admin_id: number;
+  admin_name?: string;
+  action: ReportAction;
+  from_status: ReportStatus;
+  to_status: ReportStatus;
+  assigned_to: number | null;
+  assigned_name?: string | null;
+  linked_action: ReportLinkedAction | null;
+  notes: string | null;
+  created_at: string;
+}
+
+// One entry in the admin activity log
+export interface AdminLog {
+  id: number;
+  admin_id: number;
+  admin_name?: string;
+  admin_email?: string;
+  action: string;
+  target_type: string;
+  target_id: number | null;
+  details: string | null;
+  ip_address: string | null;
+  user_agent: string | null;
+  before_state: unknown; // Parsed from JSON; null when the action didn't record one
+  after_state: unknown;
+  created_at: string;
+}
+
+// Site settings, stored as text in site_settings and parsed by setting_type
+export type SettingType = 'text' | 'number' | 'boolean' | 'json';
+
+export interface SiteSetting {
+  id: number;
+  setting_key: string;
+  setting_value: string | null;
+  setting_type: SettingType;
+  description: string | null;
+  updated_by: number | null;
+  updated_at: string;
+}
+
+// The settings the app acts on, with their parsed values
+export interface SiteSettings {
+  site_name: string;
+  site_description: string;
+  contact_email: string;
+  maintenance_mode: boolean;
+  enable_user_registration: boolean;
+  auto_approve_listings: boolean;
+  require_verification_to_sell: boolean;
+  require_email_verification: boolean;
+  max_images_per_car: number;
+  max_image_size_mb: number;
+  featured_cars_count: number;
+  listing_duration_days: number;
+  listing_expiry_warning_days: number;
+  report_flag_threshold: number;
 }
 
 // Statistics and analytics
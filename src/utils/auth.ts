@@ -1,23 +1,147 @@
 // Authentication utilities for WightCars
-import { sign, verify } from 'hono/jwt'
-import type { JWTPayload, User } from '../types'
+import { sign, verify, decode } from 'hono/jwt'
+import type { CloudflareBindings, JWTPayload, SessionMeta, User } from '../types'
+import { DatabaseService } from './database'
 
-const JWT_SECRET = 'wightcars-super-secret-key-2024' // In production, use environment variable
+// Access tokens are short-lived and sent as a bearer token. The session behind them lasts as long
+// as its refresh token, which is rotated on every use and extended each time
+export const ACCESS_TOKEN_TTL_SECONDS = 15 * 60 // 15 minutes
+export const REFRESH_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60 // 30 days
+
+// Two tabs refreshing at once both present the same token; the slower one is still let through
+const REFRESH_REUSE_GRACE_SECONDS = 30
+
+// Signing keys come from JWT_SECRET: either a single secret, or comma-separated "kid:secret"
+// pairs. The first key signs new tokens and every listed key verifies, so a key is rotated out
+// by putting a new one in front and removing the old one once its tokens have expired.
+const DEFAULT_KEY_ID = 'default'
+const KEY_PAIR_PATTERN = /^([A-Za-z0-9_-]{1,32}):(.+)$/
+
+// Only used outside production when JWT_SECRET is unset, so local development works out of the box
+const DEVELOPMENT_JWT_SECRET = 'wightcars-development-secret-key-change-in-production'
+
+interface SigningKey {
+  kid: string
+  jwk: JsonWebKey & { kid: string }
+}
+
+let signingKeyCache: { raw: string; keys: SigningKey[] } | null = null
+
+function toSigningKey(kid: string, secret: string): SigningKey {
+  const k = btoa(String.fromCharCode(...new TextEncoder().encode(secret)))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+  return { kid, jwk: { kty: 'oct', k, alg: 'HS256', kid } }
+}
+
+function getSigningKeys(env: CloudflareBindings): SigningKey[] {
+  let raw = env.JWT_SECRET?.trim() || ''
+  if (!raw) {
+    if (env.ENVIRONMENT === 'production') {
+      throw new Error('JWT_SECRET is not configured')
+    }
+    raw = DEVELOPMENT_JWT_SECRET
+  }
+  if (signingKeyCache?.raw === raw) return signingKeyCache.keys
+
+  const keys: SigningKey[] = []
+  for (const entry of raw.split(',').map(part => part.trim()).filter(Boolean)) {
+    const pair = entry.match(KEY_PAIR_PATTERN)
+    const [kid, secret] = pair ? [pair[1], pair[2]] : [DEFAULT_KEY_ID, entry]
+    if (!keys.some(key => key.kid === kid)) {
+      keys.push(toSigningKey(kid, secret))
+    }
+  }
+
+  signingKeyCache = { raw, keys }
+  return keys
+}
+
+// Random URL-safe token for refresh and one-off links. Only its hash is ever stored
+export function generateOpaqueToken(): string {
+  return btoa(String.fromCharCode(...crypto.getRandomValues(new Uint8Array(32))))
+    .replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+export async function hashToken(token: string): Promise<string> {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token))
+  return Array.from(new Uint8Array(digest)).map(b => b.toString(16).padStart(2, '0')).join('')
+}
+
+// Access token for an existing session
+export async function generateJWT(user: Pick<User, 'id' | 'email'>, env: CloudflareBindings, sessionId: string): Promise<string> {
+  const [key] = getSigningKeys(env)
+  const now = Math.floor(Date.now() / 1000)
 
-export async function generateJWT(user: User): Promise<string> {
   const payload: JWTPayload = {
     userId: user.id,
     email: user.email,
-    iat: Math.floor(Date.now() / 1000),
-    exp: Math.floor(Date.now() / 1000) + (7 * 24 * 60 * 60) // 7 days
+    sid: sessionId,
+    iat: now,
+    exp: now + ACCESS_TOKEN_TTL_SECONDS
   }
-  
-  return await sign(payload, JWT_SECRET)
+
+  return await sign(payload, key.jwk)
 }
 
-export async function verifyJWT(token: string): Promise<JWTPayload | null> {
+// Signs the user in: a new session with its refresh token, and an access token for it.
+// Revoking the session (logout, password change, suspension) ends both
+export async function startSession(user: Pick<User, 'id' | 'email'>, env: CloudflareBindings, meta: SessionMeta = {}): Promise<{ token: string; refreshToken: string }> {
+  const refreshToken = generateOpaqueToken()
+  const expiresAt = Math.floor(Date.now() / 1000) + REFRESH_TOKEN_TTL_SECONDS
+
+  const sessionId = await new DatabaseService(env.DB).createSession(user.id, expiresAt, await hashToken(refreshToken), meta)
+  if (!sessionId) {
+    throw new Error('Failed to create session')
+  }
+
+  return { token: await generateJWT(user, env, sessionId), refreshToken }
+}
+
+// Trades a refresh token for a new access token and, normally, a new refresh token.
+// Presenting a refresh token that has already been swapped outside the grace period
+// means it was copied, so the whole session is revoked
+export async function refreshSession(refreshToken: string, env: CloudflareBindings, meta: SessionMeta = {}): Promise<{ user: User; token: string; refreshToken?: string } | null> {
+  const db = new DatabaseService(env.DB)
+  const tokenHash = await hashToken(refreshToken)
+
+  const session = await db.getSessionByRefreshToken(tokenHash)
+  if (!session) return null
+
+  const user = await db.getUserById(session.user_id)
+  if (!user || user.is_suspended) return null
+
+  if (session.refresh_token_hash !== tokenHash) {
+    if (session.seconds_since_refresh > REFRESH_REUSE_GRACE_SECONDS) {
+      await db.revokeSession(session.id, 'refresh_reuse')
+      return null
+    }
+    return { user, token: await generateJWT(user, env, session.id) }
+  }
+
+  const nextRefreshToken = generateOpaqueToken()
+  const expiresAt = Math.floor(Date.now() / 1000) + REFRESH_TOKEN_TTL_SECONDS
+  const rotated = await db.rotateRefreshToken(session.id, tokenHash, await hashToken(nextRefreshToken), expiresAt, meta)
+
+  // Lost a race with another refresh of the same token, which already set the new cookie
+  if (!rotated) {
+    return { user, token: await generateJWT(user, env, session.id) }
+  }
+
+  return { user, token: await generateJWT(user, env, session.id), refreshToken: nextRefreshToken }
+}
+
+export async function verifyJWT(token: string, env: CloudflareBindings): Promise<JWTPayload | null> {
   try {
-    const payload = await verify(token, JWT_SECRET) as JWTPayload
+    const { header } = decode(token)
+    const key = getSigningKeys(env).find(candidate => candidate.kid === (header as { kid?: string }).kid)
+    if (!key) return null
+
+    const payload = await verify(token, key.jwk, 'HS256') as JWTPayload
+    if (!payload.sid) return null
+
+    const session = await new DatabaseService(env.DB).getActiveSession(payload.sid)
+    if (!session || session.user_id !== payload.userId) return null
+
     return payload
   } catch (error) {
     console.error('JWT verification failed:', error)
@@ -32,18 +156,70 @@ export function extractToken(authHeader: string | undefined): string | null {
   return authHeader.substring(7) // Remove 'Bearer ' prefix
 }
 
-// Password hashing utilities (simplified for demo - in production use proper bcrypt)
+// Password hashing. Stored as "pbkdf2_sha256$<iterations>$<salt>$<hash>" (base64 salt and hash),
+// so the scheme and cost can be raised later without breaking existing hashes.
+// Workers' WebCrypto caps PBKDF2 at 100,000 iterations.
+const PASSWORD_SCHEME = 'pbkdf2_sha256'
+const PASSWORD_ITERATIONS = 100000
+const PASSWORD_SALT_BYTES = 16
+const PASSWORD_HASH_BYTES = 32
+
+// Hashes written before PBKDF2: hex SHA-256 of the password plus a site-wide salt
+const LEGACY_PASSWORD_SALT = 'wightcars-salt'
+
+const toBase64 = (bytes: Uint8Array) => btoa(String.fromCharCode(...bytes))
+const fromBase64 = (text: string) => Uint8Array.from(atob(text), char => char.charCodeAt(0))
+
+async function pbkdf2(password: string, salt: Uint8Array, iterations: number, length: number): Promise<Uint8Array> {
+  const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits'])
+  const bits = await crypto.subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, length * 8)
+  return new Uint8Array(bits)
+}
+
+async function legacyHash(password: string): Promise<string> {
+  const hashBuffer = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(password + LEGACY_PASSWORD_SALT))
+  return Array.from(new Uint8Array(hashBuffer)).map(b => b.toString(16).padStart(2, '0')).join('')
+}
+
+// Compares every byte so the time taken doesn't reveal how much of a hash matched
+function timingSafeEqual(a: Uint8Array, b: Uint8Array): boolean {
+  if (a.length !== b.length) return false
+  let difference = 0
+  for (let i = 0; i < a.length; i++) {
+    difference |= a[i] ^ b[i]
+  }
+  return difference === 0
+}
+
 export async function hashPassword(password: string): Promise<string> {
-  // For demo purposes, we'll use a simple approach
-  // In production, use proper bcrypt with salt rounds
-  const encoder = new TextEncoder()
-  const data = encoder.encode(password + 'wightcars-salt')
-  const hashBuffer = await crypto.subtle.digest('SHA-256', data)
-  const hashArray = Array.from(new Uint8Array(hashBuffer))
-  return hashArray.map(b => b.toString(16).padStart(2, '0')).join('')
-}
-
-export async function verifyPassword(password: string, hash: string): Promise<boolean> {
-  const hashedPassword = await hashPassword(password)
-  return hashedPassword === hash
-}
\ No newline at end of file
+  const salt = crypto.getRandomValues(new Uint8Array(PASSWORD_SALT_BYTES))
+  const hash = await pbkdf2(password, salt, PASSWORD_ITERATIONS, PASSWORD_HASH_BYTES)
+  return `${PASSWORD_SCHEME}$${PASSWORD_ITERATIONS}$${toBase64(salt)}$${toBase64(hash)}`
+}
+
+// Accepts current hashes and legacy SHA-256 ones
+export async function verifyPassword(password: string, stored: string): Promise<boolean> {
+  if (!stored) return false
+
+  if (!stored.startsWith(`${PASSWORD_SCHEME}$`)) {
+    const encoder = new TextEncoder()
+    return timingSafeEqual(encoder.encode(await legacyHash(password)), encoder.encode(stored))
+  }
+
+  const [, iterations, salt, hash] = stored.split('$')
+  try {
+    const expected = fromBase64(hash)
+    const actual = await pbkdf2(password, fromBase64(salt), parseInt(iterations), expected.length)
+    return timingSafeEqual(actual, expected)
+  } catch (error) {
+    console.error('Malformed password hash:', error)
+    return false
+  }
+}
+
+// True for legacy hashes and ones made with fewer iterations than we use now;
+// call after a successful verifyPassword and store a fresh hashPassword
+export function passwordNeedsRehash(stored: string): boolean {
+  const [scheme, iterations] = stored.split('$')
+  return scheme !== PASSWORD_SCHEME || parseInt(iterations) < PASSWORD_ITERATIONS
+}
@@ -0,0 +1,123 @@
+// Side-by-side comparison utilities for WightCars
+// Normalises free-form listing specs so cars from different sellers line up
+import type { Car, CarComparison, ComparedCar, ComparedCarSpecs, ServiceHistory } from '../types'
+
+export const MAX_COMPARE_CARS = 4
+
+// Which way is better for each numeric spec; the rest are only checked for differences
+const BEST_DIRECTION: Partial<Record<keyof ComparedCarSpecs, 'min' | 'max'>> = {
+  price: 'min',
+  year: 'max',
+  mileage: 'min',
+  mot_expiry: 'max'
+}
+
+/**
+ * Parse an engine size into litres: "2.0L", "2.0", "1998cc" and "1998" all give 2.0.
+ * Returns null for electric or unparseable values.
+ */
+export function parseEngineLitres(engineSize?: string | null): number | null {
+  if (!engineSize) return null
+
+  const match = engineSize.replace(',', '.').match(/(\d+(?:\.\d+)?)\s*(cc|l|litre|liter)?/i)
+  if (!match) return null
+
+  const value = parseFloat(match[1])
+  const unit = (match[2] || '').toLowerCase()
+  // Bare numbers above 20 can only be cubic centimetres
+  const litres = unit === 'cc' || (!unit && value > 20) ? value / 1000 : value
+
+  return litres > 0 ? Math.round(litres * 10) / 10 : null
+}
+
+// The column is stored as 0/1/2 but typed as a string union
+function normaliseServiceHistory(value: unknown): ServiceHistory {
+  if (value === 1 || value === 'full') return 'full'
+  if (value === 2 || value === 'partial') return 'partial'
+  return 'unknown'
+}
+
+function normaliseDate(value?: string | null): string | null {
+  if (!value) return null
+  const date = new Date(value)
+  return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10)
+}
+
+export function normaliseSpecs(car: Car): ComparedCarSpecs {
+  return {
+    price: car.price,
+    year: car.year,
+    mileage: car.mileage ?? null,
+    engine_size_litres: parseEngineLitres(car.engine_size),
+    fuel_type: car.fuel_type,
+    transmission: car.transmission,
+    mot_expiry: normaliseDate(car.mot_expiry),
+    service_history: normaliseServiceHistory(car.service_history)
+  }
+}
+
+/**
+ * Build a comparison of cars in the order requested, with the specs that differ,
+ * the best value for each rankable spec, and a features diff.
+ */
+export function buildComparison(cars: Car[], requestedIds: number[]): CarComparison {
+  const byId = new Map(cars.map(car => [car.id, car]))
+  const ordered = requestedIds.map(id => byId.get(id)).filter((car): car is Car => !!car)
+
+  // Features are matched case-insensitively but shown as the first seller wrote them
+  const featureLabels = new Map<string, string>()
+  const featureSets = ordered.map(car => {
+    const keys = new Set<string>()
+    for (const feature of car.features || []) {
+      const label = String(feature).trim()
+      if (!label) continue
+      const key = label.toLowerCase()
+      if (!featureLabels.has(key)) featureLabels.set(key, label)
+      keys.add(key)
+    }
+    return keys
+  })
+
+  const commonKeys = [...featureLabels.keys()].filter(key => featureSets.every(set => set.has(key)))
+
+  const compared: ComparedCar[] = ordered.map((car, index) => ({
+    id: car.id,
+    title: car.title,
+    make: car.make,
+    model: car.model,
+    location: car.location,
+    featured_image: car.featured_image,
+    specs: normaliseSpecs(car),
+    features: [...featureSets[index]].map(key => featureLabels.get(key)!),
+    unique_features: [...featureSets[index]]
+      .filter(key => !commonKeys.includes(key))
+      .map(key => featureLabels.get(key)!)
+  }))
+
+  const specKeys = compared.length > 0 ? Object.keys(compared[0].specs) as (keyof ComparedCarSpecs)[] : []
+  const differences = specKeys.filter(key =>
+    new Set(compared.map(car => car.specs[key])).size > 1
+  )
+
+  const best: CarComparison['best'] = {}
+  for (const key of differences) {
+    const direction = BEST_DIRECTION[key]
+    if (!direction) continue
+
+    const values = compared
+      .map(car => car.specs[key])
+      .filter((value): value is number | string => value !== null)
+    if (values.length === 0) continue
+
+    const target = values.reduce((a, b) => (direction === 'min' ? (b < a ? b : a) : (b > a ? b : a)))
+    best[key] = compared.filter(car => car.specs[key] === target).map(car => car.id)
+  }
+
+  return {
+    cars: compared,
+    differences,
+    best,
+    common_features: commonKeys.map(key => featureLabels.get(key)!),
+    missing_ids: requestedIds.filter(id => !byId.has(id))
+  }
+}
@@ -0,0 +1,20 @@
+// CSV helpers for admin exports
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/
+
+function csvCell(value: unknown): string {
+  if (value === null || value === undefined) return ''
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value)
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// One RFC 4180 line, CRLF included
+export function csvRow(values: unknown[]): string {
+  return values.map(csvCell).join(',') + '\r\n'
+}
@@ -0,0 +1,41 @@
+// Keyset pagination cursors for WightCars
+// A cursor records the sort order plus the last row's sort value and id, so the
+// next page starts strictly after it however many listings are added meanwhile
+
+export interface PageCursor {
+  sort: string; // Resolved sort order the cursor was issued for, e.g. price_asc
+  value: number | string; // Sort column value of the last row returned
+  id: number; // Tie-breaker for rows sharing the same sort value
+}
+
+function toBase64Url(text: string): string {
+  return btoa(text).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+function fromBase64Url(token: string): string {
+  const base64 = token.replace(/-/g, '+').replace(/_/g, '/')
+  return atob(base64 + '='.repeat((4 - base64.length % 4) % 4))
+}
+
+// Opaque to clients: they should pass it back untouched
+export function encodeCursor(cursor: PageCursor): string {
+  return toBase64Url(JSON.stringify([cursor.sort, cursor.value, cursor.id]))
+}
+
+// Returns null for anything that isn't a cursor we issued
+export function decodeCursor(token?: string | null): PageCursor | null {
+  if (!token) return null
+
+  try {
+    const parsed = JSON.parse(fromBase64Url(token))
+    if (!Array.isArray(parsed) || parsed.length !== 3) return null
+
+    const [sort, value, id] = parsed
+    if (typeof sort !== 'string' || !Number.isInteger(id)) return null
+    if (typeof value !== 'number' && typeof value !== 'string') return null
+
+    return { sort, value, id }
+  } catch (error) {
+    return null
+  }
+}
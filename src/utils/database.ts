@@ -1,16 +1,87 @@
 // Database utilities for WightCars
 import type { 
   Car, 
+  CarStatus,
   User, 
   Message, 
   CarFilters, 
   CloudflareBindings,
   UserRegistration,
   CarCreate,
-  PaginatedResponse
+  PaginatedResponse,
+  CarSearchResponse,
+  CarFacets,
+  FacetCount,
+  FacetBucket,
+  SearchAlert,
+  SearchAlertCreate,
+  SearchAlertUpdate,
+  SearchAlertMatch,
+  Notification,
+  NotificationType,
+  CarPriceChange,
+  CarMake,
+  CatalogueMake,
+  CatalogueMakeInput,
+  CatalogueModel,
+  CatalogueModelInput,
+  CatalogueAlias,
+  CatalogueMatch,
+  ModelProposal,
+  ModelProposalStatus,
+  UserReport,
+  ReportStatus,
+  ReportAction,
+  ReportLinkedAction,
+  ReportEvent,
+  ReportCreate,
+  Session,
+  SessionMeta,
+  SessionRevokeReason
 } from '../types'
+import { buildSearchQuery, renderHighlight } from './search'
+import { encodeCursor, decodeCursor } from './cursor'
+import { resolveLocation, MILES_PER_DEGREE_LATITUDE, MILES_PER_DEGREE_LONGITUDE } from './locations'
+import { getSiteSettings } from './settings'
+import { resolveCarSort } from './filters'
+
+// Price facet bucket boundaries in pence, lined up with the browse page price options
+const PRICE_BUCKETS = [0, 500000, 1000000, 1500000, 2000000, 3000000, 5000000, 10000000]
+
+const formatPounds = (pence: number) => `£${(pence / 100).toLocaleString('en-GB')}`
+
+// Sort column and direction for each sort_by option
+const CAR_SORTS: Record<string, { column: string; direction: 'ASC' | 'DESC' }> = {
+  relevance: { column: 'search_rank', direction: 'ASC' },
+  distance_asc: { column: 'distance_sq', direction: 'ASC' },
+  price_asc: { column: 'cars.price', direction: 'ASC' },
+  price_desc: { column: 'cars.price', direction: 'DESC' },
+  year_asc: { column: 'cars.year', direction: 'ASC' },
+  year_desc: { column: 'cars.year', direction: 'DESC' },
+  // Missing mileage sorts lowest, as SQLite orders NULLs, but stays comparable in cursors
+  mileage_asc: { column: 'COALESCE(cars.mileage, -1)', direction: 'ASC' },
+  mileage_desc: { column: 'COALESCE(cars.mileage, -1)', direction: 'DESC' },
+  created_asc: { column: 'cars.created_at', direction: 'ASC' },
+  created_desc: { column: 'cars.created_at', direction: 'DESC' }
+}
+
+// Moderation states buyers can see. Unreviewed listings go straight on sale when
+// the auto_approve_listings setting is on; rejected and flagged ones never do
+const APPROVED_LISTING_CONDITION = "cars.moderation_status = 'approved'"
+const AUTO_APPROVED_LISTING_CONDITION = "cars.moderation_status IN ('approved', 'pending')"
+
+// Only live, approved listings from sellers in good standing are advertised to crawlers
+const SITEMAP_LISTING_CONDITION = "cars.status = 'active' AND cars.moderation_status = 'approved' AND COALESCE(users.is_suspended, 0) = 0"
+
+// Listings scoring below this (out of 100) aren't shown as similar
+const SIMILAR_CARS_MIN_SCORE = 30
 
 export class DatabaseService {
+  // Make aliases for full-text search, loaded once per instance by loadSearchSynonyms()
+  private searchSynonyms = new Map<string, string>()
+  // The auto_approve_listings setting, loaded by loadModerationPolicy() for the synchronous clause builder
+  private autoApproveListings: boolean | null = null
+
   constructor(private db: D1Database) {}
 
   // User operations
@@ -36,6 +107,257 @@ export class DatabaseService {
     }
   }
 
+  async updatePasswordHash(userId: number, passwordHash: string): Promise<boolean> {
+    try {
+      const result = await this.db.prepare(`
+        UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+      `).bind(passwordHash, userId).run()
+
+      return (result.meta?.changes || 0) > 0
+    } catch (error) {
+      console.error('Error updating password hash:', error)
+      return false
+    }
+  }
+
+  // Sessions back issued tokens. expiresAt is when the refresh token runs out, in epoch seconds
+  async createSession(userId: number, expiresAt: number, refreshTokenHash: string, meta: SessionMeta = {}): Promise<string | null> {
+    try {
+      const id = crypto.randomUUID()
+      await this.db.prepare(`
+        INSERT INTO sessions (id, user_id, user_agent, ip_address, expires_at, refresh_token_hash, last_seen_at)
+        VALUES (?, ?, ?, ?, datetime(?, 'unixepoch'), ?, CURRENT_TIMESTAMP)
+      `).bind(id, userId, meta.user_agent || null, meta.ip_address || null, expiresAt, refreshTokenHash).run()
+
+      return id
+    } catch (error) {
+      console.error('Error creating session:', error)
+      return null
+    }
+  }
+
+  async getActiveSession(sessionId: string): Promise<Session | null> {
+    try {
+      const result = await this.db.prepare(`
+        SELECT * FROM sessions
+        WHERE id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      `).bind(sessionId).first()
+
+      return result as Session | null
+    } catch (error) {
+      console.error('Error fetching session:', error)
+      return null
+    }
+  }
+
+  // Matches the current refresh token or the one it replaced; the caller tells them apart
+  async getSessionByRefreshToken(tokenHash: string): Promise<(Session & { seconds_since_refresh: number }) | null> {
+    try {
+      const result = await this.db.prepare(`
+        SELECT *,
+               CAST((julianday('now') - julianday(COALESCE(refreshed_at, created_at))) * 86400 AS INTEGER) as seconds_since_refresh
+        FROM sessions
+        WHERE (refresh_token_hash = ? OR previous_refresh_token_hash = ?)
+          AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+      `).bind(tokenHash, tokenHash).first()
+
+      return result as (Session & { seconds_since_refresh: number }) | null
+    } catch (error) {
+      console.error('Error fetching session by refresh token:', error)
+      return null
+    }
+  }
+
+  // Swaps in a new refresh token only if the old one is still current, so concurrent
+  // refreshes of the same token can't both rotate it
+  async rotateRefreshToken(sessionId: string, currentHash: string, nextHash: string, expiresAt: number, meta: SessionMeta = {}): Promise<boolean> {
+    try {
+      const result = await this.db.prepare(`
+        UPDATE sessions
+        SET previous_refresh_token_hash = refresh_token_hash, refresh_token_hash = ?,
+            refreshed_at = CURRENT_TIMESTAMP, last_seen_at = CURRENT_TIMESTAMP,
+            expires_at = datetime(?, 'unixepoch'), ip_address = COALESCE(?, ip_address)
+        WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL
+      `).bind(nextHash, expiresAt, meta.ip_address || null, sessionId, currentHash).run()
+
+      return (result.meta?.changes || 0) > 0
+    } catch (error) {
+      console.error('Error rotating refresh token:', error)
+      return false
+    }
+  }
+
+  async getUserSessions(userId: number): Promise<Session[]> {
+    try {
+      const results = await this.db.prepare(`
+        SELECT id, user_id, user_agent, ip_address, created_at, expires_at, last_seen_at
+        FROM sessions
+        WHERE user_id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+        ORDER BY COALESCE(last_seen_at, created_at) DESC
+      `).bind(userId).all<Session>()
+
+      return results.results || []
+    } catch (error) {
+      console.error('Error fetching user sessions:', error)
+      return []
+    }
+  }
+
+  async revokeSession(sessionId: string, reason: SessionRevokeReason): Promise<boolean> {
+    try {
+      const result = await this.db.prepare(`
+        UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+        WHERE id = ? AND revoked_at IS NULL
+      `).bind(reason, sessionId).run()
+
+      return (result.meta?.changes || 0) > 0
+    } catch (error) {
+      console.error('Error revoking session:', error)
+      return false
+    }
+  }
+
+  // Revokes all of a user's live sessions, optionally keeping the one making the request
+  async revokeUserSessions(userId: number, reason: SessionRevokeReason, exceptSessionId?: string): Promise<number> {
+    try {
+      const result = await this.db.prepare(`
+        UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+        WHERE user_id = ? AND revoked_at IS NULL AND id != ?
+      `).bind(reason, userId, exceptSessionId || '').run()
+
+      return result.meta?.changes || 0
+    } catch (error) {
+      console.error('Error revoking user sessions:', error)
+      return 0
+    }
+  }
+
+  // Email verification tokens, stored hashed like reset tokens. expiresAt is in epoch seconds
+  async createEmailVerificationToken(userId: number, tokenHash: string, expiresAt: number): Promise<boolean> {
+    try {
+      await this.db.prepare(`
+        INSERT INTO email_verification_tokens (user_id, token_hash, expires_at)
+        VALUES (?, ?, datetime(?, 'unixepoch'))
+      `).bind(userId, tokenHash, expiresAt).run()
+
+      return true
+    } catch (error) {
+      console.error('Error creating email verification token:', error)
+      return false
+    }
+  }
+
+  async countRecentEmailVerifications(userId: number, minutes: number): Promise<number> {
+    try {
+      const result = await this.db.prepare(`
+        SELECT COUNT(*) as count FROM email_verification_tokens
+        WHERE user_id = ? AND created_at > datetime('now', ?)
+      `).bind(userId, `-${minutes} minutes`).first()
+
+      return (result?.count as number) || 0
+    } catch (error) {
+      console.error('Error counting email verifications:', error)
+      return 0
+    }
+  }
+
+  // Redeems a verification token and marks the email confirmed; any other links for
+  // the user stop working. Returns the user's id, or null when the token is unknown,
+  // used or expired
+  async completeEmailVerification(tokenHash: string): Promise<number | null> {
+    try {
+      const claimed = await this.db.prepare(`
+        UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP
+        WHERE token_hash = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+        RETURNING user_id
+      `).bind(tokenHash).first()
+
+      if (!claimed) return null
+      const userId = claimed.user_id as number
+
+      await this.db.batch([
+        this.db.prepare(`
+          UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `).bind(userId),
+        this.db.prepare(`
+          UPDATE email_verification_tokens SET used_at = CURRENT_TIMESTAMP
+          WHERE user_id = ? AND used_at IS NULL
+        `).bind(userId)
+      ])
+
+      return userId
+    } catch (error) {
+      console.error('Error completing email verification:', error)
+      return null
+    }
+  }
+
+  // Password reset tokens. expiresAt is in epoch seconds; only the token's hash is stored
+  async createPasswordResetToken(userId: number, tokenHash: string, expiresAt: number, requestedIp?: string): Promise<boolean> {
+    try {
+      await this.db.prepare(`
+        INSERT INTO password_reset_tokens (user_id, token_hash, expires_at, requested_ip)
+        VALUES (?, ?, datetime(?, 'unixepoch'), ?)
+      `).bind(userId, tokenHash, expiresAt, requestedIp || null).run()
+
+      return true
+    } catch (error) {
+      console.error('Error creating password reset token:', error)
+      return false
+    }
+  }
+
+  async countRecentPasswordResets(userId: number, minutes: number): Promise<number> {
+    try {
+      const result = await this.db.prepare(`
+        SELECT COUNT(*) as count FROM password_reset_tokens
+        WHERE user_id = ? AND created_at > datetime('now', ?)
+      `).bind(userId, `-${minutes} minutes`).first()
+
+      return (result?.count as number) || 0
+    } catch (error) {
+      console.error('Error counting password resets:', error)
+      return 0
+    }
+  }
+
+  // Redeems a reset token and sets the new password. Claiming the token is a single
+  // conditional update, so the same link can't be used twice even by racing requests.
+  // Other outstanding links for the user stop working and every session is signed out.
+  // Returns the user's id, or null when the token is unknown, used or expired
+  async completePasswordReset(tokenHash: string, passwordHash: string): Promise<number | null> {
+    try {
+      const claimed = await this.db.prepare(`
+        UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+        WHERE token_hash = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+        RETURNING user_id
+      `).bind(tokenHash).first()
+
+      if (!claimed) return null
+      const userId = claimed.user_id as number
+
+      await this.db.batch([
+        this.db.prepare(`
+          UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?
+        `).bind(passwordHash, userId),
+        this.db.prepare(`
+          UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP
+          WHERE user_id = ? AND used_at IS NULL
+        `).bind(userId),
+        this.db.prepare(`
+          UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'password_reset'
+          WHERE user_id = ? AND revoked_at IS NULL
+        `).bind(userId)
+      ])
+
+      return userId
+    } catch (error) {
+      console.error('Error completing password reset:', error)
+      return null
+    }
+  }
+
   async getUserByEmail(email: string): Promise<(User & { password_hash: string }) | null> {
     try {
       const result = await this.db.prepare(`
@@ -53,7 +375,7 @@ export class DatabaseService {
     try {
       const result = await this.db.prepare(`
         SELECT id, email, full_name, phone, location, is_dealer, is_verified, 
-               is_admin, is_suspended, avatar_url, created_at, updated_at 
+               is_admin, is_suspended, email_verified_at, avatar_url, created_at, updated_at 
         FROM users WHERE id = ?
       `).bind(id).first()
 
@@ -67,13 +389,15 @@ export class DatabaseService {
   // Car operations
   async createCar(carData: CarCreate, userId: number): Promise<Car | null> {
     try {
+      const coordinates = resolveLocation(carData.postcode) || resolveLocation(carData.location)
+      const durationDays = (await getSiteSettings(this.db)).listing_duration_days
       const result = await this.db.prepare(`
         INSERT INTO cars (
           user_id, title, description, make, model, year, mileage, fuel_type,
           transmission, body_type, engine_size, doors, color, price, is_negotiable,
           location, postcode, mot_expiry, service_history, features, condition_notes,
-          images, featured_image
-        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+          images, featured_image, latitude, longitude, expires_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, datetime('now', ?))
         RETURNING *
       `).bind(
         userId,
@@ -98,7 +422,10 @@ export class DatabaseService {
         carData.features ? JSON.stringify(carData.features) : null,
         carData.condition_notes || null,
         carData.images ? JSON.stringify(carData.images) : null,
-        carData.featured_image || null
+        carData.featured_image || null,
+        coordinates?.latitude ?? null,
+        coordinates?.longitude ?? null,
+        `+${durationDays} days`
       ).first()
 
       const car = result as Car
@@ -106,6 +433,8 @@ export class DatabaseService {
         // Parse JSON fields
         car.features = car.features ? JSON.parse(car.features as any) : []
         car.images = car.images ? JSON.parse(car.images as any) : []
+
+        await this.recordPriceChange(car.id, null, car.price)
       }
       return car
     } catch (error) {
@@ -114,108 +443,251 @@ export class DatabaseService {
     }
   }
 
-  async getCarsWithFilters(filters: CarFilters = {}): Promise<PaginatedResponse<Car>> {
+  // Builds the FROM/WHERE clauses shared by listing queries and the search alert matcher
+  private buildCarFilterClause(filters: CarFilters) {
+    let whereClause = `WHERE cars.status = ? AND ${this.publicListingCondition()}`
+    const params: any[] = [filters.status || 'active']
+
+    // Build dynamic WHERE clause based on filters
+    if (filters.make) {
+      // An alias such as VW filters by the make it stands for
+      whereClause += ` AND LOWER(cars.make) = LOWER(COALESCE((
+        SELECT car_makes.name FROM car_make_aliases
+        JOIN car_makes ON car_makes.id = car_make_aliases.make_id
+        WHERE car_make_aliases.alias = ?
+      ), ?))`
+      params.push(filters.make, filters.make)
+    }
+    if (filters.model) {
+      whereClause += ' AND LOWER(cars.model) = LOWER(?)'
+      params.push(filters.model)
+    }
+    if (filters.min_price) {
+      whereClause += ' AND cars.price >= ?'
+      params.push(filters.min_price)
+    }
+    if (filters.max_price) {
+      whereClause += ' AND cars.price <= ?'
+      params.push(filters.max_price)
+    }
+    if (filters.min_year) {
+      whereClause += ' AND cars.year >= ?'
+      params.push(filters.min_year)
+    }
+    if (filters.max_year) {
+      whereClause += ' AND cars.year <= ?'
+      params.push(filters.max_year)
+    }
+    if (filters.fuel_type) {
+      whereClause += ' AND cars.fuel_type = ?'
+      params.push(filters.fuel_type)
+    }
+    if (filters.transmission) {
+      whereClause += ' AND cars.transmission = ?'
+      params.push(filters.transmission)
+    }
+    if (filters.body_type) {
+      whereClause += ' AND cars.body_type = ?'
+      params.push(filters.body_type)
+    }
+    if (filters.location) {
+      whereClause += ' AND LOWER(cars.location) LIKE LOWER(?)'
+      params.push(`%${filters.location}%`)
+    }
+
+    // Full-text search joins the FTS index for ranking and highlighting
+    const searchQuery = filters.search ? buildSearchQuery(filters.search, this.searchSynonyms) : null
+    let fromClause = 'FROM cars JOIN users ON cars.user_id = users.id'
+    let extraColumns = ''
+    if (searchQuery) {
+      fromClause += ' JOIN cars_fts ON cars_fts.rowid = cars.id'
+      whereClause += ' AND cars_fts MATCH ?'
+      params.push(searchQuery)
+      // Column weights: title, description, make, model, features, condition_notes
+      extraColumns += `,
+        bm25(cars_fts, 10.0, 2.0, 5.0, 5.0, 3.0, 1.0) as search_rank,
+        highlight(cars_fts, 0, char(2), char(3)) as search_title,
+        snippet(cars_fts, 1, char(2), char(3), '…', 24) as search_snippet`
+    }
+    if (filters.is_dealer !== undefined) {
+      whereClause += ' AND users.is_dealer = ?'
+      params.push(filters.is_dealer ? 1 : 0)
+    }
+
+    // Distance search compares squared flat-earth miles, as D1 has no sqrt()
+    const origin = filters.near ? resolveLocation(filters.near) : null
+    if (origin) {
+      const dLat = `((cars.latitude - ${origin.latitude}) * ${MILES_PER_DEGREE_LATITUDE})`
+      const dLng = `((cars.longitude - ${origin.longitude}) * ${MILES_PER_DEGREE_LONGITUDE})`
+      const distanceSq = `(${dLat} * ${dLat} + ${dLng} * ${dLng})`
+
+      whereClause += ' AND cars.latitude IS NOT NULL AND cars.longitude IS NOT NULL'
+      if (filters.radius_miles) {
+        whereClause += ` AND ${distanceSq} <= ?`
+        params.push(filters.radius_miles * filters.radius_miles)
+      }
+      extraColumns += `,
+        ${distanceSq} as distance_sq`
+    }
+
+    return { fromClause, whereClause, params, searchQuery, origin, extraColumns }
+  }
+
+  private async loadSearchSynonyms(): Promise<void> {
+    if (this.searchSynonyms.size > 0) return
+
+    try {
+      const results = await this.db.prepare(`
+        SELECT LOWER(car_make_aliases.alias) as alias, car_makes.name as make
+        FROM car_make_aliases JOIN car_makes ON car_makes.id = car_make_aliases.make_id
+      `).all()
+
+      for (const row of results.results as { alias: string; make: string }[]) {
+        this.searchSynonyms.set(row.alias, row.make)
+      }
+    } catch (error) {
+      console.error('Error loading make aliases:', error)
+    }
+  }
+
+  private async loadModerationPolicy(): Promise<void> {
+    if (this.autoApproveListings !== null) return
+    this.autoApproveListings = (await getSiteSettings(this.db)).auto_approve_listings
+  }
+
+  // Falls back to approved-only until loadModerationPolicy() has run
+  private publicListingCondition(): string {
+    return this.autoApproveListings ? AUTO_APPROVED_LISTING_CONDITION : APPROVED_LISTING_CONDITION
+  }
+
+  // Whether buyers can see a listing, whatever its sale status
+  async isListingPublic(car: Pick<Car, 'moderation_status'>): Promise<boolean> {
+    await this.loadModerationPolicy()
+    return car.moderation_status === 'approved' || (car.moderation_status === 'pending' && Boolean(this.autoApproveListings))
+  }
+
+  // Counts a column for the facet sidebar, ignoring the filters that control it
+  private async countFacet(filters: CarFilters, column: string, exclude: (keyof CarFilters)[]): Promise<FacetCount[]> {
+    const scoped = { ...filters }
+    exclude.forEach(key => delete scoped[key])
+    const { fromClause, whereClause, params } = this.buildCarFilterClause(scoped)
+
+    const results = await this.db.prepare(`
+      SELECT ${column} as value, COUNT(*) as count
+      ${fromClause}
+      ${whereClause}
+      GROUP BY value
+      HAVING value IS NOT NULL
+      ORDER BY count DESC, value ASC
+    `).bind(...params).all()
+
+    return results.results.map((row: any) => ({ value: String(row.value), count: row.count }))
+  }
+
+  private async getCarFacets(filters: CarFilters): Promise<CarFacets> {
+    const priceCase = PRICE_BUCKETS.slice(1)
+      .map((max, index) => `WHEN cars.price < ${max} THEN ${index}`)
+      .join(' ')
+
+    const [make, model, fuelType, transmission, bodyType, location, priceCounts, yearCounts] = await Promise.all([
+      this.countFacet(filters, 'LOWER(cars.make)', ['make', 'model']),
+      this.countFacet(filters, 'LOWER(cars.model)', ['model']),
+      this.countFacet(filters, 'cars.fuel_type', ['fuel_type']),
+      this.countFacet(filters, 'cars.transmission', ['transmission']),
+      this.countFacet(filters, 'cars.body_type', ['body_type']),
+      this.countFacet(filters, 'LOWER(cars.location)', ['location']),
+      this.countFacet(filters, `CASE ${priceCase} ELSE ${PRICE_BUCKETS.length - 1} END`, ['min_price', 'max_price']),
+      this.countFacet(filters, 'cars.year', ['min_year', 'max_year'])
+    ])
+
+    const price: FacetBucket[] = PRICE_BUCKETS.map((min, index) => {
+      const max = PRICE_BUCKETS[index + 1]
+      return {
+        label: max === undefined ? `${formatPounds(min)}+` : min === 0 ? `Under ${formatPounds(max)}` : `${formatPounds(min)} - ${formatPounds(max)}`,
+        min,
+        max,
+        count: priceCounts.find(bucket => bucket.value === String(index))?.count || 0
+      }
+    })
+
+    const year: FacetBucket[] = yearCounts
+      .map(bucket => ({ label: bucket.value, min: parseInt(bucket.value), max: parseInt(bucket.value) + 1, count: bucket.count }))
+      .sort((a, b) => b.min - a.min)
+
+    return { make, model, fuel_type: fuelType, transmission, body_type: bodyType, location, price, year }
+  }
+
+  async getCarsWithFilters(filters: CarFilters = {}): Promise<CarSearchResponse> {
     try {
       const page = filters.page || 1
       const limit = Math.min(filters.limit || 20, 50)
       const offset = (page - 1) * limit
 
-      let whereClause = 'WHERE cars.status = ?'
-      const params: any[] = [filters.status || 'active']
+      if (filters.search) await this.loadSearchSynonyms()
+      await this.loadModerationPolicy()
+      const { fromClause, whereClause, params, searchQuery, origin, extraColumns } = this.buildCarFilterClause(filters)
 
-      // Build dynamic WHERE clause based on filters
-      if (filters.make) {
-        whereClause += ' AND LOWER(cars.make) = LOWER(?)'
-        params.push(filters.make)
-      }
-      if (filters.model) {
-        whereClause += ' AND LOWER(cars.model) = LOWER(?)'
-        params.push(filters.model)
-      }
-      if (filters.min_price) {
-        whereClause += ' AND cars.price >= ?'
-        params.push(filters.min_price)
-      }
-      if (filters.max_price) {
-        whereClause += ' AND cars.price <= ?'
-        params.push(filters.max_price)
-      }
-      if (filters.min_year) {
-        whereClause += ' AND cars.year >= ?'
-        params.push(filters.min_year)
-      }
-      if (filters.max_year) {
-        whereClause += ' AND cars.year <= ?'
-        params.push(filters.max_year)
-      }
-      if (filters.fuel_type) {
-        whereClause += ' AND cars.fuel_type = ?'
-        params.push(filters.fuel_type)
-      }
-      if (filters.transmission) {
-        whereClause += ' AND cars.transmission = ?'
-        params.push(filters.transmission)
-      }
-      if (filters.body_type) {
-        whereClause += ' AND cars.body_type = ?'
-        params.push(filters.body_type)
-      }
-      if (filters.location) {
-        whereClause += ' AND LOWER(cars.location) LIKE LOWER(?)'
-        params.push(`%${filters.location}%`)
-      }
-      if (filters.search) {
-        whereClause += ' AND (LOWER(cars.title) LIKE LOWER(?) OR LOWER(cars.make) LIKE LOWER(?) OR LOWER(cars.model) LIKE LOWER(?))'
-        const searchTerm = `%${filters.search}%`
-        params.push(searchTerm, searchTerm, searchTerm)
-      }
-      if (filters.is_dealer !== undefined) {
-        whereClause += ' AND users.is_dealer = ?'
-        params.push(filters.is_dealer ? 1 : 0)
-      }
+      const sortKey = resolveCarSort(filters)
+      const { column: sortColumn, direction: sortDirection } = CAR_SORTS[sortKey]
 
-      // Sort clause
-      let orderClause = 'ORDER BY '
-      switch (filters.sort_by) {
-        case 'price_asc': orderClause += 'cars.price ASC'; break
-        case 'price_desc': orderClause += 'cars.price DESC'; break
-        case 'year_asc': orderClause += 'cars.year ASC'; break
-        case 'year_desc': orderClause += 'cars.year DESC'; break
-        case 'mileage_asc': orderClause += 'cars.mileage ASC'; break
-        case 'mileage_desc': orderClause += 'cars.mileage DESC'; break
-        case 'created_asc': orderClause += 'cars.created_at ASC'; break
-        default: orderClause += 'cars.created_at DESC'
+      // Sort column plus id, so rows with equal values keep a stable order for cursors
+      const orderClause = `ORDER BY ${sortColumn} ${sortDirection}, cars.id ${sortDirection}`
+      // Ranking and distance are already selected under their own alias
+      const sortIsAlias = sortColumn === 'search_rank' || sortColumn === 'distance_sq'
+      const sortSelect = sortIsAlias ? '' : `,
+          ${sortColumn} as sort_value`
+
+      // Cursor mode: start after the last row of the previous page instead of skipping
+      // rows, so listings added meanwhile can't cause repeats or gaps
+      let pageWhereClause = whereClause
+      const pageParams = [...params]
+      if (filters.cursor) {
+        const cursor = decodeCursor(filters.cursor)
+        if (!cursor || cursor.sort !== sortKey) {
+          return {
+            success: false,
+            error: 'Invalid or outdated cursor; start again from the first page'
+          }
+        }
+
+        const comparison = sortDirection === 'ASC' ? '>' : '<'
+        pageWhereClause += ` AND (${sortColumn} ${comparison} ? OR (${sortColumn} = ? AND cars.id ${comparison} ?))`
+        pageParams.push(cursor.value, cursor.value, cursor.id)
       }
 
-      // Get total count
-      const countQuery = `
-        SELECT COUNT(*) as total 
-        FROM cars 
-        JOIN users ON cars.user_id = users.id 
-        ${whereClause}
-      `
-      const countResult = await this.db.prepare(countQuery).bind(...params).first() as { total: number }
-      const total = countResult.total
+      // Get total count (skipped when following a cursor)
+      let total = 0
+      if (!filters.cursor) {
+        const countQuery = `
+          SELECT COUNT(*) as total 
+          ${fromClause}
+          ${whereClause}
+        `
+        const countResult = await this.db.prepare(countQuery).bind(...params).first() as { total: number }
+        total = countResult.total
+      }
 
-      // Get paginated results
+      // Get paginated results, plus one row to tell whether there's another page
       const query = `
         SELECT 
           cars.*,
           users.full_name as seller_name,
           users.location as seller_location,
           users.is_dealer as seller_is_dealer,
-          users.is_verified as seller_is_verified
-        FROM cars 
-        JOIN users ON cars.user_id = users.id 
-        ${whereClause}
+          users.is_verified as seller_is_verified${sortSelect}${extraColumns}
+        ${fromClause}
+        ${pageWhereClause}
         ${orderClause}
         LIMIT ? OFFSET ?
       `
       
-      const results = await this.db.prepare(query).bind(...params, limit, offset).all()
-      
+      const results = await this.db.prepare(query).bind(...pageParams, limit + 1, filters.cursor ? 0 : offset).all()
+      const hasMore = results.results.length > limit
+      const rows = results.results.slice(0, limit)
+      const lastRow = rows[rows.length - 1] as any
+
       // Process results
-      const cars = results.results.map((row: any) => {
+      const cars = rows.map((row: any) => {
         const car: Car = {
           ...row,
           is_negotiable: Boolean(row.is_negotiable),
@@ -230,11 +702,27 @@ export class DatabaseService {
           }
         }
         
+        if (searchQuery) {
+          car.search_match = {
+            rank: row.search_rank,
+            title: renderHighlight(row.search_title),
+            snippet: renderHighlight(row.search_snippet)
+          }
+        }
+        if (origin) {
+          car.distance_miles = Math.round(Math.sqrt(row.distance_sq) * 10) / 10
+        }
+        
         // Clean up joined fields
         delete (car as any).seller_name
         delete (car as any).seller_location  
         delete (car as any).seller_is_dealer
         delete (car as any).seller_is_verified
+        delete (car as any).search_rank
+        delete (car as any).search_title
+        delete (car as any).search_snippet
+        delete (car as any).distance_sq
+        delete (car as any).sort_value
         
         return car
       })
@@ -242,12 +730,18 @@ export class DatabaseService {
       return {
         success: true,
         data: cars,
-        pagination: {
+        // Totals need a count, which cursor pages skip; the first page already had them
+        pagination: filters.cursor ? { page, limit } : {
           page,
           limit,
           total,
           pages: Math.ceil(total / limit)
-        }
+        },
+        cursor: {
+          next: hasMore && lastRow ? encodeCursor({ sort: sortKey, value: sortIsAlias ? lastRow[sortColumn] : lastRow.sort_value, id: lastRow.id }) : null,
+          has_more: hasMore
+        },
+        facets: filters.include_facets ? await this.getCarFacets(filters) : undefined
       }
     } catch (error) {
       console.error('Error fetching cars:', error)
@@ -258,7 +752,8 @@ export class DatabaseService {
     }
   }
 
-  async getCarById(id: number): Promise<Car | null> {
+  // Counts a view unless told otherwise (server-rendered pages leave it to the client fetch)
+  async getCarById(id: number, options: { countView?: boolean } = {}): Promise<Car | null> {
     try {
       const result = await this.db.prepare(`
         SELECT 
@@ -301,9 +796,11 @@ export class DatabaseService {
       delete (car as any).seller_is_verified
 
       // Increment view count
-      await this.db.prepare(`
-        UPDATE cars SET views = views + 1 WHERE id = ?
-      `).bind(id).run()
+      if (options.countView !== false) {
+        await this.db.prepare(`
+          UPDATE cars SET views = views + 1 WHERE id = ?
+        `).bind(id).run()
+      }
 
       return car
     } catch (error) {
@@ -312,27 +809,164 @@ export class DatabaseService {
     }
   }
 
-  // Message operations
-  async createMessage(senderId: number, carId: number, recipientId: number, subject: string, message: string): Promise<Message | null> {
+  // Active listings for side-by-side comparison, in no particular order
+  async getCarsByIds(ids: number[]): Promise<Car[]> {
+    if (ids.length === 0) return []
+
     try {
-      const result = await this.db.prepare(`
-        INSERT INTO messages (sender_id, car_id, recipient_id, subject, message)
-        VALUES (?, ?, ?, ?, ?)
-        RETURNING *
-      `).bind(senderId, carId, recipientId, subject, message).first()
+      await this.loadModerationPolicy()
+      const results = await this.db.prepare(`
+        SELECT
+          cars.*,
+          users.full_name as seller_name,
+          users.location as seller_location,
+          users.is_dealer as seller_is_dealer,
+          users.is_verified as seller_is_verified
+        FROM cars
+        JOIN users ON cars.user_id = users.id
+        WHERE cars.status = 'active' AND ${this.publicListingCondition()}
+          AND cars.id IN (${ids.map(() => '?').join(', ')})
+      `).bind(...ids).all()
 
-      return result as Message
+      return results.results.map((row: any) => {
+        const car: Car = {
+          ...row,
+          is_negotiable: Boolean(row.is_negotiable),
+          is_featured: Boolean(row.is_featured),
+          features: row.features ? JSON.parse(row.features) : [],
+          images: row.images ? JSON.parse(row.images) : [],
+          seller: {
+            full_name: row.seller_name,
+            location: row.seller_location,
+            is_dealer: Boolean(row.seller_is_dealer),
+            is_verified: Boolean(row.seller_is_verified)
+          }
+        }
+
+        // Clean up joined fields
+        delete (car as any).seller_name
+        delete (car as any).seller_location
+        delete (car as any).seller_is_dealer
+        delete (car as any).seller_is_verified
+
+        return car
+      })
     } catch (error) {
-      console.error('Error creating message:', error)
-      return null
+      console.error('Error fetching cars by IDs:', error)
+      return []
     }
   }
 
-  async getUserMessages(userId: number): Promise<Message[]> {
+  /**
+   * Other active listings scored against a car out of 100: make/model (40),
+   * body type (15), fuel (10), year band (10), price band (15) and mileage
+   * proximity (10). Returns null when the car doesn't exist or was deleted.
+   */
+  async getSimilarCars(carId: number, limit: number = 8): Promise<{ cars: Car[]; total: number } | null> {
     try {
-      const results = await this.db.prepare(`
-        SELECT 
-          messages.*,
+      const reference = await this.db.prepare(`
+        SELECT make, model, body_type, fuel_type, year, price, mileage FROM cars WHERE id = ? AND status != 'deleted'
+      `).bind(carId).first() as Pick<Car, 'make' | 'model' | 'body_type' | 'fuel_type' | 'year' | 'price' | 'mileage'> | null
+
+      if (!reference) return null
+
+      const { make, model, body_type, fuel_type, year, price } = reference
+      const mileage = reference.mileage ?? null
+      await this.loadModerationPolicy()
+
+      const scoreExpression = `(
+        CASE WHEN cars.make = ? AND cars.model = ? THEN 40 WHEN cars.make = ? THEN 20 ELSE 0 END +
+        CASE WHEN cars.body_type = ? THEN 15 ELSE 0 END +
+        CASE WHEN cars.fuel_type = ? THEN 10 ELSE 0 END +
+        CASE WHEN ABS(cars.year - ?) <= 2 THEN 10 WHEN ABS(cars.year - ?) <= 5 THEN 5 ELSE 0 END +
+        CASE WHEN cars.price BETWEEN ? AND ? THEN 15 WHEN cars.price BETWEEN ? AND ? THEN 7 ELSE 0 END +
+        CASE WHEN ? IS NULL OR cars.mileage IS NULL THEN 0 ELSE MAX(0, 10 - ABS(cars.mileage - ?) / 5000) END
+      )`
+      const scoreParams = [
+        make, model, make,
+        body_type ?? null,
+        fuel_type ?? null,
+        year, year,
+        Math.round(price * 0.85), Math.round(price * 1.15), Math.round(price * 0.7), Math.round(price * 1.3),
+        mileage, mileage
+      ]
+
+      const candidates = `
+        SELECT
+          cars.*,
+          users.full_name as seller_name,
+          users.location as seller_location,
+          users.is_dealer as seller_is_dealer,
+          users.is_verified as seller_is_verified,
+          ${scoreExpression} as similarity_score
+        FROM cars
+        JOIN users ON cars.user_id = users.id
+        WHERE cars.status = 'active' AND ${this.publicListingCondition()} AND cars.id != ?
+      `
+
+      const countResult = await this.db.prepare(`
+        SELECT COUNT(*) as total FROM (${candidates}) WHERE similarity_score >= ?
+      `).bind(...scoreParams, carId, SIMILAR_CARS_MIN_SCORE).first() as { total: number }
+
+      const results = await this.db.prepare(`
+        SELECT * FROM (${candidates})
+        WHERE similarity_score >= ?
+        ORDER BY similarity_score DESC, created_at DESC
+        LIMIT ?
+      `).bind(...scoreParams, carId, SIMILAR_CARS_MIN_SCORE, limit).all()
+
+      const cars = results.results.map((row: any) => {
+        const car: Car = {
+          ...row,
+          is_negotiable: Boolean(row.is_negotiable),
+          is_featured: Boolean(row.is_featured),
+          features: row.features ? JSON.parse(row.features) : [],
+          images: row.images ? JSON.parse(row.images) : [],
+          seller: {
+            full_name: row.seller_name,
+            location: row.seller_location,
+            is_dealer: Boolean(row.seller_is_dealer),
+            is_verified: Boolean(row.seller_is_verified)
+          }
+        }
+
+        // Clean up joined fields
+        delete (car as any).seller_name
+        delete (car as any).seller_location
+        delete (car as any).seller_is_dealer
+        delete (car as any).seller_is_verified
+
+        return car
+      })
+
+      return { cars, total: countResult.total }
+    } catch (error) {
+      console.error('Error fetching similar cars:', error)
+      return { cars: [], total: 0 }
+    }
+  }
+
+  // Message operations
+  async createMessage(senderId: number, carId: number, recipientId: number, subject: string, message: string): Promise<Message | null> {
+    try {
+      const result = await this.db.prepare(`
+        INSERT INTO messages (sender_id, car_id, recipient_id, subject, message)
+        VALUES (?, ?, ?, ?, ?)
+        RETURNING *
+      `).bind(senderId, carId, recipientId, subject, message).first()
+
+      return result as Message
+    } catch (error) {
+      console.error('Error creating message:', error)
+      return null
+    }
+  }
+
+  async getUserMessages(userId: number): Promise<Message[]> {
+    try {
+      const results = await this.db.prepare(`
+        SELECT 
+          messages.*,
           cars.title as car_title,
           cars.make as car_make,
           cars.model as car_model,
@@ -405,8 +1039,10 @@ export class DatabaseService {
     }
   }
 
+  // Saved listings that are still visible to buyers, sold and withdrawn ones included
   async getUserSavedCars(userId: number): Promise<Car[]> {
     try {
+      await this.loadModerationPolicy()
       const results = await this.db.prepare(`
         SELECT 
           cars.*,
@@ -417,7 +1053,7 @@ export class DatabaseService {
         FROM saved_cars
         JOIN cars ON saved_cars.car_id = cars.id
         JOIN users ON cars.user_id = users.id
-        WHERE saved_cars.user_id = ?
+        WHERE saved_cars.user_id = ? AND ${this.publicListingCondition()}
         ORDER BY saved_cars.created_at DESC
       `).bind(userId).all()
 
@@ -454,6 +1090,15 @@ export class DatabaseService {
     try {
       const updateFields = []
       const updateValues = []
+
+      // Remember the old price so changes land in the price history, and the old
+      // location so a partial edit still resolves coordinates from both fields
+      const movesLocation = Boolean(carData.location || carData.postcode)
+      const previous = carData.price !== undefined || movesLocation
+        ? await this.db.prepare(`
+            SELECT price, location, postcode FROM cars WHERE id = ?
+          `).bind(carId).first() as { price: number; location: string | null; postcode: string | null } | null
+        : null
       
       // Build dynamic update query
       if (carData.title) {
@@ -520,6 +1165,12 @@ export class DatabaseService {
         updateFields.push('postcode = ?')
         updateValues.push(carData.postcode)
       }
+      if (movesLocation) {
+        const coordinates = resolveLocation(carData.postcode || previous?.postcode) ||
+          resolveLocation(carData.location || previous?.location)
+        updateFields.push('latitude = ?', 'longitude = ?')
+        updateValues.push(coordinates?.latitude ?? null, coordinates?.longitude ?? null)
+      }
       if (carData.mot_expiry) {
         updateFields.push('mot_expiry = ?')
         updateValues.push(carData.mot_expiry)
@@ -554,18 +1205,65 @@ export class DatabaseService {
         RETURNING *
       `).bind(...updateValues).first()
 
-      return result as Car
+      const car = result as Car | null
+      if (car && previous && carData.price !== undefined && previous.price !== car.price) {
+        await this.recordPriceChange(carId, previous.price, car.price)
+        // Savers only hear about cars they can still see
+        if (car.price < previous.price && car.status === 'active' && await this.isListingPublic(car)) {
+          await this.notifyPriceDrop(car, previous.price)
+        }
+      }
+
+      return car
     } catch (error) {
       console.error('Error updating car:', error)
       return null
     }
   }
 
+  // Lightweight lookup for authorisation checks (getCarById also counts a view)
+  async getCarOwnership(carId: number): Promise<{ id: number; user_id: number; status: CarStatus } | null> {
+    try {
+      const result = await this.db.prepare(`
+        SELECT id, user_id, status FROM cars WHERE id = ?
+      `).bind(carId).first()
+
+      return result as { id: number; user_id: number; status: CarStatus } | null
+    } catch (error) {
+      console.error('Error fetching car ownership:', error)
+      return null
+    }
+  }
+
+  // Hides a listing everywhere but keeps the row so messages and reports still resolve
+  async softDeleteCar(carId: number, deletedBy: number): Promise<boolean> {
+    try {
+      await this.db.batch([
+        this.db.prepare(`
+          UPDATE cars 
+          SET status = 'deleted', deleted_at = CURRENT_TIMESTAMP, deleted_by = ?,
+              is_featured = 0, images = NULL, featured_image = NULL, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `).bind(deletedBy, carId),
+        this.db.prepare(`DELETE FROM saved_cars WHERE car_id = ?`).bind(carId),
+        this.db.prepare(`DELETE FROM search_alert_matches WHERE car_id = ?`).bind(carId)
+      ])
+
+      return true
+    } catch (error) {
+      console.error('Error soft deleting car:', error)
+      return false
+    }
+  }
+
+  // Permanently removes a listing. Messages and saved entries cascade; reports are
+  // kept but detached, since user_reports has no cascade on the listing
   async deleteCar(carId: number): Promise<boolean> {
     try {
-      await this.db.prepare(`
-        DELETE FROM cars WHERE id = ?
-      `).bind(carId).run()
+      await this.db.batch([
+        this.db.prepare(`UPDATE user_reports SET reported_car_id = NULL WHERE reported_car_id = ?`).bind(carId),
+        this.db.prepare(`DELETE FROM cars WHERE id = ?`).bind(carId)
+      ])
       
       return true
     } catch (error) {
@@ -576,20 +1274,24 @@ export class DatabaseService {
 
   async getUserStats(userId: number): Promise<any> {
     try {
-      const [carCount, messageCount, savedCount] = await Promise.all([
+      const [carCount, messageCount, savedCount, alertMatchCount, notificationCount] = await Promise.all([
         this.db.prepare(`SELECT COUNT(*) as count FROM cars WHERE user_id = ?`).bind(userId).first(),
         this.db.prepare(`SELECT COUNT(*) as count FROM messages WHERE recipient_id = ?`).bind(userId).first(),
-        this.db.prepare(`SELECT COUNT(*) as count FROM saved_cars WHERE user_id = ?`).bind(userId).first()
+        this.db.prepare(`SELECT COUNT(*) as count FROM saved_cars WHERE user_id = ?`).bind(userId).first(),
+        this.getUnreadAlertMatchCount(userId),
+        this.getUnreadNotificationCount(userId)
       ])
 
       return {
         cars: (carCount as any)?.count || 0,
         messages: (messageCount as any)?.count || 0,
-        saved: (savedCount as any)?.count || 0
+        saved: (savedCount as any)?.count || 0,
+        alert_matches: alertMatchCount,
+        notifications: notificationCount
       }
     } catch (error) {
       console.error('Error fetching user stats:', error)
-      return { cars: 0, messages: 0, saved: 0 }
+      return { cars: 0, messages: 0, saved: 0, alert_matches: 0, notifications: 0 }
     }
   }
 
@@ -620,8 +1322,10 @@ export class DatabaseService {
     }
   }
 
+  // A seller's listings as buyers see them
   async getUserCars(userId: number, limit: number = 20): Promise<Car[]> {
     try {
+      await this.loadModerationPolicy()
       const results = await this.db.prepare(`
         SELECT 
           cars.*,
@@ -631,7 +1335,7 @@ export class DatabaseService {
           users.is_verified as seller_is_verified
         FROM cars
         JOIN users ON cars.user_id = users.id
-        WHERE cars.user_id = ? AND cars.status = 'active'
+        WHERE cars.user_id = ? AND cars.status = 'active' AND ${this.publicListingCondition()}
         ORDER BY cars.created_at DESC
         LIMIT ?
       `).bind(userId, limit).all()
@@ -654,4 +1358,1119 @@ export class DatabaseService {
       return []
     }
   }
-}
\ No newline at end of file
+
+  // Everything a seller has listed, whatever its moderation state, for their dashboard
+  async getOwnerListings(userId: number, options: { status?: CarStatus; page?: number; limit?: number } = {}): Promise<{ cars: Car[]; total: number }> {
+    try {
+      const page = options.page || 1
+      const limit = Math.min(options.limit || 20, 50)
+      const offset = (page - 1) * limit
+
+      let whereClause = `WHERE user_id = ? AND status != 'deleted'`
+      const params: any[] = [userId]
+      if (options.status) {
+        whereClause += ' AND status = ?'
+        params.push(options.status)
+      }
+
+      const [countResult, results] = await Promise.all([
+        this.db.prepare(`SELECT COUNT(*) as total FROM cars ${whereClause}`).bind(...params).first(),
+        this.db.prepare(`
+          SELECT * FROM cars ${whereClause}
+          ORDER BY created_at DESC, id DESC
+          LIMIT ? OFFSET ?
+        `).bind(...params, limit, offset).all()
+      ])
+
+      const cars = results.results.map((row: any) => ({
+        ...row,
+        is_negotiable: Boolean(row.is_negotiable),
+        is_featured: Boolean(row.is_featured),
+        features: row.features ? JSON.parse(row.features) : [],
+        images: row.images ? JSON.parse(row.images) : []
+      }))
+
+      return { cars, total: (countResult as any)?.total || 0 }
+    } catch (error) {
+      console.error('Error fetching owner listings:', error)
+      return { cars: [], total: 0 }
+    }
+  }
+
+  // Search alert operations
+  private mapSearchAlert(row: any): SearchAlert {
+    return {
+      ...row,
+      filters: row.filters ? JSON.parse(row.filters) : {},
+      is_active: Boolean(row.is_active)
+    }
+  }
+
+  async createSearchAlert(userId: number, alert: SearchAlertCreate): Promise<SearchAlert | null> {
+    try {
+      const result = await this.db.prepare(`
+        INSERT INTO search_alerts (user_id, name, filters)
+        VALUES (?, ?, ?)
+        RETURNING *
+      `).bind(userId, alert.name, JSON.stringify(alert.filters)).first()
+
+      return result ? { ...this.mapSearchAlert(result), match_count: 0, unread_count: 0 } : null
+    } catch (error) {
+      console.error('Error creating search alert:', error)
+      return null
+    }
+  }
+
+  async getUserSearchAlerts(userId: number): Promise<SearchAlert[]> {
+    try {
+      const results = await this.db.prepare(`
+        SELECT 
+          search_alerts.*,
+          COUNT(search_alert_matches.id) as match_count,
+          COALESCE(SUM(CASE WHEN search_alert_matches.is_read = 0 THEN 1 ELSE 0 END), 0) as unread_count
+        FROM search_alerts
+        LEFT JOIN search_alert_matches ON search_alert_matches.alert_id = search_alerts.id
+        WHERE search_alerts.user_id = ?
+        GROUP BY search_alerts.id
+        ORDER BY search_alerts.created_at DESC
+      `).bind(userId).all()
+
+      return results.results.map((row: any) => this.mapSearchAlert(row))
+    } catch (error) {
+      console.error('Error fetching search alerts:', error)
+      return []
+    }
+  }
+
+  async getSearchAlertById(alertId: number, userId: number): Promise<SearchAlert | null> {
+    try {
+      const result = await this.db.prepare(`
+        SELECT * FROM search_alerts WHERE id = ? AND user_id = ?
+      `).bind(alertId, userId).first()
+
+      return result ? this.mapSearchAlert(result) : null
+    } catch (error) {
+      console.error('Error fetching search alert:', error)
+      return null
+    }
+  }
+
+  async updateSearchAlert(alertId: number, userId: number, updates: SearchAlertUpdate): Promise<SearchAlert | null> {
+    try {
+      const fields: string[] = []
+      const params: any[] = []
+
+      if (updates.name !== undefined) {
+        fields.push('name = ?')
+        params.push(updates.name)
+      }
+      if (updates.filters !== undefined) {
+        fields.push('filters = ?')
+        params.push(JSON.stringify(updates.filters))
+      }
+      if (updates.is_active !== undefined) {
+        fields.push('is_active = ?')
+        params.push(updates.is_active ? 1 : 0)
+      }
+
+      if (fields.length === 0) {
+        return this.getSearchAlertById(alertId, userId)
+      }
+
+      const result = await this.db.prepare(`
+        UPDATE search_alerts SET ${fields.join(', ')}
+        WHERE id = ? AND user_id = ?
+        RETURNING *
+      `).bind(...params, alertId, userId).first()
+
+      return result ? this.mapSearchAlert(result) : null
+    } catch (error) {
+      console.error('Error updating search alert:', error)
+      return null
+    }
+  }
+
+  async deleteSearchAlert(alertId: number, userId: number): Promise<boolean> {
+    try {
+      const result = await this.db.prepare(`
+        DELETE FROM search_alerts WHERE id = ? AND user_id = ?
+      `).bind(alertId, userId).run()
+
+      return (result.meta?.changes || 0) > 0
+    } catch (error) {
+      console.error('Error deleting search alert:', error)
+      return false
+    }
+  }
+
+  async getSearchAlertMatches(alertId: number, userId: number, limit: number = 50): Promise<SearchAlertMatch[]> {
+    try {
+      const results = await this.db.prepare(`
+        SELECT 
+          search_alert_matches.id as match_id,
+          search_alert_matches.alert_id,
+          search_alert_matches.is_read,
+          search_alert_matches.created_at as matched_at,
+          cars.*
+        FROM search_alert_matches
+        JOIN search_alerts ON search_alert_matches.alert_id = search_alerts.id
+        JOIN cars ON search_alert_matches.car_id = cars.id
+        WHERE search_alert_matches.alert_id = ? AND search_alerts.user_id = ?
+        ORDER BY search_alert_matches.created_at DESC
+        LIMIT ?
+      `).bind(alertId, userId, limit).all()
+
+      return results.results.map((row: any) => {
+        const { match_id, alert_id, is_read, matched_at, ...car } = row
+        return {
+          id: match_id,
+          alert_id,
+          car_id: car.id,
+          is_read: Boolean(is_read),
+          created_at: matched_at,
+          car: {
+            ...car,
+            is_negotiable: Boolean(car.is_negotiable),
+            is_featured: Boolean(car.is_featured),
+            features: car.features ? JSON.parse(car.features) : [],
+            images: car.images ? JSON.parse(car.images) : []
+          }
+        }
+      })
+    } catch (error) {
+      console.error('Error fetching search alert matches:', error)
+      return []
+    }
+  }
+
+  async markSearchAlertMatchesRead(alertId: number, userId: number): Promise<boolean> {
+    try {
+      await this.db.prepare(`
+        UPDATE search_alert_matches SET is_read = 1
+        WHERE is_read = 0 AND alert_id IN (SELECT id FROM search_alerts WHERE id = ? AND user_id = ?)
+      `).bind(alertId, userId).run()
+
+      return true
+    } catch (error) {
+      console.error('Error marking search alert matches read:', error)
+      return false
+    }
+  }
+
+  async getUnreadAlertMatchCount(userId: number): Promise<number> {
+    try {
+      const result = await this.db.prepare(`
+        SELECT COUNT(*) as count
+        FROM search_alert_matches
+        JOIN search_alerts ON search_alert_matches.alert_id = search_alerts.id
+        WHERE search_alerts.user_id = ? AND search_alerts.is_active = 1 AND search_alert_matches.is_read = 0
+      `).bind(userId).first()
+
+      return (result as any)?.count || 0
+    } catch (error) {
+      console.error('Error counting unread alert matches:', error)
+      return 0
+    }
+  }
+
+  // Checks a newly published listing against every active alert and records the hits.
+  // Each alert's filters run through the same clause builder as the browse page, and
+  // the per-alert inserts go to D1 as a single batch.
+  async matchSearchAlerts(carId: number): Promise<number> {
+    try {
+      const alerts = await this.db.prepare(`
+        SELECT search_alerts.* FROM search_alerts
+        JOIN cars ON cars.id = ?
+        WHERE search_alerts.is_active = 1 AND search_alerts.user_id != cars.user_id
+      `).bind(carId).all()
+      if (alerts.results.length === 0) return 0
+
+      await this.loadSearchSynonyms()
+      await this.loadModerationPolicy()
+
+      const inserts = alerts.results.map(row => {
+        const alert = this.mapSearchAlert(row)
+        const { fromClause, whereClause, params } = this.buildCarFilterClause({ ...alert.filters, status: 'active' })
+
+        return this.db.prepare(`
+          INSERT OR IGNORE INTO search_alert_matches (alert_id, car_id)
+          SELECT ?, cars.id ${fromClause} ${whereClause} AND cars.id = ?
+        `).bind(alert.id, ...params, carId)
+      })
+
+      const results = await this.db.batch(inserts)
+      return results.reduce((matched, result) => matched + (result.meta?.changes || 0), 0)
+    } catch (error) {
+      console.error('Error matching search alerts:', error)
+      return 0
+    }
+  }
+
+  // Listing lifecycle
+  // Extends a live listing, or brings back one that was withdrawn because it expired.
+  // Listings withdrawn by moderation stay withdrawn.
+  async renewCar(carId: number): Promise<Car | null> {
+    try {
+      const durationDays = (await getSiteSettings(this.db)).listing_duration_days
+
+      const result = await this.db.prepare(`
+        UPDATE cars 
+        SET status = 'active', expires_at = datetime('now', ?), expiry_warned_at = NULL,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND (
+          status = 'active' OR (
+            status = 'withdrawn' AND expires_at <= CURRENT_TIMESTAMP
+            AND COALESCE(moderation_status, 'pending') NOT IN ('rejected', 'flagged')
+          )
+        )
+        RETURNING *
+      `).bind(`+${durationDays} days`, carId).first()
+
+      return result as Car | null
+    } catch (error) {
+      console.error('Error renewing car:', error)
+      return null
+    }
+  }
+
+  // Sends a rejected listing back to the moderation queue with a fresh listing period.
+  // Returns null unless the listing is currently rejected.
+  async resubmitCar(carId: number): Promise<Car | null> {
+    try {
+      const durationDays = (await getSiteSettings(this.db)).listing_duration_days
+
+      const result = await this.db.prepare(`
+        UPDATE cars
+        SET moderation_status = 'pending', status = 'active', resubmitted_at = CURRENT_TIMESTAMP,
+            expires_at = datetime('now', ?), expiry_warned_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND moderation_status = 'rejected' AND status != 'deleted'
+        RETURNING *
+      `).bind(`+${durationDays} days`, carId).first()
+
+      return result as Car | null
+    } catch (error) {
+      console.error('Error resubmitting car:', error)
+      return null
+    }
+  }
+
+  // Withdraws every active listing past its expiry date and tells the owners.
+  // The notifications and the status change go to D1 as one batch, so a listing is
+  // never withdrawn without its owner hearing about it
+  async withdrawExpiredListings(): Promise<number> {
+    try {
+      const expired = `status = 'active' AND expires_at <= CURRENT_TIMESTAMP`
+
+      const [, withdrawn] = await this.db.batch([
+        this.db.prepare(`
+          INSERT INTO notifications (user_id, type, title, message, link)
+          SELECT user_id, 'listing_expired', 'Your listing "' || title || '" has expired',
+            'It is no longer visible to buyers. Renew it from your dashboard to put it back on sale.',
+            '/dashboard#listings'
+          FROM cars WHERE ${expired}
+        `),
+        this.db.prepare(`
+          UPDATE cars SET status = 'withdrawn', updated_at = CURRENT_TIMESTAMP WHERE ${expired}
+        `)
+      ])
+
+      return withdrawn.meta?.changes || 0
+    } catch (error) {
+      console.error('Error withdrawing expired listings:', error)
+      return 0
+    }
+  }
+
+  // Warns owners once when a listing is within the warning window
+  async warnExpiringListings(): Promise<number> {
+    try {
+      const warningDays = (await getSiteSettings(this.db)).listing_expiry_warning_days
+      const expiring = `status = 'active' AND expiry_warned_at IS NULL
+          AND expires_at > CURRENT_TIMESTAMP AND expires_at <= datetime('now', ?)`
+
+      const [, warned] = await this.db.batch([
+        this.db.prepare(`
+          INSERT INTO notifications (user_id, type, title, message, link)
+          SELECT user_id, 'listing_expiring', 'Your listing "' || title || '" expires soon',
+            'It will be withdrawn on ' || strftime('%d/%m/%Y', expires_at) || ' unless you renew it.',
+            '/dashboard#listings'
+          FROM cars WHERE ${expiring}
+        `).bind(`+${warningDays} days`),
+        this.db.prepare(`
+          UPDATE cars SET expiry_warned_at = CURRENT_TIMESTAMP WHERE ${expiring}
+        `).bind(`+${warningDays} days`)
+      ])
+
+      return warned.meta?.changes || 0
+    } catch (error) {
+      console.error('Error warning about expiring listings:', error)
+      return 0
+    }
+  }
+
+  // Price history
+  async recordPriceChange(carId: number, oldPrice: number | null, newPrice: number): Promise<void> {
+    try {
+      await this.db.prepare(`
+        INSERT INTO car_price_history (car_id, old_price, new_price) VALUES (?, ?, ?)
+      `).bind(carId, oldPrice, newPrice).run()
+    } catch (error) {
+      console.error('Error recording price change:', error)
+    }
+  }
+
+  async getCarPriceHistory(carId: number): Promise<CarPriceChange[]> {
+    try {
+      const results = await this.db.prepare(`
+        SELECT * FROM car_price_history WHERE car_id = ? ORDER BY created_at ASC, id ASC
+      `).bind(carId).all()
+
+      return results.results.map((row: any) => ({ ...row }) as CarPriceChange)
+    } catch (error) {
+      console.error('Error fetching price history:', error)
+      return []
+    }
+  }
+
+  // Tells everyone who saved the car (other than the seller) that it got cheaper
+  async notifyPriceDrop(car: Car, oldPrice: number): Promise<number> {
+    try {
+      const result = await this.db.prepare(`
+        INSERT INTO notifications (user_id, type, title, message, link)
+        SELECT user_id, 'price_drop', ?, ?, ? FROM saved_cars WHERE car_id = ? AND user_id != ?
+      `).bind(
+        `Price drop: ${car.title}`,
+        `Now ${formatPounds(car.price)}, down ${formatPounds(oldPrice - car.price)} from ${formatPounds(oldPrice)}.`,
+        `/car/${car.id}`,
+        car.id,
+        car.user_id
+      ).run()
+
+      return result.meta?.changes || 0
+    } catch (error) {
+      console.error('Error notifying price drop:', error)
+      return 0
+    }
+  }
+
+  // Notification operations
+  async createNotification(userId: number, type: NotificationType, title: string, message?: string, link?: string): Promise<boolean> {
+    try {
+      await this.db.prepare(`
+        INSERT INTO notifications (user_id, type, title, message, link)
+        VALUES (?, ?, ?, ?, ?)
+      `).bind(userId, type, title, message || null, link || null).run()
+
+      return true
+    } catch (error) {
+      console.error('Error creating notification:', error)
+      return false
+    }
+  }
+
+  async getUserNotifications(userId: number, limit: number = 20): Promise<Notification[]> {
+    try {
+      const results = await this.db.prepare(`
+        SELECT * FROM notifications 
+        WHERE user_id = ? 
+        ORDER BY created_at DESC 
+        LIMIT ?
+      `).bind(userId, limit).all()
+
+      return results.results.map((row: any) => ({
+        ...row,
+        is_read: Boolean(row.is_read)
+      }))
+    } catch (error) {
+      console.error('Error fetching notifications:', error)
+      return []
+    }
+  }
+
+  async getUnreadNotificationCount(userId: number): Promise<number> {
+    try {
+      const result = await this.db.prepare(`
+        SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND is_read = 0
+      `).bind(userId).first()
+
+      return (result as any)?.count || 0
+    } catch (error) {
+      console.error('Error counting notifications:', error)
+      return 0
+    }
+  }
+
+  async markNotificationsRead(userId: number): Promise<boolean> {
+    try {
+      await this.db.prepare(`
+        UPDATE notifications SET is_read = 1 WHERE user_id = ? AND is_read = 0
+      `).bind(userId).run()
+
+      return true
+    } catch (error) {
+      console.error('Error marking notifications read:', error)
+      return false
+    }
+  }
+
+  // Sitemap operations
+  async countSitemapCars(): Promise<number> {
+    try {
+      const result = await this.db.prepare(`
+        SELECT COUNT(*) as count
+        FROM cars JOIN users ON cars.user_id = users.id
+        WHERE ${SITEMAP_LISTING_CONDITION}
+      `).first() as { count: number }
+
+      return result.count
+    } catch (error) {
+      console.error('Error counting sitemap cars:', error)
+      return 0
+    }
+  }
+
+  async getSitemapCars(offset: number, limit: number): Promise<{ id: number; updated_at: string }[]> {
+    try {
+      const results = await this.db.prepare(`
+        SELECT cars.id, cars.updated_at
+        FROM cars JOIN users ON cars.user_id = users.id
+        WHERE ${SITEMAP_LISTING_CONDITION}
+        ORDER BY cars.id
+        LIMIT ? OFFSET ?
+      `).bind(limit, offset).all()
+
+      return results.results as { id: number; updated_at: string }[]
+    } catch (error) {
+      console.error('Error fetching sitemap cars:', error)
+      return []
+    }
+  }
+
+  // Seller profiles are worth indexing while they have something for sale
+  async countSitemapSellers(): Promise<number> {
+    try {
+      const result = await this.db.prepare(`
+        SELECT COUNT(DISTINCT cars.user_id) as count
+        FROM cars JOIN users ON cars.user_id = users.id
+        WHERE ${SITEMAP_LISTING_CONDITION}
+      `).first() as { count: number }
+
+      return result.count
+    } catch (error) {
+      console.error('Error counting sitemap sellers:', error)
+      return 0
+    }
+  }
+
+  async getSitemapSellers(offset: number, limit: number): Promise<{ id: number; updated_at: string }[]> {
+    try {
+      const results = await this.db.prepare(`
+        SELECT users.id, MAX(MAX(cars.updated_at), users.updated_at) as updated_at
+        FROM cars JOIN users ON cars.user_id = users.id
+        WHERE ${SITEMAP_LISTING_CONDITION}
+        GROUP BY users.id
+        ORDER BY users.id
+        LIMIT ? OFFSET ?
+      `).bind(limit, offset).all()
+
+      return results.results as { id: number; updated_at: string }[]
+    } catch (error) {
+      console.error('Error fetching sitemap sellers:', error)
+      return []
+    }
+  }
+
+  // Make and model combinations with live listings, for the browse landing pages
+  async getSitemapMakeModels(): Promise<{ make: string; model: string; updated_at: string }[]> {
+    try {
+      const results = await this.db.prepare(`
+        SELECT LOWER(cars.make) as make, LOWER(cars.model) as model, MAX(cars.updated_at) as updated_at
+        FROM cars JOIN users ON cars.user_id = users.id
+        WHERE ${SITEMAP_LISTING_CONDITION}
+        GROUP BY LOWER(cars.make), LOWER(cars.model)
+        ORDER BY make, model
+      `).all()
+
+      return results.results as { make: string; model: string; updated_at: string }[]
+    } catch (error) {
+      console.error('Error fetching sitemap makes and models:', error)
+      return []
+    }
+  }
+
+  // Make and model catalogue
+  private mapCatalogueModel(row: any): CatalogueModel {
+    return { ...row, is_active: Boolean(row.is_active) }
+  }
+
+  private async getCatalogueMakes(whereClause: string, params: any[]): Promise<CatalogueMake[]> {
+    const [makes, models, aliases] = await Promise.all([
+      this.db.prepare(`
+        SELECT * FROM car_makes ${whereClause} ORDER BY sort_order, name
+      `).bind(...params).all(),
+      this.db.prepare(`
+        SELECT car_models.* FROM car_models
+        JOIN car_makes ON car_makes.id = car_models.make_id
+        ${whereClause}
+        ORDER BY car_models.sort_order, car_models.name
+      `).bind(...params).all(),
+      this.db.prepare(`
+        SELECT car_make_aliases.* FROM car_make_aliases
+        JOIN car_makes ON car_makes.id = car_make_aliases.make_id
+        ${whereClause}
+        ORDER BY car_make_aliases.alias
+      `).bind(...params).all()
+    ])
+
+    return makes.results.map((row: any) => ({
+      ...row,
+      is_active: Boolean(row.is_active),
+      models: models.results.filter((model: any) => model.make_id === row.id).map((model: any) => this.mapCatalogueModel(model)),
+      aliases: aliases.results.filter((alias: any) => alias.make_id === row.id) as any[]
+    }))
+  }
+
+  // Every make with its models and aliases, for the admin catalogue screen
+  async getCatalogue(): Promise<CatalogueMake[]> {
+    try {
+      return await this.getCatalogueMakes('', [])
+    } catch (error) {
+      console.error('Error fetching catalogue:', error)
+      return []
+    }
+  }
+
+  async getCatalogueMake(makeId: number): Promise<CatalogueMake | null> {
+    try {
+      const makes = await this.getCatalogueMakes('WHERE car_makes.id = ?', [makeId])
+      return makes[0] || null
+    } catch (error) {
+      console.error('Error fetching catalogue make:', error)
+      return null
+    }
+  }
+
+  // Active makes and models in the shape the dropdowns have always used
+  async getCarMakes(): Promise<CarMake[]> {
+    try {
+      const makes = await this.getCatalogueMakes('WHERE car_makes.is_active = 1', [])
+
+      return makes.map(make => {
+        const models = make.models.filter(model => model.is_active)
+        const modelYears: NonNullable<CarMake['model_years']> = {}
+        for (const model of models) {
+          if (model.year_from !== null || model.year_to !== null) {
+            modelYears[model.name] = { year_from: model.year_from, year_to: model.year_to }
+          }
+        }
+
+        return {
+          name: make.name,
+          models: models.map(model => model.name),
+          aliases: make.aliases.map(alias => alias.alias),
+          model_years: modelYears
+        }
+      })
+    } catch (error) {
+      console.error('Error fetching car makes:', error)
+      return []
+    }
+  }
+
+  // Looks a make up by its name or any alias
+  async findCatalogueMake(name: string): Promise<{ id: number; name: string } | null> {
+    try {
+      const result = await this.db.prepare(`
+        SELECT id, name FROM car_makes WHERE name = ?
+        UNION ALL
+        SELECT car_makes.id, car_makes.name FROM car_make_aliases
+        JOIN car_makes ON car_makes.id = car_make_aliases.make_id
+        WHERE car_make_aliases.alias = ?
+        LIMIT 1
+      `).bind(name.trim(), name.trim()).first()
+
+      return result as { id: number; name: string } | null
+    } catch (error) {
+      console.error('Error finding catalogue make:', error)
+      return null
+    }
+  }
+
+  async findCatalogueModel(makeId: number, name: string): Promise<CatalogueModel | null> {
+    try {
+      const result = await this.db.prepare(`
+        SELECT * FROM car_models WHERE make_id = ? AND name = ?
+      `).bind(makeId, name.trim()).first()
+
+      return result ? this.mapCatalogueModel(result) : null
+    } catch (error) {
+      console.error('Error finding catalogue model:', error)
+      return null
+    }
+  }
+
+  // Normalises a listing's make and model to the catalogue's spelling where it knows them
+  async matchCatalogue(make: string, model: string): Promise<CatalogueMatch> {
+    const knownMake = await this.findCatalogueMake(make)
+    const knownModel = knownMake ? await this.findCatalogueModel(knownMake.id, model) : null
+
+    return {
+      make: knownMake?.name || make.trim(),
+      model: knownModel?.name || model.trim(),
+      make_id: knownMake?.id ?? null,
+      model_id: knownModel?.id ?? null
+    }
+  }
+
+  async createCatalogueMake(input: CatalogueMakeInput): Promise<CatalogueMake | null> {
+    try {
+      // New makes go to the end of the dropdown unless placed explicitly
+      const result = await this.db.prepare(`
+        INSERT INTO car_makes (name, sort_order, is_active)
+        VALUES (?, COALESCE(?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM car_makes)), ?)
+        RETURNING id
+      `).bind(input.name!.trim(), input.sort_order ?? null, input.is_active === false ? 0 : 1).first() as { id: number } | null
+
+      return result ? await this.getCatalogueMake(result.id) : null
+    } catch (error) {
+      console.error('Error creating catalogue make:', error)
+      return null
+    }
+  }
+
+  async updateCatalogueMake(makeId: number, input: CatalogueMakeInput): Promise<CatalogueMake | null> {
+    try {
+      await this.db.prepare(`
+        UPDATE car_makes
+        SET name = COALESCE(?, name), sort_order = COALESCE(?, sort_order),
+            is_active = COALESCE(?, is_active), updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).bind(
+        input.name?.trim() || null,
+        input.sort_order ?? null,
+        input.is_active === undefined ? null : input.is_active ? 1 : 0,
+        makeId
+      ).run()
+
+      return await this.getCatalogueMake(makeId)
+    } catch (error) {
+      console.error('Error updating catalogue make:', error)
+      return null
+    }
+  }
+
+  // Existing listings keep their make text; only the dropdown entry goes
+  async deleteCatalogueMake(makeId: number): Promise<boolean> {
+    try {
+      const result = await this.db.prepare(`DELETE FROM car_makes WHERE id = ?`).bind(makeId).run()
+      return (result.meta?.changes || 0) > 0
+    } catch (error) {
+      console.error('Error deleting catalogue make:', error)
+      return false
+    }
+  }
+
+  async getCatalogueModel(modelId: number): Promise<CatalogueModel | null> {
+    try {
+      const result = await this.db.prepare(`SELECT * FROM car_models WHERE id = ?`).bind(modelId).first()
+      return result ? this.mapCatalogueModel(result) : null
+    } catch (error) {
+      console.error('Error fetching catalogue model:', error)
+      return null
+    }
+  }
+
+  async createCatalogueModel(makeId: number, input: CatalogueModelInput): Promise<CatalogueModel | null> {
+    try {
+      const result = await this.db.prepare(`
+        INSERT INTO car_models (make_id, name, year_from, year_to, sort_order, is_active)
+        VALUES (?, ?, ?, ?, COALESCE(?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM car_models WHERE make_id = ?)), ?)
+        RETURNING *
+      `).bind(
+        makeId,
+        input.name!.trim(),
+        input.year_from ?? null,
+        input.year_to ?? null,
+        input.sort_order ?? null,
+        makeId,
+        input.is_active === false ? 0 : 1
+      ).first()
+
+      return result ? this.mapCatalogueModel(result) : null
+    } catch (error) {
+      console.error('Error creating catalogue model:', error)
+      return null
+    }
+  }
+
+  // Year ranges can be cleared by passing null; other fields are left alone when missing
+  async updateCatalogueModel(modelId: number, input: CatalogueModelInput): Promise<CatalogueModel | null> {
+    try {
+      const result = await this.db.prepare(`
+        UPDATE car_models
+        SET name = COALESCE(?, name),
+            year_from = CASE WHEN ? THEN ? ELSE year_from END,
+            year_to = CASE WHEN ? THEN ? ELSE year_to END,
+            sort_order = COALESCE(?, sort_order),
+            is_active = COALESCE(?, is_active),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+        RETURNING *
+      `).bind(
+        input.name?.trim() || null,
+        input.year_from !== undefined ? 1 : 0, input.year_from ?? null,
+        input.year_to !== undefined ? 1 : 0, input.year_to ?? null,
+        input.sort_order ?? null,
+        input.is_active === undefined ? null : input.is_active ? 1 : 0,
+        modelId
+      ).first()
+
+      return result ? this.mapCatalogueModel(result) : null
+    } catch (error) {
+      console.error('Error updating catalogue model:', error)
+      return null
+    }
+  }
+
+  async deleteCatalogueModel(modelId: number): Promise<boolean> {
+    try {
+      const result = await this.db.prepare(`DELETE FROM car_models WHERE id = ?`).bind(modelId).run()
+      return (result.meta?.changes || 0) > 0
+    } catch (error) {
+      console.error('Error deleting catalogue model:', error)
+      return false
+    }
+  }
+
+  async createCatalogueAlias(makeId: number, alias: string): Promise<CatalogueAlias | null> {
+    try {
+      const result = await this.db.prepare(`
+        INSERT INTO car_make_aliases (make_id, alias) VALUES (?, ?) RETURNING *
+      `).bind(makeId, alias.trim()).first()
+
+      return result as CatalogueAlias | null
+    } catch (error) {
+      console.error('Error creating catalogue alias:', error)
+      return null
+    }
+  }
+
+  async deleteCatalogueAlias(aliasId: number): Promise<boolean> {
+    try {
+      const result = await this.db.prepare(`DELETE FROM car_make_aliases WHERE id = ?`).bind(aliasId).run()
+      return (result.meta?.changes || 0) > 0
+    } catch (error) {
+      console.error('Error deleting catalogue alias:', error)
+      return false
+    }
+  }
+
+  // Queues a model the catalogue doesn't know. A seller proposing the same model
+  // again (e.g. on a second listing) doesn't add another row while one is pending.
+  async createModelProposal(match: CatalogueMatch, year: number | null, userId: number, carId: number | null): Promise<boolean> {
+    try {
+      const result = await this.db.prepare(`
+        INSERT OR IGNORE INTO car_model_proposals (make_id, make_name, model_name, year, proposed_by, car_id)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).bind(match.make_id, match.make, match.model, year, userId, carId).run()
+
+      return (result.meta?.changes || 0) > 0
+    } catch (error) {
+      console.error('Error creating model proposal:', error)
+      return false
+    }
+  }
+
+  async getModelProposals(status: ModelProposalStatus, page: number = 1, limit: number = 20): Promise<{ proposals: ModelProposal[]; total: number }> {
+    try {
+      const [proposals, total] = await Promise.all([
+        this.db.prepare(`
+          SELECT car_model_proposals.*, users.full_name as proposer_name, cars.title as car_title
+          FROM car_model_proposals
+          JOIN users ON users.id = car_model_proposals.proposed_by
+          LEFT JOIN cars ON cars.id = car_model_proposals.car_id
+          WHERE car_model_proposals.status = ?
+          ORDER BY car_model_proposals.created_at ASC, car_model_proposals.id ASC
+          LIMIT ? OFFSET ?
+        `).bind(status, limit, (page - 1) * limit).all(),
+        this.db.prepare(`
+          SELECT COUNT(*) as total FROM car_model_proposals WHERE status = ?
+        `).bind(status).first() as Promise<{ total: number } | null>
+      ])
+
+      return {
+        proposals: proposals.results.map((row: any) => ({ ...row }) as ModelProposal),
+        total: total?.total || 0
+      }
+    } catch (error) {
+      console.error('Error fetching model proposals:', error)
+      return { proposals: [], total: 0 }
+    }
+  }
+
+  async getModelProposal(proposalId: number): Promise<ModelProposal | null> {
+    try {
+      const result = await this.db.prepare(`
+        SELECT * FROM car_model_proposals WHERE id = ?
+      `).bind(proposalId).first()
+
+      return result as ModelProposal | null
+    } catch (error) {
+      console.error('Error fetching model proposal:', error)
+      return null
+    }
+  }
+
+  // Adds the make (if new) and model to the catalogue in one batch, settles every
+  // pending proposal for the same make and model, and respells the listings behind them
+  async approveModelProposal(
+    proposal: ModelProposal,
+    adminId: number,
+    approved: { make: string; model: string; year_from: number | null; year_to: number | null; notes: string | null }
+  ): Promise<CatalogueModel | null> {
+    try {
+      const pending = `status = 'pending' AND make_name = ? AND model_name = ?`
+
+      await this.db.batch([
+        this.db.prepare(`
+          INSERT OR IGNORE INTO car_makes (name, sort_order)
+          VALUES (?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM car_makes))
+        `).bind(approved.make),
+        this.db.prepare(`
+          INSERT OR IGNORE INTO car_models (make_id, name, year_from, year_to, sort_order)
+          SELECT id, ?, ?, ?, (SELECT COALESCE(MAX(sort_order), 0) + 1 FROM car_models WHERE make_id = car_makes.id)
+          FROM car_makes WHERE name = ?
+        `).bind(approved.model, approved.year_from, approved.year_to, approved.make),
+        this.db.prepare(`
+          UPDATE cars SET make = (SELECT name FROM car_makes WHERE name = ?), model = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id IN (SELECT car_id FROM car_model_proposals WHERE ${pending})
+        `).bind(approved.make, approved.model, proposal.make_name, proposal.model_name),
+        this.db.prepare(`
+          UPDATE car_model_proposals
+          SET status = 'approved', make_id = (SELECT id FROM car_makes WHERE name = ?),
+              reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_notes = ?
+          WHERE ${pending}
+        `).bind(approved.make, adminId, approved.notes, proposal.make_name, proposal.model_name)
+      ])
+
+      const make = await this.findCatalogueMake(approved.make)
+      return make ? await this.findCatalogueModel(make.id, approved.model) : null
+    } catch (error) {
+      console.error('Error approving model proposal:', error)
+      return null
+    }
+  }
+
+  // Listings behind rejected proposals keep the model as the seller typed it
+  async rejectModelProposal(proposal: ModelProposal, adminId: number, notes: string | null): Promise<number> {
+    try {
+      const result = await this.db.prepare(`
+        UPDATE car_model_proposals
+        SET status = 'rejected', reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_notes = ?
+        WHERE status = 'pending' AND make_name = ? AND model_name = ?
+      `).bind(adminId, notes, proposal.make_name, proposal.model_name).run()
+
+      return result.meta?.changes || 0
+    } catch (error) {
+      console.error('Error rejecting model proposal:', error)
+      return 0
+    }
+  }
+
+  async getReport(reportId: number): Promise<UserReport | null> {
+    try {
+      const result = await this.db.prepare(`
+        SELECT * FROM user_reports WHERE id = ?
+      `).bind(reportId).first()
+
+      return result as UserReport | null
+    } catch (error) {
+      console.error('Error fetching report:', error)
+      return null
+    }
+  }
+
+  // Reports filed by a user in the last few minutes, for rate limiting
+  async countRecentReports(reporterId: number, minutes: number): Promise<number> {
+    try {
+      const result = await this.db.prepare(`
+        SELECT COUNT(*) as count FROM user_reports
+        WHERE reporter_id = ? AND created_at > datetime('now', ?)
+      `).bind(reporterId, `-${minutes} minutes`).first() as { count: number } | null
+
+      return result?.count || 0
+    } catch (error) {
+      console.error('Error counting recent reports:', error)
+      return 0
+    }
+  }
+
+  // A reporter's report on the same car or user that admins haven't closed yet
+  async findActiveReport(reporterId: number, target: { car_id?: number; user_id?: number }): Promise<UserReport | null> {
+    try {
+      const column = target.car_id ? 'reported_car_id' : 'reported_user_id'
+      const result = await this.db.prepare(`
+        SELECT * FROM user_reports
+        WHERE reporter_id = ? AND ${column} = ? AND status IN ('open', 'investigating')
+        LIMIT 1
+      `).bind(reporterId, target.car_id || target.user_id).first()
+
+      return result as UserReport | null
+    } catch (error) {
+      console.error('Error fetching active report:', error)
+      return null
+    }
+  }
+
+  async createReport(reporterId: number, report: ReportCreate): Promise<UserReport | null> {
+    try {
+      const result = await this.db.prepare(`
+        INSERT INTO user_reports (reporter_id, reported_user_id, reported_car_id, report_type, description)
+        VALUES (?, ?, ?, ?, ?)
+      `).bind(reporterId, report.user_id || null, report.car_id || null, report.report_type, report.description || null).run()
+
+      return result.success ? await this.getReport(result.meta.last_row_id as number) : null
+    } catch (error) {
+      console.error('Error creating report:', error)
+      return null
+    }
+  }
+
+  // Hides a listing for review once enough different people have reported it since its
+  // last moderation decision. Returns true only when this call flagged it.
+  async flagReportedCar(carId: number, threshold: number): Promise<boolean> {
+    try {
+      const result = await this.db.prepare(`
+        UPDATE cars
+        SET is_flagged = 1, moderation_status = 'flagged', updated_at = CURRENT_TIMESTAMP,
+            moderation_notes = 'Hidden for review after reports from other users'
+        WHERE id = ? AND COALESCE(is_flagged, 0) = 0 AND COALESCE(moderation_status, 'pending') NOT IN ('rejected', 'flagged')
+          AND (
+            SELECT COUNT(DISTINCT reporter_id) FROM user_reports
+            WHERE reported_car_id = cars.id AND status IN ('open', 'investigating')
+              AND created_at >= COALESCE(cars.moderated_at, cars.created_at)
+          ) >= ?
+      `).bind(carId, threshold).run()
+
+      return (result.meta?.changes || 0) > 0
+    } catch (error) {
+      console.error('Error flagging reported car:', error)
+      return false
+    }
+  }
+
+  async getReportCounts(): Promise<Record<ReportStatus, number>> {
+    const counts: Record<ReportStatus, number> = { open: 0, investigating: 0, resolved: 0, dismissed: 0 }
+
+    try {
+      const results = await this.db.prepare(`
+        SELECT status, COUNT(*) as count FROM user_reports GROUP BY status
+      `).all()
+
+      for (const row of results.results as { status: ReportStatus; count: number }[]) {
+        counts[row.status] = row.count
+      }
+    } catch (error) {
+      console.error('Error counting reports:', error)
+    }
+
+    return counts
+  }
+
+  // Oldest first, so it reads as a timeline from the report being filed
+  async getReportHistory(reportId: number): Promise<ReportEvent[]> {
+    try {
+      const results = await this.db.prepare(`
+        SELECT report_events.*, admins.full_name as admin_name, assignees.full_name as assigned_name
+        FROM report_events
+        JOIN users admins ON admins.id = report_events.admin_id
+        LEFT JOIN users assignees ON assignees.id = report_events.assigned_to
+        WHERE report_events.report_id = ?
+        ORDER BY report_events.created_at ASC, report_events.id ASC
+      `).bind(reportId).all()
+
+      return results.results.map((row: any) => ({ ...row }) as ReportEvent)
+    } catch (error) {
+      console.error('Error fetching report history:', error)
+      return []
+    }
+  }
+
+  // Moves a report to its new status, records the event and takes any linked action in
+  // one batch. Every statement is guarded on the report still having the status it was
+  // read with, so if another admin got there first nothing changes and this returns false.
+  async updateReportStatus(
+    report: UserReport,
+    adminId: number,
+    change: {
+      action: ReportAction;
+      status: ReportStatus;
+      assigned_to: number | null;
+      notes: string | null;
+      linked_action: ReportLinkedAction | null;
+      linked_target_id: number | null;
+    }
+  ): Promise<boolean> {
+    try {
+      const unchanged = `EXISTS (SELECT 1 FROM user_reports WHERE id = ? AND status = ?)`
+      // Closing records the notes; reopening clears them (they stay in the history)
+      const closing = change.status === 'resolved' || change.status === 'dismissed'
+
+      const statements = [
+        this.db.prepare(`
+          INSERT INTO report_events (report_id, admin_id, action, from_status, to_status, assigned_to, linked_action, notes)
+          SELECT ?, ?, ?, ?, ?, ?, ?, ? WHERE ${unchanged}
+        `).bind(
+          report.id, adminId, change.action, report.status, change.status, change.assigned_to,
+          change.linked_action, change.notes, report.id, report.status
+        )
+      ]
+
+      if (change.linked_action === 'suspend_user' && change.linked_target_id) {
+        statements.push(
+          this.db.prepare(`
+            UPDATE users
+            SET is_suspended = 1, suspension_reason = ?, suspended_at = CURRENT_TIMESTAMP,
+                suspended_by = ?, updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND is_suspended = 0 AND ${unchanged}
+          `).bind(change.notes, adminId, change.linked_target_id, report.id, report.status),
+          this.db.prepare(`
+            UPDATE cars SET status = 'withdrawn', updated_at = CURRENT_TIMESTAMP
+            WHERE user_id = ? AND status = 'active' AND ${unchanged}
+          `).bind(change.linked_target_id, report.id, report.status),
+          this.db.prepare(`
+            UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'suspended'
+            WHERE user_id = ? AND revoked_at IS NULL AND ${unchanged}
+          `).bind(change.linked_target_id, report.id, report.status)
+        )
+      }
+
+      if (change.linked_action === 'reject_car' && change.linked_target_id) {
+        statements.push(
+          this.db.prepare(`
+            UPDATE cars
+            SET moderation_status = 'rejected', moderated_by = ?, moderated_at = CURRENT_TIMESTAMP,
+                moderation_notes = ?, is_flagged = 0, status = 'withdrawn', updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND status != 'deleted' AND ${unchanged}
+          `).bind(adminId, change.notes, change.linked_target_id, report.id, report.status)
+        )
+      }
+
+      // Last, so the guards above still see the old status
+      statements.push(
+        this.db.prepare(`
+          UPDATE user_reports
+          SET status = ?, assigned_to = ?, resolution_notes = CASE WHEN ? THEN ? ELSE resolution_notes END,
+              updated_at = CURRENT_TIMESTAMP
+          WHERE id = ? AND status = ?
+        `).bind(change.status, change.assigned_to, change.action !== 'assign' ? 1 : 0, closing ? change.notes : null, report.id, report.status)
+      )
+
+      const results = await this.db.batch(statements)
+      return (results[results.length - 1].meta?.changes || 0) > 0
+    } catch (error) {
+      console.error('Error updating report status:', error)
+      return false
+    }
+  }
+}
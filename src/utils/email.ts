@@ -0,0 +1,99 @@
+// Email for WightCars
+// Routes build a message and hand it to getEmailTransport(); where it goes depends on the transport
+import type { CloudflareBindings, EmailMessage } from '../types'
+
+export interface EmailTransport {
+  send(message: EmailMessage): Promise<void>
+}
+
+// Writes messages to the email_outbox table instead of sending them. Only used outside
+// production, where admins read the outbox from the admin panel
+export class OutboxEmailTransport implements EmailTransport {
+  constructor(private db: D1Database) {}
+
+  async send(message: EmailMessage): Promise<void> {
+    await this.db.prepare(`
+      INSERT INTO email_outbox (recipient, subject, text_body, html_body, template)
+      VALUES (?, ?, ?, ?, ?)
+    `).bind(message.to, message.subject, message.text, message.html || null, message.template || null).run()
+  }
+}
+
+// Delivers through Resend's HTTP API, configured by RESEND_API_KEY and EMAIL_FROM
+export class ResendEmailTransport implements EmailTransport {
+  constructor(private apiKey: string, private from: string) {}
+
+  async send(message: EmailMessage): Promise<void> {
+    const response = await fetch('https://api.resend.com/emails', {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${this.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        from: this.from,
+        to: [message.to],
+        subject: message.subject,
+        text: message.text,
+        html: message.html
+      })
+    })
+
+    if (!response.ok) {
+      throw new Error(`Email provider rejected the message (${response.status})`)
+    }
+  }
+}
+
+export function isOutboxEnvironment(env: CloudflareBindings): boolean {
+  return env.ENVIRONMENT !== 'production'
+}
+
+// A configured provider wins; otherwise mail goes to the outbox outside production.
+// Returns null in production without a provider, so callers can refuse rather than
+// pretend the email went out
+export function getEmailTransport(env: CloudflareBindings): EmailTransport | null {
+  if (env.RESEND_API_KEY && env.EMAIL_FROM) {
+    return new ResendEmailTransport(env.RESEND_API_KEY, env.EMAIL_FROM)
+  }
+
+  return isOutboxEnvironment(env) ? new OutboxEmailTransport(env.DB) : null
+}
+
+export function buildPasswordResetEmail(to: string, siteName: string, resetUrl: string, expiresInMinutes: number): EmailMessage {
+  return {
+    to,
+    subject: `Reset your ${siteName} password`,
+    text: [
+      'Hello,',
+      '',
+      `Someone asked to reset the password for your ${siteName} account. To choose a new password, open this link:`,
+      '',
+      resetUrl,
+      '',
+      `The link works once and expires in ${expiresInMinutes} minutes. If you didn't ask for this, you can ignore this email; your password hasn't changed.`,
+      '',
+      `The ${siteName} team`
+    ].join('\n'),
+    template: 'password_reset'
+  }
+}
+
+export function buildEmailVerificationEmail(to: string, siteName: string, verifyUrl: string, expiresInHours: number): EmailMessage {
+  return {
+    to,
+    subject: `Confirm your email for ${siteName}`,
+    text: [
+      'Hello,',
+      '',
+      `Thanks for joining ${siteName}. Please confirm this is your email address by opening this link:`,
+      '',
+      verifyUrl,
+      '',
+      `The link expires in ${expiresInHours} hours. If you didn't create an account, you can ignore this email.`,
+      '',
+      `The ${siteName} team`
+    ].join('\n'),
+    template: 'email_verification'
+  }
+}
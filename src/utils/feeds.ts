@@ -0,0 +1,179 @@
+// Atom and RSS feed builders for WightCars listings
+// Lets buyers follow a saved search in any feed reader without an account
+import type { Car, CarFilters, CarMake } from '../types'
+import { POPULAR_CAR_MAKES } from '../types'
+import { escapeXml, parseTimestamp } from './xml'
+import { absoluteUrl } from './seo'
+
+export const FEED_DEFAULT_LIMIT = 20
+export const FEED_MAX_LIMIT = 50
+
+const SUMMARY_LENGTH = 300
+
+export interface FeedChannel {
+  title: string;
+  description: string;
+  link: string; // The matching /browse page
+  self: string; // The feed's own URL, filters included
+  updated: Date;
+}
+
+export interface FeedItem {
+  id: string;
+  title: string;
+  link: string;
+  summary: string;
+  content: string; // HTML
+  category: string;
+  author?: string;
+  published: Date | null;
+  updated: Date | null;
+  image?: { url: string; type: string };
+}
+
+const formatPounds = (pence: number) => `£${Math.round(pence / 100).toLocaleString('en-GB')}`
+
+const IMAGE_TYPES: Record<string, string> = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  avif: 'image/avif'
+}
+
+// Enclosures must declare a MIME type; uploads are stored under their original extension
+function imageType(url: string): string {
+  const extension = new URL(url).pathname.split('.').pop()?.toLowerCase() || ''
+  return IMAGE_TYPES[extension] || 'image/jpeg'
+}
+
+function truncate(text: string, length: number): string {
+  const clean = text.replace(/\s+/g, ' ').trim()
+  if (clean.length <= length) return clean
+  return clean.slice(0, length - 1).replace(/\s+\S*$/, '') + '…'
+}
+
+// Browse links lower-case make and model; show them as the catalogue spells them
+function displayMakeModel(makes: CarMake[], make?: string, model?: string): string {
+  const knownMake = make ? makes.find(entry =>
+    entry.name.toLowerCase() === make.toLowerCase() ||
+    entry.aliases?.some(alias => alias.toLowerCase() === make.toLowerCase())) : undefined
+  const knownModel = model ? knownMake?.models.find(entry => entry.toLowerCase() === model.toLowerCase()) : undefined
+  return [knownMake?.name || make, knownModel || model].filter(Boolean).join(' ')
+}
+
+// "Ford Focus, petrol, under £10,000 in Ryde" — used in the feed title
+export function describeFeedFilters(filters: CarFilters, makes: CarMake[] = POPULAR_CAR_MAKES): string {
+  const parts = [displayMakeModel(makes, filters.make, filters.model) || 'Cars']
+  if (filters.fuel_type) parts.push(filters.fuel_type)
+  if (filters.transmission) parts.push(filters.transmission)
+  if (filters.body_type) parts.push(filters.body_type)
+
+  let description = parts.join(', ')
+  if (filters.min_price && filters.max_price) {
+    description += ` from ${formatPounds(filters.min_price)} to ${formatPounds(filters.max_price)}`
+  } else if (filters.max_price) {
+    description += ` under ${formatPounds(filters.max_price)}`
+  } else if (filters.min_price) {
+    description += ` over ${formatPounds(filters.min_price)}`
+  }
+  if (filters.location) description += ` in ${filters.location}`
+  if (filters.near) description += ` near ${filters.near}`
+  if (filters.search) description += ` matching "${filters.search}"`
+
+  return description
+}
+
+export function buildCarFeedItem(car: Car, origin: string): FeedItem {
+  const link = absoluteUrl(`/car/${car.id}`, origin)
+  const image = car.featured_image ? absoluteUrl(car.featured_image, origin) : null
+  const specs = [
+    formatPounds(car.price) + (car.is_negotiable ? ' ono' : ''),
+    String(car.year),
+    car.mileage ? `${car.mileage.toLocaleString('en-GB')} miles` : null,
+    car.fuel_type,
+    car.transmission,
+    car.location
+  ].filter(Boolean).join(' · ')
+  const description = car.description ? truncate(car.description, SUMMARY_LENGTH) : ''
+
+  const content = [
+    image ? `<p><a href="${escapeXml(link)}"><img src="${escapeXml(image)}" alt="${escapeXml(car.title)}"></a></p>` : '',
+    `<p><strong>${escapeXml(specs)}</strong></p>`,
+    description ? `<p>${escapeXml(description)}</p>` : ''
+  ].join('')
+
+  return {
+    id: link,
+    title: `${car.title} - ${formatPounds(car.price)}`,
+    link,
+    summary: description ? `${specs}. ${description}` : specs,
+    content,
+    category: car.make,
+    author: car.seller?.full_name,
+    published: parseTimestamp(car.created_at),
+    updated: parseTimestamp(car.updated_at) || parseTimestamp(car.created_at),
+    image: image ? { url: image, type: imageType(image) } : undefined
+  }
+}
+
+// https://www.rfc-editor.org/rfc/rfc4287
+export function buildAtomFeed(channel: FeedChannel, items: FeedItem[]): string {
+  const entries = items.map(item => {
+    const updated = item.updated || channel.updated
+    return `  <entry>
+    <id>${escapeXml(item.id)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.link)}"/>${item.image ? `
+    <link rel="enclosure" type="${item.image.type}" href="${escapeXml(item.image.url)}"/>` : ''}${item.published ? `
+    <published>${item.published.toISOString()}</published>` : ''}
+    <updated>${updated.toISOString()}</updated>${item.author ? `
+    <author><name>${escapeXml(item.author)}</name></author>` : ''}
+    <category term="${escapeXml(item.category)}"/>
+    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.content)}</content>
+  </entry>`
+  }).join('\n')
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="en-GB">
+  <id>${escapeXml(channel.self)}</id>
+  <title>${escapeXml(channel.title)}</title>
+  <subtitle>${escapeXml(channel.description)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(channel.self)}"/>
+  <link rel="alternate" type="text/html" href="${escapeXml(channel.link)}"/>
+  <updated>${channel.updated.toISOString()}</updated>
+  <author><name>WightCars</name></author>
+${entries}
+</feed>
+`
+}
+
+// https://www.rssboard.org/rss-specification
+export function buildRssFeed(channel: FeedChannel, items: FeedItem[]): string {
+  const entries = items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.link)}</link>
+      <guid isPermaLink="true">${escapeXml(item.id)}</guid>${item.published ? `
+      <pubDate>${item.published.toUTCString()}</pubDate>` : ''}
+      <category>${escapeXml(item.category)}</category>
+      <description>${escapeXml(item.content)}</description>${item.image ? `
+      <enclosure url="${escapeXml(item.image.url)}" length="0" type="${item.image.type}"/>` : ''}
+    </item>`).join('\n')
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(channel.title)}</title>
+    <link>${escapeXml(channel.link)}</link>
+    <description>${escapeXml(channel.description)}</description>
+    <language>en-gb</language>
+    <lastBuildDate>${channel.updated.toUTCString()}</lastBuildDate>
+    <ttl>15</ttl>
+    <atom:link href="${escapeXml(channel.self)}" rel="self" type="application/rss+xml"/>
+${entries}
+  </channel>
+</rss>
+`
+}
@@ -0,0 +1,86 @@
+// Car listing query parameters for WightCars
+// Shared by GET /api/cars and the listing feeds so both accept the same filters
+import type { CarFilters, CarStatus } from '../types'
+import { resolveLocation } from './locations'
+import { decodeCursor } from './cursor'
+import { buildSearchQuery } from './search'
+
+// The only listing statuses anyone may browse; withdrawn, pending and deleted listings stay private
+const PUBLIC_CAR_STATUSES: CarStatus[] = ['active', 'sold']
+
+export function parseCarFilters(query: Record<string, string>): CarFilters {
+  return {
+    make: query.make,
+    model: query.model,
+    min_year: query.min_year ? parseInt(query.min_year) : undefined,
+    max_year: query.max_year ? parseInt(query.max_year) : undefined,
+    min_price: query.min_price ? parseInt(query.min_price) : undefined,
+    max_price: query.max_price ? parseInt(query.max_price) : undefined,
+    fuel_type: query.fuel_type as any,
+    transmission: query.transmission as any,
+    body_type: query.body_type as any,
+    location: query.location,
+    min_mileage: query.min_mileage ? parseInt(query.min_mileage) : undefined,
+    max_mileage: query.max_mileage ? parseInt(query.max_mileage) : undefined,
+    search: query.search,
+    near: query.near,
+    radius_miles: query.radius_miles ? parseFloat(query.radius_miles) : undefined,
+    is_dealer: query.is_dealer === 'true' ? true : query.is_dealer === 'false' ? false : undefined,
+    status: query.status as any || 'active',
+    sort_by: query.sort_by as any,
+    page: query.page ? parseInt(query.page) : 1,
+    limit: query.limit ? parseInt(query.limit) : 20,
+    cursor: query.cursor || undefined,
+    include_facets: query.facets === 'true'
+  }
+}
+
+type CarSort = NonNullable<CarFilters['sort_by']>
+
+const CAR_SORTS: CarSort[] = [
+  'relevance', 'distance_asc', 'price_asc', 'price_desc', 'year_asc', 'year_desc',
+  'mileage_asc', 'mileage_desc', 'created_asc', 'created_desc'
+]
+
+// The sort order a listing query actually runs with. Relevance and distance need a
+// search or location; anything unusable falls back to newest first
+export function resolveCarSort(filters: CarFilters): CarSort {
+  const hasSearch = Boolean(filters.search && buildSearchQuery(filters.search))
+  const hasOrigin = Boolean(filters.near && resolveLocation(filters.near))
+
+  const sortKey = filters.sort_by || (hasSearch ? 'relevance' : hasOrigin ? 'distance_asc' : 'created_desc')
+  if (!CAR_SORTS.includes(sortKey) ||
+      (sortKey === 'relevance' && !hasSearch) ||
+      (sortKey === 'distance_asc' && !hasOrigin)) {
+    return 'created_desc'
+  }
+
+  return sortKey
+}
+
+// Returns the error message for filters the database can't act on, or null when they're usable
+export function validateCarFilters(filters: CarFilters): string | null {
+  if (filters.status && !PUBLIC_CAR_STATUSES.includes(filters.status)) {
+    return `status must be one of: ${PUBLIC_CAR_STATUSES.join(', ')}`
+  }
+
+  if (filters.cursor) {
+    const cursor = decodeCursor(filters.cursor)
+    if (!cursor) {
+      return 'Invalid cursor'
+    }
+    if (cursor.sort !== resolveCarSort(filters)) {
+      return 'Outdated cursor for a different sort order; start again from the first page'
+    }
+  }
+
+  if (filters.near && !resolveLocation(filters.near)) {
+    return 'Unknown Isle of Wight postcode or town'
+  }
+
+  if (filters.radius_miles !== undefined && (isNaN(filters.radius_miles) || filters.radius_miles <= 0)) {
+    return 'radius_miles must be a positive number'
+  }
+
+  return null
+}
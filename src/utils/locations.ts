@@ -0,0 +1,109 @@
+// Offline Isle of Wight geography for WightCars
+// Approximate centroids for postcode districts (PO30–PO41), their sectors and the
+// ISLE_OF_WIGHT_LOCATIONS towns, so distance search never needs an external geocoder
+import { ISLE_OF_WIGHT_LOCATIONS, type IsleOfWightLocation } from '../types'
+
+export interface GeoPoint {
+  latitude: number;
+  longitude: number;
+}
+
+export const POSTCODE_DISTRICTS: Record<string, GeoPoint> = {
+  PO30: { latitude: 50.6950, longitude: -1.3000 }, // Newport and the central downs
+  PO31: { latitude: 50.7560, longitude: -1.3050 }, // Cowes, Gurnard, Northwood
+  PO32: { latitude: 50.7500, longitude: -1.2780 }, // East Cowes, Whippingham
+  PO33: { latitude: 50.7260, longitude: -1.1800 }, // Ryde, Binstead, Wootton
+  PO34: { latitude: 50.7140, longitude: -1.1100 }, // Seaview, Nettlestone
+  PO35: { latitude: 50.6880, longitude: -1.0900 }, // Bembridge, St Helens
+  PO36: { latitude: 50.6570, longitude: -1.1550 }, // Sandown, Lake, Brading
+  PO37: { latitude: 50.6290, longitude: -1.1810 }, // Shanklin
+  PO38: { latitude: 50.6000, longitude: -1.2400 }, // Ventnor, Niton, Godshill
+  PO39: { latitude: 50.6790, longitude: -1.5400 }, // Totland
+  PO40: { latitude: 50.6830, longitude: -1.5150 }, // Freshwater
+  PO41: { latitude: 50.7000, longitude: -1.4700 }  // Yarmouth, Shalfleet
+}
+
+export const POSTCODE_SECTORS: Record<string, GeoPoint> = {
+  'PO30 1': { latitude: 50.7060, longitude: -1.2950 }, // Newport north, Parkhurst
+  'PO30 2': { latitude: 50.6900, longitude: -1.2850 }, // Newport south, Shide
+  'PO30 3': { latitude: 50.6500, longitude: -1.3000 }, // Rookley, Chillerton, Gatcombe
+  'PO30 4': { latitude: 50.6420, longitude: -1.3900 }, // Brighstone, Shorwell
+  'PO30 5': { latitude: 50.6930, longitude: -1.3150 }, // Carisbrooke
+  'PO31 7': { latitude: 50.7620, longitude: -1.2990 }, // Cowes
+  'PO31 8': { latitude: 50.7480, longitude: -1.3200 }, // Gurnard, Northwood
+  'PO32 6': { latitude: 50.7530, longitude: -1.2800 }, // East Cowes, Whippingham
+  'PO33 1': { latitude: 50.7300, longitude: -1.1620 }, // Ryde town
+  'PO33 2': { latitude: 50.7220, longitude: -1.1450 }, // Ryde east, Elmfield
+  'PO33 3': { latitude: 50.7250, longitude: -1.1850 }, // Binstead
+  'PO33 4': { latitude: 50.7220, longitude: -1.2400 }, // Wootton Bridge, Havenstreet
+  'PO34 5': { latitude: 50.7150, longitude: -1.1100 }, // Seaview, Nettlestone
+  'PO35 5': { latitude: 50.6860, longitude: -1.0850 }, // Bembridge, St Helens
+  'PO36 0': { latitude: 50.6780, longitude: -1.1450 }, // Brading, Alverstone
+  'PO36 8': { latitude: 50.6550, longitude: -1.1550 }, // Sandown
+  'PO36 9': { latitude: 50.6470, longitude: -1.1650 }, // Lake
+  'PO37 6': { latitude: 50.6320, longitude: -1.1760 }, // Shanklin
+  'PO37 7': { latitude: 50.6250, longitude: -1.1900 }, // Shanklin south, Luccombe
+  'PO38 1': { latitude: 50.5950, longitude: -1.2050 }, // Ventnor, Bonchurch
+  'PO38 2': { latitude: 50.5850, longitude: -1.2850 }, // Niton, Whitwell
+  'PO38 3': { latitude: 50.6330, longitude: -1.2540 }, // Godshill, Wroxall
+  'PO39 0': { latitude: 50.6790, longitude: -1.5400 }, // Totland
+  'PO40 9': { latitude: 50.6830, longitude: -1.5200 }, // Freshwater
+  'PO41 0': { latitude: 50.7050, longitude: -1.5000 }  // Yarmouth
+}
+
+export const TOWN_CENTROIDS: Record<IsleOfWightLocation, GeoPoint> = {
+  'Newport': { latitude: 50.7011, longitude: -1.2916 },
+  'Cowes': { latitude: 50.7595, longitude: -1.3002 },
+  'East Cowes': { latitude: 50.7562, longitude: -1.2876 },
+  'Ryde': { latitude: 50.7300, longitude: -1.1600 },
+  'Sandown': { latitude: 50.6530, longitude: -1.1580 },
+  'Shanklin': { latitude: 50.6300, longitude: -1.1750 },
+  'Ventnor': { latitude: 50.5940, longitude: -1.2060 },
+  'Freshwater': { latitude: 50.6830, longitude: -1.5210 },
+  'Yarmouth': { latitude: 50.7050, longitude: -1.5000 },
+  'Bembridge': { latitude: 50.6870, longitude: -1.0830 },
+  'Brading': { latitude: 50.6810, longitude: -1.1450 },
+  'Godshill': { latitude: 50.6330, longitude: -1.2540 },
+  'Brighstone': { latitude: 50.6420, longitude: -1.3930 },
+  'Arreton': { latitude: 50.6760, longitude: -1.2410 },
+  'Wootton Bridge': { latitude: 50.7230, longitude: -1.2360 },
+  'Lake': { latitude: 50.6450, longitude: -1.1680 },
+  'Niton': { latitude: 50.5850, longitude: -1.2850 },
+  'Seaview': { latitude: 50.7170, longitude: -1.1100 },
+  'St Helens': { latitude: 50.7000, longitude: -1.1150 },
+  'Totland': { latitude: 50.6790, longitude: -1.5400 }
+}
+
+// Miles per degree; longitude is scaled for the Island's latitude, which keeps
+// flat-earth distances within a fraction of a percent at this size
+export const MILES_PER_DEGREE_LATITUDE = 69.0
+export const MILES_PER_DEGREE_LONGITUDE = 69.0 * Math.cos(50.68 * Math.PI / 180)
+
+/**
+ * Resolve a postcode (full, sector or district) or Island town name to a point.
+ * The most specific match wins: sector before district. Returns null for anything
+ * outside the bundled dataset.
+ */
+export function resolveLocation(input?: string | null): GeoPoint | null {
+  if (!input) return null
+
+  // A district alone, a sector after a space, or a full postcode with or without the
+  // space. The inward code is only accepted whole when unspaced, so mainland PO3 5AB
+  // and PO4 1AA can't be read as the Island's PO35 and PO41
+  const postcode = input.trim().toUpperCase().match(/^(PO(?:3\d|4[01]))(?:\s+(\d)(?:[A-Z]{2})?|(\d)[A-Z]{2})?$/)
+  if (postcode) {
+    const [, district, spacedSector, compactSector] = postcode
+    const sector = spacedSector ?? compactSector
+    return POSTCODE_SECTORS[`${district} ${sector}`] || POSTCODE_DISTRICTS[district]
+  }
+
+  const town = ISLE_OF_WIGHT_LOCATIONS.find(name => name.toLowerCase() === input.trim().toLowerCase())
+  return town ? TOWN_CENTROIDS[town] : null
+}
+
+// Straight-line distance in miles between two points on the Island
+export function distanceMiles(from: GeoPoint, to: GeoPoint): number {
+  const dLat = (to.latitude - from.latitude) * MILES_PER_DEGREE_LATITUDE
+  const dLng = (to.longitude - from.longitude) * MILES_PER_DEGREE_LONGITUDE
+  return Math.sqrt(dLat * dLat + dLng * dLng)
+}
@@ -0,0 +1,69 @@
+// Full-text search utilities for WightCars
+// Turns free-text buyer input into a safe SQLite FTS5 MATCH expression
+import { escapeXml } from './xml'
+
+// Words too common in listings to help rank results
+const STOP_WORDS = new Set(['a', 'an', 'and', 'the', 'with', 'for', 'in', 'of', 'on', 'or', 'to'])
+
+// Wraps a term in double quotes so FTS5 never treats it as syntax
+function quoteTerm(words: string[]): string {
+  return `"${words.join(' ')}"`
+}
+
+function tokenize(text: string): string[] {
+  return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []
+}
+
+/**
+ * Build an FTS5 query from user input.
+ * - "quoted text" becomes a phrase query
+ * - a trailing * makes a prefix query (e.g. merc*)
+ * - remaining words are OR'd together so partial matches still rank
+ * - a word in synonyms (lower case, e.g. vw → volkswagen) also matches what it stands for
+ * Returns null when nothing searchable is left.
+ */
+export function buildSearchQuery(input: string, synonyms: Map<string, string> = new Map()): string | null {
+  if (!input) return null
+
+  const terms: string[] = []
+  const pattern = /"([^"]*)"|(\S+)/g
+  let match: RegExpExecArray | null
+
+  while ((match = pattern.exec(input)) !== null) {
+    if (match[1] !== undefined) {
+      // Phrase query
+      const words = tokenize(match[1])
+      if (words.length > 0) terms.push(quoteTerm(words))
+      continue
+    }
+
+    const raw = match[2]
+    const isPrefix = raw.endsWith('*')
+    const words = tokenize(raw)
+    if (words.length === 0) continue
+
+    // Single stop words add nothing but noise
+    if (!isPrefix && words.length === 1 && STOP_WORDS.has(words[0])) continue
+
+    // Hyphenated words like "e-tron" are matched as a phrase
+    terms.push(quoteTerm(words) + (isPrefix ? '*' : ''))
+
+    const synonym = isPrefix ? undefined : synonyms.get(words.join(' '))
+    const synonymWords = synonym ? tokenize(synonym) : []
+    if (synonymWords.length > 0) terms.push(quoteTerm(synonymWords))
+  }
+
+  return terms.length > 0 ? terms.join(' OR ') : null
+}
+
+// highlight() and snippet() wrap matches in these control characters rather than
+// <mark>, so the seller-entered text around them can be escaped first
+export const HIGHLIGHT_OPEN = '\u0002'
+export const HIGHLIGHT_CLOSE = '\u0003'
+
+// Escapes highlighted listing text and turns the match markers into <mark> tags
+export function renderHighlight(text: string | null): string {
+  return escapeXml(text || '')
+    .split(HIGHLIGHT_OPEN).join('<mark>')
+    .split(HIGHLIGHT_CLOSE).join('</mark>')
+}
@@ -0,0 +1,97 @@
+// Search engine and social sharing metadata for WightCars pages
+// Builds the <head> tags and schema.org structured data for a server-rendered listing
+import type { Car, PageMeta } from '../types'
+
+const DESCRIPTION_LENGTH = 160
+
+const formatPounds = (pence: number) => `£${Math.round(pence / 100).toLocaleString('en-GB')}`
+
+// Listing images may be stored as site-relative paths; sharing cards need absolute URLs
+export function absoluteUrl(path: string, origin: string): string {
+  return new URL(path, origin).href
+}
+
+function truncate(text: string, length: number): string {
+  const clean = text.replace(/\s+/g, ' ').trim()
+  if (clean.length <= length) return clean
+  return clean.slice(0, length - 1).replace(/\s+\S*$/, '').replace(/[\s,.;:]+$/, '') + '…'
+}
+
+// Seller-entered locations sometimes already end with the Island's name
+function townOf(car: Car): string {
+  return car.location.replace(/,?\s*(the\s+)?Isle of Wight$/i, '').trim() || car.location
+}
+
+function describeCar(car: Car): string {
+  const specs = [
+    formatPounds(car.price),
+    car.mileage ? `${car.mileage.toLocaleString('en-GB')} miles` : null,
+    car.fuel_type,
+    car.transmission
+  ].filter(Boolean).join(', ')
+
+  const summary = `${car.year} ${car.make} ${car.model} for sale in ${townOf(car)}, Isle of Wight. ${specs}.`
+  return truncate(car.description ? `${summary} ${car.description}` : summary, DESCRIPTION_LENGTH)
+}
+
+// schema.org Car with an Offer, as understood by Google's vehicle listing results
+export function buildCarJsonLd(car: Car, url: string, origin: string): Record<string, unknown> {
+  const images = [car.featured_image, ...(car.images || [])]
+    .filter((image): image is string => !!image)
+    .map(image => absoluteUrl(image, origin))
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Car',
+    name: car.title,
+    description: car.description || undefined,
+    url,
+    image: images.length > 0 ? [...new Set(images)] : undefined,
+    brand: { '@type': 'Brand', name: car.make },
+    model: car.model,
+    vehicleModelDate: String(car.year),
+    bodyType: car.body_type,
+    fuelType: car.fuel_type,
+    vehicleTransmission: car.transmission,
+    color: car.color || undefined,
+    numberOfDoors: car.doors || undefined,
+    mileageFromOdometer: car.mileage ? { '@type': 'QuantitativeValue', value: car.mileage, unitCode: 'SMI' } : undefined,
+    offers: {
+      '@type': 'Offer',
+      url,
+      price: (car.price / 100).toFixed(2),
+      priceCurrency: 'GBP',
+      itemCondition: 'https://schema.org/UsedCondition',
+      availability: car.status === 'active' ? 'https://schema.org/InStock' : 'https://schema.org/SoldOut',
+      seller: car.seller ? {
+        '@type': car.seller.is_dealer ? 'AutoDealer' : 'Person',
+        name: car.seller.full_name
+      } : undefined,
+      availableAtOrFrom: {
+        '@type': 'Place',
+        address: {
+          '@type': 'PostalAddress',
+          addressLocality: townOf(car),
+          addressRegion: 'Isle of Wight',
+          postalCode: car.postcode || undefined,
+          addressCountry: 'GB'
+        }
+      }
+    }
+  }
+}
+
+export function buildCarPageMeta(car: Car, origin: string): PageMeta {
+  const canonical = absoluteUrl(`/car/${car.id}`, origin)
+
+  return {
+    title: `${car.title} - ${formatPounds(car.price)} | WightCars`,
+    description: describeCar(car),
+    canonical,
+    image: car.featured_image ? absoluteUrl(car.featured_image, origin) : undefined,
+    type: 'product',
+    // Sold and withdrawn listings stay reachable from shared links but drop out of search
+    noindex: car.status !== 'active',
+    jsonLd: buildCarJsonLd(car, canonical, origin)
+  }
+}
@@ -0,0 +1,124 @@
+// Site settings for WightCars
+// Admins change site_settings at runtime; routes read them through this cache rather than the table
+import type { SettingType, SiteSettings } from '../types'
+
+// Each isolate re-reads the table this often. The isolate that saves a change sees it straight away
+const SETTINGS_TTL_MS = 60 * 1000
+
+// Used when a row is missing or its value doesn't parse as its type
+export const DEFAULT_SITE_SETTINGS: SiteSettings = {
+  site_name: 'WightCars',
+  site_description: 'Isle of Wight Car Marketplace',
+  contact_email: 'admin@wightcars.com',
+  maintenance_mode: false,
+  enable_user_registration: true,
+  auto_approve_listings: false,
+  require_verification_to_sell: false,
+  require_email_verification: false,
+  max_images_per_car: 8,
+  max_image_size_mb: 5,
+  featured_cars_count: 6,
+  listing_duration_days: 60,
+  listing_expiry_warning_days: 3,
+  report_flag_threshold: 3
+}
+
+// Inclusive bounds for numeric settings, so a typo can't switch a feature off
+const NUMBER_SETTING_RANGES: Partial<Record<keyof SiteSettings, [number, number]>> = {
+  max_images_per_car: [1, 20],
+  max_image_size_mb: [1, 25],
+  featured_cars_count: [1, 24],
+  listing_duration_days: [1, 365],
+  listing_expiry_warning_days: [0, 30],
+  report_flag_threshold: [1, 50]
+}
+
+let cache: { settings: SiteSettings; expiresAt: number } | null = null
+
+// Returns undefined when the stored text isn't a valid value of its type
+export function parseSettingValue(type: SettingType, raw: string | null): unknown {
+  if (raw === null) return undefined
+
+  switch (type) {
+    case 'number': {
+      const value = Number(raw)
+      return raw.trim() === '' || !isFinite(value) ? undefined : value
+    }
+    case 'boolean':
+      return raw === 'true' ? true : raw === 'false' ? false : undefined
+    case 'json':
+      try {
+        return JSON.parse(raw)
+      } catch {
+        return undefined
+      }
+    default:
+      return raw
+  }
+}
+
+// Checks a value sent by an admin against the setting's type and returns the text to store
+export function validateSettingValue(key: string, type: SettingType, value: unknown): { value: string } | { error: string } {
+  switch (type) {
+    case 'number': {
+      const number = typeof value === 'number' ? value : typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN
+      if (!isFinite(number)) {
+        return { error: `${key} must be a number` }
+      }
+      const range = NUMBER_SETTING_RANGES[key as keyof SiteSettings]
+      if (range && (!Number.isInteger(number) || number < range[0] || number > range[1])) {
+        return { error: `${key} must be a whole number between ${range[0]} and ${range[1]}` }
+      }
+      return { value: String(number) }
+    }
+    case 'boolean':
+      if (value === true || value === 'true') return { value: 'true' }
+      if (value === false || value === 'false') return { value: 'false' }
+      return { error: `${key} must be true or false` }
+    case 'json':
+      if (typeof value === 'string') {
+        return parseSettingValue('json', value) === undefined
+          ? { error: `${key} must be valid JSON` }
+          : { value }
+      }
+      return value === undefined ? { error: `${key} must be valid JSON` } : { value: JSON.stringify(value) }
+    default:
+      if (typeof value !== 'string') {
+        return { error: `${key} must be text` }
+      }
+      return { value: value.trim() }
+  }
+}
+
+// Known settings with their parsed values; rows of the wrong type keep the default
+export async function getSiteSettings(db?: D1Database): Promise<SiteSettings> {
+  if (!db) return DEFAULT_SITE_SETTINGS
+  if (cache && cache.expiresAt > Date.now()) return cache.settings
+
+  try {
+    const results = await db.prepare(`
+      SELECT setting_key, setting_value, setting_type FROM site_settings
+    `).all()
+
+    const settings: Record<string, unknown> = { ...DEFAULT_SITE_SETTINGS }
+    for (const row of results.results as { setting_key: string; setting_value: string | null; setting_type: SettingType }[]) {
+      if (!Object.prototype.hasOwnProperty.call(DEFAULT_SITE_SETTINGS, row.setting_key)) continue
+
+      const value = parseSettingValue(row.setting_type || 'text', row.setting_value)
+      if (typeof value === typeof DEFAULT_SITE_SETTINGS[row.setting_key as keyof SiteSettings]) {
+        settings[row.setting_key] = value
+      }
+    }
+
+    cache = { settings: settings as unknown as SiteSettings, expiresAt: Date.now() + SETTINGS_TTL_MS }
+    return cache.settings
+  } catch (error) {
+    console.error('Error loading site settings:', error)
+    return DEFAULT_SITE_SETTINGS
+  }
+}
+
+// Call after writing to site_settings so this isolate picks the change up at once
+export function clearSiteSettingsCache(): void {
+  cache = null
+}
@@ -0,0 +1,40 @@
+// XML sitemap builders for WightCars
+// See https://www.sitemaps.org/protocol.html for the format and its limits
+import { escapeXml, parseTimestamp } from './xml'
+
+// The protocol allows at most 50,000 URLs per file; chunk below that
+export const SITEMAP_CHUNK_SIZE = 45000
+
+export interface SitemapEntry {
+  loc: string;
+  lastmod?: string | null;
+}
+
+// Sitemaps want W3C datetimes
+export function toLastmod(timestamp?: string | null): string | null {
+  const date = parseTimestamp(timestamp)
+  return date ? date.toISOString().replace(/\.\d{3}Z$/, '+00:00') : null
+}
+
+function renderEntries(tag: 'url' | 'sitemap', entries: SitemapEntry[]): string {
+  return entries.map(entry => {
+    const lastmod = toLastmod(entry.lastmod)
+    return `  <${tag}><loc>${escapeXml(entry.loc)}</loc>${lastmod ? `<lastmod>${lastmod}</lastmod>` : ''}</${tag}>`
+  }).join('\n')
+}
+
+export function buildUrlset(entries: SitemapEntry[]): string {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${renderEntries('url', entries)}
+</urlset>
+`
+}
+
+export function buildSitemapIndex(sitemaps: SitemapEntry[]): string {
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${renderEntries('sitemap', sitemaps)}
+</sitemapindex>
+`
+}
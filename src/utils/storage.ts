@@ -0,0 +1,23 @@
+// R2 storage helpers for WightCars
+
+// Removes every object stored under a listing's image prefix (cars/{id}/)
+// and returns how many were deleted
+export async function purgeCarImages(bucket: R2Bucket, carId: number): Promise<number> {
+  const prefix = `cars/${carId}/`
+  let cursor: string | undefined
+  let deleted = 0
+
+  do {
+    const listing = await bucket.list({ prefix, cursor })
+    const keys = listing.objects.map(object => object.key)
+
+    if (keys.length > 0) {
+      await bucket.delete(keys)
+      deleted += keys.length
+    }
+
+    cursor = listing.truncated ? listing.cursor : undefined
+  } while (cursor)
+
+  return deleted
+}
@@ -0,0 +1,17 @@
+// XML helpers shared by the sitemap and listing feeds
+
+export function escapeXml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+}
+
+// D1 stores "YYYY-MM-DD HH:MM:SS" in UTC without a zone marker
+export function parseTimestamp(timestamp?: string | null): Date | null {
+  if (!timestamp) return null
+  const date = new Date(timestamp.includes('T') ? timestamp : `${timestamp.replace(' ', 'T')}Z`)
+  return isNaN(date.getTime()) ? null : date
+}